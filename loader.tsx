@@ -78,6 +78,7 @@ function offload(){
 	clearDefaultHooks();
 	unregisterSmartblockCommands();
 	unmountExtensionIfExists();
+	window.zoteroRoam.off();
 	window.zoteroRoam.deleteDatabase();
 	// @ts-ignore
 	delete window.zoteroRoam;
@@ -0,0 +1,35 @@
+import { http, HttpResponse } from "msw";
+import { Mocks } from "Mocks";
+
+
+const data: Record<string, string> = {
+	"PPD648N6": "blochImplementingSocialInterventions2021",
+	"NOCITEKEY": "doeUnpinnedItem2020"
+};
+
+export const handleBetterBibtex = http.post<never, Mocks.RequestBody.BetterBibtex, Mocks.Responses.BetterBibtex>(
+	"http://localhost:23119/better-bibtex/json-rpc",
+	async ({ request }) => {
+		const { id, method, params } = await request.json();
+
+		if (method != "item.citationkey") {
+			return HttpResponse.json({
+				id,
+				jsonrpc: "2.0",
+				error: { code: -32601, message: "Method not found" }
+			});
+		}
+
+		const [itemKeys] = params;
+
+		return HttpResponse.json({
+			id,
+			jsonrpc: "2.0",
+			result: Object.fromEntries(itemKeys.map(key => [key, data[key] || null]))
+		});
+	}
+);
+
+export {
+	data as betterBibtexCitekeys
+};
@@ -1,11 +1,16 @@
 /* istanbul ignore file */
 import { http, passthrough, HttpResponse } from "msw";
 import { handleAPIKey } from "./zotero/keys";
+import { handleAnnotationImages } from "./zotero/annotations";
+import { handleBetterBibtex } from "./better-bibtex";
 import { handleBibliography } from "./zotero/bib";
 import { handleCitoid } from "./citoid";
 import { handleCollections } from "./zotero/collections";
 import { handleDeleted } from "./zotero/deleted";
+import { handleFulltext } from "./zotero/fulltext";
 import { handleItems } from "./zotero/items";
+import { handleLocalAPI } from "./zotero/local";
+import { handleSearches } from "./zotero/searches";
 import { handleSemantic } from "./semantic-scholar";
 import { handleTags } from "./zotero/tags";
 
@@ -38,11 +43,16 @@ export const sciteAssetsHandler = http.get(
 );
 
 export const apiHandlers = [
+	handleAnnotationImages,
+	handleBetterBibtex,
 	handleBibliography,
 	handleCitoid,
-	handleCollections,
+	...handleCollections,
 	handleDeleted,
+	...handleFulltext,
 	...handleItems,
+	handleLocalAPI,
+	handleSearches,
 	handleSemantic,
 	...handleTags,
 	handleAPIKey
@@ -1,3 +1,4 @@
+export * from "./better-bibtex";
 export * from "./citoid";
 export * from "./handlers";
 export * from "./semantic-scholar";
@@ -7,8 +7,14 @@ export const uid_with_existing_block_with_children = "__UID_WITH_EXISTING_BLOCK_
 export const existing_block_uid = "__SOME_UID__";
 export const existing_block_uid_with_children = "__SOME_UID_WITH_CHILDREN__";
 
+function addBlockContextMenuCommand(){}
+
 function addPaletteCommand(){}
 
+function findBlocksMentioning(_text){
+	return [];
+}
+
 function findRoamBlock(_string, pageUID){
 	switch(pageUID){
 	case uid_with_existing_block:
@@ -33,10 +39,18 @@ function getAllPages(){
 	return [];
 }
 
+function getBlockTree(_uid){
+	return null;
+}
+
 function getCitekeyPages() {
 	return new Map([]);
 }
 
+function getCitekeyPagesWithBacklinks(){
+	return new Map([]);
+}
+
 function getCitekeyPagesWithEditTime(){
 	return new Map([]);
 }
@@ -45,6 +59,10 @@ function getCurrentCursorLocation() {
 	return null;
 }
 
+function getCurrentPageUID() {
+	return Promise.resolve(null);
+}
+
 function getGraphName() {
 	return "mock-graph";
 }
@@ -65,6 +83,15 @@ function importItemMetadata() {
 
 const importItemNotes = fn(() => {});
 
+const importItemsMetadata = fn((entries: { item: { key: string } }[], ..._args: any[]) => Promise.resolve({
+	cancelled: false,
+	failures: [] as { citekey: string, error: string }[],
+	imported: entries.map(entry => "@" + entry.item.key),
+	total: entries.length
+}));
+
+const insertPageBibliography = fn(() => Promise.resolve(null));
+
 function makeDNP(date: Date | any, { brackets = true }: { brackets?: boolean } = {}) {
 	const thisdate = date.constructor === Date ? date : new Date(date);
 	const months = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
@@ -91,24 +118,46 @@ function readDNP(string: string, { as_date = true }: { as_date?: boolean } = {})
 	return as_date ? new Date(...parsedDate) : parsedDate;
 }
 
+function removeBlockContextMenuCommand(){}
+
 function removePaletteCommand(){}
 
+const renameCitekeyPage = fn(() => Promise.resolve({ blocks: 0, page: "renamed" }));
+
+const triggerNotesSmartblocks = fn((_targetUid, { notes }, _settings) => Promise.resolve({ outcomes: [], remaining: notes }));
+
+async function updateBlockProps(){}
+
+const uploadAnnotationImages = fn(() => Promise.resolve({}));
+
 export {
+	addBlockContextMenuCommand,
 	addPaletteCommand,
+	findBlocksMentioning,
 	findRoamBlock,
 	findRoamPage,
 	getAllPages,
+	getBlockTree,
 	getCitekeyPages,
+	getCitekeyPagesWithBacklinks,
 	getCitekeyPagesWithEditTime,
 	getCurrentCursorLocation,
+	getCurrentPageUID,
 	getGraphName,
 	getInitialedPages,
 	importItemMetadata,
 	importItemNotes,
+	importItemsMetadata,
+	insertPageBibliography,
 	makeDNP,
 	maybeReturnCursorToPlace,
 	openInSidebarByUID,
 	openPageByUID,
 	readDNP,
-	removePaletteCommand
+	removeBlockContextMenuCommand,
+	removePaletteCommand,
+	renameCitekeyPage,
+	triggerNotesSmartblocks,
+	updateBlockProps,
+	uploadAnnotationImages
 };
\ No newline at end of file
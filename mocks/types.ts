@@ -1,6 +1,6 @@
 import { CitoidAPI } from "@clients/citoid";
 import { SemanticScholarAPI } from "@clients/semantic";
-import { ZoteroAPI } from "@clients/zotero";
+import { BetterBibtexAPI, ZoteroAPI } from "@clients/zotero";
 import { ZItemAnnotation, ZItemAttachment, ZItemNote, ZItemTop } from "Types/transforms";
 
 
@@ -25,6 +25,8 @@ export namespace Mocks {
 
 	export type ItemTop = ZItemTop;
 
+	export type SavedSearch = ZoteroAPI.SavedSearch;
+
 	export type Tag = ZoteroAPI.Tag;
 
 	export type Library = {
@@ -40,6 +42,9 @@ export namespace Mocks {
 	}
 
 	export namespace RequestBody {
+		export type BetterBibtex = { id: number, jsonrpc: "2.0", method: string, params: [string[]] };
+		export type CollectionsPost = { name: string, parentCollection?: string | false }[];
+		export type ItemPatch = Partial<ZoteroAPI.ItemTop["data"] | ZoteroAPI.ItemNote["data"]>;
 		export type ItemsPost = Partial<ZoteroAPI.ItemTop["data"]>[];
 	}
 
@@ -52,12 +57,18 @@ export namespace Mocks {
 		export type Bibliography = Pick<_RequestParams, "libraryType" | "libraryID" | "itemKey">;
 		export type Collections = Pick<_RequestParams, "libraryType" | "libraryID">;
 		export type Deleted = Pick<_RequestParams, "libraryType" | "libraryID">;
+		export type Fulltext = Pick<_RequestParams, "libraryType" | "libraryID">;
+		export type Item = Pick<_RequestParams, "libraryType" | "libraryID" | "itemKey">;
 		export type Items = Pick<_RequestParams, "libraryType" | "libraryID">;
 		export type Permissions = Pick<_RequestParams, "apikey">;
+		export type Searches = Pick<_RequestParams, "libraryType" | "libraryID">;
+		export type SearchItems = Pick<_RequestParams, "libraryType" | "libraryID" | "searchKey">;
 		export type Tags = Pick<_RequestParams, "libraryType" | "libraryID">;
 	}
 
 	export namespace Responses {
+		/* BETTER BIBTEX */
+		export type BetterBibtex = BetterBibtexAPI.Responses.Citekeys;
 		/* CITOID */
 		export type CitoidError = {
 			status: number,
@@ -72,11 +83,19 @@ export namespace Mocks {
 		/* ZOTERO */
 		export type Bibliography = ZoteroAPI.Responses.ItemGet<"bib">;
 		export type Collections = ZoteroAPI.Responses.Collections;
+		export type CollectionsPost = ZoteroAPI.Responses.CollectionsWrite;
 		export type Deleted = ZoteroAPI.Responses.Deleted;
-		export type ItemsGet = ZoteroAPI.Responses.ItemsGet<"biblatex"> | ZoteroAPI.Responses.ItemsGet<"data">;
+		export type Fulltext = ZoteroAPI.Responses.Fulltext;
+		export type FulltextVersions = ZoteroAPI.Responses.FulltextVersions;
+		export type ItemGet = ItemTop | ItemNote;
+		export type ItemPatch = never;
+		export type ItemsGet = ZoteroAPI.Responses.ItemsGet<"bib"> | ZoteroAPI.Responses.ItemsGet<"biblatex"> | ZoteroAPI.Responses.ItemsGet<"data"> | ItemsExport | ZoteroAPI.Responses.ItemVersions;
+		/** The contents of an export, as returned with the `format` parameter */
+		export type ItemsExport = string | { items: Record<string, unknown>[] };
 		// TODO: fix mock for writing items
 		export type ItemsPost = { failed: Record<number, string>, unchanged: Record<number, string>, success: Record<number, string>, successful: Record<number, ItemTop> };
 		export type Permissions = ZoteroAPI.Responses.Permissions;
+		export type Searches = ZoteroAPI.Responses.Searches;
 		export type TagsGet = ZoteroAPI.Responses.Tags;
 		export type TagsDelete = never;
 	}
@@ -92,5 +111,6 @@ type _RequestParams = {
 	apikey: string,
 	itemKey: string,
 	libraryType: ZoteroAPI.LibraryTypeURI,
-	libraryID: string
+	libraryID: string,
+	searchKey: string
 };
@@ -1,4 +1,5 @@
-import { makeEntityLinks, makeLibraryMetadata } from "./common";
+import { http, HttpResponse } from "msw";
+import { makeEntityLinks, makeLibraryMetadata, zotero } from "./common";
 import { libraries } from "./libraries";
 import { Mocks } from "Mocks";
 
@@ -91,4 +92,32 @@ export const sampleAnnotLaterPage = makeAnnot({
 		annotationText: "some later page's text",
 		annotationType: "highlight"
 	}
-});
\ No newline at end of file
+});
+
+// A 1x1 transparent PNG, standing in for the rendered image of an image annotation
+export const sampleImageAnnotFile = Uint8Array.from(
+	atob("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII="),
+	char => char.charCodeAt(0)
+);
+
+const annotationImages = {
+	[`${userLibrary.path}/${sampleImageAnnot.key}`]: sampleImageAnnotFile
+};
+
+export const handleAnnotationImages = http.get<Mocks.RequestParams.Item, never, ArrayBuffer>(
+	zotero(":libraryType/:libraryID/items/:itemKey/file"),
+	({ params }) => {
+		const { libraryType, libraryID, itemKey } = params;
+		const image = annotationImages[`${libraryType}/${libraryID}/${itemKey}`];
+
+		if (!image) {
+			return new HttpResponse(null, { status: 404, statusText: "Not found" });
+		}
+
+		return HttpResponse.arrayBuffer(image.buffer, {
+			headers: {
+				"content-type": "image/png"
+			}
+		});
+	}
+);
@@ -7,7 +7,7 @@ import { ObjValues } from "../../src/types/helpers";
 import { Mocks } from "Mocks";
 
 
-const { userLibrary } = libraries;
+const { groupLibrary, userLibrary } = libraries;
 
 const addMetadata = ({ key, library, version }) => ({
 	key,
@@ -37,6 +37,18 @@ const data: Record<string, Mocks.ItemBibliography> = {
 		},
 		bib: "<div class=\"csl-bib-body\" style=\"line-height: 1.35; padding-left: 1em; text-indent:-1em;\">\n  <div class=\"csl-entry\">Bloch, Gary, and Linda Rozmovits. &#x201C;Implementing Social Interventions in Primary Care.&#x201D; <i>CMAJ</i> 193, no. 44 (November 8, 2021): E1696&#x2013;1701. https://doi.org/10.1503/cmaj.210229.</div>\n</div>"
 	},
+	"itemInGroupLibrary": {
+		...addMetadata({
+			key: "D53X926C",
+			library: groupLibrary,
+			version: 17
+		}),
+		meta: {
+			creatorSummary: "Pinto et al.",
+			parsedDate: "2021-12"
+		},
+		bib: "<div class=\"csl-bib-body\" style=\"line-height: 1.35; padding-left: 1em; text-indent:-1em;\">\n  <div class=\"csl-entry\">Pinto, Andrew D., Melissa Perri, Cheryl L. Pedersen, Tatiana Aratangy, Ayu Pinky Hapsari, and Stephen W. Hwang. &#x201C;Exploring Different Methods to Evaluate the Impact of Basic Income Interventions: A Systematic Review.&#x201D; <i>International Journal for Equity in Health</i> 20, no. 1 (December 2021): 142. https://doi.org/10.1186/s12939-021-01479-2.</div>\n</div>"
+	},
 	"itemFromUserLibrary": {
 		...addMetadata({
 			key: "PYTM394",
@@ -58,6 +70,11 @@ export const handleBibliography = http.get<Mocks.RequestParams.Bibliography, nev
 		const { libraryType, libraryID, itemKey } = params;
 		const url = new URL(request.url);
 		const includeFormats = (url.searchParams.get("include") || "").split(",");
+
+		// Requests for the item's data are handled with other items requests
+		if (!includeFormats.some(format => ["bib", "citation"].includes(format))) {
+			return;
+		}
         
 		const { key, version, library, links, meta, ...outputs } = findBibliographyEntry({ key: `${itemKey}`, path: `${libraryType}/${libraryID}` });
 
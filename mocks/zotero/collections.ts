@@ -1,5 +1,5 @@
 import { http, HttpResponse } from "msw";
-import { makeCollection, zotero } from "./common";
+import { isNotModified, makeCollection, notModified, zotero } from "./common";
 import { libraries } from "./libraries";
 import { Mocks } from "Mocks";
 
@@ -25,28 +25,74 @@ export const findCollections = (type: Mocks.Library["type"], id: number, since:
 	return data.filter(cl => cl.library.type + "s" == type && cl.library.id == id && cl.version > since);
 };
 
-export const handleCollections = http.get<Mocks.RequestParams.Collections, never, Mocks.Responses.Collections>(
-	zotero(":libraryType/:libraryID/collections"),
-	({ request, params }) => {
-		const { libraryType, libraryID } = params;
-		const url = new URL(request.url);
-		const since = url.searchParams.get("since") || "0";
-
-		const { id, type, version } = Object.values(libraries).find(lib => lib.path == `${libraryType}/${libraryID}`)!;
-		const collections = findCollections(type, id, Number(since));
-
-		return HttpResponse.json(
-			collections,
-			{
-				headers: {
-					"last-modified-version": `${version}`,
-					// We're not mocking with additional requests
-					"total-results": `${Math.min(collections.length, 100)}`
+export const handleCollections = [
+	http.get<Mocks.RequestParams.Collections, never, Mocks.Responses.Collections>(
+		zotero(":libraryType/:libraryID/collections"),
+		({ request, params }) => {
+			const { libraryType, libraryID } = params;
+			const url = new URL(request.url);
+			const since = url.searchParams.get("since") || "0";
+
+			const { id, type, version } = Object.values(libraries).find(lib => lib.path == `${libraryType}/${libraryID}`)!;
+			if (isNotModified(request, version)) {
+				return notModified(version);
+			}
+
+			const collections = findCollections(type, id, Number(since));
+
+			return HttpResponse.json(
+				collections,
+				{
+					headers: {
+						"last-modified-version": `${version}`,
+						// We're not mocking with additional requests
+						"total-results": `${Math.min(collections.length, 100)}`
+					}
 				}
+			);
+		}
+	),
+	http.post<Mocks.RequestParams.Collections, Mocks.RequestBody.CollectionsPost, Mocks.Responses.CollectionsPost>(
+		zotero(":libraryType/:libraryID/collections"),
+		async ({ request, params }) => {
+			const { libraryType, libraryID } = params;
+			const [{ name, parentCollection = false }] = await request.json();
+			const library = Object.values(libraries).find(lib => lib.path == `${libraryType}/${libraryID}`)!;
+
+			if (!name) {
+				return HttpResponse.json({
+					failed: { 0: { code: 400, message: "Collection name cannot be empty" } },
+					success: {},
+					successful: {},
+					unchanged: {}
+				});
 			}
-		);
-	}
-);
+
+			// We're not actually adding the collection to the data, so no need to ensure keys are unique
+			const collection = makeCollection({
+				key: "__NEW_COLLECTION__",
+				library,
+				name,
+				version: library.version + 1,
+				hasParent: parentCollection
+			});
+
+			return HttpResponse.json(
+				{
+					failed: {},
+					success: { 0: collection.key },
+					successful: { 0: collection },
+					unchanged: {}
+				},
+				{
+					headers: {
+						"last-modified-version": `${library.version + 1}`
+					}
+				}
+			);
+		}
+	)
+];
 
 export {
 	data as collections
@@ -1,8 +1,25 @@
+import { HttpResponse } from "msw";
 import { Mocks } from "Mocks";
 
 
 export const zotero = (URI: string) => "https://api.zotero.org/" + URI;
 
+export const zoteroLocal = (URI: string) => "http://localhost:23119/api/" + URI;
+
+/** Checks if a conditional request can be answered with `304 Not Modified` */
+export const isNotModified = (request: Request, version: number) => {
+	const ifModifiedSince = request.headers.get("If-Modified-Since-Version");
+	return ifModifiedSince !== null && Number(ifModifiedSince) >= version;
+};
+
+export const notModified = (version: number) => new HttpResponse<never>(null, {
+	status: 304,
+	statusText: "Not Modified",
+	headers: {
+		"last-modified-version": `${version}`
+	}
+});
+
 
 type MakeCollectionArgs = Omit<Mocks.Collection["data"], "parentCollection"> & {
 	library: Mocks.Library,
@@ -0,0 +1,70 @@
+import { http, HttpResponse } from "msw";
+import { isNotModified, notModified, zotero } from "./common";
+import { libraries } from "./libraries";
+import { samplePDF } from "./pdfs";
+import { Mocks } from "Mocks";
+
+
+const { userLibrary, groupLibrary } = libraries;
+
+const data: Record<string, Record<string, Mocks.Responses.Fulltext & { version: number }>> = {
+	[userLibrary.path]: {
+		[samplePDF.key]: {
+			content: "Primary care providers are well placed to address the social determinants of health. Social interventions   in primary care include screening for poverty,\nconnecting patients with community resources, and advocating for health equity.",
+			indexedPages: 6,
+			totalPages: 6,
+			version: 18
+		}
+	},
+	[groupLibrary.path]: {}
+};
+
+export const findFulltext = ({ path, itemKey }: { path: string, itemKey: string }) => {
+	const { version, ...fulltext } = data[path]?.[itemKey] || {};
+	return version ? fulltext as Mocks.Responses.Fulltext : null;
+};
+
+export const handleFulltext = [
+	http.get<Mocks.RequestParams.Fulltext, never, Mocks.Responses.FulltextVersions>(
+		zotero(":libraryType/:libraryID/fulltext"),
+		({ request, params }) => {
+			const { libraryType, libraryID } = params;
+			const path = `${libraryType}/${libraryID}`;
+			const since = Number(new URL(request.url).searchParams.get("since"));
+			const { version } = Object.values(libraries).find(lib => lib.path == path)!;
+
+			if (isNotModified(request, version)) {
+				return notModified(version);
+			}
+
+			const versions = Object.fromEntries(
+				Object.entries(data[path])
+					.filter(([_key, entry]) => entry.version > since)
+					.map(([key, entry]) => [key, entry.version])
+			);
+
+			return HttpResponse.json(versions, {
+				headers: {
+					"last-modified-version": `${version}`
+				}
+			});
+		}
+	),
+	http.get<Mocks.RequestParams.Item, never, Mocks.Responses.Fulltext>(
+		zotero(":libraryType/:libraryID/items/:itemKey/fulltext"),
+		({ params }) => {
+			const { libraryType, libraryID, itemKey } = params;
+			const fulltext = findFulltext({ path: `${libraryType}/${libraryID}`, itemKey });
+
+			if (!fulltext) {
+				return new HttpResponse(null, { status: 404, statusText: "Not found" });
+			}
+
+			return HttpResponse.json(fulltext);
+		}
+	)
+];
+
+export {
+	data as fulltext
+};
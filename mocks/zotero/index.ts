@@ -2,9 +2,12 @@ export * from "./annotations";
 export * from "./bib";
 export * from "./collections";
 export * from "./deleted";
+export * from "./fulltext";
 export * from "./items";
 export * from "./keys";
 export * from "./libraries";
+export * from "./local";
 export * from "./notes";
 export * from "./pdfs";
+export * from "./searches";
 export * from "./tags";
@@ -1,6 +1,8 @@
 import { http, HttpResponse } from "msw";
-import { makeItemMetadata, zotero } from "./common";
+import { isNotModified, makeItemMetadata, notModified, zotero } from "./common";
 import { libraries } from "./libraries";
+import { sampleNote, sampleOlderNote } from "./notes";
+import { findBibliographyEntry } from "./bib";
 import { citoids, semanticIdentifier, Mocks } from "Mocks";
 import { ObjValues } from "Types/helpers";
 
@@ -164,6 +166,26 @@ export const findItems = ({ type, id, since }: Pick<Mocks.Library, "type" | "id"
 	return data.filter(item => item.library.type + "s" == type && item.library.id == id && item.version > since);
 };
 
+/** Generates a minimal export for a list of items, in the shape that the Zotero API returns for each format */
+export const makeExport = (items: Mocks.ItemTop[], format: "bibtex" | "csljson" | "ris") => {
+	switch (format) {
+	case "bibtex":
+		return items.map(it => `@article{${it.key},\n\ttitle = {${it.data.title}}\n}`).join("\n\n");
+	case "csljson":
+		return { items: items.map(it => ({ id: it.key, type: "article-journal", title: it.data.title })) };
+	case "ris":
+		return items.map(it => `TY  - JOUR\nTI  - ${it.data.title}\nER  - `).join("\n\n");
+	default:
+		return "";
+	}
+};
+
+/** Finds an item or a note by its key, for requests that target a single entity */
+const findEntity = ({ type, id }: Pick<Mocks.Library, "type" | "id">, itemKey: string) => {
+	return [...findItems({ type, id, since: 0 }), sampleNote, sampleOlderNote]
+		.find(it => it.library.type + "s" == type && it.library.id == id && it.data.key == itemKey);
+};
+
 export const handleItems = [
 	http.get<Mocks.RequestParams.Items, never, Mocks.Responses.ItemsGet>(
 		zotero(":libraryType/:libraryID/items"),
@@ -176,6 +198,25 @@ export const handleItems = [
 			// Otherwise create success response
 			const { type, id, version } = Object.values(libraries).find(lib => lib.path == `${libraryType}/${libraryID}`)!;
 
+			// Exports
+			const format = url.searchParams.get("format");
+			if (format == "bibtex" || format == "csljson" || format == "ris") {
+				const keyList = url.searchParams.get("itemKey")!.split(",");
+				const output = makeExport(findItems({ type, id, since: 0 }).filter(it => keyList.includes(it.data.key)), format);
+				return typeof output == "string"
+					? HttpResponse.text(output)
+					: HttpResponse.json(output);
+			}
+
+			// Item versions
+			if (format == "versions") {
+				const keyList = url.searchParams.get("itemKey")?.split(",");
+				const versions = findItems({ type, id, since: 0 })
+					.filter(it => !keyList || keyList.includes(it.data.key))
+					.map(it => [it.data.key, it.version]);
+				return HttpResponse.json(Object.fromEntries(versions), { headers: { "last-modified-version": `${version}` } });
+			}
+
 			// Bibliography entries
 			if (include == "biblatex") {
 				const keyList = url.searchParams.get("itemKey")!.split(",");
@@ -183,7 +224,21 @@ export const handleItems = [
 				return HttpResponse.json(bibs);
 			}
 
+			// Formatted bibliography
+			if (include == "bib") {
+				const keyList = url.searchParams.get("itemKey")!.split(",");
+				const bibs = keyList.map(key => {
+					const { key: itemKey, version: itemVersion, library, links, meta, bib } = findBibliographyEntry({ key, path: `${libraryType}/${libraryID}` });
+					return { key: itemKey, version: itemVersion, library, links, meta, bib };
+				});
+				return HttpResponse.json(bibs);
+			}
+
 			// Items JSON
+			if (isNotModified(request, version)) {
+				return notModified(version);
+			}
+
 			const items = findItems({ type, id, since: Number(since) });
 			return HttpResponse.json(
 				items,
@@ -210,14 +265,14 @@ export const handleItems = [
 				[k in keyof Mocks.Responses.ItemsPost]: ObjValues<Mocks.Responses.ItemsPost[k]>[]
 			};
 			const output = itemsData.reduce<TReduce>((obj, item) => {
-				const { key = "__NO_UNIQUE_KEY__", version = library.version, ...props } = item;
+				const { key, version = library.version, ...props } = item;
     
 				if (!key) {
 					// We're not actually adding the item to the data, so no need to ensure keys are unique
 					obj.success.push("__NO_UNIQUE_KEY__");
 					obj.successful.push({
 						...makeItemMetadata({
-							key,
+							key: "__NO_UNIQUE_KEY__",
 							itemType: props.itemType,
 							library,
 							title: props.title,
@@ -266,6 +321,43 @@ export const handleItems = [
 
 			return HttpResponse.json(restructuredOutput);
 		}
+	),
+	http.get<Mocks.RequestParams.Item, never, Mocks.Responses.ItemGet>(
+		zotero(":libraryType/:libraryID/items/:itemKey"),
+		({ params }) => {
+			const { libraryType, libraryID, itemKey } = params;
+			const { type, id } = Object.values(libraries).find(lib => lib.path == `${libraryType}/${libraryID}`)!;
+			const item = findEntity({ type, id }, itemKey);
+
+			if (!item) {
+				return new HttpResponse(null, { status: 404, statusText: "Not found" });
+			}
+
+			return HttpResponse.json(item);
+		}
+	),
+	http.patch<Mocks.RequestParams.Item, Mocks.RequestBody.ItemPatch, Mocks.Responses.ItemPatch>(
+		zotero(":libraryType/:libraryID/items/:itemKey"),
+		({ request, params }) => {
+			const { libraryType, libraryID, itemKey } = params;
+			const ifUnmodifiedSince = request.headers.get("If-Unmodified-Since-Version");
+			const { type, id, version } = Object.values(libraries).find(lib => lib.path == `${libraryType}/${libraryID}`)!;
+			const item = findEntity({ type, id }, itemKey);
+
+			if (!item) {
+				return new HttpResponse(null, { status: 404, statusText: "Not found" });
+			} else if (Number(ifUnmodifiedSince) < item.version) {
+				return new HttpResponse(null, { status: 412, statusText: "Precondition failed" });
+			} else {
+				return new HttpResponse(null, {
+					status: 204,
+					statusText: "No content",
+					headers: {
+						"last-modified-version": `${version + 1}`
+					}
+				});
+			}
+		}
 	)
 ];
 
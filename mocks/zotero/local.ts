@@ -0,0 +1,35 @@
+import { getResponse, http, HttpResponse } from "msw";
+import { handleBibliography } from "./bib";
+import { handleCollections } from "./collections";
+import { zotero, zoteroLocal } from "./common";
+import { handleDeleted } from "./deleted";
+import { handleItems } from "./items";
+import { handleSearchItems, handleSearches } from "./searches";
+import { handleTags } from "./tags";
+
+
+// The local API serves the same data as the web API, for read requests only
+const readHandlers = [
+	handleBibliography,
+	...handleCollections,
+	handleDeleted,
+	...handleItems,
+	handleSearches,
+	handleSearchItems,
+	...handleTags
+];
+
+export const handleLocalAPI = http.all(
+	zoteroLocal("*"),
+	async ({ request }) => {
+		if (request.method != "GET") {
+			return new HttpResponse(null, { status: 501, statusText: "Write requests are not supported by the local API" });
+		}
+
+		const url = new URL(request.url);
+		const webRequest = new Request(zotero(url.pathname.replace(/^\/api\//, "") + url.search), { headers: request.headers });
+
+		return await getResponse(readHandlers, webRequest)
+			|| new HttpResponse(null, { status: 404, statusText: "You need to add a handler for " + request.url });
+	}
+);
@@ -0,0 +1,107 @@
+import { http, HttpResponse } from "msw";
+import { isNotModified, makeLibraryMetadata, notModified, zotero } from "./common";
+import { libraries } from "./libraries";
+import { Mocks } from "Mocks";
+
+
+const { userLibrary, groupLibrary } = libraries;
+
+type MakeSearchArgs = Pick<Mocks.SavedSearch["data"], "conditions" | "key" | "name"> & {
+	library: Mocks.Library,
+	/** The keys of the items that match the search, as returned by the local API */
+	results: string[],
+	version?: number
+};
+const makeSearch = ({ conditions, key, library, name, results, version = 1 }: MakeSearchArgs): Mocks.SavedSearch & { results: string[] } => ({
+	data: {
+		conditions,
+		key,
+		name,
+		version
+	},
+	key,
+	library: makeLibraryMetadata(library),
+	links: {
+		self: {
+			href: `https://api.zotero.org/${library.path}/searches/${key}`,
+			type: "application/json"
+		}
+	},
+	meta: {},
+	results,
+	version
+});
+
+const data: Record<string, ReturnType<typeof makeSearch>[]> = {
+	[userLibrary.path]: [
+		makeSearch({
+			conditions: [
+				{ condition: "title", operator: "contains", value: "social interventions" }
+			],
+			key: "SRCHUSR1",
+			library: userLibrary,
+			name: "Social interventions",
+			results: ["PPD648N6"]
+		})
+	],
+	[groupLibrary.path]: [
+		makeSearch({
+			conditions: [
+				{ condition: "joinMode", operator: "any", value: "any" },
+				{ condition: "tag", operator: "is", value: "housing" },
+				{ condition: "title", operator: "contains", value: "urban design" }
+			],
+			key: "SRCHGRP1",
+			library: groupLibrary,
+			name: "Housing",
+			results: ["D53X926C"]
+		})
+	]
+};
+
+export const findSearches = (path: string): Mocks.SavedSearch[] => {
+	return data[path].map(({ results, ...search }) => search);
+};
+
+export const handleSearches = http.get<Mocks.RequestParams.Searches, never, Mocks.Responses.Searches>(
+	zotero(":libraryType/:libraryID/searches"),
+	({ request, params }) => {
+		const { libraryType, libraryID } = params;
+
+		const { path, version } = Object.values(libraries).find(val => val.path == `${libraryType}/${libraryID}`)!;
+		if (isNotModified(request, version)) {
+			return notModified(version);
+		}
+
+		const searches = findSearches(path);
+
+		return HttpResponse.json(
+			searches,
+			{
+				headers: {
+					"last-modified-version": `${version}`,
+					"total-results": `${searches.length}`
+				}
+			}
+		);
+	}
+);
+
+// Only the local API can run saved searches
+export const handleSearchItems = http.get<Mocks.RequestParams.SearchItems, never, string>(
+	zotero(":libraryType/:libraryID/searches/:searchKey/items"),
+	({ params }) => {
+		const { libraryType, libraryID, searchKey } = params;
+		const search = data[`${libraryType}/${libraryID}`]?.find(s => s.key == searchKey);
+
+		if (!search) {
+			return new HttpResponse(null, { status: 404, statusText: "Not found" });
+		}
+
+		return HttpResponse.text(search.results.join("\n"));
+	}
+);
+
+export {
+	data as searches
+};
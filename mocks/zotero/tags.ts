@@ -1,5 +1,5 @@
 import { http, HttpResponse } from "msw";
-import { zotero } from "./common";
+import { isNotModified, notModified, zotero } from "./common";
 import { libraries } from "./libraries";
 import { searchEngine } from "../../src/utils";
 import { Mocks } from "Mocks";
@@ -56,10 +56,14 @@ const data: Record<string, Mocks.Tag[]> = {
 export const handleTags = [
 	http.get<Mocks.RequestParams.Tags, never, Mocks.Responses.TagsGet>(
 		zotero(":libraryType/:libraryID/tags"),
-		({ params }) => {
+		({ request, params }) => {
 			const { libraryType, libraryID } = params;
             
 			const { path, version } = Object.values(libraries).find(val => val.path == `${libraryType}/${libraryID}`)!;
+			if (isNotModified(request, version)) {
+				return notModified(version);
+			}
+
 			const tags = data[path];
 
 			return HttpResponse.json(
@@ -78,15 +82,24 @@ export const handleTags = [
 		zotero(":libraryType/:libraryID/tags"),
 		({ request, params }) => {
 			const { libraryType, libraryID } = params;
-			// const tag = req.url.searchParams("tag");
+			const tagList = (new URL(request.url).searchParams.get("tag") || "").split(" || ");
 			const ifUnmodifiedSince = request.headers.get("If-Unmodified-Since-Version");
 
 			const { version } = Object.values(libraries).find(val => val.path == `${libraryType}/${libraryID}`)!;
 
-			if(Number(ifUnmodifiedSince) < version){
+			if (tagList.length > 50) {
+				return new HttpResponse(null, { status: 400, statusText: "Only 50 tags can be deleted at once" });
+			} else if(Number(ifUnmodifiedSince) < version){
 				return new HttpResponse(null, { status: 412, statusText: "Precondition failed" });
 			} else {
-				return new HttpResponse(null, { status: 204, statusText: "No content" });
+				// Each successful deletion creates a new version of the library
+				return new HttpResponse(null, {
+					status: 204,
+					statusText: "No content",
+					headers: {
+						"last-modified-version": `${Number(ifUnmodifiedSince) + 1}`
+					}
+				});
 			}
 		}
 	)
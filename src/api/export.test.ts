@@ -0,0 +1,89 @@
+import { serializeItems } from "./export";
+
+import { items } from "Mocks";
+
+import { ZItemTop } from "Types/transforms";
+
+
+const blochItem = items.find(it => it.key == "blochImplementingSocialInterventions2021")!;
+const sample = {
+	...blochItem,
+	data: {
+		...blochItem.data,
+		abstractNote: "",
+		issue: "44",
+		pages: "E1696-E1701",
+		tags: [{ tag: "primary care" }],
+		volume: "193"
+	}
+} as ZItemTop;
+
+
+describe("Serializing items locally", () => {
+	test("BibTeX", () => {
+		expect(serializeItems([sample], "bibtex")).toBe([
+			"@article{blochImplementingSocialInterventions2021,",
+			"\ttitle = {Implementing social interventions in primary care},",
+			"\tauthor = {Bloch, Gary and Rozmovits, Linda},",
+			"\tjournal = {CMAJ},",
+			"\tyear = {2021},",
+			"\tvolume = {193},",
+			"\tnumber = {44},",
+			"\tpages = {E1696--E1701},",
+			"\tdoi = {10.1503/cmaj.210229},",
+			"\turl = {https://www.cmaj.ca/content/193/44/E1696},",
+			"\tkeywords = {primary care}",
+			"}"
+		].join("\n"));
+	});
+
+	test("BibTeX special characters are escaped", () => {
+		const item = {
+			...sample,
+			data: { ...sample.data, creators: [{ creatorType: "author", name: "R&D Team" }], tags: [], title: "Costs & benefits of snake_case" }
+		} as ZItemTop;
+		const output = serializeItems([item], "bibtex");
+
+		expect(output).toContain("\ttitle = {Costs \\& benefits of snake\\_case},");
+		expect(output).toContain("\tauthor = {{R\\&D Team}},");
+	});
+
+	test("RIS", () => {
+		expect(serializeItems([sample], "ris")).toBe([
+			"TY  - JOUR",
+			"ID  - blochImplementingSocialInterventions2021",
+			"TI  - Implementing social interventions in primary care",
+			"AU  - Bloch, Gary",
+			"AU  - Rozmovits, Linda",
+			"T2  - CMAJ",
+			"PY  - 2021",
+			"DA  - 2021/11/08",
+			"VL  - 193",
+			"IS  - 44",
+			"SP  - E1696",
+			"EP  - E1701",
+			"DO  - 10.1503/cmaj.210229",
+			"UR  - https://www.cmaj.ca/content/193/44/E1696",
+			"KW  - primary care",
+			"ER  - "
+		].join("\n"));
+	});
+
+	test("CSL-JSON", () => {
+		expect(JSON.parse(serializeItems([sample], "csljson"))).toEqual([
+			{
+				id: "blochImplementingSocialInterventions2021",
+				type: "article-journal",
+				title: "Implementing social interventions in primary care",
+				author: [{ family: "Bloch", given: "Gary" }, { family: "Rozmovits", given: "Linda" }],
+				"container-title": "CMAJ",
+				issued: { "date-parts": [[2021, 11, 8]] },
+				volume: "193",
+				issue: "44",
+				page: "E1696-E1701",
+				DOI: "10.1503/cmaj.210229",
+				URL: "https://www.cmaj.ca/content/193/44/E1696"
+			}
+		]);
+	});
+});
@@ -0,0 +1,220 @@
+import { ZoteroAPI } from "@clients/zotero";
+
+import { ExportFileFormat } from "Types/extension";
+import { ZItemTop } from "Types/transforms";
+
+
+type ItemType = ZItemTop["data"]["itemType"];
+
+/** BibTeX entry types for Zotero item types. Other types are exported as `misc`. */
+const BIBTEX_TYPES: Partial<Record<ItemType, string>> = {
+	book: "book",
+	bookSection: "incollection",
+	conferencePaper: "inproceedings",
+	journalArticle: "article",
+	magazineArticle: "article",
+	manuscript: "unpublished",
+	newspaperArticle: "article",
+	report: "techreport",
+	thesis: "phdthesis"
+};
+
+/** CSL types for Zotero item types. Other types are exported as `article`. */
+const CSL_TYPES: Partial<Record<ItemType, string>> = {
+	blogPost: "post-weblog",
+	book: "book",
+	bookSection: "chapter",
+	conferencePaper: "paper-conference",
+	dictionaryEntry: "entry-dictionary",
+	encyclopediaArticle: "entry-encyclopedia",
+	journalArticle: "article-journal",
+	magazineArticle: "article-magazine",
+	manuscript: "manuscript",
+	newspaperArticle: "article-newspaper",
+	preprint: "article",
+	report: "report",
+	thesis: "thesis",
+	webpage: "webpage"
+};
+
+/** RIS reference types for Zotero item types. Other types are exported as `GEN`. */
+const RIS_TYPES: Partial<Record<ItemType, string>> = {
+	blogPost: "BLOG",
+	book: "BOOK",
+	bookSection: "CHAP",
+	conferencePaper: "CPAPER",
+	journalArticle: "JOUR",
+	magazineArticle: "MGZN",
+	newspaperArticle: "NEWS",
+	report: "RPRT",
+	thesis: "THES",
+	webpage: "ELEC"
+};
+
+
+/** Splits an item's creators by role, as `[family, given]` names. Creators with a single-field name have an empty given name. */
+function getCreatorNames(item: ZItemTop, creatorType: ZoteroAPI.CreatorType): [string, string][] {
+	return item.data.creators
+		.filter(creator => creator.creatorType == creatorType)
+		.map(creator => "name" in creator ? [creator.name, ""] : [creator.lastName, creator.firstName]);
+}
+
+/** Reads the parts of an item's date (year, month, day) from its parsed date */
+function getDateParts(item: ZItemTop): number[] {
+	return (item.meta.parsedDate || "")
+		.split("-")
+		.map(part => Number(part))
+		.filter(part => part > 0);
+}
+
+/** Retrieves the title of the publication, book or website that contains an item */
+function getContainerTitle(item: ZItemTop): string {
+	const { bookTitle, proceedingsTitle, publicationTitle, websiteTitle } = item.data;
+	return publicationTitle || bookTitle || proceedingsTitle || websiteTitle || "";
+}
+
+/** Escapes the characters that have a special meaning in BibTeX */
+function escapeBibTeX(value: string): string {
+	return value
+		.replace(/\\/g, "\\textbackslash{}")
+		.replace(/([{}&%$#_])/g, "\\$1")
+		.replace(/~/g, "\\textasciitilde{}")
+		.replace(/\^/g, "\\textasciicircum{}");
+}
+
+
+/** Serializes an item as a BibTeX entry */
+function toBibTeX(item: ZItemTop): string {
+	const { data } = item;
+	const container = getContainerTitle(item);
+	const [year] = getDateParts(item);
+	const formatNames = (names: [string, string][]) => names
+		.map(([family, given]) => given ? `${escapeBibTeX(family)}, ${escapeBibTeX(given)}` : `{${escapeBibTeX(family)}}`)
+		.join(" and ");
+
+	const fields: [string, string | undefined][] = [
+		["title", data.title],
+		["author", formatNames(getCreatorNames(item, "author"))],
+		["editor", formatNames(getCreatorNames(item, "editor"))],
+		[data.itemType == "journalArticle" || data.itemType == "magazineArticle" || data.itemType == "newspaperArticle" ? "journal" : "booktitle", container],
+		["year", year ? String(year) : undefined],
+		["volume", data.volume],
+		["number", data.issue],
+		["pages", data.pages ? String(data.pages).replace(/\s*[-–]\s*/, "--") : undefined],
+		["edition", data.edition],
+		["publisher", data.publisher],
+		["school", data.itemType == "thesis" ? data.university : undefined],
+		["institution", data.itemType == "report" ? data.institution : undefined],
+		["address", data.place],
+		["isbn", data.ISBN],
+		["issn", data.ISSN],
+		["doi", data.DOI],
+		["url", data.url],
+		["abstract", data.abstractNote],
+		["keywords", data.tags.map(t => t.tag).join(", ")]
+	];
+
+	const lines = fields
+		.filter((field): field is [string, string] => Boolean(field[1]))
+		.map(([field, value]) => {
+			// Names are escaped when they're formatted, and identifiers must be kept as-is
+			const output = ["author", "editor", "doi", "url"].includes(field) ? value : escapeBibTeX(String(value));
+			return `\t${field} = {${output}}`;
+		});
+
+	return `@${BIBTEX_TYPES[data.itemType] || "misc"}{${item.key},\n${lines.join(",\n")}\n}`;
+}
+
+/** Serializes an item as a CSL-JSON object */
+function toCSLJSON(item: ZItemTop): Record<string, unknown> {
+	const { data } = item;
+	const dateParts = getDateParts(item);
+	const formatNames = (names: [string, string][]) => names.map(([family, given]) => given ? { family, given } : { literal: family });
+
+	const entry: Record<string, unknown> = {
+		id: item.key,
+		type: CSL_TYPES[data.itemType] || "article",
+		title: data.title,
+		author: formatNames(getCreatorNames(item, "author")),
+		editor: formatNames(getCreatorNames(item, "editor")),
+		"container-title": getContainerTitle(item),
+		issued: dateParts.length > 0 ? { "date-parts": [dateParts] } : undefined,
+		volume: data.volume,
+		issue: data.issue,
+		page: data.pages,
+		edition: data.edition,
+		publisher: data.publisher || data.university || data.institution,
+		"publisher-place": data.place,
+		ISBN: data.ISBN,
+		ISSN: data.ISSN,
+		DOI: data.DOI,
+		URL: data.url,
+		abstract: data.abstractNote
+	};
+
+	return Object.fromEntries(Object.entries(entry).filter(([_field, value]) => Array.isArray(value) ? value.length > 0 : Boolean(value)));
+}
+
+/** Serializes an item as a RIS record */
+function toRIS(item: ZItemTop): string {
+	const { data } = item;
+	const dateParts = getDateParts(item);
+	const [startPage, endPage] = data.pages ? String(data.pages).split(/\s*[-–]\s*/) : [];
+	const formatNames = (names: [string, string][]) => names.map(([family, given]) => given ? `${family}, ${given}` : family);
+
+	const tags: [string, string | undefined][] = [
+		["TY", RIS_TYPES[data.itemType] || "GEN"],
+		["ID", item.key],
+		["TI", data.title],
+		...formatNames(getCreatorNames(item, "author")).map<[string, string]>(name => ["AU", name]),
+		...formatNames(getCreatorNames(item, "editor")).map<[string, string]>(name => ["ED", name]),
+		["T2", getContainerTitle(item)],
+		["PY", dateParts[0] ? String(dateParts[0]) : undefined],
+		["DA", dateParts.length > 0 ? dateParts.map(part => String(part).padStart(2, "0")).join("/") : undefined],
+		["VL", data.volume],
+		["IS", data.issue],
+		["SP", startPage],
+		["EP", endPage],
+		["ET", data.edition],
+		["PB", data.publisher || data.university || data.institution],
+		["CY", data.place],
+		["SN", data.ISBN || data.ISSN],
+		["DO", data.DOI],
+		["UR", data.url],
+		["AB", data.abstractNote],
+		...data.tags.map<[string, string]>(t => ["KW", t.tag])
+	];
+
+	return [
+		...tags
+			.filter((tag): tag is [string, string] => Boolean(tag[1]))
+			// RIS values can't span several lines
+			.map(([tag, value]) => `${tag}  - ${String(value).replace(/\s*\n\s*/g, " ")}`),
+		"ER  - "
+	].join("\n");
+}
+
+
+/** Serializes a list of items in a bibliographic file format, without calling the Zotero API.
+ * This is used as a fallback for libraries whose items can't be exported by Zotero.
+ * @param items - The items to export
+ * @param format - The export format
+ * @returns The contents of the export
+ */
+function serializeItems(items: ZItemTop[], format: ExportFileFormat): string {
+	switch (format) {
+	case "bibtex":
+		return items.map(toBibTeX).join("\n\n");
+	case "csljson":
+		return JSON.stringify(items.map(toCSLJSON), null, "\t");
+	case "ris":
+		return items.map(toRIS).join("\n\n");
+	default:
+		throw new Error(`Unsupported export format: ${format}`);
+	}
+}
+
+
+export {
+	serializeItems
+};
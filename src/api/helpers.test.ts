@@ -1,18 +1,18 @@
 import { mock } from "vitest-mock-extended";
 
-import { cleanBibliographyHTML, compareAnnotationRawIndices, formatNotes, formatZoteroAnnotations, getItemCreators, getItemDateAdded, getItemTags } from "./helpers";
+import { cleanBibliographyHTML, compareAnnotationRawIndices, formatItemMetadataWithTemplate, formatNotes, formatZoteroAnnotations, getItemCreators, getItemDateAdded, getItemTags } from "./helpers";
 
 import { setupInitialSettings } from "../setup";
-import { formatZoteroNotes, simplifyZoteroAnnotations } from "../utils";
+import { formatZoteroNotes, markImportedNotes, simplifyZoteroAnnotations } from "../utils";
 
-import { bibs, sampleAnnot, sampleAnnotPrevPage, sampleAnnotLaterPage, sampleImageAnnot, sampleNote, sampleOlderNote } from "Mocks";
+import { bibs, items, sampleAnnot, sampleAnnotPrevPage, sampleAnnotLaterPage, sampleImageAnnot, sampleNote, sampleOlderNote } from "Mocks";
 import { existing_block_uid, existing_block_uid_with_children, uid_with_existing_block, uid_with_existing_block_with_children } from "Mocks/roam";
 import { UserSettings } from "Types/extension";
 import { ZItem, ZItemTop } from "Types/transforms";
 
 
 const simplifiedAnnot = simplifyZoteroAnnotations([sampleAnnot])[0];
-const { annotations: annotationsSettings, notes } = setupInitialSettings({});
+const { annotations: annotationsSettings, notes, typemap } = setupInitialSettings({});
 
 
 describe("cleanBibliographyHTML", () => {
@@ -227,6 +227,132 @@ describe("formatZoteroAnnotations", () => {
 			]);
 	});
 
+	it("formats image annotations once their image is uploaded", () => {
+		const url = "https://firebasestorage.googleapis.com/some-image.png";
+		const simplifiedImage = simplifyZoteroAnnotations([sampleImageAnnot])[0];
+
+		expect(formatZoteroAnnotations([sampleImageAnnot], {}, { [sampleImageAnnot.key]: url }))
+			.toEqual([
+				{
+					string: `![](${url}) ([p. ${simplifiedImage.page_label}](${simplifiedImage.link_page})) ${simplifiedImage.tags_string}`,
+					text: `![](${url}) ([p. ${simplifiedImage.page_label}](${simplifiedImage.link_page})) ${simplifiedImage.tags_string}`,
+					children: [simplifiedImage.comment]
+				}
+			]);
+		expect(formatZoteroAnnotations([sampleImageAnnot], { template_image: "{{image}}" }, { [sampleImageAnnot.key]: url }))
+			.toEqual([
+				{
+					string: url,
+					text: url,
+					children: [simplifiedImage.comment]
+				}
+			]);
+	});
+
+	it("leaves Roam components in templates as written", () => {
+		expect(formatZoteroAnnotations([sampleAnnot], { template_comment: "{{comment}} {{word-count}}", template_highlight: "{{TODO}} {{highlight}}" }))
+			.toEqual([
+				{
+					string: `{{TODO}} ${simplifiedAnnot.text}`,
+					text: `{{TODO}} ${simplifiedAnnot.text}`,
+					children: [`${simplifiedAnnot.comment} {{word-count}}`]
+				}
+			]);
+	});
+
+	describe("routes annotations by color", () => {
+		const claim = { ...sampleAnnotLaterPage, data: { ...sampleAnnotLaterPage.data, annotationColor: "#FFD400" } };
+		const colors = [
+			{ color: "#5fb236", heading: "[[Methods]]", label: "Method", tags: ["method", "TODO"], template: "{{label}} : {{highlight}} {{tags_string}}" },
+			{ color: "#ffd400", heading: "", label: "Claim", tags: [], template: "" }
+		];
+		const simplifiedClaim = simplifyZoteroAnnotations([claim])[0];
+		const methodBlock = {
+			string: `Method : ${simplifiedAnnot.text} #[[Important]], #[[TODO]], #[[method]]`,
+			text: `Method : ${simplifiedAnnot.text} #[[Important]], #[[TODO]], #[[method]]`,
+			children: [simplifiedAnnot.comment]
+		};
+		const claimBlock = {
+			string: `[[>]] ${simplifiedClaim.text} ([p. ${simplifiedClaim.page_label}](${simplifiedClaim.link_page})) `,
+			text: `[[>]] ${simplifiedClaim.text} ([p. ${simplifiedClaim.page_label}](${simplifiedClaim.link_page})) `,
+			children: [simplifiedClaim.comment]
+		};
+
+		it("applies each color's template, tags and heading", () => {
+			expect(formatZoteroAnnotations([sampleAnnot, claim, sampleAnnotPrevPage], { colors }))
+				.toEqual([
+					{
+						string: "[[Methods]]",
+						text: "[[Methods]]",
+						children: [
+							methodBlock,
+							expect.objectContaining({ string: expect.stringContaining("Method : some previous page's text") })
+						]
+					},
+					claimBlock
+				]);
+		});
+
+		it("nests annotations under their color's heading, within each day", () => {
+			expect(formatZoteroAnnotations([sampleAnnot], { colors, group_by: "day_added" }))
+				.toEqual([
+					expect.objectContaining({
+						children: [{ string: "[[Methods]]", text: "[[Methods]]", children: [methodBlock] }]
+					})
+				]);
+		});
+
+		it("groups by color, in the order of the mappings", () => {
+			expect(formatZoteroAnnotations([sampleAnnot, claim, sampleAnnotPrevPage], { colors: [...colors].reverse(), group_by: "color" }))
+				.toEqual([
+					{ string: "Claim", text: "Claim", children: [claimBlock] },
+					{
+						string: "[[Methods]]",
+						text: "[[Methods]]",
+						children: [
+							methodBlock,
+							expect.objectContaining({ string: expect.stringContaining("Method : some previous page's text") })
+						]
+					}
+				]);
+		});
+
+		it("doesn't add a block for empty headings", () => {
+			const unlabeled = colors.map(mapping => ({ ...mapping, heading: " ", label: "" }));
+			expect(formatZoteroAnnotations([sampleAnnot, claim], { colors: unlabeled, group_by: "color" }))
+				.toEqual([
+					expect.objectContaining({ string: expect.stringContaining(simplifiedAnnot.text!) }),
+					claimBlock
+				]);
+		});
+
+		it("leaves annotations with unmapped colors ungrouped", () => {
+			expect(formatZoteroAnnotations([claim, sampleAnnot], { colors: colors.slice(0, 1), group_by: "color" }))
+				.toEqual([
+					{ string: "[[Methods]]", text: "[[Methods]]", children: [methodBlock] },
+					claimBlock
+				]);
+		});
+	});
+
+	it("supports sections in templates", () => {
+		const template_highlight = "{{highlight}}{{#label}} ({{label}}){{/label}}{{^comment}} #[[No comment]]{{/comment}}";
+		const colors = [{ color: sampleAnnot.data.annotationColor, heading: "", label: "Claim", tags: [], template: "" }];
+
+		expect(formatZoteroAnnotations([sampleAnnot], { template_highlight }))
+			.toEqual([
+				{ string: simplifiedAnnot.text, text: simplifiedAnnot.text, children: [simplifiedAnnot.comment] }
+			]);
+		expect(formatZoteroAnnotations([sampleAnnot], { colors, template_comment: "{{comment}} ({{day_added}})", template_highlight }))
+			.toEqual([
+				{
+					string: `${simplifiedAnnot.text} (Claim)`,
+					text: `${simplifiedAnnot.text} (Claim)`,
+					children: [`${simplifiedAnnot.comment} (${simplifiedAnnot.day_added})`]
+				}
+			]);
+	});
+
 	it("groups by day added", () => {
 		expect(formatZoteroAnnotations([sampleAnnot], { group_by: "day_added" }))
 			.toEqual([
@@ -245,6 +371,56 @@ describe("formatZoteroAnnotations", () => {
 	});
 });
 
+describe("formatItemMetadataWithTemplate", () => {
+	const item = items.find(it => it.key == "blochImplementingSocialInterventions2021")! as ZItemTop;
+	const notesSettings = { ...notes, nest_preset: false } as const;
+
+	it("renders the template as blocks", () => {
+		const template = [
+			"Title:: {{title}}",
+			"Author(s)::",
+			"{{#creators}}",
+			"  - [[{{name}}]] ({{type}})",
+			"{{/creators}}",
+			"Year:: {{year}}{{^pdfs}} (no PDF){{/pdfs}}",
+			"{{>notes}}"
+		].join("\n");
+
+		expect(formatItemMetadataWithTemplate(item, [], [sampleNote], { annotationsSettings, notesSettings, template, typemap }))
+			.toEqual([
+				{
+					block: {
+						string: "Title:: Implementing social interventions in primary care",
+						text: "Title:: Implementing social interventions in primary care"
+					},
+					field: null
+				},
+				{
+					block: {
+						string: "Author(s)::",
+						text: "Author(s)::",
+						children: [
+							{ string: "[[Gary Bloch]] (author)", text: "[[Gary Bloch]] (author)" },
+							{ string: "[[Linda Rozmovits]] (author)", text: "[[Linda Rozmovits]] (author)" }
+						]
+					},
+					field: null
+				},
+				{
+					block: { string: "Year:: 2021 (no PDF)", text: "Year:: 2021 (no PDF)" },
+					field: null
+				},
+				...markImportedNotes(formatNotes([sampleNote], null, { annotationsSettings, notesSettings }), [sampleNote])
+					.map(block => ({ block, field: null }))
+			]);
+	});
+
+	it("throws for invalid templates", () => {
+		expect(() => formatItemMetadataWithTemplate(item, [], [], { annotationsSettings, notesSettings, template: "{{#tags}}{{.}}", typemap }))
+			.toThrow("Missing closing tag for section \"tags\"");
+	});
+});
+
 describe("getItemCreators", () => {
 	const mockItem = mock<ZItemTop>({
 		data: {
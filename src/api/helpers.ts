@@ -1,11 +1,12 @@
 import { ZoteroAPI } from "@clients/zotero";
 import { findRoamBlock, findRoamPage, makeDNP } from "@services/roam";
+import { renderTemplateBlocks } from "@services/templating";
 
-import { cleanNewlines, compareAnnotationIndices, executeFunctionByName, extractSortIndex, formatItemAnnotations, formatZoteroNotes, getLocalLink, getPDFLink, getWebLink, simplifyZoteroAnnotations } from "../utils";
+import { cleanNewlines, compareAnnotationIndices, executeFunctionByName, extractSortIndex, formatItemAnnotations, formatZoteroNotes, getAnnotationTemplateData, getLocalLink, getNotesTemplateData, getPDFLink, getWebLink, markImportedNotes, simplifyZoteroAnnotations } from "../utils";
 
 import { SettingsAnnotations, SettingsNotes, SettingsTypemap } from "Types/extension";
 import { AsBoolean } from "Types/helpers";
-import { RImportableElement, ZItem, ZItemAnnotation, ZItemAttachment, ZItemNote, ZItemTop, ZLinkType, ZLinkOptions, isZAnnotation, isZNote } from "Types/transforms";
+import { RImportableElement, RMetadataElement, ZItem, ZItemAnnotation, ZItemAttachment, ZItemNote, ZItemTop, ZLinkType, ZLinkOptions, isZAnnotation, isZNote } from "Types/transforms";
 
 
 /** Parses the XHTML bibliography for a Zotero item into Roam formatting
@@ -49,36 +50,66 @@ function compareAnnotationRawIndices(a: string, b: string): number {
 
 
 /* istanbul ignore next */
-/** Formats an item's and its children's metadata for import to Roam using the default template */
-function formatItemMetadata(
+/** Formats an item's and its children's metadata for import to Roam using the default template, with the name of the field each block represents */
+function formatItemMetadataElements(
 	item: ZItemTop, pdfs: ZItemAttachment[], notes: (ZItemNote | ZItemAnnotation)[],
-	{ annotationsSettings, notesSettings, typemap }: { annotationsSettings: SettingsAnnotations, notesSettings: SettingsNotes, typemap: SettingsTypemap }
-): RImportableElement[] {
-	const metadata: RImportableElement[] = [];
-
-	if (item.data.title) { metadata.push(`Title:: ${item.data.title}`); } // Title, if available
-	if (item.data.creators.length > 0) { metadata.push(`Author(s):: ${getItemCreators(item, { return_as: "string", brackets: true, use_type: true })}`); } // Creators list, if available
-	if (item.data.abstractNote) { metadata.push(`Abstract:: ${item.data.abstractNote}`); } // Abstract, if available
-	if (item.data.itemType) { metadata.push(`Type:: ${getItemType(item, { brackets: true }, { typemap })}`); } // Item type, according to typemap
-	metadata.push(`Publication:: ${getItemPublication(item, { brackets: true })}`);
+	{ annotationsSettings, images = {}, notesSettings, typemap }: { annotationsSettings: SettingsAnnotations, images?: Record<string, string>, notesSettings: SettingsNotes, typemap: SettingsTypemap }
+): RMetadataElement[] {
+	const metadata: RMetadataElement[] = [];
+	const add = (field: string, block: string) => metadata.push({ block, field });
+
+	if (item.data.title) { add("title", `Title:: ${item.data.title}`); } // Title, if available
+	if (item.data.creators.length > 0) { add("creators", `Author(s):: ${getItemCreators(item, { return_as: "string", brackets: true, use_type: true })}`); } // Creators list, if available
+	if (item.data.abstractNote) { add("abstract", `Abstract:: ${item.data.abstractNote}`); } // Abstract, if available
+	if (item.data.itemType) { add("itemType", `Type:: ${getItemType(item, { brackets: true }, { typemap })}`); } // Item type, according to typemap
+	add("publication", `Publication:: ${getItemPublication(item, { brackets: true })}`);
 	const year = getItemYear(item);
-	if (year) { metadata.push(`Year:: ${year}`); } // Publication year, if available
-	if (item.data.url) { metadata.push(`URL : ${item.data.url}`); }
-	if (item.data.dateAdded) { metadata.push(`Date Added:: ${getItemDateAdded(item)}`); } // Date added, as Daily Notes Page reference
-	metadata.push(`Zotero links:: ${getItemLink(item, "local", { format: "markdown", text: "Local library" })}, ${getItemLink(item, "web", { format: "markdown", text: "Web library" })}`); // Local + Web links to the item
-	if (item.data.tags.length > 0) { metadata.push(`Tags:: ${getItemTags(item, { return_as: "string", brackets: true })}`); } // Tags, if any
+	if (year) { add("year", `Year:: ${year}`); } // Publication year, if available
+	if (item.data.url) { add("url", `URL : ${item.data.url}`); }
+	if (item.data.dateAdded) { add("dateAdded", `Date Added:: ${getItemDateAdded(item)}`); } // Date added, as Daily Notes Page reference
+	add("links", `Zotero links:: ${getItemLink(item, "local", { format: "markdown", text: "Local library" })}, ${getItemLink(item, "web", { format: "markdown", text: "Web library" })}`); // Local + Web links to the item
+	if (item.data.tags.length > 0) { add("tags", `Tags:: ${getItemTags(item, { return_as: "string", brackets: true })}`); } // Tags, if any
 
 	if (pdfs.length > 0) {
-		metadata.push(`PDF links : ${(formatPDFs(pdfs, "links") as string[]).join(", ")}`);
+		add("pdfs", `PDF links : ${(formatPDFs(pdfs, "links") as string[]).join(", ")}`);
 	}
 	if (notes.length > 0) {
-		const formattedOutput = formatNotes(notes, null, { annotationsSettings, notesSettings });
-		metadata.push(...formattedOutput);
+		// Notes don't correspond to a single field, so they're matched by their contents
+		const formattedOutput = markImportedNotes(formatNotes(notes, null, { annotationsSettings, images, notesSettings }), notes);
+		metadata.push(...formattedOutput.map(block => ({ block, field: null })));
 	}
 
 	return metadata;
 }
 
+/** Formats an item's and its children's metadata for import to Roam using a custom template.
+ * Blocks aren't associated with a field, so they're matched by their contents when the metadata is imported again.
+ * @see {@link getItemTemplateData} for the data available to the template
+ * @throws If the template's sections aren't properly closed
+ */
+function formatItemMetadataWithTemplate(
+	item: ZItemTop, pdfs: ZItemAttachment[], notes: (ZItemNote | ZItemAnnotation)[],
+	{ annotationsSettings, images = {}, notesSettings, template, typemap }: { annotationsSettings: SettingsAnnotations, images?: Record<string, string>, notesSettings: SettingsNotes, template: string, typemap: SettingsTypemap }
+): RMetadataElement[] {
+	const data = getItemTemplateData(item, pdfs, notes, { annotationsSettings, images, notesSettings, typemap });
+	// The notes are formatted according to the user's settings, and can be inserted with {{>notes}}
+	const formattedNotes = notes.length > 0
+		? markImportedNotes(formatNotes(notes, null, { annotationsSettings, images, notesSettings }), notes)
+		: [];
+
+	return renderTemplateBlocks(template, data, { notes: formattedNotes })
+		.map(block => ({ block, field: null }));
+}
+
+/* istanbul ignore next */
+/** Formats an item's and its children's metadata for import to Roam using the default template */
+function formatItemMetadata(
+	item: ZItemTop, pdfs: ZItemAttachment[], notes: (ZItemNote | ZItemAnnotation)[],
+	settings: { annotationsSettings: SettingsAnnotations, notesSettings: SettingsNotes, typemap: SettingsTypemap }
+): RImportableElement[] {
+	return formatItemMetadataElements(item, pdfs, notes, settings).map(elem => elem.block);
+}
+
 
 /** Formats Zotero notes/annotations items */
 function formatNotes(
@@ -86,8 +117,8 @@ function formatNotes(
 	notes: (ZItemNote | ZItemAnnotation)[],
 	/** The UID of the parent item's Roam page, if it exists */
 	pageUID: string | null = null,
-	/** The user's current settings */
-	{ annotationsSettings, notesSettings }: { annotationsSettings: SettingsAnnotations, notesSettings: SettingsNotes }
+	/** The user's current settings, and the URLs of the images uploaded for image annotations (by annotation key) */
+	{ annotationsSettings, images = {}, notesSettings }: { annotationsSettings: SettingsAnnotations, images?: Record<string, string>, notesSettings: SettingsNotes }
 ): RImportableElement[] {
 	if (!notes || notes.length == 0) {
 		return [];
@@ -99,7 +130,7 @@ function formatNotes(
 			.filter(isZNote)
 			.sort((a, b) => a.data.dateAdded < b.data.dateAdded ? -1 : 1);
 		const formattedOutput = [
-			...formatZoteroAnnotations(annotItems, annotationsSettings),
+			...formatZoteroAnnotations(annotItems, annotationsSettings, images),
 			...formatZoteroNotes(noteItems, notesSettings)
 		];
 
@@ -248,13 +279,15 @@ function getItemTags(item: ZItemTop, { return_as = "string", brackets = true }:
 /** Formats an array of Zotero annotations into Roam blocks, with optional configuration */
 function formatZoteroAnnotations(
 	annotations: ZItemAnnotation[],
-	{ func = "", use = "default", __with = "raw", ...settings }: Partial<SettingsAnnotations> = {}
+	{ func = "", use = "default", __with = "raw", ...settings }: Partial<SettingsAnnotations> = {},
+	/** The URLs of the images uploaded for image annotations, by annotation key */
+	images: Record<string, string> = {}
 ): any {
 	if (use == "function" && func) {
 		// If the user has provided a custom function, execute it with the desired input
-		return executeFunctionByName(func, window, __with == "raw" ? annotations : simplifyZoteroAnnotations(annotations));
+		return executeFunctionByName(func, window, __with == "raw" ? annotations : simplifyZoteroAnnotations(annotations, images));
 	} else {
-		return formatItemAnnotations(annotations, { ...settings });
+		return formatItemAnnotations(annotations, { ...settings }, images);
 	}
 }
 
@@ -292,6 +325,51 @@ function getItemType(item: ZItemTop, { brackets = true }: { brackets?: boolean }
 	return (brackets == true ? `[[${type}]]` : type);
 }
 
+/** Collects the data available to metadata templates for an item : all of its raw fields, along with formatted values and the contents of its children.
+ * - `annotations` : the item's annotations, as simplified data (with `highlight`, `label` and `tags_string`)
+ * - `authors` : the item's creators, as a string of page references (with their role, if not author)
+ * - `citekey` and `key` : the item's citekey, with and without the `@` prefix
+ * - `creators` : the item's creators, as `{ name, type }`
+ * - `date_added` : the date on which the item was added, as a Daily Notes Page reference
+ * - `item_type` : the item's type, according to the typemap
+ * - `link_local` and `link_web` : the links to the item in Zotero
+ * - `notes` : the item's notes, as simplified data (with their contents split into `blocks`)
+ * - `pdfs` : the item's PDFs, as `{ key, link, title }`
+ * - `publication` and `year` : the item's publication details
+ * - `tags` and `tags_string` : the item's tags, as a list and as a string of tags
+ */
+function getItemTemplateData(
+	item: ZItemTop, pdfs: ZItemAttachment[], notes: (ZItemNote | ZItemAnnotation)[],
+	{ annotationsSettings, images = {}, notesSettings, typemap }: { annotationsSettings: SettingsAnnotations, images?: Record<string, string>, notesSettings: SettingsNotes, typemap: SettingsTypemap }
+): Record<string, unknown> {
+	const { split_char, split_preset, split_use } = notesSettings;
+	const annotations = notes
+		.filter(isZAnnotation)
+		.sort((a, b) => compareAnnotationRawIndices(a.data.annotationSortIndex, b.data.annotationSortIndex));
+	const noteItems = notes
+		.filter(isZNote)
+		.sort((a, b) => a.data.dateAdded < b.data.dateAdded ? -1 : 1);
+
+	return {
+		...item.data,
+		annotations: simplifyZoteroAnnotations(annotations, images).map(ann => getAnnotationTemplateData(ann, annotationsSettings.colors)),
+		authors: getItemCreators(item, { return_as: "string", brackets: true, use_type: true }),
+		citekey: "@" + item.key,
+		creators: (getItemCreators(item, { return_as: "identity" }) as CreatorAsIdentity[]).map(({ name, type }) => ({ name, type })),
+		date_added: getItemDateAdded(item),
+		item_type: getItemType(item, { brackets: true }, { typemap }),
+		key: item.key,
+		link_local: getItemLink(item, "local", { format: "target" }),
+		link_web: getItemLink(item, "web", { format: "target" }),
+		notes: getNotesTemplateData(noteItems, split_use == "custom" ? split_char : split_preset),
+		pdfs: formatPDFs(pdfs, "identity"),
+		publication: getItemPublication(item, { brackets: true }),
+		tags: getItemTags(item, { return_as: "array", brackets: false }),
+		tags_string: getItemTags(item, { return_as: "string", brackets: true }),
+		year: getItemYear(item)
+	};
+}
+
 /** Retrieves the publication year for a given item */
 function getItemYear(item: ZItemTop): string {
 	if (!item.meta.parsedDate) {
@@ -326,6 +404,8 @@ export {
 	cleanBibliographyHTML,
 	compareAnnotationRawIndices,
 	formatItemMetadata,
+	formatItemMetadataElements,
+	formatItemMetadataWithTemplate,
 	formatNotes,
 	formatPDFs,
 	formatZoteroAnnotations,
@@ -334,6 +414,7 @@ export {
 	getItemLink,
 	getItemPublication,
 	getItemTags,
+	getItemTemplateData,
 	getItemType,
 	getItemYear,
 	groupCitekeysByLibrary
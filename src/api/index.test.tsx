@@ -4,15 +4,17 @@ import { waitFor } from "@testing-library/dom";
 import "fake-indexeddb/auto";
 import { mock } from "vitest-mock-extended";
 
+import { Events, emitCustomEvent } from "@services/events";
 import IDBDatabaseService from "@services/idb";
 
 import ZoteroRoam from ".";
+import { serializeItems } from "./export";
 import { cleanBibliographyHTML, formatNotes, formatPDFs, getItemCreators, getItemDateAdded, getItemTags } from "./helpers";
 
 import { createPersisterWithIDB, setupInitialSettings } from "../setup";
 import { getLocalLink, getWebLink } from "../utils";
 
-import { bibs, findBibliographyEntry, entries, findItems, items, apiKeys, libraries, sampleAnnot, sampleNote, samplePDF } from "Mocks";
+import { bibs, findBibliographyEntry, entries, findItems, items, apiKeys, libraries, makeExport, sampleAnnot, sampleImageAnnot, sampleImageAnnotFile, sampleNote, samplePDF } from "Mocks";
 
 import { UserRequests, UserSettings } from "Types/extension";
 import { ZItem, ZItemTop } from "Types/transforms";
@@ -159,6 +161,25 @@ describe("Retrieval utils", () => {
 			expect(res)
 				.toEqual(cleanBibliographyHTML(bib));
 		});
+
+		test("It should return the bibliography for a list of citekeys, in the requested order", async() => {
+			client.setQueryData(
+				["items"],
+				(_prev) => ({
+					data: items,
+					lastUpdated: 9999
+				})
+			);
+
+			const [bloch, pinto] = [bibs.itemInLibrary, bibs.itemInGroupLibrary].map(entry => cleanBibliographyHTML(entry.bib));
+			const blochKey = items.find(it => it.data.key == bibs.itemInLibrary.key)!.key;
+			const pintoKey = items.find(it => it.data.key == bibs.itemInGroupLibrary.key)!.key;
+
+			expect(await extension.getBibliography([pintoKey, "unknownCitekey", blochKey, pintoKey]))
+				.toEqual([pinto, bloch]);
+			expect(await extension.getBibliography([pintoKey, blochKey], { order: "alphabetical" }))
+				.toEqual([bloch, pinto]);
+		});
     
 	});
 
@@ -182,6 +203,81 @@ describe("Retrieval utils", () => {
 			.toEqual(expected);
 	});
 
+	test("Querying items with a text query", () => {
+		client.setQueryData(
+			["items"],
+			(_prev) => ({
+				data: items,
+				lastUpdated: 9999
+			})
+		);
+
+		expect(extension.query("tag:housing").map(it => it.key))
+			.toEqual(["pintoExploringDifferentMethods2021"]);
+		expect(extension.query("type:journalArticle year:2021 -tag:housing").map(it => it.key))
+			.toEqual(["blochImplementingSocialInterventions2021"]);
+		expect(() => extension.query("color:blue"))
+			.toThrow("Unknown field \"color\"");
+	});
+
+});
+
+describe("Exporting items", () => {
+	const { userLibrary, groupLibrary } = libraries;
+	const userItems = findItems({ type: userLibrary.type, id: userLibrary.id, since: 0 }) as ZItemTop[];
+	const groupItems = findItems({ type: groupLibrary.type, id: groupLibrary.id, since: 0 }) as ZItemTop[];
+
+	const makeExtension = (libs: (typeof userLibrary)[]) => new ZoteroRoam({
+		queryClient: new QueryClient(),
+		requests: mock<UserRequests>({
+			libraries: libs.map(lib => ({ apikey: masterKey, path: lib.path }))
+		}),
+		settings: mock<UserSettings>()
+	});
+
+	test("Items are exported by the Zotero API, library by library", async() => {
+		const extension = makeExtension([userLibrary, groupLibrary]);
+
+		expect(await extension.exportItems([...userItems, ...groupItems], "ris"))
+			.toBe([makeExport(userItems, "ris"), makeExport(groupItems, "ris")].join("\n\n"));
+
+		const cslOutput = await extension.exportItems([...userItems, ...groupItems], "csljson");
+		expect(JSON.parse(cslOutput))
+			.toEqual([userItems, groupItems].map(libItems => (makeExport(libItems, "csljson") as { items: unknown[] }).items).flat(1));
+	});
+
+	test("Items that can't be exported by the Zotero API are serialized locally", async() => {
+		const extension = makeExtension([userLibrary]);
+
+		expect(await extension.exportItems([...userItems, ...groupItems], "bibtex"))
+			.toBe([makeExport(userItems, "bibtex"), serializeItems(groupItems, "bibtex")].join("\n\n"));
+	});
+});
+
+describe("Retrieving annotation images", () => {
+	const { userLibrary } = libraries;
+
+	test("Images are fetched from the annotation's library", async() => {
+		const extension = new ZoteroRoam({
+			queryClient: new QueryClient(),
+			requests: mock<UserRequests>({ libraries: [{ apikey: masterKey, path: userLibrary.path }] }),
+			settings: mock<UserSettings>()
+		});
+
+		const image = await extension.getAnnotationImage(sampleImageAnnot);
+		expect(image.size).toBe(sampleImageAnnotFile.length);
+	});
+
+	test("Images from unknown libraries can't be fetched", async() => {
+		const extension = new ZoteroRoam({
+			queryClient: new QueryClient(),
+			requests: mock<UserRequests>({ libraries: [] }),
+			settings: mock<UserSettings>()
+		});
+
+		await expect(extension.getAnnotationImage(sampleImageAnnot))
+			.rejects.toThrow(`Library ${userLibrary.path} isn't configured`);
+	});
 });
 
 describe("Database connectivity", () => {
@@ -379,4 +475,93 @@ describe("Error logging when the database no longer exists", () => {
 			})
 		);
 	});
-});
\ No newline at end of file
+});
+describe("Event subscriptions", () => {
+	let extension: ZoteroRoam;
+	const readyEvent: Events.Ready = { _type: "ready", version: "1.0.0" };
+
+	beforeEach(() => {
+		extension = new ZoteroRoam({
+			queryClient: new QueryClient(),
+			requests: mock<UserRequests>({ libraries: [] }),
+			settings: initSettings
+		});
+	});
+
+	afterEach(() => {
+		extension.off();
+	});
+
+	test("Handlers receive the details of events", () => {
+		const handler = vi.fn();
+		extension.on("ready", handler);
+
+		emitCustomEvent(readyEvent);
+		expect(handler).toHaveBeenCalledWith(readyEvent);
+	});
+
+	test("Subscriptions can be removed", () => {
+		const handler = vi.fn();
+		const otherHandler = vi.fn();
+		const unsubscribe = extension.on("ready", handler);
+		extension.on("ready", otherHandler);
+
+		unsubscribe();
+		emitCustomEvent(readyEvent);
+		expect(handler).not.toHaveBeenCalled();
+		expect(otherHandler).toHaveBeenCalledTimes(1);
+
+		extension.off("ready");
+		emitCustomEvent(readyEvent);
+		expect(otherHandler).toHaveBeenCalledTimes(1);
+	});
+
+	test("Errors in handlers are logged, without affecting other handlers", async() => {
+		const errorLogger = vi.spyOn(extension, "error");
+		const otherHandler = vi.fn();
+		extension.on("ready", () => {
+			throw new Error("Some error");
+		});
+		extension.on("ready", () => Promise.reject(new Error("Some async error")));
+		extension.on("ready", otherHandler);
+
+		emitCustomEvent(readyEvent);
+		expect(otherHandler).toHaveBeenCalledTimes(1);
+		await waitFor(() => expect(errorLogger).toHaveBeenCalledTimes(2));
+		expect(errorLogger).toHaveBeenCalledWith({
+			origin: "Events",
+			message: "A handler for \"ready\" events failed",
+			context: {
+				error: expect.anything()
+			}
+		});
+	});
+
+	test("Late subscribers to the ready event are called right away", () => {
+		const handler = vi.fn();
+		const lateHandler = vi.fn();
+		extension.on("ready", handler);
+
+		expect(extension.isReady).toBe(false);
+
+		emitCustomEvent(readyEvent);
+		expect(extension.isReady).toBe(true);
+		expect(handler).toHaveBeenCalledTimes(1);
+
+		extension.on("ready", lateHandler);
+		expect(lateHandler).toHaveBeenCalledWith(readyEvent);
+		expect(handler).toHaveBeenCalledTimes(1);
+	});
+
+	test("Removing all subscriptions also stops tracking the ready event", () => {
+		extension.off();
+
+		emitCustomEvent(readyEvent);
+		expect(extension.isReady).toBe(false);
+	});
+
+	test("Unknown event types are rejected", () => {
+		expect(() => extension.on("item-updated" as never, vi.fn()))
+			.toThrow("Unknown event type \"item-updated\"");
+	});
+});
@@ -1,17 +1,23 @@
 import { QueryClient } from "@tanstack/query-core";
 
-import { ZoteroAPI, fetchBibEntries, fetchBibliography } from "@clients/zotero";
+import { ZoteroAPI, fetchAnnotationImage, fetchBibEntries, fetchBibliographies, fetchBibliography, fetchExport } from "@clients/zotero";
+import { queryItems } from "Components/Dashboard/Explorer/QueryBuilder/queries";
+
+import { Events, SUBSCRIBABLE_EVENTS } from "@services/events";
 import IDBDatabase from "@services/idb";
-import { SelectItemCollectionsOptions, SelectItemRelatedOptions, SelectItemsOption, selectCollections, selectItemChildren, selectItemCollections, selectItemRelated, selectItems, selectTags } from "@services/react-query";
+import { getCitekeyPages, triggerNotesSmartblocks } from "@services/roam";
+import { SelectItemCollectionsOptions, SelectItemRelatedOptions, SelectItemsOption, selectCollectionItems, selectCollections, selectItemChildren, selectItemCollections, selectItemRelated, selectItems, selectTags } from "@services/react-query";
 
 import { cleanBibliographyHTML, formatItemMetadata, formatNotes, formatPDFs, getItemCreators, getItemDateAdded, getItemLink, getItemPublication, getItemTags, getItemType, groupCitekeysByLibrary } from "./helpers";
+import { serializeItems } from "./export";
 import { Logger } from "./logging";
 
-import { cleanError } from "../utils";
+import { categorizeLibraryItems, cleanError, cleanLibrary } from "../utils";
 
 import { IDB_REACT_QUERY_CLIENT_KEY, IDB_REACT_QUERY_STORE_NAME } from "../constants";
 import { ZItemAnnotation, ZItemAttachment, ZItemNote, ZItemTop } from "Types/transforms";
-import { UserRequests, UserSettings } from "Types/extension";
+import { BibliographyOrder, ExportFileFormat, OutcomePage, UserRequests, UserSettings } from "Types/extension";
+import { AsBoolean } from "Types/helpers";
 
 
 type ZoteroRoamConstructorArgs = {
@@ -21,6 +27,14 @@ type ZoteroRoamConstructorArgs = {
 	settings: UserSettings
 };
 
+type EventHandler<T extends Events.Subscribable["_type"]> = (detail: Extract<Events.Subscribable, { _type: T }>) => void | Promise<void>;
+
+type EventSubscription = {
+	handler: EventHandler<any>,
+	listener: (event: Event) => void,
+	type: Events.Subscribable["_type"]
+};
+
 /**
  * Creates a new public API instance for the extension. This is meant to make available an interface for users as well as other plugins to consume some of the extension's data and functionalities, in a controlled manner. Updates to settings are done by the relevant widgets.
  */
@@ -28,7 +42,9 @@ export default class ZoteroRoam extends Logger {
 	#db: IDBDatabase | null;
 	#libraries: UserRequests["libraries"];
 	#queryClient: QueryClient;
+	#ready: Events.Ready | null = null;
 	#settings: Pick<UserSettings, "annotations" | "notes" | "typemap" >;
+	#subscriptions: EventSubscription[] = [];
 
 	constructor({ idbDatabase = null, queryClient, requests, settings }: ZoteroRoamConstructorArgs) {
 		super()
@@ -41,6 +57,17 @@ export default class ZoteroRoam extends Logger {
 		this.#queryClient = queryClient;
 		this.#settings = { annotations, notes, typemap };
 
+		document.addEventListener("zotero-roam:ready", this.#recordReady, { once: true });
+	}
+
+	/** The `ready` event is only emitted once, so its details are kept for late subscribers. The listener is removed by {@link ZoteroRoam.off} when called without a type. */
+	#recordReady = (event: Event) => {
+		this.#ready = (event as CustomEvent<Events.Ready>).detail;
+	};
+
+	/** Whether the extension has finished setting up, i.e. the `ready` event has been emitted */
+	get isReady() {
+		return this.#ready !== null;
 	}
 
 	/** Clears the contents of the React Query store from the database. */
@@ -116,6 +143,70 @@ export default class ZoteroRoam extends Logger {
 		return null;
 	}
 
+	/** Subscribes to one of the extension's events. Errors thrown by the handler (or rejections, if it is async) are reported in the extension's logs.
+	 * Handlers subscribed to `ready` after the extension has finished setting up are called right away.
+	 * @param type - The type of event: `cache-restored`, `libraries-loaded`, `metadata-added`, `notes-added`, `ready`, `tags-deleted`, `tags-modified`, `update` or `write`
+	 * @param handler - The function to call with the details of each event
+	 * @returns A function that removes the subscription
+	 * @example
+	 * window.zoteroRoam.on("notes-added", ({ page, success }) => {
+	 *   if (success) console.log("Notes imported to " + page.title);
+	 * });
+	 */
+	on<T extends Events.Subscribable["_type"]>(type: T, handler: EventHandler<T>): () => void {
+		if (!SUBSCRIBABLE_EVENTS.includes(type)) {
+			throw new Error(`Unknown event type "${type}", expected one of: ${SUBSCRIBABLE_EVENTS.join(", ")}`);
+		}
+
+		const reportError = (e: Error) => {
+			this.error({
+				origin: "Events",
+				message: `A handler for "${type}" events failed`,
+				context: {
+					error: cleanError(e)
+				}
+			});
+		};
+
+		const notify = (detail: Extract<Events.Subscribable, { _type: T }>) => {
+			try {
+				Promise.resolve(handler(detail))
+					.catch(reportError);
+			} catch (e) {
+				reportError(e);
+			}
+		};
+
+		const listener = (event: Event) => notify((event as CustomEvent<Extract<Events.Subscribable, { _type: T }>>).detail);
+
+		document.addEventListener(`zotero-roam:${type}`, listener);
+		this.#subscriptions.push({ handler, listener, type });
+
+		if (type == "ready" && this.#ready) {
+			notify(this.#ready as Extract<Events.Subscribable, { _type: T }>);
+		}
+
+		return () => this.off(type, handler);
+	}
+
+	/** Removes subscriptions to the extension's events. Without a handler, all subscriptions to the event type are removed ; without a type, all subscriptions are removed, as well as the instance's own listener for `ready`.
+	 * @param type - The type of event
+	 * @param handler - The function that was subscribed
+	 */
+	off<T extends Events.Subscribable["_type"]>(type?: T, handler?: EventHandler<T>) {
+		this.#subscriptions = this.#subscriptions.filter(sub => {
+			const isMatch = (!type || sub.type == type) && (!handler || sub.handler == handler);
+			if (isMatch) {
+				document.removeEventListener(`zotero-roam:${sub.type}`, sub.listener);
+			}
+			return !isMatch;
+		});
+
+		if (!type) {
+			document.removeEventListener("zotero-roam:ready", this.#recordReady);
+		}
+	}
+
 	// To be called in the RequestsWidget
 	/* istanbul ignore next */
 	updateLibraries(val: UserRequests["libraries"]) {
@@ -142,6 +233,27 @@ export default class ZoteroRoam extends Logger {
 		});
 	}
 
+	/** Triggers the SmartBlocks used to format notes and annotations, with current user settings
+	 * @returns The outcome of each SmartBlock triggered, and the notes that are left to be formatted as blocks
+	 */
+	async triggerNotesSmartblocks(targetUid: string, { item, notes, page = null }: { item: ZItemTop, notes: (ZItemNote | ZItemAnnotation)[], page?: OutcomePage | null }) {
+		return await triggerNotesSmartblocks(targetUid, { item, notes, page }, {
+			annotationsSettings: this.#settings.annotations,
+			notesSettings: this.#settings.notes
+		});
+	}
+
+	/** Retrieves the rendered image of an image annotation */
+	async getAnnotationImage(annotation: ZItemAnnotation): Promise<Blob> {
+		const location = annotation.library.type + "s/" + annotation.library.id;
+		const library = this.#libraries.find(lib => lib.path == location);
+		if (!library) {
+			throw new Error(`Library ${location} isn't configured`);
+		}
+
+		return await fetchAnnotationImage(annotation.key, library);
+	}
+
 	/** Retrieves the bibliographic entries for a list of items */
 	async getBibEntries(citekeys: string[]) {
 		const items = selectItems("items", {}, {
@@ -161,6 +273,74 @@ export default class ZoteroRoam extends Logger {
 		return bibOutput.join("\n");
 	}
 
+	/** Retrieves the formatted bibliography for a list of items, in a single citation style.
+	 * Entries follow the order of the citekeys, or are sorted alphabetically. Citekeys that don't match any item are ignored.
+	 */
+	async getBibliography(
+		citekeys: string[], { order = "first-cited", ...config }: Partial<ZoteroAPI.Requests.BibliographyArgs> & { order?: BibliographyOrder } = {}
+	): Promise<string[]> {
+		const items = selectItems("items", {}, {
+			queryClient: this.#queryClient
+		});
+
+		const groupedList = groupCitekeysByLibrary(citekeys, { items });
+		const bibOutput = await Promise.all(Object.keys(groupedList).map(async(libPath) => {
+			const library = this.#libraries.find(lib => lib.path == libPath);
+			if (!library) {
+				return [];
+			}
+			const entries = await fetchBibliographies(groupedList[libPath], library, config);
+			return entries.map(({ bib, key }) => [libPath + "/" + key, cleanBibliographyHTML(bib)] as const);
+		}));
+
+		const bibMap = new Map(bibOutput.flat(1));
+		const bibliography = Array.from(new Set(citekeys))
+			.map(citekey => {
+				const item = items.find(it => it.key == citekey);
+				return item && bibMap.get(item.library.type + "s/" + item.library.id + "/" + item.data.key);
+			})
+			.filter(AsBoolean);
+
+		return order == "alphabetical"
+			? bibliography.sort((a, b) => a.localeCompare(b))
+			: bibliography;
+	}
+
+	/** Exports a list of items in a bibliographic file format (BibTeX, RIS or CSL-JSON).
+	 * Items are exported by the Zotero API, library by library. If that fails for a library, its items are serialized locally instead.
+	 */
+	async exportItems(items: ZItemTop[], format: ExportFileFormat): Promise<string> {
+		const groupedItems = items.reduce<Record<string, ZItemTop[]>>((obj, item) => {
+			const location = item.library.type + "s/" + item.library.id;
+			obj[location] = [...(obj[location] || []), item];
+			return obj;
+		}, {});
+
+		const exportOutput = await Promise.all(Object.entries(groupedItems).map(async([libPath, libItems]) => {
+			const library = this.#libraries.find(lib => lib.path == libPath);
+			if (library) {
+				try {
+					return await fetchExport(libItems.map(it => it.data.key), library, format);
+				} catch (e) {
+					this.warn({
+						origin: "API",
+						message: `Items from ${libPath} couldn't be exported by Zotero, and were serialized locally`,
+						context: {
+							error: cleanError(e),
+							format
+						}
+					});
+				}
+			}
+			return serializeItems(libItems, format);
+		}));
+
+		if (format == "csljson") {
+			return JSON.stringify(exportOutput.map(output => JSON.parse(output)).flat(1), null, "\t");
+		}
+		return exportOutput.join("\n\n");
+	}
+
 	/** Retrieves the formatted bibliography for a given item, with optional config */
 	async getItemCitation(item: ZItemTop, config: Partial<ZoteroAPI.Requests.BibliographyArgs> = {}) {
 		const location = item.library.type + "s/" + item.library.id;
@@ -178,6 +358,20 @@ export default class ZoteroRoam extends Logger {
 		});
 	}
 
+	/** Retrieves the items in the collections with a given name (or key), across libraries
+     * @example
+     * // Returns the items in the "Thesis" collection, and in its subcollections
+     * .getCollectionItems("Thesis")
+     * // Returns the items in the "Thesis" collection only
+     * .getCollectionItems("Thesis", { subcollections: false })
+     */
+	getCollectionItems(name: string, { subcollections = true }: { subcollections?: boolean } = {}) {
+		return selectCollectionItems(name, { subcollections }, {
+			libraries: this.#libraries,
+			queryClient: this.#queryClient
+		});
+	}
+
 	/** Retrieves the children for a given item */
 	getItemChildren(item: ZItemTop) {
 		return selectItemChildren(item, {
@@ -245,4 +439,15 @@ export default class ZoteroRoam extends Logger {
 			queryClient: this.#queryClient
 		});
 	}
+
+	/** Retrieves the items that match a text query. The syntax is the same as in the Explorer's search box.
+     * @example
+     * // Returns journal articles published since 2020, that have a PDF and are tagged "review" but not "read"
+     * .query("type:journalArticle year:>=2020 has:pdf tag:review -tag:read")
+     */
+	query(query: string): ZItemTop[] {
+		const itemList = categorizeLibraryItems(this.getItems("all"));
+		return queryItems(cleanLibrary(itemList, getCitekeyPages()), query)
+			.map(item => item.raw);
+	}
 }
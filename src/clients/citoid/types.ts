@@ -2,8 +2,10 @@ import { ZoteroAPI } from "../zotero";
 
 
 export namespace CitoidAPI {
-	export type AsZotero = Omit<ZoteroAPI.ItemTop["data"], "key"> & {
+	/** Zotero data for an item that isn't in a library yet : it has no timestamps, and its key and version (if any) are placeholders */
+	export type AsZotero = Omit<ZoteroAPI.ItemTop["data"], "dateAdded" | "dateModified" | "key" | "version"> & {
 		itemKey?: string,
-		key?: string
+		key?: string,
+		version?: number
 	};
 }
@@ -1,15 +1,19 @@
 import { QueryClient } from "@tanstack/react-query";
+import { mock } from "vitest-mock-extended";
 
 import * as base from "./base";
 import { makeTagList } from "./helpers";
+import { citekeyRenames } from "./renames";
 import { ZoteroAPI } from "./types";
 
-import { apiKeys, bibs, deletions, findBibliographyEntry, findBibEntry, findCollections, findItems, libraries, tags } from "Mocks";
+import ZoteroRoam from "../../api";
+import { apiKeys, betterBibtexCitekeys, bibs, deletions, findBibliographyEntry, findBibEntry, findCollections, findFulltext, findItems, findSearches, fulltext, libraries, makeExport, sampleAnnot, sampleImageAnnot, sampleImageAnnotFile, samplePDF, searches, tags } from "Mocks";
 
 import { isFulfilled } from "Types/helpers";
+import { ZItem } from "Types/transforms";
 
 
-const { deleteTags, fetchAdditionalData, fetchBibEntries, fetchBibliography, fetchCollections, fetchDeleted, fetchItems, fetchPermissions, fetchTags, writeItems } = base;
+const { clearSyncStats, createCollection, deleteTags, fetchAdditionalData, fetchAnnotationImage, fetchBetterBibtexCitekeys, fetchBibEntries, fetchBibliographies, fetchBibliography, fetchCollections, fetchDeleted, fetchExport, fetchFulltext, fetchFulltextVersions, fetchItem, fetchItems, fetchPermissions, fetchSearchItems, fetchSearches, fetchTags, updateItem, writeItems } = base;
 
 const { keyWithFullAccess: { key: masterKey } } = apiKeys;
 
@@ -29,6 +33,40 @@ describe("Fetching mocked API Key permissions", () => {
 	);
 });
 
+describe("Fetching mocked annotation images", () => {
+	test("Fetching the image of an image annotation", async () => {
+		const path = getLibraryPath(sampleImageAnnot.library);
+		const image = await fetchAnnotationImage(sampleImageAnnot.key, { apikey: masterKey, path });
+
+		expect(image.type).toBe("image/png");
+		expect(image.size).toBe(sampleImageAnnotFile.length);
+	});
+
+	test("Fetching the image of a highlight annotation", async () => {
+		const path = getLibraryPath(sampleAnnot.library);
+		await expect(fetchAnnotationImage(sampleAnnot.key, { apikey: masterKey, path }))
+			.rejects.toThrow();
+	});
+});
+
+describe("Fetching citekeys from Better BibTeX", () => {
+	test("Known items are resolved, others are omitted", async () => {
+		const itemKeys = [...Object.keys(betterBibtexCitekeys), "UNKNOWN"];
+
+		const citekeys = await fetchBetterBibtexCitekeys(itemKeys);
+
+		expect(citekeys).toEqual(betterBibtexCitekeys);
+	});
+
+	test("Keys are sent in batches", async () => {
+		const itemKeys = [...Array.from({ length: 150 }, (_v, i) => `KEY${i}`), "NOCITEKEY"];
+
+		const citekeys = await fetchBetterBibtexCitekeys(itemKeys);
+
+		expect(citekeys).toEqual({ NOCITEKEY: betterBibtexCitekeys.NOCITEKEY });
+	});
+});
+
 describe("Fetching mocked bibliography", () => {
 	const cases = Object.entries(bibs);
 	test.each(cases)(
@@ -42,6 +80,38 @@ describe("Fetching mocked bibliography", () => {
 			expect(bibliography).toEqual(bib);
 		}
 	);
+
+	test("Fetching bibliography for several items at once", async () => {
+		const { itemInLibrary, itemFromUserLibrary } = bibs;
+		const path = getLibraryPath(itemInLibrary.library);
+
+		const bibliography = await fetchBibliographies([itemInLibrary.key, itemFromUserLibrary.key], { apikey: masterKey, path }, { style: "apa" });
+
+		expect(bibliography).toEqual([
+			{ bib: itemInLibrary.bib, key: itemInLibrary.key },
+			{ bib: itemFromUserLibrary.bib, key: itemFromUserLibrary.key }
+		]);
+	});
+});
+
+describe("Fetching mocked exports", () => {
+	const { userLibrary } = libraries;
+	const { type, id, path } = userLibrary;
+	const libItems = findItems({ type, id, since: 0 });
+	const itemKeys = libItems.map(it => it.data.key);
+
+	test.each(["bibtex", "ris"] as const)(
+		"%# Exporting items as %s",
+		async (format) => {
+			const output = await fetchExport(itemKeys, { apikey: masterKey, path }, format);
+			expect(output).toBe(makeExport(libItems, format));
+		}
+	);
+
+	test("CSL-JSON exports are returned as an array of items", async () => {
+		const output = await fetchExport(itemKeys, { apikey: masterKey, path }, "csljson");
+		expect(JSON.parse(output)).toEqual((makeExport(libItems, "csljson") as { items: unknown[] }).items);
+	});
 });
 
 describe("Fetching mocked bibliography entries", () => {
@@ -146,6 +216,43 @@ describe("Fetching mocked deleted entities", () => {
 	);
 });
 
+describe("Fetching mocked full-text content", () => {
+	const cases = Object.entries(libraries);
+
+	test.each(cases)(
+		"%# Fetching full-text versions for %s",
+		async (_libName, libraryDetails) => {
+			const { path, version } = libraryDetails;
+			const update = await fetchFulltextVersions({ apikey: masterKey, path }, 0);
+			expect(update).toEqual({
+				data: Object.fromEntries(Object.entries(fulltext[path]).map(([key, entry]) => [key, entry.version])),
+				version
+			});
+		}
+	);
+
+	test.each(cases)(
+		"%# Checking that nothing is returned if %s hasn't changed",
+		async (_libName, libraryDetails) => {
+			const { path, version } = libraryDetails;
+			const update = await fetchFulltextVersions({ apikey: masterKey, path }, version);
+			expect(update).toBeNull();
+		}
+	);
+
+	test("Fetching an attachment's full-text content", async () => {
+		const path = getLibraryPath(samplePDF.library);
+		const content = await fetchFulltext(samplePDF.key, { apikey: masterKey, path });
+		expect(content).toEqual(findFulltext({ path, itemKey: samplePDF.key }));
+	});
+
+	test("Fetching full-text content for an attachment that wasn't indexed", async () => {
+		const path = getLibraryPath(samplePDF.library);
+		await expect(fetchFulltext("UNKNOWN", { apikey: masterKey, path }))
+			.rejects.toThrow();
+	});
+});
+
 describe("Fetching mocked items", () => {
 	const cases = Object.entries(libraries);
 	const queryClient = new QueryClient();
@@ -187,6 +294,113 @@ describe("Fetching mocked items", () => {
 	);
 });
 
+describe("Conditional requests", () => {
+	const { userLibrary: { id, path, type, version } } = libraries;
+	const library = { apikey: masterKey, path };
+
+	beforeEach(() => {
+		window.zoteroRoam = mock<ZoteroRoam>();
+		clearSyncStats();
+	});
+
+	test("Cached items are returned if the library hasn't changed", async () => {
+		const match = findItems({ type, id, since: 0 }) as unknown as ZItem[];
+
+		const items = await fetchItems(
+			{ apikey: masterKey, dataURI: `${path}/items`, library: { id: `${id}`, path, type, uri: "items" }, name: "", since: version },
+			{ match },
+			new QueryClient()
+		);
+
+		expect(items.data).toBe(match);
+		expect(items.lastUpdated).toBe(version);
+		expect(window.zoteroRoam.info).not.toHaveBeenCalled();
+	});
+
+	test("Cached collections are returned if the library hasn't changed", async () => {
+		const match = findCollections(type, id, 0);
+
+		const collections = await fetchCollections(library, version, { match });
+
+		expect(collections.data).toBe(match);
+		expect(collections.lastUpdated).toBe(version);
+	});
+
+	test("Cached tags are returned if the library hasn't changed", async () => {
+		const match = makeTagList(tags[path]);
+
+		const tagData = await fetchTags(library, version, { match });
+
+		expect(tagData.data).toBe(match);
+		expect(tagData.lastUpdated).toBe(version);
+	});
+
+	test("Tags are retrieved in full if there is no cached data", async () => {
+		const tagData = await fetchTags(library, version);
+
+		expect(tagData).toEqual({
+			data: makeTagList(tags[path]),
+			lastUpdated: version
+		});
+	});
+
+	test("Sync stats are reported when data is received", async () => {
+		const { groupLibrary } = libraries;
+		const groupLib = { apikey: masterKey, path: groupLibrary.path };
+
+		await fetchCollections(groupLib, groupLibrary.version, { match: [] });
+		await fetchCollections(groupLib, 0, { match: [] });
+
+		expect(window.zoteroRoam.info).toHaveBeenCalledTimes(1);
+		expect(window.zoteroRoam.info).toHaveBeenCalledWith({
+			origin: "API",
+			message: `Synced collections for ${groupLibrary.path}`,
+			context: expect.objectContaining({
+				notModified: 1,
+				received: findCollections(groupLibrary.type, groupLibrary.id, 0).length,
+				requests: 2,
+				since: 0,
+				version: groupLibrary.version
+			})
+		});
+	});
+});
+
+describe("Citekey changes between syncs", () => {
+	beforeEach(() => {
+		window.zoteroRoam = mock<ZoteroRoam>();
+	});
+
+	test("Changes are logged", async () => {
+		const { id, path, type, version } = libraries.userLibrary;
+		const itemData = findItems({ type, id, since: 0 });
+		const previousData = [{ ...itemData[0], key: "oldCitekey2020" }, ...itemData.slice(1)];
+
+		await fetchItems(
+			{ apikey: masterKey, dataURI: `${path}/items`, library: { id: `${id}`, path, type, uri: "items" }, name: "", since: version - 1, useBetterBibtex: true },
+			{ match: previousData },
+			new QueryClient()
+		);
+
+		expect(window.zoteroRoam.info).not.toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining("citekey") }));
+
+		await fetchItems(
+			{ apikey: masterKey, dataURI: `${path}/items`, library: { id: `${id}`, path, type, uri: "items" }, name: "", since: 0, useBetterBibtex: true },
+			{ match: previousData },
+			new QueryClient()
+		);
+
+		expect(window.zoteroRoam.info).toHaveBeenCalledWith({
+			origin: "API",
+			message: "1 citekey changed in " + path,
+			context: {
+				changes: [{ from: "oldCitekey2020", itemKey: itemData[0].data.key, library: path, to: itemData[0].key }]
+			}
+		});
+		expect(citekeyRenames.resolve("oldCitekey2020")).toBe(itemData[0].key);
+	});
+});
+
 describe("writeItems", () => {
 	const cases = Object.entries(libraries);
 
@@ -239,6 +453,35 @@ describe("writeItems", () => {
 	);
 });
 
+describe("fetchSearches", () => {
+	const cases = Object.entries(libraries);
+
+	test.each(cases)(
+		"%# Fetching saved searches for %s",
+		async (_libName, libraryDetails) => {
+			const { path, version } = libraryDetails;
+			const searchData = await fetchSearches({ apikey: masterKey, path });
+			expect(searchData).toEqual({
+				data: findSearches(path),
+				lastUpdated: version
+			});
+		}
+	);
+
+	test.each(cases)(
+		"%# Cached searches are reused if %s hasn't changed",
+		async (_libName, libraryDetails) => {
+			const { path, version } = libraryDetails;
+			const match = findSearches(path);
+			const searchData = await fetchSearches({ apikey: masterKey, path }, version, { match });
+			expect(searchData).toEqual({
+				data: match,
+				lastUpdated: version
+			});
+		}
+	);
+});
+
 describe("fetchTags", () => {
 	const cases = Object.entries(libraries);
 
@@ -275,4 +518,125 @@ describe("deleteTags", () => {
 			expect(deleteLatest.status).toBe(204);
 		}
 	);
-});
\ No newline at end of file
+});
+describe("updateItem", () => {
+	const { userLibrary: { id, path, type, version } } = libraries;
+	const item = findItems({ type, id, since: 0 })[0];
+	const library = { apikey: masterKey, path };
+
+	test("Outdated versions are rejected", async () => {
+		const updateExpired = await updateItem(item.data.key, { title: "A new title" }, library, item.version - 1)
+			.catch((error) => error.response);
+		expect(updateExpired.status).toBe(412);
+
+		const latest = await fetchItem(item.data.key, library);
+		expect(latest).toEqual(item);
+	});
+
+	test("Fields are updated", async () => {
+		const updateLatest = await updateItem(item.data.key, { title: "A new title" }, library, item.version);
+		expect(updateLatest.status).toBe(204);
+		expect(Number(updateLatest.headers["last-modified-version"])).toBe(version + 1);
+	});
+});
+
+describe("createCollection", () => {
+	const { userLibrary: { path, version } } = libraries;
+	const library = { apikey: masterKey, path };
+
+	test("Collections are created", async () => {
+		const { data } = await createCollection({ name: "New collection", parentCollection: "ABCDEF" }, library);
+		expect(data.successful[0]).toEqual(expect.objectContaining({
+			data: expect.objectContaining({
+				name: "New collection",
+				parentCollection: "ABCDEF"
+			}),
+			version: version + 1
+		}));
+	});
+
+	test("Failures are reported", async () => {
+		const { data } = await createCollection({ name: "" }, library);
+		expect(data.successful).toEqual({});
+		expect(data.failed[0]).toEqual({ code: 400, message: "Collection name cannot be empty" });
+	});
+});
+
+describe("Using the local API", () => {
+	const cases = Object.entries(libraries);
+
+	test.each(cases)(
+		"%# Fetching data for %s",
+		async (_libName, libraryDetails) => {
+			const { id, path, type, version } = libraryDetails;
+			const library = { apikey: "", backend: "local" as const, path };
+
+			const itemData = findItems({ type, id, since: 0 });
+			const items = await fetchItems(
+				{ apikey: "", backend: "local", dataURI: `${path}/items`, library: { id: `${id}`, path, type, uri: "items" }, name: "", since: 0 },
+				{ match: [] },
+				new QueryClient()
+			);
+			expect(items).toEqual({
+				data: itemData,
+				lastUpdated: version
+			});
+
+			const collections = await fetchCollections(library, 0, { match: [] });
+			expect(collections).toEqual({
+				data: findCollections(type, id, 0),
+				lastUpdated: version
+			});
+
+			const tagData = await fetchTags(library);
+			expect(tagData).toEqual({
+				data: makeTagList(tags[path]),
+				lastUpdated: version
+			});
+
+			const sample_bib = findBibEntry({ type, id, key: itemData[0].data.key })!;
+			const bibEntries = await fetchBibEntries([itemData[0].data.key], library);
+			expect(bibEntries).toBe(sample_bib.biblatex);
+		}
+	);
+
+	test.each(cases)(
+		"%# Running saved searches for %s",
+		async (_libName, libraryDetails) => {
+			const { path } = libraryDetails;
+			const library = { apikey: "", backend: "local" as const, path };
+
+			const results = await Promise.all(searches[path].map(search => fetchSearchItems(search.key, library)));
+			expect(results).toEqual(searches[path].map(search => search.results));
+		}
+	);
+
+	test("Fetching bibliography", async () => {
+		const { itemInLibrary } = bibs;
+		const path = getLibraryPath(itemInLibrary.library);
+
+		const bibliography = await fetchBibliography(itemInLibrary.key, { apikey: "", backend: "local", path }, {});
+
+		expect(bibliography).toEqual(findBibliographyEntry({ key: itemInLibrary.key, path }).bib);
+	});
+
+	test.each(cases)(
+		"%# Writing is disabled for %s",
+		async (_libName, libraryDetails) => {
+			const { path, version } = libraryDetails;
+			const library = { apikey: masterKey, backend: "local" as const, path };
+
+			await expect(writeItems([{ key: "ABCDEF", version, tags: [] }], library))
+				.rejects.toThrow("The local Zotero API is read-only");
+
+			await expect(deleteTags(["systems"], library, version))
+				.rejects.toThrow("The local Zotero API is read-only");
+
+			await expect(updateItem("ABCDEF", { title: "A new title" }, library, version))
+				.rejects.toThrow("The local Zotero API is read-only");
+
+			await expect(createCollection({ name: "New collection" }, library))
+				.rejects.toThrow("The local Zotero API is read-only");
+		}
+	);
+});
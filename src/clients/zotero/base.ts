@@ -5,16 +5,33 @@ import axiosRetry from "axios-retry";
 import { emitCustomEvent } from "@services/events";
 import { Queries } from "@services/react-query";
 
-import { makeTagList, matchWithCurrentData } from "./helpers";
-import { ZoteroAPI } from "./types";
+import { applyCitekeys, findCitekeyChanges, makeTagList, matchWithCurrentData } from "./helpers";
+import { citekeyRenames } from "./renames";
+import { BetterBibtexAPI, ZoteroAPI } from "./types";
 
-import { cleanError } from "../../utils";
+import { cleanError, pluralize } from "../../utils";
 
-import { DataRequest } from "Types/extension";
+import { DataRequest, ExportFileFormat } from "Types/extension";
 import { Maybe } from "Types/helpers";
-import { ZItem, ZLibrary } from "Types/transforms";
+import { ZItem, ZLibrary, ZTagList, isZItemTop } from "Types/transforms";
 
 
+const LOCAL_API_READONLY_MESSAGE = "The local Zotero API is read-only";
+
+type SyncResource = "collections" | "items" | "searches" | "tags";
+
+type SyncStats = {
+	/** The number of requests sent */
+	requests: number,
+	/** The number of requests that returned `304 Not Modified` */
+	notModified: number,
+	/** The time of the last request, as a Unix timestamp */
+	lastChecked: number
+};
+
+/** Sync state for each library, by type of data */
+const librarySyncs = new Map<string, Partial<Record<SyncResource, SyncStats>>>();
+
 const zoteroClient = axios.create({
 	baseURL: "https://api.zotero.org/",
 	headers: {
@@ -48,28 +65,158 @@ axiosRetry(zoteroClient, {
 	}
 });
 
+// The local API is served by the Zotero 7 desktop app, so it doesn't rate-limit requests.
+// Connection errors mean Zotero isn't running, which retrying won't fix.
+const zoteroLocalClient = axios.create({
+	baseURL: "http://localhost:23119/api/",
+	headers: {
+		"Zotero-API-Version": 3
+	}
+});
+
+const betterBibtexClient = axios.create({
+	baseURL: "http://localhost:23119/better-bibtex/"
+});
+
+
+/** Selects the Axios client to use for a Zotero library, based on its backend
+ * @param library - The targeted Zotero library
+ * @returns The Axios client for the Zotero web API, or for the local API
+ */
+function selectClient(library: Pick<ZLibrary, "backend">) {
+	return library.backend == "local" ? zoteroLocalClient : zoteroClient;
+}
+
+
+/** Removes the sync state of all libraries */
+function clearSyncStats() {
+	librarySyncs.clear();
+}
+
+/** Updates the sync state of a library, after a request for its data
+ * @param path - The path of the targeted library
+ * @param resource - The type of data requested
+ * @param outcome - The outcome of the request
+ * @returns The library's updated sync stats
+ */
+function recordSync(path: string, resource: SyncResource, { notModified }: { notModified: boolean }) {
+	const libStats = librarySyncs.get(path) || {};
+	const { notModified: nbNotModified = 0, requests = 0 } = libStats[resource] || {};
+
+	libStats[resource] = {
+		requests: requests + 1,
+		notModified: nbNotModified + (notModified ? 1 : 0),
+		lastChecked: Date.now()
+	};
+	librarySyncs.set(path, libStats);
+
+	return libStats[resource]!;
+}
+
+
+/** Sends a conditional request for a library's data, with the `If-Modified-Since-Version` header. Results over the limit of n = 100 are retrieved with {@link fetchAdditionalData}.
+ * Each request updates the library's sync stats, which are reported to the logger when new data is received.
+ * @param library - The targeted Zotero library
+ * @param resource - The type of data requested
+ * @param req - The parameters of the request. `since` is the last known version of the data, and is sent as a query parameter unless `sinceParam` is `false`.
+ * @returns The results and the library's current version, or `null` if the data hasn't changed since the specified version
+ * @see https://www.zotero.org/support/dev/web_api/v3/syncing#checking_for_updates
+ */
+async function fetchIfModified<T>(
+	library: Pick<ZLibrary, "apikey" | "backend" | "path">,
+	resource: SyncResource,
+	req: { dataURI: string, since?: number, sinceParam?: boolean }
+): Promise<{ data: T[], version: number } | null> {
+	const { apikey, backend, path } = library;
+	const { dataURI, since = 0, sinceParam = true } = req;
+
+	const { data, headers, status } = await selectClient(library).get<T[]>(
+		dataURI,
+		{
+			headers: {
+				"Zotero-API-Key": apikey,
+				...(since > 0 ? { "If-Modified-Since-Version": since } : {})
+			},
+			params: {
+				...(sinceParam ? { since } : {}),
+				start: 0,
+				limit: 100
+			},
+			validateStatus: (code) => (code >= 200 && code < 300) || code == 304
+		}
+	);
+
+	if (status == 304) {
+		recordSync(path, resource, { notModified: true });
+		return null;
+	}
+
+	const { "last-modified-version": lastUpdated, "total-results": totalResultsStr } = headers;
+	const version = Number(lastUpdated);
+	const totalResults = Number(totalResultsStr);
+
+	if (totalResults > 100) {
+		const additional = await fetchAdditionalData<T[]>({ dataURI, apikey, backend, since: sinceParam ? since : undefined }, totalResults);
+		data.push(...additional);
+	}
+
+	const stats = recordSync(path, resource, { notModified: false });
+	window.zoteroRoam?.info?.({
+		origin: "API",
+		message: `Synced ${resource} for ${path}`,
+		context: {
+			...stats,
+			received: data.length,
+			since,
+			version
+		}
+	});
+
+	return { data, version };
+}
+
+
+/** Creates a collection in a Zotero library.
+ * Libraries accessed through the local API can't be written to.
+ * @param data - The collection's name, and the key of its parent collection if it should be created as a subcollection
+ * @param library - The targeted Zotero library
+ * @returns The outcome of the Axios API call
+ * @see https://www.zotero.org/support/dev/web_api/v3/write_requests#creating_a_collection
+ */
+async function createCollection(data: { name: string, parentCollection?: string | false }, library: ZLibrary) {
+	const { apikey, path } = library;
+
+	if (library.backend == "local") {
+		throw new Error(LOCAL_API_READONLY_MESSAGE);
+	}
 
-/** Deletes Zotero tags through the `/[library]/tags` endpoint of the Zotero API
+	return await zoteroClient.post<ZoteroAPI.Responses.CollectionsWrite>(
+		`${path}/collections`,
+		JSON.stringify([data]),
+		{ headers: { "Zotero-API-Key": apikey } }
+	);
+}
+
+
+/** Deletes Zotero tags through the `/[library]/tags` endpoint of the Zotero API. Only 50 tags can be deleted per API call : larger deletions should be split into batches, see {@link useDeleteTags}.
  * @param tags - The names of the tags to be deleted
  * @param library - The targeted Zotero library
  * @param version - The last known version of the Zotero library
  * @returns The outcome of the Axios API call
+ * @see https://www.zotero.org/support/dev/web_api/v3/write_requests#deleting_multiple_tags
  */
 async function deleteTags(tags: string[], library: ZLibrary, version: number) {
 	const { apikey, path } = library;
-	// * Only 50 tags can be deleted at once
-	// * Since each deletion is version-dependent, the extension won't support deleting more for now
-	// https://www.zotero.org/support/dev/web_api/v3/write_requests#deleting_multiple_tags
-	/* istanbul ignore if */
+
+	if (library.backend == "local") {
+		throw new Error(LOCAL_API_READONLY_MESSAGE);
+	}
+
 	if (tags.length > 50) {
-		window.zoteroRoam?.warn?.({
-			origin: "API",
-			message: "API limits exceeded",
-			detail: "Only 50 Zotero tags can be deleted at once. Any additional tags selected will be ignored."
-		});
+		throw new Error(`Only 50 Zotero tags can be deleted at once, received ${tags.length}`);
 	}
 
-	const tagList = tags.slice(0, 50).map(t => encodeURIComponent(t)).join(" || ");
+	const tagList = tags.map(t => encodeURIComponent(t)).join(" || ");
 
 	return await zoteroClient.delete<ZoteroAPI.Responses.TagsDelete>(
 		`${path}/tags`,
@@ -93,10 +240,11 @@ async function deleteTags(tags: string[], library: ZLibrary, version: number) {
  * @returns The additional results to the original request
  */
 async function fetchAdditionalData<T>(
-	req: { dataURI: string, apikey: string, since?: number },
+	req: { dataURI: string, apikey: string, backend?: ZLibrary["backend"], since?: number },
 	totalResults: number
 ) {
-	const { dataURI, apikey, since = null } = req;
+	const { dataURI, apikey, backend, since = null } = req;
+	const client = selectClient({ backend });
 	const nbExtraCalls = Math.ceil((totalResults / 100) - 1);
 
 	const apiCalls: Promise<AxiosResponse<T>>[] = [];
@@ -108,7 +256,7 @@ async function fetchAdditionalData<T>(
 		}
 		reqParams.set("start", `${100 * i}`);
 		reqParams.set("limit", `${100}`);
-		apiCalls.push(zoteroClient.get<T>(
+		apiCalls.push(client.get<T>(
 			`${dataURI}?${reqParams.toString()}`,
 			{
 				headers: { "Zotero-API-Key": apikey }
@@ -139,6 +287,89 @@ async function fetchAdditionalData<T>(
 }
 
 
+/** Retrieves the rendered image of an image annotation (e.g, a figure or a table selected in the Zotero reader)
+ * @param itemKey - The annotation's Zotero key
+ * @param library - The annotation's Zotero library
+ * @returns The contents of the image
+ */
+async function fetchAnnotationImage(itemKey: string, library: ZLibrary): Promise<Blob> {
+	const { apikey, path } = library;
+	try {
+		// The image is fetched as raw bytes, since some XHR implementations re-encode binary data when asked for a Blob
+		const { data, headers } = await selectClient(library).get<ArrayBuffer>(
+			`${path}/items/${itemKey}/file`,
+			{
+				headers: { "Zotero-API-Key": apikey },
+				responseType: "arraybuffer"
+			}
+		);
+		return new Blob([data], { type: String(headers["content-type"] || "image/png") });
+	} catch (error) {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Failed to fetch annotation image",
+			context: {
+				error: cleanError(error),
+				itemKey,
+				path
+			}
+		});
+		return Promise.reject(error);
+	}
+}
+
+
+/** Retrieves citekeys from Better BibTeX, through its JSON-RPC endpoint.
+ * Better BibTeX runs in the Zotero desktop app, and identifies items by their local library : only items from the user's own library can be resolved.
+ * @param itemKeys - The Zotero keys of the targeted items
+ * @returns The citekeys found, indexed by item key. Items unknown to Better BibTeX are omitted.
+ */
+async function fetchBetterBibtexCitekeys(itemKeys: string[]): Promise<Record<string, string>> {
+	// * Keys are sent in batches of 100, to keep payloads small
+	const apiCalls: Promise<AxiosResponse<BetterBibtexAPI.Responses.Citekeys>>[] = [];
+	const nbCalls = Math.ceil(itemKeys.length / 100);
+	for (let i = 1; i <= nbCalls; i++) {
+		const keyList = itemKeys.slice(100 * (i - 1), 100 * i);
+		apiCalls.push(betterBibtexClient.post<BetterBibtexAPI.Responses.Citekeys>("json-rpc", {
+			id: i,
+			jsonrpc: "2.0",
+			method: "item.citationkey",
+			params: [keyList]
+		}));
+	}
+
+	let responses: unknown[] = [];
+
+	try {
+		const apiResponses = await Promise.all(apiCalls);
+		responses = apiResponses.map(res => res.data);
+
+		return apiResponses.reduce<Record<string, string>>((obj, res) => {
+			if ("error" in res.data) {
+				throw new Error(res.data.error.message);
+			}
+			Object.entries(res.data.result).forEach(([itemKey, citekey]) => {
+				if (citekey) {
+					obj[itemKey] = citekey;
+				}
+			});
+			return obj;
+		}, {});
+	} catch (error) {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Failed to fetch citekeys from Better BibTeX",
+			context: {
+				error: cleanError(error),
+				itemKeys,
+				responses
+			}
+		});
+		return Promise.reject(error);
+	}
+}
+
+
 /** Retrieves the bibliography for a list of Zotero items. */
 async function fetchBibEntries(
 	/* The Zotero keys of the targeted items */
@@ -153,7 +384,7 @@ async function fetchBibEntries(
 	const nbCalls = Math.ceil(itemKeys.length / 100);
 	for (let i = 1; i <= nbCalls; i++) {
 		const keyList = itemKeys.slice(100 * (i - 1), 100 * i);
-		apiCalls.push(zoteroClient.get<ZoteroAPI.Responses.ItemsGet<"biblatex">>(`${path}/items`, {
+		apiCalls.push(selectClient(library).get<ZoteroAPI.Responses.ItemsGet<"biblatex">>(`${path}/items`, {
 			headers: {
 				"Zotero-API-Key": apikey
 			},
@@ -172,6 +403,60 @@ async function fetchBibEntries(
 }
 
 
+/** Exports a list of Zotero items in a bibliographic file format, using the `format` parameter of the Zotero API
+ * @param itemKeys - The Zotero keys of the targeted items
+ * @param library - The items' Zotero library
+ * @param format - The export format
+ * @returns The contents of the export. For CSL-JSON, this is the stringified array of items.
+ * @see https://www.zotero.org/support/dev/web_api/v3/basics#export_formats
+ */
+async function fetchExport(itemKeys: string[], library: ZLibrary, format: ExportFileFormat): Promise<string> {
+	const { apikey, path } = library;
+
+	// * Only 100 entries can be retrieved at once
+	const apiCalls: Promise<AxiosResponse<string>>[] = [];
+	const nbCalls = Math.ceil(itemKeys.length / 100);
+	for (let i = 1; i <= nbCalls; i++) {
+		const keyList = itemKeys.slice(100 * (i - 1), 100 * i);
+		apiCalls.push(selectClient(library).get<string>(`${path}/items`, {
+			headers: {
+				"Zotero-API-Key": apikey
+			},
+			params: {
+				format,
+				itemKey: keyList.join(",")
+			},
+			// The export is returned as-is, so that it can be written to a file
+			responseType: "text"
+		}));
+	}
+
+	try {
+		const exportResults = await Promise.all(apiCalls);
+		const contents = exportResults.map(res => res.data);
+		if (format == "csljson") {
+			// Each call returns its own CSL-JSON object, so their items are merged into a single array
+			const items = contents.map(data => (JSON.parse(data) as { items: Record<string, unknown>[] }).items).flat(1);
+			return JSON.stringify(items, null, "\t");
+		}
+		// Only line breaks are trimmed, as some formats have meaningful trailing whitespace (e.g. "ER  - " in RIS)
+		return contents.map(data => data.replace(/^\n+|\n+$/g, "")).join("\n\n");
+	} catch (error) {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Failed to export items",
+			context: {
+				error: cleanError(error),
+				format,
+				itemKeys,
+				path
+			}
+		});
+		return Promise.reject(error);
+	}
+}
+
+
 /** Retrieves an item's formatted bibliographic entry as returned by the Zotero API
  * @param itemKey - The item's Zotero key
  * @param library - The item's Zotero library
@@ -185,7 +470,7 @@ async function fetchBibliography(itemKey: string, library: ZLibrary, config: Par
 	const { linkwrap = 0, locale = "en-US", style = "chicago-note-bibliography" } = config;
 	let response: unknown;
 	try {
-		const { data, ...rest } = await zoteroClient.get<ZoteroAPI.Responses.ItemGet<"bib">>(
+		const { data, ...rest } = await selectClient(library).get<ZoteroAPI.Responses.ItemGet<"bib">>(
 			dataURI,
 			{
 				headers: { "Zotero-API-Key": apikey },
@@ -215,6 +500,57 @@ async function fetchBibliography(itemKey: string, library: ZLibrary, config: Par
 }
 
 
+/** Retrieves the formatted bibliographic entries of several items in a library, in a single citation style
+ * @param itemKeys - The Zotero keys of the targeted items
+ * @param library - The items' Zotero library
+ * @param config - Optional parameters to use in the API calls
+ * @returns The Zotero key and formatted entry of each item
+ */
+async function fetchBibliographies(itemKeys: string[], library: ZLibrary, config: Partial<ZoteroAPI.Requests.BibliographyArgs> = {}) {
+	const { apikey, path } = library;
+	const { linkwrap = 0, locale = "en-US", style = "chicago-note-bibliography" } = config;
+
+	// * Only 100 entries can be retrieved at once
+	const apiCalls: Promise<AxiosResponse<ZoteroAPI.Responses.ItemsGet<"bib">>>[] = [];
+	const nbCalls = Math.ceil(itemKeys.length / 100);
+	for (let i = 1; i <= nbCalls; i++) {
+		const keyList = itemKeys.slice(100 * (i - 1), 100 * i);
+		apiCalls.push(selectClient(library).get<ZoteroAPI.Responses.ItemsGet<"bib">>(`${path}/items`, {
+			headers: {
+				"Zotero-API-Key": apikey
+			},
+			params: {
+				include: "bib",
+				itemKey: keyList.join(","),
+				linkwrap,
+				locale,
+				style
+			}
+		}));
+	}
+
+	try {
+		const bibResults = await Promise.all(apiCalls);
+		return bibResults
+			.map(res => res.data)
+			.flat(1)
+			.map(entry => ({ bib: entry.bib, key: entry.key }));
+	} catch (error) /* istanbul ignore next */ {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Failed to fetch bibliography",
+			context: {
+				config,
+				error: cleanError(error),
+				itemKeys,
+				path
+			}
+		});
+		return Promise.reject(error);
+	}
+}
+
+
 /** Requests data from the `/[library]/collections` endpoint of the Zotero API
  * @fires zotero-roam:update
  * @returns Collections created or modified in Zotero since the specified version
@@ -224,7 +560,7 @@ async function fetchCollections(
 	since = 0,
 	{ match = [] }: { match?: ZoteroAPI.Collection[] }
 ): Promise<Queries.Data.Collections> {
-	const { apikey, path } = library;
+	const { path } = library;
 
 	const defaultOutcome = {
 		data: null,
@@ -234,28 +570,23 @@ async function fetchCollections(
 		success: false
 	};
 
-	let response: unknown;
 	let modified: Maybe<ZoteroAPI.Collection[]>;
 	let deleted: Maybe<string[]>;
 
 	try {
-		const { data, headers, ...rest } = await zoteroClient.get<ZoteroAPI.Responses.Collections>(
-			`${path}/collections`,
-			{
-				headers: { "Zotero-API-Key": apikey },
-				params: { since }
-			});
-		response = { data, headers, ...rest };
-		modified = data;
-
-		const { "last-modified-version": lastUpdated, "total-results": totalResultsStr } = headers;
-		const totalResults = Number(totalResultsStr);
+		const update = await fetchIfModified<ZoteroAPI.Collection>(library, "collections", { dataURI: `${path}/collections`, since });
 
-		if (totalResults > 100) {
-			const additional = await fetchAdditionalData<ZoteroAPI.Responses.Collections>({ dataURI: `${path}/collections`, apikey, since }, totalResults);
-			modified.push(...additional);
+		// The collections haven't changed since the last sync
+		if (update === null) {
+			return {
+				data: match,
+				lastUpdated: since
+			};
 		}
 
+		const { data, version: lastUpdated } = update;
+		modified = data;
+
 		// DO NOT request deleted items since X if since = 0 (aka, initial data request)
 		// It's a waste of a call
 		if (since > 0 && modified.length > 0) {
@@ -273,7 +604,7 @@ async function fetchCollections(
 
 		return {
 			data: matchWithCurrentData({ modified, deleted }, match),
-			lastUpdated: Number(lastUpdated)
+			lastUpdated
 		};
 	} catch (error) /* istanbul ignore next */ {
 		window.zoteroRoam?.error?.({
@@ -283,7 +614,8 @@ async function fetchCollections(
 				data: modified,
 				deleted,
 				error: cleanError(error),
-				response
+				library: path,
+				since
 			}
 		});
 		emitCustomEvent({
@@ -309,7 +641,7 @@ async function fetchDeleted(library: ZLibrary, since: number) {
 	let response: unknown;
 
 	try {
-		const { data } = await zoteroClient.get<ZoteroAPI.Responses.Deleted>(
+		const { data } = await selectClient(library).get<ZoteroAPI.Responses.Deleted>(
 			`${path}/deleted`,
 			{
 				headers: { "Zotero-API-Key": apikey },
@@ -333,6 +665,78 @@ async function fetchDeleted(library: ZLibrary, since: number) {
 }
 
 
+/** Retrieves the full-text content of an attachment, as indexed by Zotero
+ * @param itemKey - The attachment's Zotero key
+ * @param library - The attachment's Zotero library
+ * @returns The attachment's full-text content
+ */
+async function fetchFulltext(itemKey: string, library: ZLibrary) {
+	const { apikey, path } = library;
+	try {
+		const { data } = await selectClient(library).get<ZoteroAPI.Responses.Fulltext>(
+			`${path}/items/${itemKey}/fulltext`,
+			{ headers: { "Zotero-API-Key": apikey } }
+		);
+		return data;
+	} catch (error) /* istanbul ignore next */ {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Failed to fetch full-text content",
+			context: {
+				error: cleanError(error),
+				itemKey,
+				path
+			}
+		});
+		return Promise.reject(error);
+	}
+}
+
+
+/** Retrieves the attachments whose full-text content was modified since a given library version
+ * @param library - The targeted Zotero library
+ * @param since - The library version to check against
+ * @returns The version of each modified attachment's full-text content, and the library's current version - or `null` if nothing was modified
+ * @see https://www.zotero.org/support/dev/web_api/v3/fulltext_content
+ */
+async function fetchFulltextVersions(library: ZLibrary, since = 0): Promise<{ data: ZoteroAPI.Responses.FulltextVersions, version: number } | null> {
+	const { apikey, path } = library;
+	try {
+		const { data, headers, status } = await selectClient(library).get<ZoteroAPI.Responses.FulltextVersions>(
+			`${path}/fulltext`,
+			{
+				headers: {
+					"Zotero-API-Key": apikey,
+					...(since > 0 ? { "If-Modified-Since-Version": since } : {})
+				},
+				params: { since },
+				validateStatus: (code) => (code >= 200 && code < 300) || code == 304
+			}
+		);
+
+		if (status == 304) {
+			return null;
+		}
+
+		return {
+			data,
+			version: Number(headers["last-modified-version"])
+		};
+	} catch (error) /* istanbul ignore next */ {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Failed to fetch full-text versions",
+			context: {
+				error: cleanError(error),
+				path,
+				since
+			}
+		});
+		return Promise.reject(error);
+	}
+}
+
+
 /** Requests data from the Zotero API, based on a specific data URI
  * @fires zotero-roam:update
  * @param req - The parameters of the request 
@@ -345,11 +749,7 @@ async function fetchItems(
 	{ match = [] }: { match: ZItem[] },
 	queryClient: QueryClient
 ): Promise<Queries.Data.Items> {
-	const { apikey, dataURI, library: { path }, since = 0 } = req;
-	const paramsQuery = new URLSearchParams("");
-	paramsQuery.set("since", `${since}`);
-	paramsQuery.set("start", "0");
-	paramsQuery.set("limit", "100");
+	const { apikey, backend, dataURI, library: { path, type }, since = 0, useBetterBibtex = false } = req;
 	const defaultOutcome = {
 		data: null,
 		error: null,
@@ -357,31 +757,28 @@ async function fetchItems(
 		since,
 		success: false
 	};
-	let response: unknown;
 	let modified: Maybe<ZoteroAPI.Item[]>;
 	let deleted: Maybe<string[]>;
 	try {
-		const { data, headers, ...rest } = await zoteroClient.get<ZoteroAPI.Responses.ItemsGet>(`${dataURI}?${paramsQuery.toString()}`,
-			{
-				headers: { "Zotero-API-Key": apikey }
-			});
-		response = { data, headers, ...rest };
-		modified = data;
-		const { "last-modified-version": lastUpdated, "total-results": totalResultsStr } = headers;
-		const totalResults = Number(totalResultsStr);
-		if (totalResults > 100) {
-			const additional = await fetchAdditionalData<ZoteroAPI.Responses.ItemsGet>({ dataURI, apikey, since }, totalResults);
-			modified.push(...additional);
+		const update = await fetchIfModified<ZoteroAPI.Item>({ apikey, backend, path }, "items", { dataURI, since });
+		// The items haven't changed since the last sync
+		if (update === null) {
+			return {
+				data: match,
+				lastUpdated: since
+			};
 		}
+		const { data, version: lastUpdated } = update;
+		modified = data;
 		// DO NOT request deleted items since X if since = 0 (aka, initial data request)
 		// It's a waste of a call
 		if (since > 0) {
 			// Retrieve deleted items, if any
-			const { items = [] } = await fetchDeleted({ apikey, path }, since);
+			const { items = [] } = await fetchDeleted({ apikey, backend, path }, since);
 			deleted = items;
 			const tagsQueryKey: Queries.Key.Tags = ["tags", { library: path }];
 			const { lastUpdated: latest_tags_version } = queryClient.getQueryData<Queries.Data.Tags>(tagsQueryKey) || {};
-			if (modified.length > 0 || Number(latest_tags_version) < Number(lastUpdated)) {
+			if (modified.length > 0 || Number(latest_tags_version) < lastUpdated) {
 				// Refetch tags data
 				queryClient.refetchQueries(tagsQueryKey);
 				emitCustomEvent({
@@ -393,9 +790,28 @@ async function fetchItems(
 				});
 			}
 		}
+
+		let itemsData = matchWithCurrentData({ modified, deleted }, match, { with_citekey: true }) as ZItem[];
+
+		if (useBetterBibtex && type == "users" && modified.length > 0) {
+			itemsData = await resolveCitekeysWithBetterBibtex(itemsData, { match, modified });
+		}
+
+		const citekeyChanges = findCitekeyChanges(match, itemsData);
+		if (citekeyChanges.length > 0) {
+			window.zoteroRoam?.info?.({
+				origin: "API",
+				message: pluralize(citekeyChanges.length, "citekey", ` changed in ${path}`),
+				context: {
+					changes: citekeyChanges
+				}
+			});
+			await citekeyRenames.add(citekeyChanges);
+		}
+
 		return {
-			data: matchWithCurrentData({ modified, deleted }, match, { with_citekey: true }) as ZItem[],
-			lastUpdated: Number(lastUpdated)
+			data: itemsData,
+			lastUpdated
 		};
 	} catch (error) {
 		window.zoteroRoam?.error?.({
@@ -403,9 +819,10 @@ async function fetchItems(
 			message: "Failed to fetch items",
 			context: {
 				data: modified,
+				dataURI,
 				deleted,
 				error: cleanError(error),
-				response
+				since
 			}
 		});
 		emitCustomEvent({
@@ -420,6 +837,94 @@ async function fetchItems(
 }
 
 
+/** Retrieves the latest version of a Zotero item
+ * @param itemKey - The item's Zotero key
+ * @param library - The item's Zotero library
+ * @returns The item's data, as currently stored in Zotero
+ */
+async function fetchItem(itemKey: string, library: ZLibrary) {
+	const { apikey, path } = library;
+	try {
+		const { data } = await selectClient(library).get<ZoteroAPI.Responses.ItemGet>(
+			`${path}/items/${itemKey}`,
+			{ headers: { "Zotero-API-Key": apikey } }
+		);
+		return data;
+	} catch (error) /* istanbul ignore next */ {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Failed to fetch item",
+			context: {
+				error: cleanError(error),
+				itemKey,
+				path
+			}
+		});
+		return Promise.reject(error);
+	}
+}
+
+
+/** Retrieves the current version of a Zotero library
+ * @param library - The targeted Zotero library
+ * @returns The library's version
+ */
+async function fetchLibraryVersion(library: ZLibrary): Promise<number> {
+	const { apikey, path } = library;
+	try {
+		// Only the response's headers are needed
+		const { headers } = await selectClient(library).get<ZoteroAPI.Responses.ItemVersions>(
+			`${path}/items`,
+			{
+				headers: { "Zotero-API-Key": apikey },
+				params: { format: "versions", limit: 1 }
+			}
+		);
+		return Number(headers["last-modified-version"]);
+	} catch (error) /* istanbul ignore next */ {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Failed to fetch library version",
+			context: {
+				error: cleanError(error),
+				path
+			}
+		});
+		return Promise.reject(error);
+	}
+}
+
+/** Retrieves the current versions of Zotero items
+ * @param itemKeys - The Zotero keys of the items (up to 50)
+ * @param library - The items' Zotero library
+ * @returns The version of each item, indexed by item key. Items that no longer exist are omitted.
+ */
+async function fetchItemVersions(itemKeys: string[], library: ZLibrary): Promise<ZoteroAPI.Responses.ItemVersions> {
+	const { apikey, path } = library;
+	try {
+		const { data } = await selectClient(library).get<ZoteroAPI.Responses.ItemVersions>(
+			`${path}/items`,
+			{
+				headers: { "Zotero-API-Key": apikey },
+				params: { format: "versions", itemKey: itemKeys.join(",") }
+			}
+		);
+		return data;
+	} catch (error) /* istanbul ignore next */ {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Failed to fetch item versions",
+			context: {
+				error: cleanError(error),
+				itemKeys,
+				path
+			}
+		});
+		return Promise.reject(error);
+	}
+}
+
+
 /** Requests data from the `/keys` endpoint of the Zotero API
  * @param apikey - The targeted API key
  * @returns The API key's permissions
@@ -438,33 +943,115 @@ async function fetchPermissions(apikey: string): Promise<Queries.Data.Permission
 }
 
 
-/** Requests data from the `/[library]/tags` endpoint of the Zotero API
+/** Retrieves the keys of the items that match a saved search. Only the local API can run saved searches : for the web API, searches are evaluated by the extension.
+ * @param searchKey - The saved search's Zotero key
+ * @param library - The search's Zotero library
+ * @returns The keys of the matching items
+ * @see https://www.zotero.org/support/dev/web_api/v3/basics#searches
+ */
+async function fetchSearchItems(searchKey: string, library: ZLibrary): Promise<string[]> {
+	const { apikey, path } = library;
+	try {
+		const { data } = await selectClient(library).get<string>(
+			`${path}/searches/${searchKey}/items`,
+			{
+				headers: { "Zotero-API-Key": apikey },
+				params: { format: "keys" },
+				responseType: "text"
+			}
+		);
+		return data.split("\n").filter(key => key.trim().length > 0);
+	} catch (error) /* istanbul ignore next */ {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Failed to fetch the results of a saved search",
+			context: {
+				error: cleanError(error),
+				path,
+				searchKey
+			}
+		});
+		return Promise.reject(error);
+	}
+}
+
+
+/** Requests data from the `/[library]/searches` endpoint of the Zotero API.
+ * Saved searches are always retrieved in full, but the request is skipped if the library hasn't changed since the specified version.
  * @param library - The targeted Zotero library
+ * @param since - The last known version of the library's saved searches
+ * @param config - Additional parameters
+ * @returns The library's saved searches
+ */
+async function fetchSearches(
+	library: Pick<ZLibrary, "apikey" | "backend" | "path">,
+	since = 0,
+	{ match }: { match?: ZoteroAPI.SavedSearch[] } = {}
+): Promise<Queries.Data.Searches> {
+	const { path } = library;
+
+	try {
+		const update = await fetchIfModified<ZoteroAPI.SavedSearch>(library, "searches", { dataURI: `${path}/searches`, since: match ? since : 0, sinceParam: false });
+
+		// The searches haven't changed since the last sync
+		if (update === null) {
+			return {
+				data: match!,
+				lastUpdated: since
+			};
+		}
+
+		return {
+			data: update.data,
+			lastUpdated: update.version
+		};
+	} catch (error) /* istanbul ignore next */ {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Failed to fetch saved searches",
+			context: {
+				error: cleanError(error),
+				path,
+				since
+			}
+		});
+		return Promise.reject(error);
+	}
+}
+
+
+/** Requests data from the `/[library]/tags` endpoint of the Zotero API.
+ * Tags are always retrieved in full, but the request is skipped if the library hasn't changed since the specified version.
+ * @param library - The targeted Zotero library
+ * @param since - The last known version of the library's tags
+ * @param config - Additional parameters
  * @returns The library's tags
  */
-async function fetchTags(library: ZLibrary): Promise<Queries.Data.Tags> {
-	const { apikey, path } = library;
+async function fetchTags(
+	library: Pick<ZLibrary, "apikey" | "backend" | "path">,
+	since = 0,
+	{ match }: { match?: ZTagList } = {}
+): Promise<Queries.Data.Tags> {
+	const { path } = library;
 
 	let tags: ZoteroAPI.Tag[] = [];
 
 	try {
-		const { data, headers } = await zoteroClient.get<ZoteroAPI.Tag[]>(
-			`${path}/tags?limit=100`,
-			{ headers: { "Zotero-API-Key": apikey } }
-		);
-		tags = data;
-
-		const { "last-modified-version": lastUpdated, "total-results": totalResultsStr } = headers;
-		const totalResults = Number(totalResultsStr);
+		const update = await fetchIfModified<ZoteroAPI.Tag>(library, "tags", { dataURI: `${path}/tags`, since: match ? since : 0, sinceParam: false });
 
-		if (totalResults > 100) {
-			const additional = await fetchAdditionalData<ZoteroAPI.Responses.Tags>({ dataURI: `${path}/tags`, apikey }, totalResults);
-			tags.push(...additional);
+		// The tags haven't changed since the last sync
+		if (update === null) {
+			return {
+				data: match!,
+				lastUpdated: since
+			};
 		}
 
+		tags = update.data;
+
 		return {
 			data: makeTagList(tags),
-			lastUpdated: Number(lastUpdated)
+			lastUpdated: update.version
 		};
 	} catch (error) /* istanbul ignore next */ {
 		window.zoteroRoam?.error?.({
@@ -481,7 +1068,67 @@ async function fetchTags(library: ZLibrary): Promise<Queries.Data.Tags> {
 }
 
 
+/** Resolves missing citekeys with Better BibTeX, for items that were just modified.
+ * If Better BibTeX can't be reached, items keep the citekey they had before the update.
+ * @param data - The updated dataset
+ * @param update - The previous dataset, and the items that were modified
+ * @returns The dataset, with citekeys assigned where possible
+ */
+async function resolveCitekeysWithBetterBibtex(data: ZItem[], { match, modified }: { match: ZItem[], modified: ZoteroAPI.Item[] }) {
+	const modifiedKeys = new Set(modified.map(item => item.data.key));
+	const itemKeys = data
+		.filter(item => !item.has_citekey && modifiedKeys.has(item.data.key) && isZItemTop(item))
+		.map(item => item.data.key);
+
+	if (itemKeys.length == 0) {
+		return data;
+	}
+
+	try {
+		const citekeys = await fetchBetterBibtexCitekeys(itemKeys);
+		return applyCitekeys(data, citekeys);
+	} catch {
+		const previousCitekeys = Object.fromEntries(
+			match
+				.filter(item => item.has_citekey && itemKeys.includes(item.data.key))
+				.map(item => [item.data.key, item.key])
+		);
+		return applyCitekeys(data, previousCitekeys);
+	}
+}
+
+
+/** Modifies some of the fields of a Zotero item. The request is rejected with `412 Precondition Failed` if the item has changed since the specified version.
+ * Libraries accessed through the local API can't be written to.
+ * @param itemKey - The item's Zotero key
+ * @param data - The fields to modify, and their new values
+ * @param library - The item's Zotero library
+ * @param version - The last known version of the item
+ * @returns The outcome of the Axios API call
+ * @see https://www.zotero.org/support/dev/web_api/v3/write_requests#partial-item_updating_patch
+ */
+async function updateItem(itemKey: string, data: Partial<ZoteroAPI.ItemTop["data"] | ZoteroAPI.ItemNote["data"]>, library: ZLibrary, version: number) {
+	const { apikey, path } = library;
+
+	if (library.backend == "local") {
+		throw new Error(LOCAL_API_READONLY_MESSAGE);
+	}
+
+	return await zoteroClient.patch<ZoteroAPI.Responses.ItemUpdate>(
+		`${path}/items/${itemKey}`,
+		JSON.stringify(data),
+		{
+			headers: {
+				"Zotero-API-Key": apikey,
+				"If-Unmodified-Since-Version": version
+			}
+		}
+	);
+}
+
+
 /** Adds or modifies items in a Zotero library. Only 50 items can be manipulated per API call.
+ * Libraries accessed through the local API can't be written to.
  * @param dataList - The array containing the items' data 
  * @param library - The targeted Zotero library
  * @see https://www.zotero.org/support/dev/web_api/v3/write_requests#creating_multiple_objects
@@ -489,6 +1136,11 @@ async function fetchTags(library: ZLibrary): Promise<Queries.Data.Tags> {
  */
 function writeItems<T>(dataList: T[], library: ZLibrary) {
 	const { apikey, path } = library;
+
+	if (library.backend == "local") {
+		return Promise.reject(new Error(LOCAL_API_READONLY_MESSAGE));
+	}
+
 	const nbCalls = Math.ceil(dataList.length / 50);
 	const apiCalls: Promise<AxiosResponse<ZoteroAPI.Responses.ItemsWrite>>[] = [];
 
@@ -505,14 +1157,28 @@ function writeItems<T>(dataList: T[], library: ZLibrary) {
 
 
 export {
+	clearSyncStats,
+	createCollection,
 	deleteTags,
 	fetchAdditionalData,
+	fetchAnnotationImage,
+	fetchBetterBibtexCitekeys,
 	fetchBibEntries,
+	fetchBibliographies,
 	fetchBibliography,
 	fetchCollections,
 	fetchDeleted,
+	fetchExport,
+	fetchFulltext,
+	fetchFulltextVersions,
+	fetchItem,
+	fetchItemVersions,
 	fetchItems,
+	fetchLibraryVersion,
 	fetchPermissions,
+	fetchSearches,
+	fetchSearchItems,
 	fetchTags,
+	updateItem,
 	writeItems
 };
\ No newline at end of file
@@ -0,0 +1,88 @@
+import "fake-indexeddb/auto";
+import { mock } from "vitest-mock-extended";
+
+import { FulltextIndex, makeSnippets } from "./fulltext";
+
+import IDBDatabaseService from "@services/idb";
+
+import ZoteroRoam from "../../api";
+import { IDB_FULLTEXT_STORE_NAME } from "../../constants";
+import { apiKeys, libraries, samplePDF } from "Mocks";
+
+
+const { keyWithFullAccess: { key: masterKey } } = apiKeys;
+const { userLibrary } = libraries;
+const library = { apikey: masterKey, path: userLibrary.path };
+
+beforeEach(() => {
+	window.zoteroRoam = mock<ZoteroRoam>();
+});
+
+
+describe("Extracting snippets from full-text content", () => {
+	const content = "Social interventions in primary care include screening for poverty. Such social interventions are accessible to small practices.";
+
+	test("Matches are found without regard to case or spacing", () => {
+		expect(makeSnippets(content, "SOCIAL   interventions", { radius: 10 })).toEqual([
+			{ before: "", match: "Social interventions", after: " in primar…" },
+			{ before: "…rty. Such ", match: "social interventions", after: " are acces…" }
+		]);
+	});
+
+	test("The number of snippets can be limited", () => {
+		expect(makeSnippets(content, "social interventions", { limit: 1 })).toHaveLength(1);
+	});
+
+	test("Empty queries return no snippets", () => {
+		expect(makeSnippets(content, "  ")).toEqual([]);
+	});
+});
+
+describe("Indexing full-text content", () => {
+	test("Content is synced incrementally, and can be searched", async () => {
+		const index = new FulltextIndex();
+
+		const result = await index.sync(library);
+		expect(result).toEqual({
+			items: {
+				[samplePDF.key]: {
+					content: expect.stringContaining("Social interventions in primary care"),
+					version: samplePDF.version
+				}
+			},
+			lastUpdated: userLibrary.version,
+			library: userLibrary.path
+		});
+		expect(window.zoteroRoam.info).toHaveBeenCalledTimes(1);
+
+		// The library hasn't changed since the latest sync
+		expect(await index.sync(library)).toBe(result);
+		expect(window.zoteroRoam.info).toHaveBeenCalledTimes(1);
+
+		expect(index.matches("social interventions in primary care", [samplePDF])).toBe(true);
+		expect(index.matches("unrelated phrase", [samplePDF])).toBe(false);
+		expect(index.findSnippets("community resources", [samplePDF])).toEqual([
+			expect.objectContaining({ match: "community resources" })
+		]);
+	});
+
+	test("Indexed content is persisted in the database", async () => {
+		const idbDatabase = new IDBDatabaseService();
+		const previousSession = new FulltextIndex();
+		await previousSession.connect(idbDatabase);
+		await previousSession.sync(library);
+
+		const store = await idbDatabase.selectStore(IDB_FULLTEXT_STORE_NAME);
+		expect(await store.get(userLibrary.path)).toEqual(expect.objectContaining({ lastUpdated: userLibrary.version }));
+
+		const index = new FulltextIndex();
+		await index.connect(idbDatabase);
+		expect(index.getContent(samplePDF)).toEqual(previousSession.getContent(samplePDF));
+
+		await index.clear();
+		expect(index.getContent(samplePDF)).toBeUndefined();
+		expect(await store.getAll()).toEqual([]);
+
+		await idbDatabase.deleteSelf();
+	});
+});
@@ -0,0 +1,266 @@
+import { isAxiosError } from "axios";
+
+import IDBDatabaseService from "@services/idb";
+
+import { fetchFulltext, fetchFulltextVersions } from "./base";
+
+import { pluralize } from "../../utils";
+
+import { IDB_FULLTEXT_STORE_NAME } from "../../constants";
+import { ZItemAttachment, ZLibrary } from "Types/transforms";
+
+
+export type FulltextEntry = {
+	/** The attachment's full-text content, with whitespace collapsed */
+	content: string,
+	/** The library version of the content */
+	version: number
+};
+
+export type FulltextLibraryIndex = {
+	/** The indexed attachments, by key */
+	items: Record<string, FulltextEntry>,
+	/** The library version at the latest sync */
+	lastUpdated: number,
+	library: string
+};
+
+export type FulltextSnippet = {
+	after: string,
+	before: string,
+	match: string
+};
+
+/** The number of attachments whose content is requested at once */
+const FULLTEXT_BATCH_SIZE = 10;
+
+/** Collapses whitespace in a string, and trims it */
+function normalizeText(text: string) {
+	return text.replace(/\s+/g, " ").trim();
+}
+
+/** Extracts snippets of text around the occurrences of a phrase, matched without regard to case
+ * @param content - The text to search
+ * @param query - The phrase to search for
+ * @param config - Additional configuration
+ * @returns The snippets for the first occurrences of the phrase
+ */
+function makeSnippets(content: string, query: string, { limit = 3, radius = 80 }: { limit?: number, radius?: number } = {}): FulltextSnippet[] {
+	const phrase = normalizeText(query).toLowerCase();
+	if (!phrase) {
+		return [];
+	}
+
+	const target = content.toLowerCase();
+	const snippets: FulltextSnippet[] = [];
+	let index = target.indexOf(phrase);
+
+	while (index > -1 && snippets.length < limit) {
+		const end = index + phrase.length;
+		const start = Math.max(0, index - radius);
+		const stop = Math.min(content.length, end + radius);
+
+		snippets.push({
+			after: content.slice(end, stop) + (stop < content.length ? "…" : ""),
+			before: (start > 0 ? "…" : "") + content.slice(start, index),
+			match: content.slice(index, end)
+		});
+
+		index = target.indexOf(phrase, stop);
+	}
+
+	return snippets;
+}
+
+/** Returns the path of an attachment's library */
+function getAttachmentPath(attachment: ZItemAttachment) {
+	return attachment.library.type + "s/" + attachment.library.id;
+}
+
+/** Lowercase copies of the indexed content, to speed up searches. Entries are replaced when their content is synced, so copies never go stale. */
+const lowercaseContents = new WeakMap<FulltextEntry, string>();
+
+/** Checks if any of the given attachments contains a phrase, without regard to case
+ * @param indices - The full-text content of the libraries to search
+ * @param query - The phrase to search for
+ * @param attachments - The attachments to search
+ */
+function matchFulltext(indices: FulltextLibraryIndex[], query: string, attachments: ZItemAttachment[]) {
+	const phrase = normalizeText(query).toLowerCase();
+	if (!phrase) {
+		return false;
+	}
+
+	return attachments.some(att => {
+		const entry = indices.find(index => index.library == getAttachmentPath(att))?.items[att.key];
+		if (!entry) {
+			return false;
+		}
+
+		let lowercase = lowercaseContents.get(entry);
+		if (lowercase === undefined) {
+			lowercase = entry.content.toLowerCase();
+			lowercaseContents.set(entry, lowercase);
+		}
+		return lowercase.includes(phrase);
+	});
+}
+
+
+/**
+ * Holds the full-text content that Zotero extracted from PDF attachments, so that items can be searched by the contents of their PDFs.
+ * Content is synced incrementally for each library, and persisted in the extension's database once connected.
+ */
+class FulltextIndex {
+	#connection: Promise<void> | null = null;
+	#db: IDBDatabaseService | null = null;
+	#indices = new Map<string, FulltextLibraryIndex>();
+	#syncs = new Map<string, Promise<FulltextLibraryIndex>>();
+
+	/** Connects the index to the extension's database, and loads content indexed in previous sessions.
+	 * Syncs started in the meantime wait for the saved content to be loaded.
+	 */
+	connect(db: IDBDatabaseService) {
+		this.#db = db;
+		this.#connection = this.#load(db);
+		return this.#connection;
+	}
+
+	/** Removes all indexed content, including from the database */
+	async clear() {
+		this.#indices.clear();
+		if (this.#db) {
+			const store = await this.#db.selectStore(IDB_FULLTEXT_STORE_NAME);
+			await store.clear();
+		}
+	}
+
+	/** Retrieves the indexed content of an attachment, if any */
+	getContent(attachment: ZItemAttachment): string | undefined {
+		return this.#indices.get(getAttachmentPath(attachment))?.items[attachment.key]?.content;
+	}
+
+	/** Lists the indexed content of each library */
+	list() {
+		return Array.from(this.#indices.values());
+	}
+
+	/** Checks if any of the given attachments contains a phrase, without regard to case */
+	matches(query: string, attachments: ZItemAttachment[]) {
+		return matchFulltext(this.list(), query, attachments);
+	}
+
+	/** Extracts snippets of text around the occurrences of a phrase in the given attachments */
+	findSnippets(query: string, attachments: ZItemAttachment[], { limit = 3 }: { limit?: number } = {}) {
+		const snippets: FulltextSnippet[] = [];
+		for (const att of attachments) {
+			const content = this.getContent(att);
+			if (content && snippets.length < limit) {
+				snippets.push(...makeSnippets(content, query, { limit: limit - snippets.length }));
+			}
+		}
+		return snippets;
+	}
+
+	/** Fetches the content that was indexed in Zotero since the latest sync of a library.
+	 * If some content can't be retrieved, the library's version isn't updated, so that the content is requested again at the next sync.
+	 */
+	sync(library: ZLibrary) {
+		const { path } = library;
+		const ongoing = this.#syncs.get(path);
+		if (ongoing) {
+			return ongoing;
+		}
+
+		const sync = this.#sync(library).finally(() => {
+			this.#syncs.delete(path);
+		});
+		this.#syncs.set(path, sync);
+
+		return sync;
+	}
+
+	async #load(db: IDBDatabaseService) {
+		const store = await db.selectStore(IDB_FULLTEXT_STORE_NAME);
+		const saved = await store.getAll();
+
+		saved
+			.filter(index => !this.#indices.has(index.library))
+			.forEach(index => this.#indices.set(index.library, index));
+	}
+
+	async #sync(library: ZLibrary) {
+		const { path } = library;
+
+		// Errors are handled by the connection's caller
+		await this.#connection?.catch(() => null);
+
+		const current = this.#indices.get(path) || { items: {}, lastUpdated: 0, library: path };
+
+		const update = await fetchFulltextVersions(library, current.lastUpdated);
+		if (update === null) {
+			return current;
+		}
+
+		const { data: versions, version } = update;
+		const keys = Object.keys(versions);
+		const items = { ...current.items };
+		let hasFailed = false;
+
+		const batches = Array.from({ length: Math.ceil(keys.length / FULLTEXT_BATCH_SIZE) }, (_, i) => keys.slice(i * FULLTEXT_BATCH_SIZE, (i + 1) * FULLTEXT_BATCH_SIZE));
+		// Batches are requested one after the other, to avoid hitting the API's rate limits
+		const results = await batches.reduce<Promise<PromiseSettledResult<{ content: string }>[]>>(
+			(previous, batch) => previous.then(settled => Promise.allSettled(batch.map(key => fetchFulltext(key, library)))
+				.then(batchResults => [...settled, ...batchResults])),
+			Promise.resolve([])
+		);
+
+		results.forEach((res, i) => {
+			const key = keys[i];
+			if (res.status == "fulfilled") {
+				items[key] = { content: normalizeText(res.value.content), version: versions[key] };
+			} else if (isAxiosError(res.reason) && res.reason.response?.status == 404) {
+				// The attachment no longer has full-text content
+				delete items[key];
+			} else {
+				hasFailed = true;
+			}
+		});
+
+		const index: FulltextLibraryIndex = {
+			items,
+			lastUpdated: hasFailed ? current.lastUpdated : version,
+			library: path
+		};
+
+		this.#indices.set(path, index);
+
+		if (this.#db) {
+			const store = await this.#db.selectStore(IDB_FULLTEXT_STORE_NAME);
+			await store.set(path, index);
+		}
+
+		window.zoteroRoam?.info?.({
+			origin: "API",
+			message: `Indexed full-text content for ${pluralize(keys.length, "attachment")} in ${path}`,
+			context: {
+				hasFailed,
+				since: current.lastUpdated,
+				version
+			}
+		});
+
+		return index;
+	}
+}
+
+/** The full-text index for the extension */
+const fulltextIndex = new FulltextIndex();
+
+
+export {
+	FulltextIndex,
+	fulltextIndex,
+	makeSnippets,
+	matchFulltext
+};
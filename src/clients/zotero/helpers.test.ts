@@ -7,7 +7,7 @@ vi.mock("./base");
 import { fetchItems } from "./base";
 import { ZoteroAPI } from "./types";
 
-import { areTagsDuplicate, extractCitekeys, makeTagList, matchWithCurrentData, updateTagMap, wrappedFetchItems } from "./helpers";
+import { applyCitekeys, areTagsDuplicate, extractCitekeys, findCitekeyChanges, makeTagList, matchWithCurrentData, updateTagMap, wrappedFetchItems } from "./helpers";
 
 import { apiKeys, findTags, items, libraries, tags } from "Mocks";
 import { DataRequest } from "Types/extension";
@@ -39,6 +39,36 @@ test("Extracting citekeys for Zotero items", () => {
 
 });
 
+test("Applying resolved citekeys to Zotero items", () => {
+	const cases = [
+		{ key: "someCitekey1994", data: { key: "ABCD1234" }, has_citekey: true },
+		{ key: "PQRST789", data: { key: "PQRST789" }, has_citekey: false },
+		{ key: "8NNHP96Y", data: { key: "8NNHP96Y" }, has_citekey: false }
+	];
+
+	expect(applyCitekeys(cases, { "ABCD1234": "otherCitekey2000", "PQRST789": "resolvedCitekey2021" }))
+		.toEqual([
+			cases[0],
+			{ key: "resolvedCitekey2021", data: { key: "PQRST789" }, has_citekey: true },
+			cases[2]
+		]);
+});
+
+test("Finding citekey changes between syncs", () => {
+	const [sample_item] = items;
+	const { library: { id, type } } = sample_item;
+	const renamed = { ...sample_item, key: "renamedCitekey2021" };
+	const unpinned = { ...items[1], key: items[1].data.key, has_citekey: false };
+
+	expect(findCitekeyChanges(items, [renamed, unpinned, items[2]]))
+		.toEqual([
+			{ from: sample_item.key, itemKey: sample_item.data.key, library: `${type}s/${id}`, to: "renamedCitekey2021" },
+			{ from: items[1].key, itemKey: items[1].data.key, library: `${items[1].library.type}s/${items[1].library.id}`, to: items[1].data.key }
+		]);
+
+	expect(findCitekeyChanges([unpinned], [items[1]])).toEqual([]);
+});
+
 describe("Comparing tag entries", () => {
 	const tag1 = { tag: "some_tag", meta: { numItems: 3, type: 0 } } as ZoteroAPI.Tag;
 	const tag2 = { tag: "some_tag", meta: { numItems: 2, type: 0 } } as ZoteroAPI.Tag;
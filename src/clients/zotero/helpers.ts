@@ -2,13 +2,14 @@ import { QueryClient } from "@tanstack/react-query";
 
 import { Queries } from "@services/react-query";
 
-import { fetchItems } from "./base";
+import { fetchItems, fetchSearchItems, fetchSearches } from "./base";
+import { SavedSearchMembership, evaluateSearch, savedSearches } from "./searches";
 import { ZoteroAPI } from "./types";
 
 import { makeDictionary, searchEngine } from "../../utils";
 
 import { DataRequest } from "Types/extension";
-import { ZTagEntry, ZTagList, ZTagMap } from "Types/transforms";
+import { ZItem, ZTagEntry, ZTagList, ZTagMap } from "Types/transforms";
 
 /** Compares two Zotero tags based on tag string and type, to determine if they are duplicates
  * @param tag1 - The first tag to compare
@@ -29,6 +30,26 @@ function areTagsDuplicate(tag1: ZoteroAPI.Tag, tag2: ZoteroAPI.Tag) {
 }
 
 
+/** Assigns resolved citekeys to items that don't have a pinned citekey
+ * @param arr - The items to update
+ * @param citekeys - The citekeys to assign, indexed by item key
+ * @returns The updated dataset : items with a resolved citekey have their `key` property assigned to it, and `has_citekey` set to `true`
+ */
+function applyCitekeys<T extends { key: string, data: { key: string }, has_citekey: boolean }>(arr: T[], citekeys: Record<string, string>): T[] {
+	return arr.map(item => {
+		const citekey = citekeys[item.data.key];
+		if (item.has_citekey || !citekey) {
+			return item;
+		}
+		return {
+			...item,
+			key: citekey,
+			has_citekey: true
+		};
+	});
+}
+
+
 /** Categorizes Zotero tags into tokens, based on similar spellings
  * @param z_data - The tags to be categorized, as Strings
  * @param tagMap - The map of Zotero tags
@@ -95,6 +116,40 @@ function extractCitekeys<T extends { key: string, data: { citationKey?: string,
 }
 
 
+export type CitekeyChange = {
+	/** The item's citekey before the update */
+	from: string,
+	/** The item's Zotero key */
+	itemKey: string,
+	/** The path of the item's library */
+	library: string,
+	/** The item's citekey after the update */
+	to: string
+};
+
+/** Compares two versions of a dataset, to identify items whose citekey has changed
+ * @param previous - The dataset before the update
+ * @param current - The dataset after the update
+ * @returns The list of citekey changes. Items that didn't have a citekey before the update are ignored.
+ */
+function findCitekeyChanges(previous: ZItem[], current: ZItem[]): CitekeyChange[] {
+	const previousKeys = new Map(previous.filter(item => item.has_citekey).map(item => [item.data.key, item.key]));
+
+	return current.reduce<CitekeyChange[]>((arr, item) => {
+		const from = previousKeys.get(item.data.key);
+		if (from && from != item.key) {
+			arr.push({
+				from,
+				itemKey: item.data.key,
+				library: item.library.type + "s/" + item.library.id,
+				to: item.key
+			});
+		}
+		return arr;
+	}, []);
+}
+
+
 /** Converts Zotero tags data into a categorized list
  * @param tags - The tags data from Zotero to categorize
  * @returns The list of categorized tags
@@ -202,19 +257,72 @@ function updateTagMap(map: ZTagMap, tagEntry: ZoteroAPI.Tag) {
 
 /** Wrapper for retrieving items data, based on contents of the query cache. */
 async function wrappedFetchItems(req: DataRequest, queryClient: QueryClient) {
-	const { apikey, library: { path }, ...identifiers } = req;
+	const { apikey, backend, library: { path }, searches, useBetterBibtex, ...identifiers } = req;
 	const queryKey: Queries.Key.Items = ["items", path, { ...identifiers }];
 	const { data: match = [], lastUpdated: since = 0 } = queryClient.getQueryData<Queries.Data.Items>(queryKey) || {};
 	return await fetchItems({ ...req, since }, { match }, queryClient);
 }
 
 
+/** Wrapper for retrieving the results of a saved search, based on contents of the query cache.
+ * Libraries accessed through the local API run the search in Zotero ; otherwise, the search is evaluated against the request's items.
+ * The results are recorded in the extension's index of saved searches.
+ */
+async function wrappedFetchSearchItems(req: DataRequest, searchKey: string, queryClient: QueryClient): Promise<SavedSearchMembership> {
+	const { apikey, backend, library: { path }, searches, useBetterBibtex, ...identifiers } = req;
+	const library = { apikey, backend, path };
+
+	const searchesKey: Queries.Key.Searches = ["searches", { library: path }];
+	const { data: definitions } = await queryClient.fetchQuery({
+		queryKey: searchesKey,
+		queryFn: () => {
+			const { data: match, lastUpdated: since } = queryClient.getQueryData<Queries.Data.Searches>(searchesKey) || {};
+			return fetchSearches(library, since, { match });
+		},
+		staleTime: 1000 * 60 * 5
+	});
+
+	const search = definitions.find(s => s.key == searchKey);
+	if (!search) {
+		throw new Error(`The saved search ${searchKey} doesn't exist in ${path}`);
+	}
+
+	let items: string[];
+
+	if (backend == "local") {
+		items = await fetchSearchItems(searchKey, library);
+	} else {
+		const itemsKey: Queries.Key.Items = ["items", path, { ...identifiers }];
+		const { data: itemsData } = await queryClient.fetchQuery({
+			queryKey: itemsKey,
+			queryFn: () => wrappedFetchItems(req, queryClient),
+			staleTime: 1000 * 60
+		});
+		const { data: collections = [] } = queryClient.getQueryData<Queries.Data.Collections>(["collections", { library: path }]) || {};
+		items = evaluateSearch(search, itemsData, { collections, searches: definitions });
+	}
+
+	const membership: SavedSearchMembership = {
+		items,
+		key: searchKey,
+		library: path,
+		name: search.data.name
+	};
+	savedSearches.set(membership);
+
+	return membership;
+}
+
+
 export {
+	applyCitekeys,
 	areTagsDuplicate,
 	extractCitekeys,
+	findCitekeyChanges,
 	makeTagList,
 	makeTagMap,
 	matchWithCurrentData,
 	updateTagMap,
-	wrappedFetchItems
+	wrappedFetchItems,
+	wrappedFetchSearchItems
 };
@@ -3,9 +3,9 @@ import { mock } from "vitest-mock-extended";
 import { wrapper } from "../query-test-wrapper";
 
 import { makeTagList } from "./helpers";
-import { useCollections, useItems, useTags, useWriteableLibraries } from "./hooks";
+import { useCollections, useItems, useSearchItems, useTags, useWriteableLibraries } from "./hooks";
 
-import { apiKeys, findCollections, findItems, libraries, tags } from "Mocks";
+import { apiKeys, findCollections, findItems, libraries, searches, tags } from "Mocks";
 import { DataRequest } from "Types/extension";
 
 
@@ -99,6 +99,20 @@ describe("useWriteableLibraries", () => {
 
 	});
 
+	test("Libraries using the local API", async () => {
+		const libs = [
+			{ apikey: masterKey, backend: "local" as const, path: userPath },
+			{ apikey: masterKey, path: groupPath }
+		];
+
+		const { result, waitFor } = renderHook(() => useWriteableLibraries(libs), { wrapper });
+
+		await waitFor(() => !result.current.isLoading);
+
+		expect(result.current.data)
+			.toEqual([libs[1]]);
+	});
+
 	test("Key with no group access", async () => {
 		const libs = [
 			{ apikey: userOnlyKey, path: userPath },
@@ -116,3 +130,35 @@ describe("useWriteableLibraries", () => {
 
 	});
 });
+
+describe("useSearchItems", () => {
+	const backends = ["web", "local"] as const;
+
+	test.each(backends)(
+		"%# returns the results of saved searches, with the %s backend",
+		async (backend) => {
+			const reqs: DataRequest[] = Object.values(libraries).map((lib) => ({
+				apikey: masterKey,
+				backend,
+				dataURI: `${lib.path}/items`,
+				library: { id: `${lib.id}`, path: lib.path, type: lib.type, uri: "items" },
+				name: "",
+				searches: searches[lib.path].map(search => search.key)
+			}));
+
+			const { result, waitFor } = renderHook(() => useSearchItems(reqs, {}), { wrapper });
+
+			await waitFor(() => result.current.every(res => !res.isLoading));
+
+			const searchData = Object.values(libraries).flatMap(lib => searches[lib.path].map(search => ({
+				items: search.results,
+				key: search.key,
+				library: lib.path,
+				name: search.data.name
+			})));
+
+			expect(result.current.map(res => res.data))
+				.toEqual(searchData);
+		}
+	);
+});
@@ -1,15 +1,30 @@
-import { useMemo } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { useQueries, useQueryClient, UseQueryOptions } from "@tanstack/react-query";
 
 import { Queries } from "@services/react-query";
 
-import { fetchCollections, fetchPermissions, fetchTags } from "./base";
-import { wrappedFetchItems } from "./helpers";
+import { fetchCollections, fetchPermissions, fetchSearches, fetchTags } from "./base";
+import { fulltextIndex } from "./fulltext";
+import { wrappedFetchItems, wrappedFetchSearchItems } from "./helpers";
+import { CitekeyRename, citekeyRenames } from "./renames";
 
 import { DataRequest } from "Types/extension";
 import { ZLibrary } from "Types/transforms";
 
 
+/** Subscribes to the citekey renames detected during sync */
+const useCitekeyRenames = () => {
+	const [entries, setEntries] = useState<CitekeyRename[]>(() => citekeyRenames.entries);
+
+	useEffect(() => {
+		// The renames may have changed between the first render and the subscription
+		setEntries(citekeyRenames.entries);
+		return citekeyRenames.subscribe(() => setEntries(citekeyRenames.entries));
+	}, []);
+
+	return entries;
+};
+
 /** Use collections from one or more Zotero libraries. By default, `staleTime = 5 min` and `refetchInterval = 5 min`. */
 const useCollections = <TData = Queries.Data.Collections>(
 	/** The targeted Zotero libraries */
@@ -38,6 +53,36 @@ const useCollections = <TData = Queries.Data.Collections>(
 	});
 };
 
+/** Use the full-text content of PDF attachments from one or more Zotero libraries. By default, `staleTime = 5 min` and `refetchInterval = 5 min`.
+ * Content is synced incrementally and stored in the extension's database, so it isn't included in the persisted query cache.
+ */
+const useFulltext = <TData = Queries.Data.Fulltext>(
+	/** The targeted Zotero libraries */
+	libraries: ZLibrary[],
+	/** Optional configuration to use with the queries */
+	opts: Omit<UseQueryOptions<Queries.Data.Fulltext, unknown, TData, Queries.Key.Fulltext>, "queryKey" | "queryFn"> = {}
+) => {
+	const queriesDefs = useMemo(() => {
+		// Defaults for this query
+		const { staleTime = 1000 * 60 * 5, refetchInterval = 1000 * 60 * 5, ...rest } = opts;
+		// Factory
+		return libraries.map((lib) => {
+			const queryKey: Queries.Key.Fulltext = ["fulltext", { library: lib.path }];
+			return {
+				queryKey: queryKey,
+				queryFn: (_queryKey) => fulltextIndex.sync(lib),
+				staleTime,
+				refetchInterval,
+				...rest
+			};
+		});
+	}, [libraries, opts]);
+
+	return useQueries<UseQueryOptions<Queries.Data.Fulltext, unknown, TData, Queries.Key.Fulltext>[]>({
+		queries: queriesDefs
+	});
+};
+
 /** Use Zotero items from one or more Zotero libraries. By default, `staleTime = 1 min` and `refetchInterval = 1 min`. */
 const useItems = <TData = Queries.Data.Items>(
 	/** The targeted data requests */
@@ -51,7 +96,7 @@ const useItems = <TData = Queries.Data.Items>(
 		const { staleTime = 1000 * 60, refetchInterval = 1000 * 60, ...rest } = opts;
 		// Factory
 		return reqs.map((req) => {
-			const { apikey, library: { path }, ...identifiers } = req;
+			const { apikey, backend, library: { path }, searches, useBetterBibtex, ...identifiers } = req;
 			const queryKey: Queries.Key.Items = ["items", path, { ...identifiers }];
 			return {
 				queryKey: queryKey,
@@ -62,7 +107,7 @@ const useItems = <TData = Queries.Data.Items>(
 			};
 		});
 	}, [reqs, client, opts]);
-	return useQueries({
+	return useQueries<UseQueryOptions<Queries.Data.Items, unknown, TData, Queries.Key.Items>[]>({
 		queries: queriesDefs
 	});
 };
@@ -92,8 +137,76 @@ const usePermissions = <TData = Queries.Data.Permissions>(
 	});
 };
 
+/** Use the saved searches from one or more Zotero libraries. By default, `staleTime = 5 min`.
+ * Cached searches are reused if the library hasn't changed since they were retrieved.
+ */
+const useSearches = <TData = Queries.Data.Searches>(
+	/** The targeted Zotero libraries */
+	libraries: ZLibrary[],
+	/** Optional configuration to use with the queries */
+	opts: Omit<UseQueryOptions<Queries.Data.Searches, unknown, TData, Queries.Key.Searches>, "queryKey" | "queryFn"> = {}
+) => {
+	const client = useQueryClient();
+	const queriesDefs = useMemo(() => {
+		// Defaults for this query
+		const { staleTime = 1000 * 60 * 5, ...rest } = opts;
+		// Factory
+		return libraries.map((lib) => {
+			const { apikey, backend, path } = lib;
+			const queryKey: Queries.Key.Searches = ["searches", { library: path }];
+			return {
+				queryKey: queryKey,
+				queryFn: (_queryKey) => {
+					const { data: match, lastUpdated: since } = client.getQueryData<Queries.Data.Searches>(queryKey) || {};
+					return fetchSearches({ apikey, backend, path }, since, { match });
+				},
+				staleTime,
+				...rest
+			};
+		});
+	}, [libraries, client, opts]);
+
+	return useQueries<UseQueryOptions<Queries.Data.Searches, unknown, TData, Queries.Key.Searches>[]>({
+		queries: queriesDefs
+	});
+};
+
+/** Use the results of the saved searches chosen for one or more data requests. By default, `staleTime = 1 min` and `refetchInterval = 1 min`.
+ * Each query also records its results in the extension's index of saved searches, so that items can be filtered by saved search.
+ */
+const useSearchItems = <TData = Queries.Data.SearchItems>(
+	/** The targeted data requests */
+	reqs: DataRequest[],
+	/** Optional configuration to use with the queries */
+	opts: Omit<UseQueryOptions<Queries.Data.SearchItems, unknown, TData, Queries.Key.SearchItems>, "queryKey" | "queryFn"> = {}
+) => {
+	const client = useQueryClient();
+	const queriesDefs = useMemo(() => {
+		// Defaults for this query
+		const { staleTime = 1000 * 60, refetchInterval = 1000 * 60, ...rest } = opts;
+		// Factory
+		return reqs.flatMap((req) => {
+			const { library: { path }, searches = [] } = req;
+			return searches.map((search) => {
+				const queryKey: Queries.Key.SearchItems = ["search-items", { library: path, search }];
+				return {
+					queryKey: queryKey,
+					queryFn: (_queryKey) => wrappedFetchSearchItems(req, search, client),
+					staleTime,
+					refetchInterval,
+					...rest
+				};
+			});
+		});
+	}, [reqs, client, opts]);
+
+	return useQueries<UseQueryOptions<Queries.Data.SearchItems, unknown, TData, Queries.Key.SearchItems>[]>({
+		queries: queriesDefs
+	});
+};
+
 /** Use Zotero tags from one or more libraries. By default, `staleTime = 3 min`.
- *  Refetching is managed by {@link useItems}.
+ *  Refetching is managed by {@link useItems}. Cached tags are reused if the library hasn't changed since they were retrieved.
  */
 const useTags = <TData = Queries.Data.Tags>(
 	/** The targeted Zotero libraries */
@@ -101,21 +214,25 @@ const useTags = <TData = Queries.Data.Tags>(
 	/** Optional configuration to use with the queries */
 	opts: Omit<UseQueryOptions<Queries.Data.Tags, unknown, TData, Queries.Key.Tags>, "queryKey" | "queryFn"> = {}
 ) => {
+	const client = useQueryClient();
 	const queriesDefs = useMemo(() => {
 		// Defaults for this query
 		const { staleTime = 1000 * 60 * 3, ...rest } = opts;
 		// Factory
 		return libraries.map((lib) => {
-			const { apikey, path } = lib;
+			const { apikey, backend, path } = lib;
 			const queryKey: Queries.Key.Tags = ["tags", { library: path }];
 			return {
 				queryKey: queryKey,
-				queryFn: (_queryKey) => fetchTags({ apikey, path }),
+				queryFn: (_queryKey) => {
+					const { data: match, lastUpdated: since } = client.getQueryData<Queries.Data.Tags>(queryKey) || {};
+					return fetchTags({ apikey, backend, path }, since, { match });
+				},
 				staleTime,
 				...rest
 			};
 		});
-	}, [libraries, opts]);
+	}, [libraries, client, opts]);
 
 	return useQueries({
 		queries: queriesDefs
@@ -124,6 +241,7 @@ const useTags = <TData = Queries.Data.Tags>(
 
 
 /** Custom hook for retrieving the list of Zotero libraries with `write` permissions.
+ * Libraries accessed through the local API are read-only, and are never included.
  * @param libraries - The targeted Zotero libraries
  * @returns The operation's status and outcome
  */
@@ -139,6 +257,10 @@ const useWriteableLibraries = (libraries: ZLibrary[]) => {
 	const data = useMemo(() => {
 		return libraries
 			.filter(lib => {
+				if (lib.backend == "local") {
+					return false;
+				}
+
 				const keyData = permissions.find(k => k.key == lib.apikey);
 				if (!keyData) {
 					return false;
@@ -160,4 +282,4 @@ const useWriteableLibraries = (libraries: ZLibrary[]) => {
 };
 
 
-export { useCollections, useItems, usePermissions, useTags, useWriteableLibraries };
\ No newline at end of file
+export { useCitekeyRenames, useCollections, useFulltext, useItems, usePermissions, useSearchItems, useSearches, useTags, useWriteableLibraries };
\ No newline at end of file
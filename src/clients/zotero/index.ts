@@ -1,4 +1,8 @@
 export * from "./base";
+export * from "./fulltext";
 export * from "./hooks";
 export * from "./mutations";
-export * from "./types";
\ No newline at end of file
+export * from "./queue";
+export * from "./renames";
+export * from "./searches";
+export * from "./types";
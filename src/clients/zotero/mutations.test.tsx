@@ -3,9 +3,9 @@ import { act, renderHook } from "@testing-library/react-hooks";
 import { mock } from "vitest-mock-extended";
 
 import { fetchItems, fetchTags } from "./base";
-import { useDeleteTags, useImportCitoids, useModifyTags } from "./mutations";
+import { useCreateCollection, useDeleteTags, useExportNote, useImportCitoids, useModifyTags, useUpdateItem } from "./mutations";
 
-import { apiKeys, citoids, goodIdentifier, libraries } from "Mocks";
+import { apiKeys, citoids, findItems, goodIdentifier, libraries, sampleNote } from "Mocks";
 import { DataRequest } from "Types/extension";
 import { isFulfilled } from "Types/helpers";
 
@@ -41,6 +41,50 @@ describe("Mutation hooks for the Zotero API", () => {
 		queryClient.clear();
 	});
 
+	describe("useCreateCollection", () => {
+		const library = { apikey: masterKey, path: userLibrary.path };
+
+		test("callback on success", async () => {
+			const { result, waitFor } = renderHook(() => useCreateCollection(), { wrapper });
+
+			act(() => {
+				result.current.mutate({ library, name: "New collection" });
+			});
+			await waitFor(() => result.current.status == "success");
+
+			expect(result.current.data).toEqual(expect.objectContaining({
+				data: expect.objectContaining({ name: "New collection", parentCollection: false })
+			}));
+			expect(invalidateQueriesSpy).toHaveBeenCalledWith(
+				["collections", { library: userLibrary.path }],
+				{ refetchType: "all" }
+			);
+
+			expect((dispatchEventSpy.mock.calls[0][0] as CustomEvent).detail).toEqual({
+				args: {
+					name: "New collection",
+					parentCollection: false
+				},
+				data: result.current.data,
+				error: null,
+				library: userLibrary.path,
+				_type: "collection-created"
+			});
+		});
+
+		test("callback on failure", async () => {
+			const { result, waitFor } = renderHook(() => useCreateCollection(), { wrapper });
+
+			act(() => {
+				result.current.mutate({ library, name: "" });
+			});
+			await waitFor(() => result.current.status == "error");
+
+			expect(result.current.error).toEqual(new Error("The collection could not be created : Collection name cannot be empty"));
+			expect(invalidateQueriesSpy).not.toHaveBeenCalled();
+		});
+	});
+
 	describe("useDeleteTags", () => {
 		beforeEach(async() => {
 			const mockData = await fetchTags({ apikey: masterKey, path: userLibrary.path });
@@ -67,11 +111,54 @@ describe("Mutation hooks for the Zotero API", () => {
 
 			expect((dispatchEventSpy.mock.calls[0][0] as CustomEvent).detail).toEqual({
 				args: { tags: ["systems"] },
+				data: [
+					{ tags: ["systems"], status: "deleted", error: null, version: userLibrary.version + 1 }
+				],
 				error: null,
 				library: userLibrary.path,
 				_type: "tags-deleted"
 			});
 		});
+
+		test("large deletions are sent in batches", async () => {
+			const tags = Array.from({ length: 120 }, (_v, i) => `tag_${i}`);
+			const { result, waitFor } = renderHook(() => useDeleteTags(), { wrapper });
+
+			act(() => {
+				result.current.mutate({
+					library: { apikey: masterKey, path: userLibrary.path },
+					tags
+				});
+			});
+			await waitFor(() => result.current.status == "success");
+
+			expect(result.current.progress).toEqual({ completed: 3, total: 3 });
+			expect(result.current.data).toEqual([
+				{ tags: tags.slice(0, 50), status: "deleted", error: null, version: userLibrary.version + 1 },
+				{ tags: tags.slice(50, 100), status: "deleted", error: null, version: userLibrary.version + 2 },
+				{ tags: tags.slice(100), status: "deleted", error: null, version: userLibrary.version + 3 }
+			]);
+		});
+
+		test("batches are skipped after a failure", async () => {
+			queryClient.setQueryData(["tags", { library: userLibrary.path }], (prev: any) => ({ ...prev, lastUpdated: userLibrary.version - 1 }));
+			const tags = Array.from({ length: 60 }, (_v, i) => `tag_${i}`);
+			const { result, waitFor } = renderHook(() => useDeleteTags(), { wrapper });
+
+			act(() => {
+				result.current.mutate({
+					library: { apikey: masterKey, path: userLibrary.path },
+					tags
+				});
+			});
+			await waitFor(() => result.current.status == "success");
+
+			expect(result.current.data).toEqual([
+				{ tags: tags.slice(0, 50), status: "failed", error: expect.objectContaining({ response: expect.objectContaining({ status: 412 }) }), version: null },
+				{ tags: tags.slice(50), status: "skipped", error: null, version: null }
+			]);
+			expect(invalidateQueriesSpy).not.toHaveBeenCalled();
+		});
 	});
 
 	describe("useImportCitoids", () => {
@@ -158,4 +245,128 @@ describe("Mutation hooks for the Zotero API", () => {
 		});
 	});
 
+	describe("useUpdateItem", () => {
+		const item = findItems({ type: userLibrary.type, id: userLibrary.id, since: 0 })[0];
+		const library = { apikey: masterKey, path: userLibrary.path };
+
+		test("callback on success", async () => {
+			const { result, waitFor } = renderHook(() => useUpdateItem(), { wrapper });
+
+			act(() => {
+				result.current.mutate({
+					changes: { title: "A new title" },
+					item,
+					library
+				});
+			});
+			await waitFor(() => result.current.status == "success");
+
+			expect(result.current.data).toEqual({ status: "updated", version: userLibrary.version + 1 });
+			expect(invalidateQueriesSpy).toHaveBeenCalledWith(
+				["items", userLibrary.path],
+				{ refetchType: "all" }
+			);
+
+			expect((dispatchEventSpy.mock.calls[0][0] as CustomEvent).detail).toEqual({
+				args: {
+					changes: { title: "A new title" },
+					itemKey: item.data.key
+				},
+				data: result.current.data,
+				error: null,
+				library: userLibrary.path,
+				_type: "item-updated"
+			});
+		});
+
+		test("the latest copy is returned on conflict", async () => {
+			const { result, waitFor } = renderHook(() => useUpdateItem(), { wrapper });
+
+			act(() => {
+				result.current.mutate({
+					changes: { title: "A new title" },
+					item,
+					library,
+					version: item.version - 1
+				});
+			});
+			await waitFor(() => result.current.status == "success");
+
+			expect(result.current.data).toEqual({ status: "conflict", latest: item });
+			expect(invalidateQueriesSpy).not.toHaveBeenCalled();
+		});
+
+		test("changing the item's collections", async () => {
+			const { result, waitFor } = renderHook(() => useUpdateItem(), { wrapper });
+
+			act(() => {
+				result.current.mutate({
+					changes: { collections: [] },
+					item,
+					library
+				});
+			});
+			await waitFor(() => result.current.status == "success");
+
+			expect(invalidateQueriesSpy).toHaveBeenCalledWith(
+				["collections", { library: userLibrary.path }],
+				{ refetchType: "all" }
+			);
+		});
+	});
+
+	describe("useExportNote", () => {
+		const item = findItems({ type: userLibrary.type, id: userLibrary.id, since: 0 })[0];
+		const library = { apikey: masterKey, path: userLibrary.path };
+		const html = "<div data-schema-version=\"8\"><p>Some text</p></div>";
+
+		test("creating a new note", async () => {
+			const { result, waitFor } = renderHook(() => useExportNote(), { wrapper });
+
+			act(() => {
+				result.current.mutate({ html, item, library });
+			});
+			await waitFor(() => result.current.status == "success");
+
+			expect(result.current.data).toEqual({ noteKey: "__NO_UNIQUE_KEY__", status: "created", version: userLibrary.version });
+			expect(invalidateQueriesSpy).toHaveBeenCalledWith(
+				["items", userLibrary.path],
+				{ refetchType: "all" }
+			);
+
+			expect((dispatchEventSpy.mock.calls[0][0] as CustomEvent).detail).toEqual({
+				args: {
+					itemKey: item.data.key,
+					noteKey: null
+				},
+				data: result.current.data,
+				error: null,
+				library: userLibrary.path,
+				_type: "note-exported"
+			});
+		});
+
+		test("updating an existing note", async () => {
+			const { result, waitFor } = renderHook(() => useExportNote(), { wrapper });
+
+			act(() => {
+				result.current.mutate({ html, item, library, noteKey: sampleNote.data.key });
+			});
+			await waitFor(() => result.current.status == "success");
+
+			expect(result.current.data).toEqual({ noteKey: sampleNote.data.key, status: "updated", version: userLibrary.version + 1 });
+		});
+
+		test("re-creating a note that was deleted in Zotero", async () => {
+			const { result, waitFor } = renderHook(() => useExportNote(), { wrapper });
+
+			act(() => {
+				result.current.mutate({ html, item, library, noteKey: "__DELETED_NOTE__" });
+			});
+			await waitFor(() => result.current.status == "success");
+
+			expect(result.current.data).toEqual({ noteKey: "__NO_UNIQUE_KEY__", status: "created", version: userLibrary.version });
+		});
+	});
+
 });
@@ -1,14 +1,65 @@
+import { useState } from "react";
 import { useMutation, useQueryClient } from "@tanstack/react-query";
 
 import { CitoidAPI } from "@clients/citoid";
 import { emitCustomEvent } from "@services/events";
 import { Queries } from "@services/react-query";
 
-import { deleteTags, writeItems } from "./base";
+import { createCollection, deleteTags, fetchItem, updateItem, writeItems } from "./base";
+import { isRetryableError, queueFailedWrites, warnQueuedWrites, writeQueue } from "./queue";
 import { ZoteroAPI } from "./types";
 
 import { isFulfilled } from "Types/helpers";
-import { ZLibrary, isZItemTop } from "Types/transforms";
+import { ZItemTop, ZLibrary, isZItemTop } from "Types/transforms";
+
+
+type CreateCollectionArgs = {
+	library: ZLibrary,
+	/** The name of the collection */
+	name: string,
+	/** The key of the parent collection, if the collection should be created as a subcollection */
+	parentCollection?: string | false
+};
+
+/** Create a collection in a Zotero library
+ * @fires zotero-roam:collection-created
+ */
+const useCreateCollection = () => {
+	const client = useQueryClient();
+
+	return useMutation(async (variables: CreateCollectionArgs) => {
+		const { library, name, parentCollection = false } = variables;
+		const { data } = await createCollection({ name, parentCollection }, library);
+
+		const created = data.successful[0];
+		if (!created) {
+			throw new Error("The collection could not be created : " + (data.failed[0]?.message || "unknown error"));
+		}
+
+		return created;
+	}, {
+		onSettled: (data, error, variables, _context) => {
+			const { library: { path }, name, parentCollection = false } = variables;
+
+			if (data) {
+				client.invalidateQueries(["collections", { library: path }], {
+					refetchType: "all"
+				});
+			}
+
+			emitCustomEvent({
+				_type: "collection-created",
+				args: {
+					name,
+					parentCollection
+				},
+				data: data || null,
+				error,
+				library: path
+			});
+		}
+	});
+};
 
 
 type DeleteTagsArgs = {
@@ -16,22 +67,74 @@ type DeleteTagsArgs = {
 	tags: string[]
 };
 
-/** Delete tags from a Zotero library.
- * @fires zotero-roam:write
+export type DeleteTagsBatch = {
+	/** The tags included in the batch */
+	tags: string[],
+	/** The outcome of the batch. Batches are skipped if a previous batch failed, since they depend on its library version. */
+	status: "deleted" | "failed" | "skipped",
+	error: any,
+	/** The library version after the batch was deleted */
+	version: number | null
+};
+
+export type DeleteTagsProgress = {
+	/** The number of batches processed so far */
+	completed: number,
+	/** The total number of batches */
+	total: number
+};
+
+/** Delete tags from a Zotero library. Only 50 tags can be deleted per API call, so larger deletions are sent in batches :
+ * each batch uses the library version returned by the previous one, and the deletion stops at the first batch that fails.
+ * If a batch fails because of connectivity issues or rate limits, it is added to the write queue along with the remaining batches.
+ * @fires zotero-roam:tags-deleted
  */
 const useDeleteTags = () => {
 	const client = useQueryClient();
+	const [progress, setProgress] = useState<DeleteTagsProgress | null>(null);
+
+	const mutation = useMutation((variables: DeleteTagsArgs) => {
+		const { library, tags } = variables;
+		const { lastUpdated = 0 } = client.getQueryData<Queries.Data.Tags>(["tags", { library: library.path }]) || {};
+
+		const tagBatches = Array.from({ length: Math.ceil(tags.length / 50) }, (_v, i) => tags.slice(50 * i, 50 * (i + 1)));
+		const nbBatches = tagBatches.length;
+
+		setProgress({ completed: 0, total: nbBatches });
+
+		// Batches are sent one after the other, as each depends on the library version returned by the previous one
+		const deleteFrom = async (index: number, version: number): Promise<DeleteTagsBatch[]> => {
+			if (index >= nbBatches) {
+				return [];
+			}
 
-	return useMutation((variables: DeleteTagsArgs) => {
-		const { library: { apikey, path }, tags } = variables;
-		const { lastUpdated: version = 0 } = client.getQueryData<Queries.Data.Tags>(["tags", { library: path }]) || {};
+			const tagList = tagBatches[index];
+			let newVersion: number;
+			try {
+				const { headers } = await deleteTags(tagList, library, version);
+				newVersion = Number(headers["last-modified-version"]) || version;
+			} catch (error) {
+				if (isRetryableError(error)) {
+					const entries = await Promise.all(tagBatches.slice(index).map(batch => writeQueue.add(library.path, { type: "delete-tags", tags: batch }, error)));
+					warnQueuedWrites(library.path, entries);
+				}
+				setProgress({ completed: nbBatches, total: nbBatches });
+				return [
+					{ tags: tagList, status: "failed", error, version: null },
+					...tagBatches.slice(index + 1).map<DeleteTagsBatch>(batch => ({ tags: batch, status: "skipped", error: null, version: null }))
+				];
+			}
 
-		return deleteTags(tags, { apikey, path }, version);
+			setProgress({ completed: index + 1, total: nbBatches });
+			return [{ tags: tagList, status: "deleted", error: null, version: newVersion }, ...(await deleteFrom(index + 1, newVersion))];
+		};
+
+		return deleteFrom(0, lastUpdated);
 	}, {
-		onSettled: (_data, error, variables, _context) => {
+		onSettled: (data = [], error, variables, _context) => {
 			const { library: { path }, tags } = variables;
 
-			if (!error) {
+			if (!error && data.some(batch => batch.status == "deleted")) {
 				// Invalidate item queries related to the library used
 				// Data can't be updated through cache modification because of the library version
 				client.invalidateQueries(["items", path], {
@@ -45,12 +148,103 @@ const useDeleteTags = () => {
 				args: {
 					tags
 				},
+				data,
 				error,
 				library: path,
 				_type: "tags-deleted"
 			});
 		}
 	});
+
+	return {
+		...mutation,
+		progress
+	};
+};
+
+
+type ExportNoteArgs = {
+	/** The HTML contents of the note */
+	html: string,
+	/** The item under which the note should be created */
+	item: ZItemTop,
+	library: ZLibrary,
+	/** The key of a note previously exported to the item, if any. If the note still exists, it is updated instead of a new note being created. */
+	noteKey?: string | null
+};
+
+export type ExportNoteOutcome = {
+	/** The key of the note in Zotero */
+	noteKey: string,
+	status: "created" | "updated",
+	/** The version of the note after the export */
+	version: number
+};
+
+/** Export contents to a child note of an item in a Zotero library. If a note was previously exported and still exists, it is updated ; otherwise a new note is created.
+ * @fires zotero-roam:note-exported
+ */
+const useExportNote = () => {
+	const client = useQueryClient();
+
+	return useMutation(async (variables: ExportNoteArgs): Promise<ExportNoteOutcome> => {
+		const { html, item, library, noteKey } = variables;
+
+		if (noteKey) {
+			try {
+				const { version } = await fetchItem(noteKey, library);
+				const { headers } = await updateItem(noteKey, { note: html }, library, version);
+				return {
+					noteKey,
+					status: "updated",
+					version: Number(headers["last-modified-version"])
+				};
+			} catch (error) {
+				// If the note was deleted in Zotero since it was exported, a new note is created instead
+				if (error.response?.status != 404) {
+					throw error;
+				}
+			}
+		}
+
+		const [res] = await writeItems([{ itemType: "note", note: html, parentItem: item.data.key, tags: [] }], library);
+		if (!isFulfilled(res)) {
+			throw res.reason;
+		}
+
+		const created = res.value.data.successful[0];
+		if (!created) {
+			throw new Error("The note could not be created : " + JSON.stringify(res.value.data.failed));
+		}
+
+		return {
+			noteKey: created.key,
+			status: "created",
+			version: created.version
+		};
+	}, {
+		onSettled: (data, error, variables, _context) => {
+			const { item, library: { path }, noteKey } = variables;
+
+			if (data) {
+				// Invalidate item queries related to the library used, so that the note is added to the item's children
+				client.invalidateQueries(["items", path], {
+					refetchType: "all"
+				});
+			}
+
+			emitCustomEvent({
+				_type: "note-exported",
+				args: {
+					itemKey: item.data.key,
+					noteKey: noteKey || null
+				},
+				data: data || null,
+				error,
+				library: path
+			});
+		}
+	});
 };
 
 
@@ -61,13 +255,13 @@ type ImportCitoidsArgs = {
 	tags: string[];
 };
 
-/** Add items to a Zotero library.
+/** Add items to a Zotero library. Batches that fail because of connectivity issues or rate limits are added to the write queue.
  * @fires zotero-roam:write
  */
 const useImportCitoids = () => {
 	const client = useQueryClient();
 
-	return useMutation((variables: ImportCitoidsArgs) => {
+	return useMutation(async (variables: ImportCitoidsArgs) => {
 		const { collections = [], items, library, tags = [] } = variables;
 
 		// Transform the data for import
@@ -84,7 +278,10 @@ const useImportCitoids = () => {
 				};
 			});
 
-		return writeItems<Omit<CitoidAPI.AsZotero, "version">>(dataList, library);
+		const results = await writeItems<Omit<CitoidAPI.AsZotero, "version">>(dataList, library);
+		await queueFailedWrites(results, dataList, library.path);
+
+		return results;
 	}, {
 		onSettled: (data = [], error, variables, _context) => {
 			const { collections, items, library: { path }, tags } = variables;
@@ -129,14 +326,15 @@ type ModifyTagsArgs = {
 	tags: string[]
 };
 
-/** Update tags in a Zotero library
+/** Update tags in a Zotero library. Batches that fail because of connectivity issues or rate limits are added to the write queue.
  * @fires zotero-roam:tags-modified
  */
 const useModifyTags = () => {
 	const client = useQueryClient();
 
-	return useMutation((variables: ModifyTagsArgs) => {
-		const { into, library: { apikey, path }, tags } = variables;
+	return useMutation(async (variables: ModifyTagsArgs) => {
+		const { into, library, tags } = variables;
+		const { path } = library;
 		const dataList: Pick<ZoteroAPI.ItemTop["data"], "key" | "version" | "tags">[] = [];
 		const libItems = client.getQueriesData<Queries.Data.Items>(["items", path])
 			.map(query => (query[1] || {}).data || []).flat(1)
@@ -163,7 +361,10 @@ const useModifyTags = () => {
 			}
 		});
 
-		return writeItems<Pick<ZoteroAPI.ItemTop["data"], "key" | "version" | "tags">>(dataList, { apikey, path });
+		const results = await writeItems<Pick<ZoteroAPI.ItemTop["data"], "key" | "version" | "tags">>(dataList, library);
+		await queueFailedWrites(results, dataList, path);
+
+		return results;
 	}, {
 		onSettled: (data = [], error, variables, _context) => {
 			const { into, library: { path }, tags } = variables;
@@ -201,8 +402,82 @@ const useModifyTags = () => {
 	});
 };
 
+
+type UpdateItemArgs = {
+	/** The fields to modify, and their new values */
+	changes: Partial<ZoteroAPI.ItemTop["data"]>,
+	item: ZItemTop,
+	library: ZLibrary,
+	/** The version of the item to check against (default: the item's current version). This is used to resolve conflicts with the latest copy of the item. */
+	version?: number
+};
+
+export type UpdateItemOutcome =
+	| { status: "updated", version: number }
+	| { status: "conflict", latest: ZoteroAPI.ItemTop };
+
+/** Modify fields of an item in a Zotero library. If the item has been modified in Zotero since the specified version, its latest copy is returned for conflict resolution.
+ * @fires zotero-roam:item-updated
+ */
+const useUpdateItem = () => {
+	const client = useQueryClient();
+
+	return useMutation(async (variables: UpdateItemArgs): Promise<UpdateItemOutcome> => {
+		const { changes, item, library, version = item.version } = variables;
+
+		try {
+			const { headers } = await updateItem(item.data.key, changes, library, version);
+			return {
+				status: "updated",
+				version: Number(headers["last-modified-version"])
+			};
+		} catch (error) {
+			if (error.response?.status == 412) {
+				const latest = await fetchItem(item.data.key, library);
+				return {
+					status: "conflict",
+					latest: latest as ZoteroAPI.ItemTop
+				};
+			}
+			throw error;
+		}
+	}, {
+		onSettled: (data, error, variables, _context) => {
+			const { changes, item, library: { path } } = variables;
+
+			if (data?.status == "updated") {
+				// Invalidate item queries related to the library used
+				// Data can't be updated through cache modification because of the library version
+				client.invalidateQueries(["items", path], {
+					refetchType: "all"
+				});
+				// Changes to an item's collections also change the collections' item counts
+				if (changes.collections) {
+					client.invalidateQueries(["collections", { library: path }], {
+						refetchType: "all"
+					});
+				}
+			}
+
+			emitCustomEvent({
+				_type: "item-updated",
+				args: {
+					changes,
+					itemKey: item.data.key
+				},
+				data: data || null,
+				error,
+				library: path
+			});
+		}
+	});
+};
+
 export {
+	useCreateCollection,
 	useDeleteTags,
+	useExportNote,
 	useImportCitoids,
-	useModifyTags
+	useModifyTags,
+	useUpdateItem
 };
\ No newline at end of file
@@ -0,0 +1,205 @@
+import "fake-indexeddb/auto";
+import { QueryClient } from "@tanstack/react-query";
+import { AxiosError, AxiosHeaders } from "axios";
+import { vi } from "vitest";
+import { mock } from "vitest-mock-extended";
+
+
+vi.mock("./base", async (importOriginal) => {
+	const actual = await importOriginal<typeof import("./base")>();
+	return {
+		...actual,
+		deleteTags: vi.fn(actual.deleteTags),
+		writeItems: vi.fn(actual.writeItems)
+	};
+});
+import { deleteTags, writeItems } from "./base";
+import { WriteQueue, describeWrite, isRetryableError, queueFailedWrites, writeQueue } from "./queue";
+
+import ZoteroRoam from "../../api";
+import IDBDatabaseService from "@services/idb";
+
+import { IDB_WRITE_QUEUE_STORE_NAME } from "../../constants";
+import { apiKeys, items, libraries } from "Mocks";
+
+
+const { keyWithFullAccess: { key: masterKey } } = apiKeys;
+const { userLibrary } = libraries;
+const library = { apikey: masterKey, path: userLibrary.path };
+
+const makeAxiosError = (status?: number) => {
+	const config = { headers: new AxiosHeaders() };
+	return new AxiosError(
+		status ? "Request failed with status code " + status : "Network Error",
+		status ? "ERR_BAD_REQUEST" : "ERR_NETWORK",
+		config,
+		{},
+		status ? { config, data: null, headers: {}, status, statusText: "" } : undefined
+	);
+};
+
+const queryClient = new QueryClient();
+const invalidateQueriesSpy = vi.spyOn(queryClient, "invalidateQueries");
+
+afterEach(() => {
+	queryClient.clear();
+});
+
+
+test("Identifying writes that can be retried", () => {
+	expect(isRetryableError(makeAxiosError())).toBe(true);
+	expect(isRetryableError(makeAxiosError(429))).toBe(true);
+	expect(isRetryableError(makeAxiosError(412))).toBe(false);
+	expect(isRetryableError(new Error("Some error"))).toBe(false);
+});
+
+test("Describing queued writes", () => {
+	expect(describeWrite({ library: userLibrary.path, type: "delete-tags", tags: ["a", "b"] }))
+		.toBe(`delete 2 tags from ${userLibrary.path}`);
+	expect(describeWrite({ library: userLibrary.path, type: "write-items", dataList: [{ key: "ABCD1234" }] }))
+		.toBe(`write 1 item to ${userLibrary.path}`);
+});
+
+describe("Replaying queued writes", () => {
+	test("Successful writes are marked as completed", async () => {
+		const queue = new WriteQueue();
+		const listener = vi.fn();
+		queue.subscribe(listener);
+
+		await queue.add(userLibrary.path, { type: "write-items", dataList: [{ itemType: "journalArticle", title: "Some title" }] });
+		await queue.add(userLibrary.path, { type: "delete-tags", tags: ["systems"] });
+
+		await queue.replay({ libraries: [library], queryClient });
+
+		expect(queue.entries.map(entry => entry.status)).toEqual(["completed", "completed"]);
+		expect(queue.entries.map(entry => entry.attempts)).toEqual([2, 2]);
+		expect(listener).toHaveBeenCalled();
+		expect(invalidateQueriesSpy).toHaveBeenCalledWith(["items", userLibrary.path], { refetchType: "all" });
+		expect(invalidateQueriesSpy).toHaveBeenCalledWith(["tags", { library: userLibrary.path }], { refetchType: "all" });
+	});
+
+	test("Items are written with their current version", async () => {
+		const item = items.find(it => it.library.type + "s/" + it.library.id == userLibrary.path)!;
+		const queue = new WriteQueue();
+		// The item was modified after the write was queued
+		await queue.add(userLibrary.path, { type: "write-items", dataList: [{ key: item.data.key, version: item.version - 1, title: "Some title" }] });
+
+		await queue.replay({ libraries: [library], queryClient });
+
+		expect(writeItems).toHaveBeenLastCalledWith([{ key: item.data.key, version: item.version, title: "Some title" }], library);
+		expect(queue.entries[0].status).toBe("completed");
+	});
+
+	test("Tag deletions are sent with the library's current version", async () => {
+		const queue = new WriteQueue();
+		await queue.add(userLibrary.path, { type: "delete-tags", tags: ["systems"] });
+		// The library was modified after the deletion was queued
+		queryClient.setQueryData(["tags", { library: userLibrary.path }], { data: {}, lastUpdated: userLibrary.version - 1 });
+
+		await queue.replay({ libraries: [library], queryClient });
+
+		expect(deleteTags).toHaveBeenLastCalledWith(["systems"], library, userLibrary.version);
+		expect(queue.entries[0].status).toBe("completed");
+	});
+
+	test("Writes rejected by the API are marked as failed", async () => {
+		vi.mocked(deleteTags).mockRejectedValueOnce(makeAxiosError(412));
+
+		const queue = new WriteQueue();
+		await queue.add(userLibrary.path, { type: "delete-tags", tags: ["systems"] });
+
+		await queue.replay({ libraries: [library], queryClient });
+
+		expect(queue.entries[0]).toEqual(expect.objectContaining({
+			error: expect.any(String),
+			status: "failed"
+		}));
+	});
+
+	test("Replay stops at the first write that still can't reach the API", async () => {
+		vi.mocked(writeItems).mockResolvedValueOnce([{ status: "rejected", reason: makeAxiosError() }]);
+
+		const queue = new WriteQueue();
+		await queue.add(userLibrary.path, { type: "write-items", dataList: [{ itemType: "journalArticle" }] });
+		await queue.add(userLibrary.path, { type: "write-items", dataList: [{ itemType: "book" }] });
+
+		await queue.replay({ libraries: [library], queryClient });
+
+		expect(writeItems).toHaveBeenCalledTimes(1);
+		expect(queue.entries.map(entry => entry.status)).toEqual(["pending", "pending"]);
+
+		await queue.retry(queue.entries[1].id, { libraries: [library], queryClient });
+		expect(queue.entries.map(entry => entry.status)).toEqual(["pending", "completed"]);
+	});
+
+	test("Writes for unknown libraries are marked as failed", async () => {
+		const queue = new WriteQueue();
+		await queue.add("users/000000", { type: "write-items", dataList: [] });
+
+		await queue.replay({ libraries: [library], queryClient });
+
+		expect(queue.entries[0].status).toBe("failed");
+		expect(queue.entries[0].error).toContain("users/000000");
+	});
+});
+
+test("Discarding queued writes", async () => {
+	const queue = new WriteQueue();
+	const { id } = await queue.add(userLibrary.path, { type: "delete-tags", tags: ["systems"] });
+
+	await queue.discard(id);
+	expect(queue.entries).toEqual([]);
+});
+
+test("Persisting queued writes in the database", async () => {
+	const idbDatabase = new IDBDatabaseService();
+	const previousSession = new WriteQueue();
+	await previousSession.connect(idbDatabase);
+	const { id } = await previousSession.add(userLibrary.path, { type: "delete-tags", tags: ["systems"] });
+
+	const queue = new WriteQueue();
+	const { id: newId } = await queue.add(userLibrary.path, { type: "write-items", dataList: [{ itemType: "book" }] });
+	await queue.connect(idbDatabase);
+
+	expect(queue.entries.map(entry => entry.id)).toEqual([id, newId]);
+
+	const store = await idbDatabase.selectStore(IDB_WRITE_QUEUE_STORE_NAME);
+	expect((await store.getAll()).map(entry => entry.id)).toEqual(expect.arrayContaining([id, newId]));
+
+	await queue.discard(id);
+	expect(await store.get(id)).toBeUndefined();
+
+	// Completed writes are only kept for the current session
+	await queue.replay({ libraries: [library], queryClient });
+	expect(queue.entries.map(entry => entry.status)).toEqual(["completed"]);
+	expect(await store.get(newId)).toBeUndefined();
+
+	await idbDatabase.deleteSelf();
+});
+
+test("Queueing failed batches of a write", async () => {
+	window.zoteroRoam = mock<ZoteroRoam>();
+	const dataList = Array.from({ length: 60 }, (_v, i) => ({ key: "ITEM" + i }));
+	const results: PromiseSettledResult<unknown>[] = [
+		{ status: "rejected", reason: makeAxiosError(412) },
+		{ status: "rejected", reason: makeAxiosError(429) }
+	];
+
+	await queueFailedWrites(results, dataList, userLibrary.path);
+
+	expect(writeQueue.entries).toEqual([
+		expect.objectContaining({
+			dataList: dataList.slice(50),
+			library: userLibrary.path,
+			status: "pending",
+			type: "write-items"
+		})
+	]);
+	expect(window.zoteroRoam.warn).toHaveBeenCalledTimes(1);
+	expect(window.zoteroRoam.warn).toHaveBeenCalledWith(expect.objectContaining({
+		message: "1 write queued for later"
+	}));
+
+	await writeQueue.discard(writeQueue.entries[0].id);
+	expect(deleteTags).not.toHaveBeenCalled();
+});
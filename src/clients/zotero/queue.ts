@@ -0,0 +1,299 @@
+import { QueryClient } from "@tanstack/query-core";
+import { isAxiosError } from "axios";
+
+import IDBDatabaseService from "@services/idb";
+
+import { deleteTags, fetchItemVersions, fetchLibraryVersion, writeItems } from "./base";
+import { ZoteroAPI } from "./types";
+
+import { cleanError, pluralize } from "../../utils";
+
+import { IDB_WRITE_QUEUE_STORE_NAME } from "../../constants";
+import { isFulfilled } from "Types/helpers";
+import { ZLibrary } from "Types/transforms";
+
+
+export type QueuedWriteOperation =
+	| { type: "delete-tags", tags: string[] }
+	| { type: "write-items", dataList: Record<string, any>[] };
+
+export type QueuedWrite = QueuedWriteOperation & {
+	/** The number of times the write was attempted */
+	attempts: number,
+	/** The time when the write was first queued, as a Unix timestamp */
+	createdAt: number,
+	/** The error from the latest attempt, if any */
+	error: string | null,
+	id: string,
+	/** The path of the targeted library. API keys aren't stored : they are retrieved from the user's settings when the write is replayed. */
+	library: string,
+	status: "completed" | "failed" | "pending",
+	/** The time of the latest change to the write, as a Unix timestamp */
+	updatedAt: number
+};
+
+/** Checks if a failed request should be queued for later : requests that couldn't reach the API, or were rate-limited, are retried.
+ * @param error - The error thrown by the request
+ */
+function isRetryableError(error: unknown) {
+	if (isAxiosError(error)) {
+		return !error.response || error.response.status == 429;
+	}
+	return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+/** Extracts a readable message from an error */
+function formatError(error: unknown): string {
+	const cleaned = error instanceof Error ? cleanError(error) : error;
+	return typeof cleaned === "string" ? cleaned : JSON.stringify(cleaned);
+}
+
+
+/**
+ * Holds Zotero writes that couldn't be completed (because of connectivity issues or rate limits), so that they can be replayed later.
+ * Once connected to the extension's database, pending and failed writes are persisted across sessions. Completed writes are only kept for the current session.
+ */
+class WriteQueue {
+	#db: IDBDatabaseService | null = null;
+	#entries: QueuedWrite[] = [];
+	#isReplaying = false;
+	#listeners = new Set<() => void>();
+
+	/** The queued writes, in the order they were added */
+	get entries() {
+		return [...this.#entries];
+	}
+
+	/** Connects the queue to the extension's database, and loads writes that were queued in previous sessions. */
+	async connect(db: IDBDatabaseService) {
+		this.#db = db;
+		const store = await db.selectStore(IDB_WRITE_QUEUE_STORE_NAME);
+		const saved = await store.getAll();
+		const currentIds = this.#entries.map(entry => entry.id);
+
+		// Writes queued before the connection are persisted too, and completed writes from previous versions are cleaned up
+		await Promise.all([
+			...this.#entries.filter(entry => entry.status != "completed").map(entry => store.set(entry.id, entry)),
+			...saved.filter(entry => entry.status == "completed").map(entry => store.delete(entry.id))
+		]);
+
+		this.#entries = [...saved.filter(entry => entry.status != "completed" && !currentIds.includes(entry.id)), ...this.#entries]
+			.sort((a, b) => a.createdAt - b.createdAt);
+		this.#notify();
+	}
+
+	/** Registers a callback to be called whenever the queue changes
+	 * @returns A function to unsubscribe the callback
+	 */
+	subscribe(listener: () => void) {
+		this.#listeners.add(listener);
+		return () => {
+			this.#listeners.delete(listener);
+		};
+	}
+
+	/** Adds a write to the queue
+	 * @param library - The path of the targeted library
+	 * @param operation - The write to queue
+	 * @param error - The error that prevented the write
+	 */
+	async add(library: string, operation: QueuedWriteOperation, error: unknown = null) {
+		const now = Date.now();
+		const entry: QueuedWrite = {
+			...operation,
+			attempts: 1,
+			createdAt: now,
+			error: error ? formatError(error) : null,
+			id: now + "-" + Math.random().toString(36).slice(2, 10),
+			library,
+			status: "pending",
+			updatedAt: now
+		};
+
+		this.#entries = [...this.#entries, entry];
+		await this.#persist(entry);
+
+		return entry;
+	}
+
+	/** Removes a write from the queue */
+	async discard(id: string) {
+		this.#entries = this.#entries.filter(entry => entry.id != id);
+		this.#notify();
+		if (this.#db) {
+			const store = await this.#db.selectStore(IDB_WRITE_QUEUE_STORE_NAME);
+			await store.delete(id);
+		}
+	}
+
+	/** Replays all pending writes, in the order they were queued. The replay stops if a write still can't reach the API. */
+	async replay({ libraries, queryClient }: { libraries: ZLibrary[], queryClient: QueryClient }) {
+		if (this.#isReplaying) {
+			return;
+		}
+
+		// Writes are replayed sequentially, to preserve their order
+		const replayFrom = async ([entry, ...rest]: QueuedWrite[]): Promise<void> => {
+			if (!entry) {
+				return;
+			}
+			const { status, error } = await this.#run(entry, { libraries, queryClient });
+			if (status == "pending" && isRetryableError(error)) {
+				return;
+			}
+			return replayFrom(rest);
+		};
+
+		this.#isReplaying = true;
+		try {
+			await replayFrom(this.#entries.filter(ent => ent.status == "pending"));
+		} finally {
+			this.#isReplaying = false;
+		}
+	}
+
+	/** Replays a single write, regardless of its status */
+	async retry(id: string, { libraries, queryClient }: { libraries: ZLibrary[], queryClient: QueryClient }) {
+		const entry = this.#entries.find(ent => ent.id == id);
+		if (entry) {
+			await this.#run(entry, { libraries, queryClient });
+		}
+	}
+
+	#notify() {
+		this.#listeners.forEach(listener => listener());
+	}
+
+	async #persist(entry: QueuedWrite) {
+		this.#notify();
+		if (this.#db) {
+			const store = await this.#db.selectStore(IDB_WRITE_QUEUE_STORE_NAME);
+			if (entry.status == "completed") {
+				await store.delete(entry.id);
+			} else {
+				await store.set(entry.id, entry);
+			}
+		}
+	}
+
+	async #run(entry: QueuedWrite, { libraries, queryClient }: { libraries: ZLibrary[], queryClient: QueryClient }) {
+		const library = libraries.find(lib => lib.path == entry.library);
+		let update: Pick<QueuedWrite, "error" | "status">;
+		let error: unknown = null;
+
+		try {
+			if (!library) {
+				throw new Error(`No library with path ${entry.library} was found in the extension's settings`);
+			}
+			await runWrite(entry, library);
+			update = { error: null, status: "completed" };
+		} catch (e) {
+			error = e;
+			update = { error: formatError(e), status: isRetryableError(e) ? "pending" : "failed" };
+		}
+
+		const updatedEntry: QueuedWrite = {
+			...entry,
+			...update,
+			attempts: entry.attempts + 1,
+			updatedAt: Date.now()
+		};
+		this.#entries = this.#entries.map(ent => ent.id == entry.id ? updatedEntry : ent);
+		await this.#persist(updatedEntry);
+
+		if (updatedEntry.status == "completed") {
+			queryClient.invalidateQueries(["items", entry.library], { refetchType: "all" });
+			if (entry.type == "delete-tags") {
+				queryClient.invalidateQueries(["tags", { library: entry.library }], { refetchType: "all" });
+			}
+		}
+
+		return { error, status: updatedEntry.status };
+	}
+}
+
+
+/** Describes a queued write in a readable way */
+function describeWrite(entry: Pick<QueuedWrite, "library"> & QueuedWriteOperation) {
+	switch (entry.type) {
+	case "delete-tags":
+		return `delete ${pluralize(entry.tags.length, "tag")} from ${entry.library}`;
+	case "write-items":
+	default:
+		return `write ${pluralize(entry.dataList.length, "item")} to ${entry.library}`;
+	}
+}
+
+/** Sends a queued write to the Zotero API */
+async function runWrite(entry: QueuedWrite, library: ZLibrary) {
+	switch (entry.type) {
+	case "delete-tags": {
+		// The library has likely been modified since the deletion was queued, so its current version is used
+		const version = await fetchLibraryVersion(library);
+		await deleteTags(entry.tags, library, version);
+		break;
+	}
+	case "write-items":
+	default: {
+		// The items may have been modified since the write was queued, so their current version is used
+		const keys = entry.dataList.map(data => data.key).filter(Boolean);
+		const versions = keys.length > 0 ? await fetchItemVersions(keys, library) : {};
+		const dataList = entry.dataList.map(data => data.key in versions ? { ...data, version: versions[data.key] } : data);
+
+		const [res] = await writeItems(dataList, library);
+		if (!isFulfilled(res)) {
+			throw res.reason;
+		}
+		const failed = Object.values<ZoteroAPI.Responses.ItemsWrite["failed"][number]>(res.value.data.failed);
+		if (failed.length > 0) {
+			throw new Error(`${pluralize(failed.length, "item")} could not be written : ` + JSON.stringify(failed));
+		}
+	}
+	}
+}
+
+/** Queues the batches of a write that failed because of connectivity issues or rate limits.
+ * @param results - The outcome of each batch, as returned by {@link writeItems}
+ * @param dataList - The data that was written
+ * @param path - The path of the targeted library
+ */
+async function queueFailedWrites(results: PromiseSettledResult<unknown>[], dataList: Record<string, any>[], path: string) {
+	// writeItems sends the data in batches of 50
+	const entries = await Promise.all(results.flatMap((res, i) => res.status == "rejected" && isRetryableError(res.reason)
+		? [writeQueue.add(path, { type: "write-items", dataList: dataList.slice(50 * i, 50 * (i + 1)) }, res.reason)]
+		: []));
+
+	warnQueuedWrites(path, entries);
+}
+
+/** Logs a single warning for writes that were just queued
+ * @param path - The path of the targeted library
+ * @param entries - The queued writes
+ */
+function warnQueuedWrites(path: string, entries: QueuedWrite[]) {
+	if (entries.length == 0) {
+		return;
+	}
+
+	window.zoteroRoam?.warn?.({
+		origin: "API",
+		message: pluralize(entries.length, "write", " queued for later"),
+		context: {
+			library: path,
+			writes: entries.map(entry => ({ description: describeWrite(entry), error: entry.error }))
+		}
+	});
+}
+
+/** The queue of Zotero writes for the extension */
+const writeQueue = new WriteQueue();
+
+
+export {
+	describeWrite,
+	isRetryableError,
+	queueFailedWrites,
+	warnQueuedWrites,
+	writeQueue,
+	WriteQueue
+};
@@ -0,0 +1,106 @@
+import "fake-indexeddb/auto";
+import { vi } from "vitest";
+
+import { CitekeyRenameQueue } from "./renames";
+
+import IDBDatabaseService from "@services/idb";
+
+import { IDB_CITEKEY_RENAMES_STORE_NAME } from "../../constants";
+import { libraries } from "Mocks";
+
+
+const { userLibrary } = libraries;
+const makeChange = (from: string, to: string, itemKey = "ABCD1234") => ({ from, itemKey, library: userLibrary.path, to });
+
+
+describe("Recording citekey renames", () => {
+	test("New renames are added as pending", async () => {
+		const queue = new CitekeyRenameQueue();
+		const listener = vi.fn();
+		queue.subscribe(listener);
+
+		await queue.add([makeChange("smith2020", "smithHousing2020")]);
+
+		expect(queue.entries).toEqual([
+			expect.objectContaining({
+				from: "smith2020",
+				id: `${userLibrary.path}/ABCD1234/smith2020`,
+				status: "pending",
+				to: "smithHousing2020"
+			})
+		]);
+		expect(listener).toHaveBeenCalled();
+	});
+
+	test("Successive renames of an item update its pending entry", async () => {
+		const queue = new CitekeyRenameQueue();
+		await queue.add([makeChange("smith2020", "smithHousing2020")]);
+		await queue.add([makeChange("smithHousing2020", "smithHousingPolicy2020")]);
+
+		expect(queue.entries).toHaveLength(1);
+		expect(queue.entries[0]).toEqual(expect.objectContaining({ from: "smith2020", to: "smithHousingPolicy2020" }));
+
+		await queue.add([makeChange("smithHousingPolicy2020", "smith2020")]);
+		expect(queue.entries).toEqual([]);
+	});
+
+	test("Items renamed after their previous rename was reviewed get a new entry", async () => {
+		const queue = new CitekeyRenameQueue();
+		await queue.add([makeChange("smith2020", "smithHousing2020")]);
+		await queue.setStatus(queue.entries[0].id, "applied");
+		await queue.add([makeChange("smithHousing2020", "smithHousingPolicy2020")]);
+
+		expect(queue.entries.map(entry => entry.status)).toEqual(["applied", "pending"]);
+	});
+});
+
+describe("Resolving citekey aliases", () => {
+	test("Renames are followed to the current citekey", async () => {
+		const queue = new CitekeyRenameQueue();
+		await queue.add([makeChange("smith2020", "smithHousing2020")]);
+		await queue.setStatus(queue.entries[0].id, "applied");
+		await queue.add([makeChange("smithHousing2020", "smithHousingPolicy2020")]);
+
+		expect(queue.resolve("smith2020")).toBe("smithHousingPolicy2020");
+		expect(queue.resolve("doe2021")).toBe("doe2021");
+		expect(queue.aliases()).toEqual(new Map([
+			["smith2020", "smithHousingPolicy2020"],
+			["smithHousing2020", "smithHousingPolicy2020"]
+		]));
+	});
+
+	test("Dismissed renames are not used as aliases", async () => {
+		const queue = new CitekeyRenameQueue();
+		await queue.add([makeChange("smith2020", "smithHousing2020")]);
+		await queue.setStatus(queue.entries[0].id, "dismissed");
+
+		expect(queue.resolve("smith2020")).toBe("smith2020");
+		expect(queue.aliases().size).toBe(0);
+	});
+
+	test("Circular renames don't loop", async () => {
+		const queue = new CitekeyRenameQueue();
+		await queue.add([makeChange("keyA", "keyB", "ITEM0001")]);
+		await queue.add([makeChange("keyB", "keyA", "ITEM0002")]);
+
+		expect(queue.resolve("keyA")).toBe("keyA");
+	});
+});
+
+test("Persisting citekey renames in the database", async () => {
+	const idbDatabase = new IDBDatabaseService();
+	const previousSession = new CitekeyRenameQueue();
+	await previousSession.connect(idbDatabase);
+	await previousSession.add([makeChange("smith2020", "smithHousing2020")]);
+
+	const queue = new CitekeyRenameQueue();
+	await queue.add([makeChange("doe2021", "doeTenancy2021", "EFGH5678")]);
+	await queue.connect(idbDatabase);
+
+	expect(queue.entries.map(entry => entry.from)).toEqual(["smith2020", "doe2021"]);
+
+	const store = await idbDatabase.selectStore(IDB_CITEKEY_RENAMES_STORE_NAME);
+	expect((await store.getAll()).map(entry => entry.from)).toEqual(expect.arrayContaining(["smith2020", "doe2021"]));
+
+	await idbDatabase.deleteSelf();
+});
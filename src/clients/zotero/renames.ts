@@ -0,0 +1,184 @@
+import IDBDatabaseService from "@services/idb";
+
+import { CitekeyChange } from "./helpers";
+
+import { IDB_CITEKEY_RENAMES_STORE_NAME } from "../../constants";
+
+
+export type CitekeyRename = CitekeyChange & {
+	/** The time when the rename was first detected, as a Unix timestamp */
+	createdAt: number,
+	id: string,
+	/** Whether the rename was applied to the Roam graph, dismissed by the user, or is awaiting review */
+	status: "applied" | "dismissed" | "pending",
+	/** The time of the latest change to the entry, as a Unix timestamp */
+	updatedAt: number
+};
+
+
+/**
+ * Holds the citekey renames detected during sync, so that they can be reviewed and applied to the Roam graph.
+ * Renames that weren't dismissed also serve as aliases, so that references to an old citekey can be resolved to the item's current citekey.
+ * Once connected to the extension's database, renames are persisted across sessions.
+ */
+class CitekeyRenameQueue {
+	#db: IDBDatabaseService | null = null;
+	#entries: CitekeyRename[] = [];
+	#listeners = new Set<() => void>();
+
+	/** The detected renames, in the order they were added */
+	get entries() {
+		return [...this.#entries];
+	}
+
+	/** Connects the queue to the extension's database, and loads renames that were detected in previous sessions. */
+	async connect(db: IDBDatabaseService) {
+		this.#db = db;
+		const store = await db.selectStore(IDB_CITEKEY_RENAMES_STORE_NAME);
+		const saved = await store.getAll();
+		const currentIds = this.#entries.map(entry => entry.id);
+
+		// Renames detected before the connection are persisted too
+		await Promise.all(this.#entries.map(entry => store.set(entry.id, entry)));
+
+		this.#entries = [...saved.filter(entry => !currentIds.includes(entry.id)), ...this.#entries]
+			.sort((a, b) => a.createdAt - b.createdAt);
+		this.#notify();
+	}
+
+	/** Registers a callback to be called whenever the queue changes
+	 * @returns A function to unsubscribe the callback
+	 */
+	subscribe(listener: () => void) {
+		this.#listeners.add(listener);
+		return () => {
+			this.#listeners.delete(listener);
+		};
+	}
+
+	/** Records citekey renames. If an item is renamed again before its previous rename was reviewed, the pending entry is updated instead.
+	 * @param changes - The citekey changes detected during sync
+	 */
+	async add(changes: CitekeyChange[]) {
+		if (changes.length == 0) {
+			return;
+		}
+
+		const now = Date.now();
+		const removed = new Set<string>();
+		const updated = new Map<string, CitekeyRename>();
+		let entries = [...this.#entries];
+
+		const upsert = (entry: CitekeyRename) => {
+			entries = entries.some(ent => ent.id == entry.id)
+				? entries.map(ent => ent.id == entry.id ? entry : ent)
+				: [...entries, entry];
+			removed.delete(entry.id);
+			updated.set(entry.id, entry);
+		};
+
+		changes.forEach(change => {
+			const pending = entries.find(entry => entry.status == "pending" && entry.library == change.library && entry.itemKey == change.itemKey);
+
+			if (pending) {
+				if (pending.from == change.to) {
+					// The item was given back its original citekey
+					entries = entries.filter(entry => entry.id != pending.id);
+					updated.delete(pending.id);
+					removed.add(pending.id);
+				} else {
+					upsert({ ...pending, to: change.to, updatedAt: now });
+				}
+			} else {
+				upsert({
+					...change,
+					createdAt: now,
+					id: [change.library, change.itemKey, change.from].join("/"),
+					status: "pending",
+					updatedAt: now
+				});
+			}
+		});
+
+		this.#entries = entries;
+		this.#notify();
+
+		if (this.#db) {
+			const store = await this.#db.selectStore(IDB_CITEKEY_RENAMES_STORE_NAME);
+			await Promise.all([
+				...Array.from(removed, id => store.delete(id)),
+				...Array.from(updated.values(), entry => store.set(entry.id, entry))
+			]);
+		}
+	}
+
+	/** Lists the aliases for all citekeys that were renamed, and not dismissed
+	 * @returns A mapping between the old citekeys and the items' current citekeys
+	 */
+	aliases() {
+		return new Map(this.#entries
+			.filter(entry => entry.status != "dismissed")
+			.map(entry => [entry.from, this.resolve(entry.from)]));
+	}
+
+	/** Resolves a citekey to the item's current citekey, following successive renames. Citekeys that weren't renamed are returned as-is.
+	 * @param citekey - The citekey to resolve, without the `@` prefix
+	 */
+	resolve(citekey: string) {
+		const visited = new Set<string>();
+		let current = citekey;
+
+		while (!visited.has(current)) {
+			visited.add(current);
+			const rename = this.#entries.find(entry => entry.status != "dismissed" && entry.from == current);
+			if (!rename) {
+				break;
+			}
+			current = rename.to;
+		}
+
+		return current;
+	}
+
+	/** Marks a rename as applied to the Roam graph, or as dismissed */
+	async setStatus(id: string, status: CitekeyRename["status"]) {
+		const entry = this.#entries.find(ent => ent.id == id);
+		if (entry) {
+			await this.#update({ ...entry, status, updatedAt: Date.now() });
+		}
+	}
+
+	#notify() {
+		this.#listeners.forEach(listener => listener());
+	}
+
+	async #remove(id: string) {
+		this.#entries = this.#entries.filter(entry => entry.id != id);
+		this.#notify();
+		if (this.#db) {
+			const store = await this.#db.selectStore(IDB_CITEKEY_RENAMES_STORE_NAME);
+			await store.delete(id);
+		}
+	}
+
+	async #update(entry: CitekeyRename) {
+		const exists = this.#entries.some(ent => ent.id == entry.id);
+		this.#entries = exists
+			? this.#entries.map(ent => ent.id == entry.id ? entry : ent)
+			: [...this.#entries, entry];
+		this.#notify();
+		if (this.#db) {
+			const store = await this.#db.selectStore(IDB_CITEKEY_RENAMES_STORE_NAME);
+			await store.set(entry.id, entry);
+		}
+	}
+}
+
+/** The citekey renames detected for the extension */
+const citekeyRenames = new CitekeyRenameQueue();
+
+
+export {
+	CitekeyRenameQueue,
+	citekeyRenames
+};
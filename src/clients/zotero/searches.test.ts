@@ -0,0 +1,113 @@
+import { SavedSearchIndex, evaluateSearch } from "./searches";
+import { ZoteroAPI } from "./types";
+
+import { findCollections, items, libraries, sampleNote } from "Mocks";
+
+
+const { userLibrary, groupLibrary } = libraries;
+
+const makeSearch = (key: string, conditions: ZoteroAPI.SavedSearchCondition[]) => ({
+	data: { conditions, key, name: key, version: 1 },
+	key,
+	library: items[0].library,
+	links: {},
+	meta: {},
+	version: 1
+});
+
+
+describe("Evaluating saved searches", () => {
+	const userItem = items.find(it => it.data.key == "PPD648N6")!;
+	const groupItem = items.find(it => it.data.key == "D53X926C")!;
+
+	const cases = [
+		["title contains", [{ condition: "title", operator: "contains", value: "SOCIAL INTERVENTIONS" }], [userItem.data.key]],
+		["title does not contain", [{ condition: "title", operator: "doesNotContain", value: "social interventions" }], [groupItem.data.key]],
+		["tag is", [{ condition: "tag", operator: "is", value: "housing" }], [groupItem.data.key]],
+		["tag is not", [{ condition: "tag", operator: "isNot", value: "housing" }], [userItem.data.key]],
+		["creator contains", [{ condition: "creator", operator: "contains", value: "rozmovits" }], [userItem.data.key]],
+		["date is before", [{ condition: "dateAdded", operator: "isBefore", value: "2021-09-01" }], [groupItem.data.key]],
+		["any field contains", [{ condition: "anyField", operator: "contains", value: "CMAJ" }], [userItem.data.key]],
+		["join mode is all", [
+			{ condition: "tag", operator: "is", value: "housing" },
+			{ condition: "title", operator: "contains", value: "social interventions" }
+		], []],
+		["join mode is any", [
+			{ condition: "joinMode", operator: "any", value: "any" },
+			{ condition: "tag", operator: "is", value: "housing" },
+			{ condition: "title", operator: "contains", value: "social interventions" }
+		], [userItem.data.key, groupItem.data.key]],
+		["unsupported conditions", [{ condition: "fulltextContent", operator: "contains", value: "poverty" }], []]
+	] as const;
+
+	test.each(cases)(
+		"%# Searching with %s",
+		(_label, conditions, expected) => {
+			const search = makeSearch("SEARCH01", [...conditions]);
+			expect(evaluateSearch(search, [userItem, groupItem])).toEqual(expected);
+		}
+	);
+
+	test("Searches without conditions match all items", () => {
+		expect(evaluateSearch(makeSearch("SEARCH01", []), [userItem, groupItem]))
+			.toEqual([userItem.data.key, groupItem.data.key]);
+	});
+
+	test("Children that match a search are returned as their parent", () => {
+		const search = makeSearch("SEARCH01", [{ condition: "tag", operator: "is", value: "toRead" }]);
+		expect(evaluateSearch(search, [userItem, sampleNote])).toEqual([sampleNote.data.parentItem]);
+	});
+
+	test("Subcollections are searched if the search is recursive", () => {
+		const [parent] = findCollections(userLibrary.type, userLibrary.id, 0);
+		const child = { ...parent, key: "CHILD123", data: { ...parent.data, key: "CHILD123", parentCollection: parent.key } };
+		const collections = [parent, child];
+
+		const item = { ...userItem, data: { ...userItem.data, collections: [child.key] } };
+		const conditions = [{ condition: "collection", operator: "is", value: parent.key }];
+
+		expect(evaluateSearch(makeSearch("SEARCH01", conditions), [item], { collections })).toEqual([]);
+		expect(evaluateSearch(
+			makeSearch("SEARCH01", [...conditions, { condition: "recursive", operator: "true", value: "true" }]),
+			[item],
+			{ collections }
+		)).toEqual([item.data.key]);
+	});
+
+	test("Saved searches can refer to other searches, without circular references", () => {
+		const housing = makeSearch("HOUSING1", [{ condition: "tag", operator: "is", value: "housing" }]);
+		const nested = makeSearch("NESTED01", [{ condition: "savedSearch", operator: "is", value: housing.key }]);
+		const circular = makeSearch("CIRCULAR", [{ condition: "savedSearch", operator: "is", value: "CIRCULAR" }]);
+		const searches = [housing, nested, circular];
+
+		expect(evaluateSearch(nested, [userItem, groupItem], { searches })).toEqual([groupItem.data.key]);
+		expect(evaluateSearch(circular, [userItem, groupItem], { searches })).toEqual([]);
+	});
+});
+
+describe("Indexing the results of saved searches", () => {
+	const index = new SavedSearchIndex();
+	const membership = { items: ["ABCD1234"], key: "SEARCH01", library: userLibrary.path, name: "To Read" };
+
+	beforeAll(() => {
+		index.set(membership);
+	});
+
+	test("Searches can be designated by ID, key or name", () => {
+		const item = { itemKey: "ABCD1234", library: userLibrary.path };
+
+		expect(index.includes(userLibrary.path + "/SEARCH01", item)).toBe(true);
+		expect(index.includes("SEARCH01", item)).toBe(true);
+		expect(index.includes("to read", item)).toBe(true);
+		expect(index.includes("unknown", item)).toBe(false);
+	});
+
+	test("Items are matched within the search's library", () => {
+		expect(index.includes("SEARCH01", { itemKey: "ABCD1234", library: groupLibrary.path })).toBe(false);
+		expect(index.includes("SEARCH01", { itemKey: "EFGH5678", library: userLibrary.path })).toBe(false);
+	});
+
+	test("Search results can be listed", () => {
+		expect(index.list()).toEqual([membership]);
+	});
+});
@@ -0,0 +1,279 @@
+import { ZoteroAPI } from "./types";
+
+import { ZItem } from "Types/transforms";
+
+
+export type SavedSearchMembership = {
+	/** The keys of the top-level items that match the search */
+	items: string[],
+	/** The search's Zotero key */
+	key: string,
+	/** The path of the search's library */
+	library: string,
+	/** The search's display name */
+	name: string
+};
+
+type EvaluationContext = {
+	collections: ZoteroAPI.Collection[],
+	searches: ZoteroAPI.SavedSearch[],
+	/** The keys of the searches being evaluated, to avoid circular references */
+	visited: string[]
+};
+
+/** Search options that are stored as conditions, but don't apply to items */
+const SEARCH_OPTIONS = ["joinMode", "noChildren", "includeParentsAndChildren", "recursive", "deleted"];
+
+/** Conditions that match against all of an item's fields */
+const ANY_FIELD_CONDITIONS = ["anyField", "quicksearch-all", "quicksearch-everything", "quicksearch-fields", "quicksearch-titleCreatorYear"];
+
+/** Extracts a Zotero key from a search condition's value, which may be prefixed with a library ID */
+function parseKey(value: string) {
+	return value.split(/[_/]/).pop() || "";
+}
+
+/** Returns the keys of a collection and all its descendants */
+function getDescendants(collectionKey: string, collections: ZoteroAPI.Collection[]): string[] {
+	const children = collections
+		.filter(cl => cl.data.parentCollection == collectionKey)
+		.flatMap(cl => getDescendants(cl.key, collections));
+	return [collectionKey, ...children];
+}
+
+/** Parses a relative date (e.g, "3 days"), as used by the `isInTheLast` operator */
+function parseRelativeDate(value: string) {
+	const [count, unit = "days"] = value.trim().split(/\s+/);
+	const date = new Date();
+	const nb = Number(count) || 0;
+
+	if (unit.startsWith("month")) {
+		date.setMonth(date.getMonth() - nb);
+	} else if (unit.startsWith("year")) {
+		date.setFullYear(date.getFullYear() - nb);
+	} else {
+		date.setDate(date.getDate() - nb);
+	}
+
+	return date;
+}
+
+/** Compares a text value against a condition's value, without regard to case */
+function compareText(text: string, operator: string, value: string) {
+	const target = text.toLowerCase();
+	const query = value.toLowerCase();
+
+	switch (operator) {
+	case "is":
+		return target == query;
+	case "isNot":
+		return target != query;
+	case "contains":
+		return target.includes(query);
+	case "doesNotContain":
+		return !target.includes(query);
+	case "beginsWith":
+		return target.startsWith(query);
+	default:
+		return false;
+	}
+}
+
+/** Compares a date value against a condition's value */
+function compareDate(text: string, operator: string, value: string) {
+	const date = new Date(text);
+	if (!text || isNaN(date.valueOf())) {
+		return false;
+	}
+
+	switch (operator) {
+	case "is":
+		return text.startsWith(value);
+	case "isNot":
+		return !text.startsWith(value);
+	case "isBefore":
+		return date < new Date(value);
+	case "isAfter":
+		return date > new Date(value);
+	case "isInTheLast":
+		return date >= parseRelativeDate(value);
+	default:
+		return compareText(text, operator, value);
+	}
+}
+
+/** Compares a list of values against a condition's value. Negative operators only match if none of the values match. */
+function compareList(list: string[], operator: string, value: string) {
+	if (operator == "isNot" || operator == "doesNotContain") {
+		const positive = operator == "isNot" ? "is" : "contains";
+		return list.every(val => !compareText(val, positive, value));
+	}
+	return list.some(val => compareText(val, operator, value));
+}
+
+/** Evaluates a single search condition against an item */
+function testCondition(item: ZItem, cond: ZoteroAPI.SavedSearchCondition, context: EvaluationContext, recursive: boolean): boolean {
+	const { condition, operator, value } = cond;
+	const data = item.data as Record<string, any>;
+
+	switch (condition) {
+	case "collection": {
+		const collectionKey = parseKey(value);
+		const keys = recursive ? getDescendants(collectionKey, context.collections) : [collectionKey];
+		const isInCollection = (data.collections || []).some((key: string) => keys.includes(key));
+		return operator == "isNot" ? !isInCollection : isInCollection;
+	}
+	case "savedSearch": {
+		const searchKey = parseKey(value);
+		const search = context.searches.find(s => s.key == searchKey);
+		if (!search || context.visited.includes(searchKey)) {
+			return false;
+		}
+		const isInSearch = testItem(item, search, { ...context, visited: [...context.visited, searchKey] });
+		return operator == "isNot" ? !isInSearch : isInSearch;
+	}
+	case "tag":
+		return compareList((data.tags || []).map((t: { tag: string }) => t.tag), operator, value);
+	case "creator":
+	case "author":
+		return compareList(
+			(data.creators || [])
+				.filter((cre: ZoteroAPI.Creator) => condition == "creator" || cre.creatorType == "author")
+				.map((cre: ZoteroAPI.Creator) => "name" in cre ? cre.name : [cre.firstName, cre.lastName].filter(Boolean).join(" ")),
+			operator,
+			value
+		);
+	case "itemType":
+		return compareText(data.itemType, operator, value);
+	case "date":
+	case "dateAdded":
+	case "dateModified":
+		return compareDate(data[condition] || "", operator, value);
+	case "year":
+		return compareText((data.date || "").match(/[0-9]{4}/)?.[0] || "", operator, value);
+	case "fulltextContent":
+	case "childNote":
+	case "annotationText":
+	case "annotationComment":
+		// This content isn't available in the items' metadata
+		return false;
+	default: {
+		if (ANY_FIELD_CONDITIONS.includes(condition)) {
+			const fields = Object.values(data).filter(val => typeof (val) == "string");
+			return compareList(fields, operator, value);
+		}
+		return compareText(String(data[condition] ?? ""), operator, value);
+	}
+	}
+}
+
+/** Evaluates all of a search's conditions against an item */
+function testItem(item: ZItem, search: ZoteroAPI.SavedSearch, context: EvaluationContext): boolean {
+	const { conditions } = search.data;
+	const joinMode = conditions.find(cond => cond.condition == "joinMode")?.value || "all";
+	const recursive = conditions.some(cond => cond.condition == "recursive" && cond.value == "true");
+	const criteria = conditions.filter(cond => !SEARCH_OPTIONS.includes(cond.condition));
+
+	if (criteria.length == 0) {
+		return true;
+	}
+
+	return joinMode == "any"
+		? criteria.some(cond => testCondition(item, cond, context, recursive))
+		: criteria.every(cond => testCondition(item, cond, context, recursive));
+}
+
+/** Evaluates a saved search against a list of items. When an attachment or a note matches the search, its parent item is included in the results.
+ * Conditions on content that isn't part of items' metadata (like full-text content) never match.
+ * @param search - The saved search
+ * @param items - The items to search
+ * @param config - The library's collections and saved searches, to evaluate conditions that refer to them
+ * @returns The keys of the top-level items that match the search
+ */
+function evaluateSearch(
+	search: ZoteroAPI.SavedSearch,
+	items: ZItem[],
+	{ collections = [], searches = [] }: { collections?: ZoteroAPI.Collection[], searches?: ZoteroAPI.SavedSearch[] } = {}
+): string[] {
+	const context: EvaluationContext = { collections, searches, visited: [search.key] };
+	const matches = new Set<string>();
+
+	items
+		.filter(item => testItem(item, search, context))
+		.forEach(item => {
+			const parentKey = (item.data as { parentItem?: string }).parentItem;
+			matches.add(parentKey || item.data.key);
+		});
+
+	return Array.from(matches);
+}
+
+
+/** The keys of the items that match each saved search, to speed up lookups */
+const membershipItems = new WeakMap<SavedSearchMembership, Set<string>>();
+
+/** Checks if an item matches a saved search
+ * @param memberships - The results of saved searches
+ * @param search - The search's ID (`library/key`), Zotero key or name. Names are matched without regard to case.
+ * @param item - The item's library path, and Zotero key
+ */
+function matchSavedSearch(memberships: SavedSearchMembership[], search: string, item: { library: string, itemKey: string }) {
+	const query = search.trim().toLowerCase();
+
+	return memberships
+		.filter(membership => membership.library + "/" + membership.key == search || membership.key == search || membership.name.toLowerCase() == query)
+		.some(membership => {
+			if (membership.library != item.library) {
+				return false;
+			}
+
+			let keys = membershipItems.get(membership);
+			if (!keys) {
+				keys = new Set(membership.items);
+				membershipItems.set(membership, keys);
+			}
+			return keys.has(item.itemKey);
+		});
+}
+
+
+/**
+ * Holds the results of the saved searches chosen by the user, so that items can be filtered by saved search.
+ * Searches can be designated by their Zotero key, or by their name.
+ */
+class SavedSearchIndex {
+	#searches = new Map<string, SavedSearchMembership>();
+
+	/** Removes all search results */
+	clear() {
+		this.#searches.clear();
+	}
+
+	/** Checks if an item matches a saved search
+	 * @param search - The search's Zotero key or name. Names are matched without regard to case.
+	 * @param item - The item's library path, and Zotero key
+	 */
+	includes(search: string, item: { library: string, itemKey: string }) {
+		return matchSavedSearch(this.list(), search, item);
+	}
+
+	/** Lists the results of all saved searches */
+	list() {
+		return Array.from(this.#searches.values());
+	}
+
+	/** Records the results of a saved search */
+	set(membership: SavedSearchMembership) {
+		this.#searches.set(membership.library + "/" + membership.key, membership);
+	}
+}
+
+/** The results of saved searches for the extension */
+const savedSearches = new SavedSearchIndex();
+
+
+export {
+	SavedSearchIndex,
+	evaluateSearch,
+	matchSavedSearch,
+	savedSearches
+};
@@ -62,6 +62,32 @@ export namespace ZoteroAPI {
 		}
 	}
 
+	/** A condition of a saved search
+	 * @see https://www.zotero.org/support/dev/web_api/v3/basics#searches
+	 */
+	export type SavedSearchCondition = {
+		/** The searched field, or a search option (like `joinMode`)
+		 * @example "tag", "collection", "title", "joinMode"
+		 */
+		condition: string,
+		/** The comparison operator
+		 * @example "is", "contains", "isBefore"
+		 */
+		operator: string,
+		value: string
+	};
+
+	export interface SavedSearch extends Base {
+		data: {
+			conditions: SavedSearchCondition[],
+			/** The search's Zotero key */
+			key: Base["key"],
+			/** The search's display name */
+			name: string,
+			version: Base["version"]
+		}
+	}
+
 	export interface Tag {
 		links: Base["links"],
 		meta: {
@@ -204,6 +230,13 @@ export namespace ZoteroAPI {
 
 		export type Collections = Collection[];
 
+		export interface CollectionsWrite {
+			failed: Record<number, { code: number, message: string }>,
+			success: Record<number, string>,
+			successful: Record<number, Collection>,
+			unchanged: Record<number, string>
+		}
+
 		/** DELETIONS */
 
 		export interface Deleted {
@@ -213,6 +246,19 @@ export namespace ZoteroAPI {
 			tags: string[]
 		}
 
+		/** FULL TEXT */
+		/** @see https://www.zotero.org/support/dev/web_api/v3/fulltext_content */
+		export interface Fulltext {
+			content: string,
+			indexedChars?: number,
+			indexedPages?: number,
+			totalChars?: number,
+			totalPages?: number
+		}
+
+		/** The library version of each attachment's full-text content, indexed by attachment key */
+		export type FulltextVersions = Record<string, number>;
+
 		/** ITEMS */
 		type ExportFormatData = {
 			[Format in ExportFormat]: string
@@ -231,6 +277,9 @@ export namespace ZoteroAPI {
 
 		export type ItemGet<T extends IncludeFormat = "data"> = Include<T>;
 		export type ItemsGet<T extends IncludeFormat = "data"> = Include<T>[];
+		export type ItemUpdate = null;
+		/** The version of each item, indexed by item key */
+		export type ItemVersions = Record<string, number>;
 
 		export interface ItemsWrite {
 			failed: Record<number, string>,
@@ -239,6 +288,9 @@ export namespace ZoteroAPI {
 			successful: Record<number, Item>
 		}
 
+		/** SEARCHES */
+		export type Searches = SavedSearch[];
+
 		/** TAGS */
 		export type Tags = Tag[];
 		// TODO: Verify return type
@@ -247,6 +299,25 @@ export namespace ZoteroAPI {
 	}
 }
 
+/**
+ * @see https://retorque.re/zotero-better-bibtex/exporting/json-rpc/
+ */
+export namespace BetterBibtexAPI {
+	/** A JSON-RPC response from Better BibTeX */
+	type Response<T> = {
+		id: number,
+		jsonrpc: "2.0"
+	} & (
+		| { result: T }
+		| { error: { code: number, message: string } }
+	);
+
+	export namespace Responses {
+		/** Citekeys indexed by item key. Items unknown to Better BibTeX have a `null` value. */
+		export type Citekeys = Response<Record<string, string | null>>;
+	}
+}
+
 type _CreatorType =
 	| "artist"
 	| "contributor"
@@ -12,8 +12,10 @@ import { RoamCitekeysProvider } from "Components/RoamCitekeysContext";
 import SearchPanel from "Components/SearchPanel";
 import { SettingsDialog, useOtherSettings, useRequestsSettings, useShortcutsSettings } from "Components/UserSettings";
 
+import { citekeyRenames, fulltextIndex, writeQueue } from "@clients/zotero";
+import { emitCustomEvent } from "@services/events";
 import IDBDatabase from "@services/idb";
-import { Roam, addPaletteCommand, getCurrentCursorLocation, maybeReturnCursorToPlace, removePaletteCommand } from "@services/roam";
+import { Roam, addPaletteCommand, getCurrentCursorLocation, getCurrentPageUID, insertPageBibliography, maybeReturnCursorToPlace, removePaletteCommand } from "@services/roam";
 import { createPersisterWithIDB, shouldQueryBePersisted, validateShortcuts } from "../../setup";
 
 import { AsBoolean } from "Types/helpers";
@@ -22,6 +24,7 @@ import { ExtensionContextValue, ExtensionStatusEnum, SettingsOther, SettingsShor
 
 const openSearchCommand = "zoteroRoam : Open Search Panel";
 const openDashboardCommand = "zoteroRoam : Open Dashboard";
+const insertBibliographyCommand = "zoteroRoam : Insert bibliography for this page";
 
 const ExtensionContext = createContext<ExtensionContextValue | null>(null);
 
@@ -66,6 +69,10 @@ const QCProvider: FC<QCProviderProps> = ({ children, idbDatabase }) => {
 				origin: "Database",
 				message: "Initialization complete"
 			});
+			emitCustomEvent({
+				_type: "cache-restored",
+				queries: queryClient.getQueryCache().getAll().length
+			});
 		},
 		persistOptions: {
 			buster: "v1.0",
@@ -151,11 +158,55 @@ class App extends Component<AppProps, AppState> {
 		this.toggleSettings = this.toggleSettings.bind(this);
 		this.closeLogger = this.closeLogger.bind(this);
 		this.openLogger = this.openLogger.bind(this);
+		this.replayWrites = this.replayWrites.bind(this);
+		this.insertBibliography = this.insertBibliography.bind(this);
 	}
 
 	componentDidMount(){
 		addPaletteCommand(openSearchCommand, this.openSearchPanel, this.props.extensionAPI);
 		addPaletteCommand(openDashboardCommand, this.openDashboard, this.props.extensionAPI);
+		addPaletteCommand(insertBibliographyCommand, this.insertBibliography, this.props.extensionAPI);
+
+		emitCustomEvent({
+			_type: "ready",
+			version: this.props.extension.version
+		});
+
+		// Writes queued in previous sessions are loaded, then replayed along with any queued since
+		writeQueue.connect(this.props.idbDatabase)
+			.then(this.replayWrites)
+			.catch((e) => {
+				window.zoteroRoam?.error?.({
+					origin: "Database",
+					message: "Failed to load the write queue",
+					context: {
+						error: e.message
+					}
+				});
+			});
+		window.addEventListener("online", this.replayWrites);
+
+		fulltextIndex.connect(this.props.idbDatabase)
+			.catch((e) => {
+				window.zoteroRoam?.error?.({
+					origin: "Database",
+					message: "Failed to load the full-text index",
+					context: {
+						error: e.message
+					}
+				});
+			});
+
+		citekeyRenames.connect(this.props.idbDatabase)
+			.catch((e) => {
+				window.zoteroRoam?.error?.({
+					origin: "Database",
+					message: "Failed to load citekey renames",
+					context: {
+						error: e.message
+					}
+				});
+			});
 	}
 
 	componentDidUpdate(prevProps){
@@ -177,6 +228,8 @@ class App extends Component<AppProps, AppState> {
 	componentWillUnmount(){
 		removePaletteCommand(openSearchCommand, this.props.extensionAPI);
 		removePaletteCommand(openDashboardCommand, this.props.extensionAPI);
+		removePaletteCommand(insertBibliographyCommand, this.props.extensionAPI);
+		window.removeEventListener("online", this.replayWrites);
 	}
 
 	render() {
@@ -311,6 +364,23 @@ class App extends Component<AppProps, AppState> {
 		this.setState((_prev) => ({ isLoggerOpen: true }));
 	}
 
+	replayWrites() {
+		return writeQueue.replay({ libraries: this.props.requests.libraries, queryClient });
+	}
+
+	async insertBibliography() {
+		const pageUID = await getCurrentPageUID();
+		if (!pageUID) {
+			window.zoteroRoam?.warn?.({
+				origin: "Bibliography",
+				message: "No page is open in the main window",
+				showToaster: true
+			});
+			return;
+		}
+		await insertPageBibliography(pageUID);
+	}
+
 }
 
 
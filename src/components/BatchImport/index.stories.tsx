@@ -0,0 +1,109 @@
+import { ComponentProps } from "react";
+import { expect, userEvent, waitFor, within } from "@storybook/test";
+
+import { Meta, StoryObj } from "@storybook/react";
+
+import BatchImport from "Components/BatchImport";
+import { cleanLibraryItem } from "../../utils";
+
+import { importItemsMetadata } from "Mocks/roam";
+import { items } from "Mocks";
+
+
+type Props = ComponentProps<typeof BatchImport>;
+
+const cleanItems = items.slice(0, 3).map(item => cleanLibraryItem(item, [], [], new Map([])));
+
+export default {
+	component: BatchImport,
+	args: {
+		items: cleanItems
+	},
+	parameters: {
+		userSettings: {
+			annotations: {},
+			metadata: {},
+			notes: {},
+			typemap: {}
+		}
+	}
+} as Meta<Props>;
+
+export const Default: StoryObj<Props> = {};
+
+export const WithInteractions: StoryObj<Props> = {
+	play: async ({ args, canvasElement, parameters }) => {
+		const { userSettings } = parameters;
+		const frame = within(canvasElement.parentElement!);
+
+		await userEvent.click(frame.getByRole("button", { name: "Import metadata" }));
+
+		await waitFor(() => expect(importItemsMetadata).toHaveBeenCalled(), { timeout: 1000 });
+
+		await expect(importItemsMetadata).toHaveBeenCalledWith(
+			args.items.map(({ children: { notes, pdfs }, raw }) => ({ item: raw, notes, pdfs })),
+			userSettings.metadata,
+			userSettings.typemap,
+			userSettings.notes,
+			userSettings.annotations,
+			expect.objectContaining({ onProgress: expect.any(Function), signal: expect.any(AbortSignal) })
+		);
+
+		await waitFor(() => expect(frame.getByText("Metadata was imported for 3 out of 3 items."))
+			.toBeInTheDocument(),
+		{ timeout: 1000 });
+	}
+};
+
+export const WithFailures: StoryObj<Props> = {
+	play: async ({ canvasElement }) => {
+		const frame = within(canvasElement.parentElement!);
+
+		importItemsMetadata.mockImplementationOnce((entries, ..._args) => Promise.resolve({
+			cancelled: false,
+			failures: [{ citekey: "@" + entries[1].item.key, error: "Some error" }],
+			imported: ["@" + entries[0].item.key, "@" + entries[2].item.key],
+			total: entries.length
+		}));
+
+		await userEvent.click(frame.getByRole("button", { name: "Import metadata" }));
+
+		await waitFor(() => expect(frame.getByText("Metadata was imported for 2 out of 3 items."))
+			.toBeInTheDocument(),
+		{ timeout: 1000 });
+
+		await expect(frame.getByText("@" + cleanItems[1].key)).toBeInTheDocument();
+		await expect(frame.getByText("Some error")).toBeInTheDocument();
+	}
+};
+
+export const WithCancellation: StoryObj<Props> = {
+	play: async ({ canvasElement }) => {
+		const frame = within(canvasElement.parentElement!);
+
+		// Report progress for the first item, then wait for the import to be aborted
+		importItemsMetadata.mockImplementationOnce((entries, ...args) => {
+			const { onProgress, signal } = args[4];
+			onProgress({ completed: 1, total: entries.length });
+
+			return new Promise(resolve => {
+				signal.addEventListener("abort", () => resolve({
+					cancelled: true,
+					failures: [],
+					imported: ["@" + entries[0].item.key],
+					total: entries.length
+				}));
+			});
+		});
+
+		await userEvent.click(frame.getByRole("button", { name: "Import metadata" }));
+
+		await waitFor(() => expect(frame.getByText("1 / 3")).toBeInTheDocument(), { timeout: 1000 });
+
+		await userEvent.click(frame.getByRole("button", { name: "Cancel" }));
+
+		await waitFor(() => expect(frame.getByText("Metadata was imported for 1 out of 3 items. The import was cancelled."))
+			.toBeInTheDocument(),
+		{ timeout: 1000 });
+	}
+};
@@ -0,0 +1,118 @@
+import { useCallback, useRef, useState } from "react";
+import { Button, Callout, Classes, ProgressBar } from "@blueprintjs/core";
+
+import AuxiliaryDialog from "Components/AuxiliaryDialog";
+import { useAnnotationsSettings, useMetadataSettings, useNotesSettings, useTypemapSettings } from "Components/UserSettings";
+
+import { useBool } from "@hooks";
+import { importItemsMetadata } from "@services/roam";
+
+import { pluralize } from "../../utils";
+
+import { CustomClasses } from "../../constants";
+import { OutcomeBatchMetadata, OutcomeBatchProgress } from "Types/extension";
+import { ZCleanItemTop } from "Types/transforms";
+import "./_index.sass";
+
+
+function BatchReport({ report }: { report: OutcomeBatchMetadata }) {
+	const { cancelled, failures, imported, total } = report;
+	const intent = failures.length > 0 ? "warning" : "success";
+
+	return <>
+		<Callout intent={intent}>
+			{`Metadata was imported for ${imported.length} out of ${pluralize(total, "item")}.`}
+			{cancelled && " The import was cancelled."}
+		</Callout>
+		{failures.length > 0
+			&& <ul className="zr-batch-import--failures">
+				{failures.map(({ citekey, error }) => <li key={citekey}>
+					<span className={CustomClasses.TEXT_ACCENT_1}>{citekey}</span>
+					<span className={[CustomClasses.TEXT_SMALL, CustomClasses.TEXT_SECONDARY].join(" ")}>{error}</span>
+				</li>)}
+			</ul>}
+	</>;
+}
+
+
+type BatchImportProps = {
+	/** The items to import */
+	items: ZCleanItemTop[],
+	/** The label for the button that starts the import */
+	text?: string
+};
+
+/** Button for importing the metadata of several items at once, with a dialog that shows the progress of the import and its final report */
+function BatchImport({ items, text = "Import metadata" }: BatchImportProps) {
+	const [annotationsSettings] = useAnnotationsSettings();
+	const [metadataSettings] = useMetadataSettings();
+	const [notesSettings] = useNotesSettings();
+	const [typemap] = useTypemapSettings();
+
+	const [isDialogOpen, { on: openDialog, off: closeDialog }] = useBool(false);
+	const [isCancelling, { on: markCancelling, off: resetCancelling }] = useBool(false);
+	const [progress, setProgress] = useState<OutcomeBatchProgress | null>(null);
+	const [report, setReport] = useState<OutcomeBatchMetadata | null>(null);
+	const controller = useRef<AbortController | null>(null);
+
+	const startImport = useCallback(async() => {
+		controller.current = new AbortController();
+		resetCancelling();
+		setProgress(null);
+		setReport(null);
+		openDialog();
+
+		const entries = items.map(({ children: { notes, pdfs }, raw }) => ({ item: raw, notes, pdfs }));
+		const outcome = await importItemsMetadata(entries, metadataSettings, typemap, notesSettings, annotationsSettings, {
+			onProgress: setProgress,
+			signal: controller.current.signal
+		});
+
+		controller.current = null;
+		setReport(outcome);
+	}, [annotationsSettings, items, metadataSettings, notesSettings, openDialog, resetCancelling, typemap]);
+
+	const cancelImport = useCallback(() => {
+		if (controller.current) {
+			controller.current.abort();
+			markCancelling();
+		}
+	}, [markCancelling]);
+
+	const handleClose = useCallback(() => {
+		// Closing the dialog while the import is running cancels it
+		cancelImport();
+		closeDialog();
+	}, [cancelImport, closeDialog]);
+
+	const isRunning = report == null;
+
+	return <>
+		<Button disabled={items.length == 0} icon="import" minimal={true} onClick={startImport} text={text} title={"Import metadata for " + pluralize(items.length, "item")} />
+		<AuxiliaryDialog
+			className="batch-import"
+			isOpen={isDialogOpen}
+			label="Batch metadata import"
+			onClose={handleClose}
+			title="Importing metadata" >
+			<div className={Classes.DIALOG_BODY}>
+				{isRunning
+					? <div zr-role="batch-progress">
+						<ProgressBar animate={true} intent="primary" stripes={true} value={progress && progress.total > 0 ? progress.completed / progress.total : 0} />
+						<span className={CustomClasses.TEXT_SECONDARY}>{progress ? `${progress.completed} / ${progress.total}` : ""}</span>
+					</div>
+					: <BatchReport report={report} />}
+			</div>
+			<div className={Classes.DIALOG_FOOTER}>
+				<div className={Classes.DIALOG_FOOTER_ACTIONS}>
+					{isRunning
+						? <Button intent="warning" loading={isCancelling} onClick={cancelImport} text="Cancel" />
+						: <Button onClick={closeDialog} text="Close" />}
+				</div>
+			</div>
+		</AuxiliaryDialog>
+	</>;
+}
+
+
+export default BatchImport;
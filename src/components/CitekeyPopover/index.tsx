@@ -1,10 +1,13 @@
 import { HTMLProps, memo, useCallback, useMemo } from "react";
-import { Button, ButtonProps, Intent, Menu, MenuDivider, MenuItem } from "@blueprintjs/core";
+import { Button, ButtonProps, Classes, Dialog, Intent, Menu, MenuDivider, MenuItem } from "@blueprintjs/core";
 import { IPopover2SharedProps, Popover2, Popover2InteractionKind, Popover2Props } from "@blueprintjs/popover2";
 
-import { useAnnotationsSettings, useMetadataSettings, useNotesSettings, useTypemapSettings } from "Components/UserSettings";
+import ItemEditor from "Components/ItemDetails/ItemEditor";
+import { useAnnotationsSettings, useMetadataSettings, useNotesSettings, useRequestsSettings, useTypemapSettings } from "Components/UserSettings";
 import { useRoamCitekeys } from "Components/RoamCitekeysContext";
 
+import { useWriteableLibraries } from "@clients/zotero";
+import { useBool } from "@hooks";
 import { importItemMetadata, openInSidebarByUID, openPageByUID } from "@services/roam";
 
 import { CustomClasses } from "../../constants";
@@ -37,7 +40,15 @@ const CitekeyPopover = memo<OwnProps>(function CitekeyPopover(props) {
 	const [metadataSettings] = useMetadataSettings();
 	const [notesSettings] = useNotesSettings();
 	const [typemap] = useTypemapSettings();
+	const [{ libraries }] = useRequestsSettings();
 	const [, updateRoamCitekeys] = useRoamCitekeys();
+	const [isEditing, { on: startEditing, off: stopEditing }] = useBool(false);
+
+	const { data: writeableLibraries } = useWriteableLibraries(libraries);
+	const writeableLibrary = useMemo(() => {
+		const path = item.library.type + "s/" + item.library.id;
+		return writeableLibraries.find(lib => lib.path == path);
+	}, [item.library, writeableLibraries]);
 
 	const handleClose = useCallback(() => {
 		if(closeDialog){
@@ -124,6 +135,7 @@ const CitekeyPopover = memo<OwnProps>(function CitekeyPopover(props) {
 				<Menu className={CustomClasses.TEXT_SMALL}>
 					<MenuItem icon="add" text="Import metadata" onClick={importMetadata} />
 					<MenuItem icon="inheritance" text="Import & open in sidebar" onClick={importMetadataAndOpen} />
+					{writeableLibrary && <MenuItem icon="edit" text="Edit metadata" onClick={startEditing} />}
 					<MenuDivider />
 					{zoteroLinks}
 					{pdfChildren}
@@ -140,18 +152,30 @@ const CitekeyPopover = memo<OwnProps>(function CitekeyPopover(props) {
 						icon="inheritance" 
 						text="Open in sidebar"
 						onClick={openPageInSidebar} />
+					{writeableLibrary && <MenuItem icon="edit" text="Edit metadata" onClick={startEditing} />}
 					<MenuDivider />
 					{zoteroLinks}
 					{pdfChildren}
 				</Menu>
 			);
 		}
-	}, [importMetadata, importMetadataAndOpen, inGraph, navigateToPage, openPageInSidebar, pdfChildren, zoteroLinks]);
+	}, [importMetadata, importMetadataAndOpen, inGraph, navigateToPage, openPageInSidebar, pdfChildren, startEditing, writeableLibrary, zoteroLinks]);
 
 	return (
-		<Popover2 {...popoverProps} content={actionsMenu}>
-			<Button intent={(inGraph != false) ? Intent.SUCCESS : undefined} minimal={true} rightIcon="chevron-right" small={true} text={"@" + item.key} {...buttonProps} />
-		</Popover2>
+		<>
+			<Popover2 {...popoverProps} content={actionsMenu}>
+				<Button intent={(inGraph != false) ? Intent.SUCCESS : undefined} minimal={true} rightIcon="chevron-right" small={true} text={"@" + item.key} {...buttonProps} />
+			</Popover2>
+			{writeableLibrary && <Dialog
+				isOpen={isEditing}
+				lazy={true}
+				onClose={stopEditing}
+				title={"Edit @" + item.key} >
+				<div className={Classes.DIALOG_BODY}>
+					<ItemEditor item={item} library={writeableLibrary} onClose={stopEditing} />
+				</div>
+			</Dialog>}
+		</>
 	);
 });
 
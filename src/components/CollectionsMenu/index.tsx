@@ -0,0 +1,140 @@
+import { ChangeEvent, memo, useCallback, useMemo, useState } from "react";
+import { Button, HTMLSelect, InputGroup, Menu, MenuDivider, MenuItem } from "@blueprintjs/core";
+import { Popover2, Popover2Props } from "@blueprintjs/popover2";
+
+import { useRequestsSettings } from "Components/UserSettings";
+import { sortCollections } from "Components/ZoteroImport/helpers";
+
+import { useCollections, useCreateCollection, useUpdateItem, useWriteableLibraries } from "@clients/zotero";
+import { useText } from "@hooks";
+
+import { CustomClasses } from "../../constants";
+import { ZEnrichedCollection, ZItemTop, ZLibrary } from "Types/transforms";
+import "./_index.sass";
+
+
+const popoverProps: Partial<Popover2Props> = {
+	lazy: true,
+	placement: "bottom-start",
+	popoverClassName: CustomClasses.POPOVER
+};
+
+type CollectionsUpdate = (current: string[]) => string[];
+
+
+type NewCollectionProps = {
+	collections: ZEnrichedCollection[],
+	library: ZLibrary,
+	onCreate: (key: string) => void
+};
+
+/** Form for creating a collection, or a subcollection of an existing collection */
+function NewCollection({ collections, library, onCreate }: NewCollectionProps) {
+	const [name, onNameChange] = useText("");
+	const [parentCollection, setParentCollection] = useState<string>("");
+	const { mutate, status } = useCreateCollection();
+
+	const options = useMemo(() => [
+		{ label: "(No parent collection)", value: "" },
+		...collections.map(coll => ({ label: " ".repeat(2 * coll.depth) + coll.data.name, value: coll.key }))
+	], [collections]);
+
+	const handleParentChange = useCallback((event: ChangeEvent<HTMLSelectElement>) => {
+		setParentCollection(event.currentTarget.value);
+	}, []);
+
+	const createCollection = useCallback(() => {
+		mutate({ library, name: name.trim(), parentCollection: parentCollection || false }, {
+			onSuccess: (collection) => onCreate(collection.key)
+		});
+	}, [library, mutate, name, onCreate, parentCollection]);
+
+	return <div zr-role="new-collection">
+		<InputGroup onChange={onNameChange} placeholder="New collection" small={true} value={name} />
+		<HTMLSelect minimal={true} onChange={handleParentChange} options={options} value={parentCollection} />
+		<Button disabled={name.trim().length == 0} intent="primary" loading={status == "loading"} onClick={createCollection} small={true} text="Create and add item" />
+	</div>;
+}
+
+
+type CollectionsActionsProps = {
+	item: ZItemTop,
+	library: ZLibrary
+};
+
+/** Actions for managing an item's membership in the collections of its library */
+function CollectionsActions({ item, library }: CollectionsActionsProps) {
+	const librariesList = useMemo(() => [library], [library]);
+	const collectionQueries = useCollections(librariesList, {
+		notifyOnChangeProps: ["data"],
+		select: (datastore) => sortCollections(datastore.data)
+	});
+	const collections = useMemo(() => collectionQueries[0]?.data || [], [collectionQueries]);
+
+	const { mutate } = useUpdateItem();
+
+	const current = item.data.collections;
+	const [memberOf, notMemberOf] = useMemo(() => [
+		collections.filter(coll => current.includes(coll.key)),
+		collections.filter(coll => !current.includes(coll.key))
+	], [collections, current]);
+
+	const updateCollections = useCallback((update: CollectionsUpdate) => {
+		mutate({ changes: { collections: update(item.data.collections) }, item, library }, {
+			onSuccess: (outcome) => {
+				// If the item was modified in Zotero in the meantime, the update is applied to its latest copy instead
+				if (outcome.status == "conflict") {
+					const { latest } = outcome;
+					mutate({ changes: { collections: update(latest.data.collections) }, item, library, version: latest.version });
+				}
+			}
+		});
+	}, [item, library, mutate]);
+
+	const addTo = useCallback((key: string) => updateCollections((keys) => [...keys.filter(k => k != key), key]), [updateCollections]);
+	const removeFrom = useCallback((key: string) => updateCollections((keys) => keys.filter(k => k != key)), [updateCollections]);
+	const moveTo = useCallback((key: string) => updateCollections((_keys) => [key]), [updateCollections]);
+
+	return <Menu className={[CustomClasses.TEXT_SMALL, "zr-collections-menu"].join(" ")}>
+		<MenuItem disabled={notMemberOf.length == 0} icon="add-to-folder" text="Add to collection">
+			{notMemberOf.map(coll => <MenuItem key={coll.key} className={"depth-" + coll.depth} onClick={() => addTo(coll.key)} text={coll.data.name} />)}
+		</MenuItem>
+		<MenuItem disabled={memberOf.length == 0} icon="remove" text="Remove from collection">
+			{memberOf.map(coll => <MenuItem key={coll.key} onClick={() => removeFrom(coll.key)} text={coll.data.name} />)}
+		</MenuItem>
+		<MenuItem disabled={notMemberOf.length == 0} icon="move" text="Move to collection">
+			{notMemberOf.map(coll => <MenuItem key={coll.key} className={"depth-" + coll.depth} onClick={() => moveTo(coll.key)} text={coll.data.name} />)}
+		</MenuItem>
+		<MenuDivider title="Create a collection" />
+		<NewCollection collections={collections} library={library} onCreate={addTo} />
+	</Menu>;
+}
+
+
+type CollectionsMenuProps = {
+	item: ZItemTop
+};
+
+/** Button and menu for managing an item's collections. Only shown if the user has write access to the item's library. */
+const CollectionsMenu = memo<CollectionsMenuProps>(function CollectionsMenu({ item }) {
+	const [{ libraries }] = useRequestsSettings();
+	const { data: writeableLibraries } = useWriteableLibraries(libraries);
+
+	const library = useMemo(() => {
+		const path = item.library.type + "s/" + item.library.id;
+		return writeableLibraries.find(lib => lib.path == path);
+	}, [item.library, writeableLibraries]);
+
+	if (!library) {
+		return null;
+	}
+
+	return (
+		<Popover2 {...popoverProps} content={<CollectionsActions item={item} library={library} />}>
+			<Button icon="folder-close" minimal={true} role="menuitem" text="Collections" title="Manage the item's collections" />
+		</Popover2>
+	);
+});
+
+
+export default CollectionsMenu;
@@ -0,0 +1,206 @@
+import { memo, useCallback, useEffect, useMemo, useState } from "react";
+import { Button, ButtonGroup, NonIdealState, Spinner, Tag } from "@blueprintjs/core";
+
+import { ErrorBoundary } from "Components/Errors";
+import { useRoamCitekeys } from "Components/RoamCitekeysContext";
+import { useAnnotationsSettings, useMetadataSettings, useNotesSettings, useRequestsSettings, useTypemapSettings } from "Components/UserSettings";
+
+import { citekeyRenames, useItems } from "@clients/zotero";
+import { findBlocksMentioning, getBlockTree, getCitekeyPagesWithBacklinks, importItemMetadata, openPageByUID, renameCitekeyPage } from "@services/roam";
+
+import { CitekeySuggestion, OrphanedPage, UnmatchedMention, auditCitekeyPages } from "./utils";
+
+import { categorizeLibraryItems, identifyChildren, pluralize } from "../../../utils";
+
+import { CustomClasses } from "../../../constants";
+import { RCitekeyPagesWithBacklinks, ZLibraryContents } from "Types/transforms";
+import "./_index.sass";
+
+
+const SUGGESTION_REASONS: Record<CitekeySuggestion["reason"], string> = {
+	"alias": "Citekey was renamed",
+	"citekey": "Similar citekey",
+	"doi": "Same DOI",
+	"title": "Similar title"
+};
+
+type SuggestionButtonProps = {
+	citekey: string,
+	onRebind: (from: string, to: string, merge: boolean) => Promise<void>,
+	suggestion: CitekeySuggestion
+};
+
+function SuggestionButton({ citekey, onRebind, suggestion }: SuggestionButtonProps) {
+	const [roamCitekeys] = useRoamCitekeys();
+	const [isRunning, setRunning] = useState(false);
+	const { item, reason, score } = suggestion;
+
+	// If the item already has a page, the orphaned page is merged into it
+	const merge = roamCitekeys.has("@" + item.key);
+
+	const handleClick = useCallback(async() => {
+		setRunning(true);
+		await onRebind(citekey, item.key, merge);
+		setRunning(false);
+	}, [citekey, item.key, merge, onRebind]);
+
+	return <Button
+		icon={merge ? "git-merge" : "link"}
+		loading={isRunning}
+		onClick={handleClick}
+		small={true}
+		text={(merge ? "Merge into @" : "Rebind to @") + item.key}
+		title={`${SUGGESTION_REASONS[reason]} (${Math.round(score * 100)}%)`} />;
+}
+
+
+type OrphanEntryProps = {
+	entry: OrphanedPage,
+	onRebind: SuggestionButtonProps["onRebind"]
+};
+
+const OrphanEntry = memo<OrphanEntryProps>(function OrphanEntry({ entry, onRebind }) {
+	const { backlinks, citekey, suggestions, uid } = entry;
+	const openPage = useCallback(() => openPageByUID(uid), [uid]);
+
+	return <li className="zr-citekey-audit--entry">
+		<div zr-role="entry-header">
+			<a className={CustomClasses.TEXT_ACCENT_1} onClick={openPage} zr-role="entry-title">@{citekey}</a>
+			<Tag minimal={true}>{pluralize(backlinks, "backlink")}</Tag>
+		</div>
+		{suggestions.length > 0
+			? <ButtonGroup minimal={true} zr-role="entry-suggestions">
+				{suggestions.map(sugg => <SuggestionButton key={sugg.item.key} citekey={citekey} onRebind={onRebind} suggestion={sugg} />)}
+			</ButtonGroup>
+			: <span className={[CustomClasses.TEXT_AUXILIARY, CustomClasses.TEXT_SMALL].join(" ")}>No likely matches in the library</span>}
+	</li>;
+});
+
+
+type UnmatchedEntryProps = {
+	entry: UnmatchedMention,
+	itemList: ZLibraryContents,
+	onImport: () => void
+};
+
+const UnmatchedEntry = memo<UnmatchedEntryProps>(function UnmatchedEntry({ entry, itemList, onImport }) {
+	const [annotationsSettings] = useAnnotationsSettings();
+	const [metadataSettings] = useMetadataSettings();
+	const [notesSettings] = useNotesSettings();
+	const [typemap] = useTypemapSettings();
+	const { citekey, item, mentions } = entry;
+
+	const importMetadata = useCallback(async() => {
+		const location = item.library.type + "s/" + item.library.id;
+		const { pdfs, notes } = identifyChildren(item.data.key, location, { pdfs: itemList.pdfs, notes: itemList.notes });
+		await importItemMetadata({ item, pdfs, notes }, false, metadataSettings, typemap, notesSettings, annotationsSettings);
+		onImport();
+	}, [annotationsSettings, item, itemList, metadataSettings, notesSettings, onImport, typemap]);
+
+	return <li className="zr-citekey-audit--entry">
+		<div zr-role="entry-header">
+			<span className={CustomClasses.TEXT_ACCENT_1} zr-role="entry-title">@{citekey}</span>
+			<Tag minimal={true}>{pluralize(mentions, "mention")}</Tag>
+			<Button icon="add" minimal={true} onClick={importMetadata} small={true} text="Import metadata" />
+		</div>
+		<span className={[CustomClasses.TEXT_SECONDARY, CustomClasses.TEXT_SMALL].join(" ")}>{item.data.title}</span>
+	</li>;
+});
+
+
+/** Lists the citekey pages that don't match any item in the library, and the items that are mentioned in the graph without having a page */
+function CitekeyAudit() {
+	const [{ dataRequests }] = useRequestsSettings();
+	const [, updateRoamCitekeys] = useRoamCitekeys();
+	const [graph, setGraph] = useState<{ mentions: [string, string][], pages: RCitekeyPagesWithBacklinks } | null>(null);
+
+	const itemQueries = useItems(dataRequests, {
+		notifyOnChangeProps: ["data"],
+		select: (datastore) => datastore.data
+	});
+
+	const isLoading = itemQueries.some(q => q.isLoading);
+	const data = useMemo(() => itemQueries.map(q => q.data || []).flat(1), [itemQueries]);
+	const itemList = useMemo(() => categorizeLibraryItems(data), [data]);
+
+	const readGraph = useCallback(() => {
+		setGraph(null);
+		// Querying the graph can take a while, so the spinner is rendered first
+		setTimeout(() => {
+			setGraph({ mentions: findBlocksMentioning("@"), pages: getCitekeyPagesWithBacklinks() });
+		}, 0);
+	}, []);
+
+	useEffect(() => {
+		readGraph();
+	}, [readGraph]);
+
+	const audit = useMemo(() => {
+		if (isLoading || graph == null) {
+			return null;
+		}
+		return auditCitekeyPages(
+			{ items: itemList.items, ...graph },
+			{ getPageContents: getBlockTree, resolveAlias: (citekey) => citekeyRenames.resolve(citekey) }
+		);
+	}, [graph, isLoading, itemList]);
+
+	const refresh = useCallback(() => {
+		updateRoamCitekeys();
+		readGraph();
+	}, [readGraph, updateRoamCitekeys]);
+
+	const rebind = useCallback(async(from: string, to: string, merge: boolean) => {
+		try {
+			const { blocks, page } = await renameCitekeyPage({ from, to }, { merge });
+			window.zoteroRoam?.info?.({
+				origin: "Citekeys",
+				message: `${page == "merged" ? "Merged" : "Rebound"} [[@${from}]] to [[@${to}]] ; ${pluralize(blocks, "block")} updated`,
+				context: {
+					blocks,
+					from,
+					page,
+					to
+				},
+				showToaster: true
+			});
+		} catch (e) {
+			window.zoteroRoam?.error?.({
+				origin: "Citekeys",
+				message: `Failed to rebind @${from} to @${to}`,
+				context: {
+					error: (e as Error).message
+				},
+				showToaster: true
+			});
+		}
+		refresh();
+	}, [refresh]);
+
+	return <ErrorBoundary>
+		<div className="zr-citekey-audit">
+			{audit == null
+				? <Spinner size={15} />
+				: <>
+					<div zr-role="citekey-audit-actions">
+						<Button icon="refresh" minimal={true} onClick={refresh} small={true} text="Refresh" />
+					</div>
+					<h5>Pages without a matching item<Tag minimal={true}>{audit.orphans.length}</Tag></h5>
+					{audit.orphans.length == 0
+						? <NonIdealState className={CustomClasses.TEXT_AUXILIARY} description="All citekey pages match an item in the library" />
+						: <ul>
+							{audit.orphans.map(entry => <OrphanEntry key={entry.uid} entry={entry} onRebind={rebind} />)}
+						</ul>}
+					<h5>Items mentioned without a page<Tag minimal={true}>{audit.unmatched.length}</Tag></h5>
+					{audit.unmatched.length == 0
+						? <NonIdealState className={CustomClasses.TEXT_AUXILIARY} description="All mentioned items have a page" />
+						: <ul>
+							{audit.unmatched.map(entry => <UnmatchedEntry key={entry.citekey} entry={entry} itemList={itemList} onImport={refresh} />)}
+						</ul>}
+				</>}
+		</div>
+	</ErrorBoundary>;
+}
+
+
+export default CitekeyAudit;
@@ -0,0 +1,96 @@
+import { auditCitekeyPages, compareStrings, indexItems, readPageMetadata, suggestMatches } from "./utils";
+
+import { ROAM_PROPS_KEY } from "../../../constants";
+
+import { items } from "Mocks";
+import { ZItemTop } from "Types/transforms";
+
+
+const libraryItems = items.slice(0, 2) as ZItemTop[];
+const [blochItem, pintoItem] = libraryItems;
+const libraryIndex = indexItems(libraryItems);
+
+
+test("Comparing citekeys", () => {
+	expect(compareStrings("blochSocialInterventions2021", "blochImplementingSocialInterventions2021")).toBeGreaterThan(0.6);
+	expect(compareStrings("smith2020", "blochImplementingSocialInterventions2021")).toBeLessThan(0.3);
+	expect(compareStrings("", "smith2020")).toBe(0);
+});
+
+describe("Reading metadata from a citekey page", () => {
+	test("Metadata is read from imported blocks", () => {
+		const tree = {
+			uid: "PAGE_UID",
+			title: "@oldKey",
+			children: [
+				{ uid: "a", string: "Implementing social interventions", props: { [ROAM_PROPS_KEY]: { metadata: { field: "title", version: 1 } } } },
+				{ uid: "b", string: "URL : https://doi.org/10.1503/CMAJ.210229" }
+			]
+		};
+		expect(readPageMetadata(tree)).toEqual({ doi: "10.1503/cmaj.210229", title: "Implementing social interventions" });
+	});
+
+	test("Metadata written by the user is read too", () => {
+		const tree = {
+			uid: "PAGE_UID",
+			children: [{ uid: "a", string: "Notes", children: [{ uid: "b", string: "Title:: Some article" }] }]
+		};
+		expect(readPageMetadata(tree)).toEqual({ doi: false, title: "Some article" });
+	});
+
+	test("Pages without contents", () => {
+		expect(readPageMetadata(null)).toEqual({ doi: false, title: "" });
+	});
+});
+
+describe("Suggesting matches for a citekey page", () => {
+	test("Matching by DOI", () => {
+		expect(suggestMatches({ citekey: "unrelated", doi: "10.1503/cmaj.210229", title: "" }, libraryIndex))
+			.toEqual([{ item: blochItem, reason: "doi", score: 1 }]);
+	});
+
+	test("Matching by title", () => {
+		const suggestions = suggestMatches({ citekey: "unrelated", doi: false, title: "Methods to evaluate the impact of basic income interventions: a systematic review" }, libraryIndex);
+		expect(suggestions).toEqual([expect.objectContaining({ item: pintoItem, reason: "title" })]);
+	});
+
+	test("Matching by citekey", () => {
+		const suggestions = suggestMatches({ citekey: "blochImplementingSocialInterventions2020", doi: false, title: "" }, libraryIndex);
+		expect(suggestions).toEqual([expect.objectContaining({ item: blochItem, reason: "citekey" })]);
+	});
+
+	test("Aliases take precedence", () => {
+		const suggestions = suggestMatches({ citekey: "unrelated", doi: false, title: "" }, libraryIndex, pintoItem.key);
+		expect(suggestions).toEqual([{ item: pintoItem, reason: "alias", score: 1 }]);
+	});
+
+	test("Unrelated items aren't suggested", () => {
+		expect(suggestMatches({ citekey: "doe2018", doi: false, title: "A history of tea" }, libraryIndex)).toEqual([]);
+	});
+});
+
+test("Auditing citekey pages", () => {
+	const pages = new Map([
+		["@" + blochItem.key, { backlinks: 4, uid: "BLOCH_UID" }],
+		["@blochSocialInterventions2021", { backlinks: 1, uid: "OLD_UID" }],
+		["@doe2018", { backlinks: 3, uid: "DOE_UID" }]
+	]);
+	const mentions: [string, string][] = [
+		["block1", `See @${pintoItem.key} and [[@${blochItem.key}]]`],
+		["block2", `#@${pintoItem.key}`],
+		["block3", "Some @unknownKey"]
+	];
+
+	const { orphans, unmatched } = auditCitekeyPages(
+		{ items: libraryItems, mentions, pages },
+		{ getPageContents: () => null }
+	);
+
+	expect(orphans).toEqual([
+		{ backlinks: 3, citekey: "doe2018", suggestions: [], uid: "DOE_UID" },
+		{ backlinks: 1, citekey: "blochSocialInterventions2021", suggestions: [expect.objectContaining({ item: blochItem, reason: "citekey" })], uid: "OLD_UID" }
+	]);
+	expect(unmatched).toEqual([
+		{ citekey: pintoItem.key, item: pintoItem, mentions: 2 }
+	]);
+});
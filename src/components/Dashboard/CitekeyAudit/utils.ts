@@ -0,0 +1,266 @@
+import { extractCitekeyMentions, parseDOI } from "../../../utils";
+
+import { ROAM_PROPS_KEY } from "../../../constants";
+import { RBlockTree, RCitekeyPagesWithBacklinks, RMetadataMarker, ZItemTop } from "Types/transforms";
+
+
+export type CitekeySuggestion = {
+	/** The suggested item */
+	item: ZItemTop,
+	/** What the suggestion is based on */
+	reason: "alias" | "citekey" | "doi" | "title",
+	/** The confidence of the suggestion, from 0 to 1 */
+	score: number
+};
+
+export type OrphanedPage = {
+	/** The number of blocks that reference the page */
+	backlinks: number,
+	/** The page's citekey, without the `@` prefix */
+	citekey: string,
+	/** The items that the page likely corresponds to, from the most to the least likely */
+	suggestions: CitekeySuggestion[],
+	/** The UID of the page */
+	uid: string
+};
+
+export type UnmatchedMention = {
+	/** The item's citekey, without the `@` prefix */
+	citekey: string,
+	item: ZItemTop,
+	/** The number of blocks that mention the citekey */
+	mentions: number
+};
+
+export type CitekeyAudit = {
+	orphans: OrphanedPage[],
+	unmatched: UnmatchedMention[]
+};
+
+type IndexedItem = {
+	/** The character pairs of the item's citekey */
+	bigrams: Bigrams,
+	item: ZItemTop,
+	/** The significant words of the item's title */
+	titleWords: Set<string>
+};
+
+/** The library items, pre-processed once so that each page is only compared with a short list of candidates */
+export type ItemIndex = {
+	/** The items, by DOI */
+	byDOI: Map<string, IndexedItem[]>,
+	/** The items, by citekey */
+	byKey: Map<string, IndexedItem>,
+	/** The items, by the words in their title and citekey */
+	byWord: Map<string, IndexedItem[]>
+};
+
+type Bigrams = {
+	/** The number of occurrences of each character pair */
+	counts: Map<string, number>,
+	/** The total number of character pairs */
+	size: number
+};
+
+/** The minimum score for an item to be suggested as a match */
+const SUGGESTION_THRESHOLD = 0.6;
+/** The maximum number of suggestions for a page */
+const MAX_SUGGESTIONS = 3;
+
+
+/** Splits a title into its significant words, without regard to case or punctuation */
+function tokenize(text: string): Set<string> {
+	return new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 2));
+}
+
+/** Computes the overlap between two sets of words (Jaccard index) */
+function compareWords(a: Set<string>, b: Set<string>): number {
+	if (a.size == 0 || b.size == 0) {
+		return 0;
+	}
+	const shared = Array.from(a).filter(word => b.has(word)).length;
+	return shared / (a.size + b.size - shared);
+}
+
+/** Splits a citekey into its significant words, e.g. `blochSocialInterventions2021` into `bloch`, `social`, `interventions` and `2021` */
+function splitCitekey(citekey: string): Set<string> {
+	const spaced = citekey
+		.replace(/(\p{Ll})(\p{Lu})/gu, "$1 $2")
+		.replace(/(\p{L})(\p{N})/gu, "$1 $2")
+		.replace(/(\p{N})(\p{L})/gu, "$1 $2");
+	return tokenize(spaced);
+}
+
+/** Counts the character pairs in a string, without regard to case or punctuation */
+function countBigrams(str: string): Bigrams {
+	const clean = str.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+	const counts = new Map<string, number>();
+	for (let i = 0; i < clean.length - 1; i++) {
+		const pair = clean.slice(i, i + 2);
+		counts.set(pair, (counts.get(pair) || 0) + 1);
+	}
+	return { counts, size: Math.max(clean.length - 1, 0) };
+}
+
+/** Computes the similarity between two sets of character pairs (Sørensen-Dice coefficient) */
+function compareBigrams(a: Bigrams, b: Bigrams): number {
+	if (a.size == 0 || b.size == 0) {
+		return 0;
+	}
+
+	let shared = 0;
+	a.counts.forEach((count, pair) => {
+		shared += Math.min(count, b.counts.get(pair) || 0);
+	});
+
+	return (2 * shared) / (a.size + b.size);
+}
+
+/** Computes the similarity between two strings based on their character pairs (Sørensen-Dice coefficient), without regard to case or punctuation */
+function compareStrings(a: string, b: string): number {
+	return compareBigrams(countBigrams(a), countBigrams(b));
+}
+
+/** Pre-processes library items for {@link suggestMatches}
+ * @param items - The library items
+ * @returns The items, indexed by citekey, DOI and words
+ */
+function indexItems(items: ZItemTop[]): ItemIndex {
+	const index: ItemIndex = { byDOI: new Map(), byKey: new Map(), byWord: new Map() };
+	const push = <K>(map: Map<K, IndexedItem[]>, key: K, entry: IndexedItem) => {
+		const list = map.get(key);
+		if (list) {
+			list.push(entry);
+		} else {
+			map.set(key, [entry]);
+		}
+	};
+
+	items.forEach(item => {
+		const entry: IndexedItem = { bigrams: countBigrams(item.key), item, titleWords: tokenize(item.data.title || "") };
+		index.byKey.set(item.key, entry);
+
+		const doi = parseDOI(item.data.DOI);
+		if (doi) {
+			push(index.byDOI, doi, entry);
+		}
+
+		new Set([...entry.titleWords, ...splitCitekey(item.key)]).forEach(word => push(index.byWord, word, entry));
+	});
+
+	return index;
+}
+
+/** Reads the title and DOI of an item from the contents of its Roam page, as written by a metadata import or by the user
+ * @param tree - The page's block tree
+ * @returns The title (or an empty string) and the DOI (or `false`) found on the page
+ */
+function readPageMetadata(tree: RBlockTree | null): { doi: string | false, title: string } {
+	const strings: string[] = [];
+	let title = "";
+
+	const walk = (blocks: RBlockTree[] = []) => {
+		blocks.forEach(block => {
+			const string = block.string || "";
+			const marker: RMetadataMarker | undefined = block.props?.[ROAM_PROPS_KEY]?.metadata;
+			if (!title && (marker?.field == "title" || /^title::/i.test(string))) {
+				title = string.replace(/^title::\s*/i, "");
+			}
+			strings.push(string);
+			walk(block.children);
+		});
+	};
+	walk(tree?.children);
+
+	const doi = strings.map(string => string.match(/\b10\.[0-9]{4,9}\/[^\s\])>,]+/)?.[0]).find(Boolean);
+
+	return { doi: parseDOI(doi), title };
+}
+
+/** Suggests the library items that a citekey page likely corresponds to.
+ * Besides exact matches by alias or DOI, only the items that share a word with the page's title or citekey are scored.
+ * @param page - The page's citekey, and the metadata found on the page
+ * @param index - The library items to consider, from {@link indexItems}
+ * @param alias - The citekey that the page's citekey was renamed to, if any
+ * @returns The suggestions, from the most to the least likely
+ */
+function suggestMatches(page: { citekey: string, doi: string | false, title: string }, index: ItemIndex, alias?: string): CitekeySuggestion[] {
+	const titleWords = tokenize(page.title);
+	const citekeyBigrams = countBigrams(page.citekey);
+
+	const aliasEntry = alias ? index.byKey.get(alias) : undefined;
+	const doiEntries = page.doi ? index.byDOI.get(page.doi) || [] : [];
+	const candidates = new Set<IndexedItem>();
+	new Set([...titleWords, ...splitCitekey(page.citekey)])
+		.forEach(word => index.byWord.get(word)?.forEach(entry => candidates.add(entry)));
+
+	return Array.from(new Set([...(aliasEntry ? [aliasEntry] : []), ...doiEntries, ...candidates]))
+		.map<CitekeySuggestion>(({ bigrams, item, titleWords: itemWords }) => {
+			if (item == aliasEntry?.item) {
+				return { item, reason: "alias", score: 1 };
+			}
+			if (doiEntries.some(entry => entry.item == item)) {
+				return { item, reason: "doi", score: 1 };
+			}
+
+			const titleScore = compareWords(titleWords, itemWords);
+			const citekeyScore = compareBigrams(citekeyBigrams, bigrams);
+			return titleScore >= citekeyScore
+				? { item, reason: "title", score: titleScore }
+				: { item, reason: "citekey", score: citekeyScore };
+		})
+		.filter(suggestion => suggestion.score >= SUGGESTION_THRESHOLD)
+		.sort((a, b) => b.score - a.score)
+		.slice(0, MAX_SUGGESTIONS);
+}
+
+/** Compares the citekey pages in the Roam graph with the items in the library
+ * @param data - The library items, the citekey pages with their backlinks, and the blocks that mention citekeys
+ * @param config - Additional configuration
+ * @returns The pages without a matching item, with suggested matches ; and the items mentioned in blocks that don't have a page
+ */
+function auditCitekeyPages(
+	{ items, mentions, pages }: { items: ZItemTop[], mentions: [string, string][], pages: RCitekeyPagesWithBacklinks },
+	{ getPageContents, resolveAlias = (citekey) => citekey }: { getPageContents: (uid: string) => RBlockTree | null, resolveAlias?: (citekey: string) => string }
+): CitekeyAudit {
+	const itemsMap = new Map(items.map(item => [item.key, item]));
+	const index = indexItems(items);
+
+	const orphans = Array.from(pages.entries())
+		.filter(([title]) => !itemsMap.has(title.slice(1)))
+		.map<OrphanedPage>(([title, { backlinks, uid }]) => {
+			const citekey = title.slice(1);
+			const alias = resolveAlias(citekey);
+			const { doi, title: itemTitle } = readPageMetadata(getPageContents(uid));
+			return {
+				backlinks,
+				citekey,
+				suggestions: suggestMatches({ citekey, doi, title: itemTitle }, index, alias == citekey ? undefined : alias),
+				uid
+			};
+		})
+		.sort((a, b) => b.backlinks - a.backlinks || a.citekey.localeCompare(b.citekey));
+
+	const counts = mentions.reduce<Map<string, number>>((map, [_uid, string]) => {
+		extractCitekeyMentions(string)
+			.filter(citekey => itemsMap.has(citekey) && !pages.has("@" + citekey))
+			.forEach(citekey => map.set(citekey, (map.get(citekey) || 0) + 1));
+		return map;
+	}, new Map());
+
+	const unmatched = Array.from(counts.entries())
+		.map<UnmatchedMention>(([citekey, count]) => ({ citekey, item: itemsMap.get(citekey)!, mentions: count }))
+		.sort((a, b) => b.mentions - a.mentions || a.citekey.localeCompare(b.citekey));
+
+	return { orphans, unmatched };
+}
+
+
+export {
+	auditCitekeyPages,
+	compareStrings,
+	compareWords,
+	indexItems,
+	readPageMetadata,
+	suggestMatches
+};
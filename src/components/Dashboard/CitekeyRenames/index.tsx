@@ -0,0 +1,116 @@
+import { useCallback, useState } from "react";
+import { Button, ButtonGroup, Intent, NonIdealState, Tag } from "@blueprintjs/core";
+
+import { ErrorBoundary } from "Components/Errors";
+
+import { CitekeyRename, citekeyRenames, useCitekeyRenames } from "@clients/zotero";
+import { renameCitekeyPage } from "@services/roam";
+
+import { makeDateFromAgo, pluralize } from "../../../utils";
+
+import { CustomClasses } from "../../../constants";
+import "./_index.sass";
+
+
+const STATUS_INTENTS: Record<CitekeyRename["status"], Intent> = {
+	"applied": "success",
+	"dismissed": "none",
+	"pending": "warning"
+};
+
+/** Applies a citekey rename to the Roam graph, and logs the outcome */
+async function applyRename(entry: CitekeyRename) {
+	const { from, id, to } = entry;
+
+	try {
+		const { blocks, page } = await renameCitekeyPage({ from, to });
+		await citekeyRenames.setStatus(id, "applied");
+
+		const pageOutcome = page == "renamed"
+			? `Renamed [[@${from}]] to [[@${to}]]`
+			: page == "conflict"
+				? `[[@${to}]] already exists, [[@${from}]] was kept`
+				: `No page found for [[@${from}]]`;
+
+		window.zoteroRoam?.info?.({
+			origin: "Citekeys",
+			message: `${pageOutcome} ; ${pluralize(blocks, "block")} updated`,
+			context: {
+				blocks,
+				from,
+				page,
+				to
+			},
+			showToaster: true
+		});
+	} catch (e) {
+		window.zoteroRoam?.error?.({
+			origin: "Citekeys",
+			message: `Failed to rename @${from} to @${to}`,
+			context: {
+				error: (e as Error).message
+			},
+			showToaster: true
+		});
+	}
+}
+
+
+type RenameEntryProps = {
+	entry: CitekeyRename,
+	onApply: (entry: CitekeyRename) => Promise<void>,
+	onDismiss: (id: string) => void
+};
+
+function RenameEntry({ entry, onApply, onDismiss }: RenameEntryProps) {
+	const { from, id, library, status, to, updatedAt } = entry;
+	const [isApplying, setApplying] = useState(false);
+
+	const handleApply = useCallback(async() => {
+		setApplying(true);
+		await onApply(entry);
+		setApplying(false);
+	}, [entry, onApply]);
+	const handleDismiss = useCallback(() => onDismiss(id), [id, onDismiss]);
+
+	return <li className="zr-citekey-renames--entry" data-rename-status={status}>
+		<div zr-role="entry-header">
+			<Tag intent={STATUS_INTENTS[status]} minimal={true}>{status}</Tag>
+			<span zr-role="entry-description">
+				<span className={CustomClasses.TEXT_SECONDARY}>@{from}</span>
+				{" → "}
+				<span className={CustomClasses.TEXT_ACCENT_1}>@{to}</span>
+			</span>
+			{status == "pending"
+				&& <ButtonGroup minimal={true}>
+					<Button icon="edit" intent="primary" loading={isApplying} onClick={handleApply} small={true} text="Rename in Roam" />
+					<Button icon="cross" onClick={handleDismiss} small={true} text="Dismiss" />
+				</ButtonGroup>}
+		</div>
+		<div className={[CustomClasses.TEXT_AUXILIARY, CustomClasses.TEXT_SMALL].join(" ")} zr-role="entry-details">
+			<span>{makeDateFromAgo(updatedAt)}</span>
+			<span>{library}</span>
+		</div>
+	</li>;
+}
+
+
+/** Lists the citekey renames detected during sync, with options to propagate them to the Roam graph or dismiss them */
+function CitekeyRenames() {
+	const entries = useCitekeyRenames();
+
+	const dismiss = useCallback((id: string) => citekeyRenames.setStatus(id, "dismissed"), []);
+
+	return <ErrorBoundary>
+		<div className="zr-citekey-renames">
+			{entries.length == 0
+				? <NonIdealState className={CustomClasses.TEXT_AUXILIARY} description="No citekey renames detected" />
+				: <ul>
+					{[...entries].reverse().map(entry => <RenameEntry key={entry.id} entry={entry} onApply={applyRename} onDismiss={dismiss} />)}
+				</ul>}
+		</div>
+	</ErrorBoundary>;
+}
+
+
+export default CitekeyRenames;
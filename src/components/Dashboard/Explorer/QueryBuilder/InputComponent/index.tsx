@@ -1,8 +1,12 @@
 import { useCallback, useMemo } from "react";
 
 import { InputDateRange, InputDateSingle, InputMultiSelect, InputMultiSelectProps, InputText, TagsSelector } from "Components/Inputs";
-import { useTypemapSettings } from "Components/UserSettings";
+import { useRequestsSettings, useTypemapSettings } from "Components/UserSettings";
+
+import { useSearchItems } from "@clients/zotero";
+
 import { InputEnum, InputValuesMap } from "../types";
+import { AsBoolean } from "Types/helpers";
 
 
 type ItemTypeProps = Omit<InputMultiSelectProps, "options">;
@@ -15,6 +19,20 @@ function ItemType({ value, setValue }: ItemTypeProps){
 }
 
 
+type SavedSearchProps = Omit<InputMultiSelectProps, "options">;
+
+function SavedSearch({ value, setValue }: SavedSearchProps){
+	const [{ dataRequests }] = useRequestsSettings();
+	const searchQueries = useSearchItems(dataRequests, { notifyOnChangeProps: ["data"] });
+	const searchOptions = useMemo(() => searchQueries
+		.map(q => q.data)
+		.filter(AsBoolean)
+		.map(search => ({ value: search.library + "/" + search.key, label: search.name })), [searchQueries]);
+
+	return <InputMultiSelect options={searchOptions} value={value} setValue={setValue} />;
+}
+
+
 type ItemTagsProps = {
 	setValue: (value: string[]) => void,
 	value: string[]
@@ -39,6 +57,8 @@ function InputComponent<T extends InputEnum | null>({ inputType, ...props }: { i
 		return <ItemType {...props as InputComponentProps<InputEnum.ITEM_TYPE>} />;
 	case InputEnum.ITEM_TAGS:
 		return <ItemTags {...props as InputComponentProps<InputEnum.ITEM_TAGS>} />;
+	case InputEnum.SAVED_SEARCH:
+		return <SavedSearch {...props as InputComponentProps<InputEnum.SAVED_SEARCH>} />;
 	case InputEnum.DATE:
 		return <InputDateSingle {...props as InputComponentProps<InputEnum.DATE>} />;
 	case InputEnum.DATE_RANGE:
@@ -0,0 +1,117 @@
+import { mock } from "vitest-mock-extended";
+import { hasQueryFields, parseQueryString } from "./parser";
+import { queryItems } from "./queries";
+
+import { samplePDF } from "Mocks";
+import { ZCleanItemTop } from "Types/transforms";
+
+
+describe("Parsing text queries", () => {
+	it("returns no terms for an empty query", () => {
+		expect(parseQueryString("")).toEqual([]);
+		expect(parseQueryString("  ")).toEqual([]);
+	});
+
+	it("parses field terms", () => {
+		expect(parseQueryString("type:journalArticle year:>=2020 has:pdf tag:review -tag:read")).toEqual([
+			[
+				{ property: "Item type", relationship: "is any of", value: ["journalArticle"] },
+				{ property: "Year", relationship: "since", value: "2020" },
+				{ property: "PDF", relationship: "exists", value: null },
+				{ property: "Tags", relationship: "include", value: ["review"] },
+				{ property: "Tags", relationship: "do not include", value: ["read"] }
+			]
+		]);
+	});
+
+	test.each([
+		["abstract:care", { property: "Abstract", relationship: "contains", value: "care" }],
+		["-abstract:care", { property: "Abstract", relationship: "does not contain", value: "care" }],
+		["added:>2022-01-01", { property: "Item added", relationship: "after", value: new Date(2022, 0, 1) }],
+		["added:2022-01-01..", { property: "Item added", relationship: "between", value: [new Date(2022, 0, 1), null] }],
+		["fulltext:\"primary care\"", { property: "Full text", relationship: "contains", value: "primary care" }],
+		["has:notes", { property: "Notes", relationship: "exist", value: null }],
+		["-has:page", { property: "Roam page", relationship: "does not exist", value: null }],
+		["search:\"To read\"", { property: "Saved search", relationship: "is any of", value: ["To read"] }],
+		["TAG:\"social care\"", { property: "Tags", relationship: "include", value: ["social care"] }],
+		["-type:book,bookSection", { property: "Item type", relationship: "is not", value: ["book", "bookSection"] }],
+		["year:2020", { property: "Year", relationship: "is", value: "2020" }],
+		["-year:<2020", { property: "Year", relationship: "since", value: "2020" }],
+		["\"primary care\"", { property: "Title", relationship: "contains", value: "primary care" }],
+		["-systems", { property: "Title", relationship: "does not contain", value: "systems" }]
+	])(
+		"%# %s",
+		(query, term) => {
+			expect(parseQueryString(query)).toEqual([[term]]);
+		}
+	);
+
+	it("parses year ranges", () => {
+		expect(parseQueryString("year:2018..2020")).toEqual([
+			[
+				{ property: "Year", relationship: "since", value: "2018" },
+				{ property: "Year", relationship: "until", value: "2020" }
+			]
+		]);
+	});
+
+	it("parses alternatives and groups", () => {
+		const expected = [
+			[{ property: "Tags", relationship: "include", value: ["review"] }],
+			[
+				{ property: "PDF", relationship: "exists", value: null },
+				[
+					[{ property: "Year", relationship: "is", value: "2020" }],
+					[{ property: "Year", relationship: "is", value: "2021" }]
+				]
+			]
+		];
+
+		expect(parseQueryString("tag:review OR has:pdf AND (year:2020 OR year:2021)")).toEqual(expected);
+		expect(parseQueryString("tag:review|has:pdf&(year:2020|year:2021)")).toEqual(expected);
+	});
+
+	test.each([
+		["color:blue", "Unknown field \"color\""],
+		["has:video", "Invalid value \"video\" for \"has\""],
+		["year:recent", "Invalid value \"recent\" for \"year\""],
+		["added:2022", "Invalid value \"2022\" for \"added\""],
+		["added:>yesterday", "Invalid date \"yesterday\""],
+		["-fulltext:care", "The \"fulltext\" field can't be negated"],
+		["-(tag:review OR tag:read)", "Groups can't be negated"],
+		["(tag:review", "Missing closing parenthesis"],
+		["tag:review)", "Unexpected closing parenthesis"],
+		["OR tag:review", "Unexpected OR operator"],
+		["tag:review OR", "Unexpected OR operator"],
+		["tag:\"review", "Unexpected input"]
+	])(
+		"%# rejects %s",
+		(query, error) => {
+			expect(() => parseQueryString(query)).toThrow(error);
+		}
+	);
+});
+
+test("Detecting queries with fields", () => {
+	expect(hasQueryFields("tag:review -has:pdf")).toBe(true);
+	expect(hasQueryFields("review&-read")).toBe(false);
+	expect(hasQueryFields("(PKM|systems)&culture")).toBe(false);
+	expect(hasQueryFields("note:later")).toBe(false);
+});
+
+test("Filtering items with a text query", () => {
+	const itemsData: Partial<ZCleanItemTop>[] = [
+		{ itemType: "journalArticle", tags: ["review"], title: "Systems thinking", year: "2021", children: { notes: [], pdfs: [samplePDF] } },
+		{ itemType: "journalArticle", tags: ["review", "read"], title: "Designing systems", year: "2022", children: { notes: [], pdfs: [samplePDF] } },
+		{ itemType: "book", tags: ["review"], title: "Knowledge management", year: "2020", children: { notes: [], pdfs: [samplePDF] } },
+		{ itemType: "journalArticle", tags: [], title: "Culture", year: "2019", children: { notes: [], pdfs: [] } }
+	];
+	const items = itemsData.map(it => mock<ZCleanItemTop>(it));
+
+	expect(queryItems(items, "type:journalArticle year:>=2020 has:pdf tag:review -tag:read"))
+		.toEqual([items[0]]);
+	expect(queryItems(items, "type:book | -has:pdf"))
+		.toEqual([items[2], items[3]]);
+	expect(queryItems(items, ""))
+		.toEqual(items);
+});
@@ -0,0 +1,237 @@
+import { QueryTerm, QueryTermRecursive } from "./types";
+import { AsBoolean } from "Types/helpers";
+
+
+type FieldParser = (value: string, negated: boolean) => QueryTerm | QueryTerm[];
+
+type Token =
+	| { type: "operator", value: "(" | ")" | "|" | "&" }
+	| { type: "term", field: string | null, negated: boolean, value: string };
+
+
+const TOKEN_REGEX = /\s*(?:([()|&])|(-?)(?:([a-z]+):)?(?:"([^"]*)"|([^\s()|&"]+)))/iy;
+
+const HAS_VALUES: Record<string, Pick<QueryTerm, "property"> & { exists: string, missing: string }> = {
+	abstract: { property: "Abstract", exists: "exists", missing: "does not exist" },
+	citekey: { property: "Citekey", exists: "exists", missing: "does not exist" },
+	doi: { property: "DOI", exists: "exists", missing: "does not exist" },
+	notes: { property: "Notes", exists: "exist", missing: "do not exist" },
+	page: { property: "Roam page", exists: "exists", missing: "does not exist" },
+	pdf: { property: "PDF", exists: "exists", missing: "does not exist" }
+};
+
+/** Relationships for year comparisons, as `[relationship, negated relationship]` */
+const YEAR_COMPARATORS: Record<string, [string, string]> = {
+	"": ["is", "is not"],
+	"=": ["is", "is not"],
+	">": ["after", "until"],
+	">=": ["since", "before"],
+	"<": ["before", "since"],
+	"<=": ["until", "after"]
+};
+
+
+/** Parses a date written as `YYYY-MM-DD`, in local time */
+function parseDate(value: string): Date {
+	const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+	if(!match){
+		throw new Error(`Invalid date "${value}", expected YYYY-MM-DD`);
+	}
+	const [, year, month, day] = match;
+	return new Date(Number(year), Number(month) - 1, Number(day));
+}
+
+/** Throws if a field doesn't support negation */
+function ensureNotNegated(field: string, negated: boolean) {
+	if(negated){
+		throw new Error(`The "${field}" field can't be negated`);
+	}
+}
+
+const FIELDS: Record<string, FieldParser> = {
+	abstract: (value, negated) => ({ property: "Abstract", relationship: negated ? "does not contain" : "contains", value }),
+	added: (value, negated) => {
+		ensureNotNegated("added", negated);
+		if(value.includes("..")){
+			const [from, to] = value.split("..");
+			return { property: "Item added", relationship: "between", value: [from ? parseDate(from) : null, to ? parseDate(to) : null] };
+		} else if(value.startsWith(">")){
+			return { property: "Item added", relationship: "after", value: parseDate(value.slice(1)) };
+		} else if(value.startsWith("<")){
+			return { property: "Item added", relationship: "before", value: parseDate(value.slice(1)) };
+		} else {
+			throw new Error(`Invalid value "${value}" for "added", expected >date, <date or date..date`);
+		}
+	},
+	fulltext: (value, negated) => {
+		ensureNotNegated("fulltext", negated);
+		return { property: "Full text", relationship: "contains", value };
+	},
+	has: (value, negated) => {
+		const config = HAS_VALUES[value.toLowerCase()];
+		if(!config){
+			throw new Error(`Invalid value "${value}" for "has", expected one of: ${Object.keys(HAS_VALUES).join(", ")}`);
+		}
+		return { property: config.property, relationship: negated ? config.missing : config.exists, value: null };
+	},
+	search: (value, negated) => ({ property: "Saved search", relationship: negated ? "is not any of" : "is any of", value: [value] }),
+	tag: (value, negated) => ({ property: "Tags", relationship: negated ? "do not include" : "include", value: [value] }),
+	title: (value, negated) => ({ property: "Title", relationship: negated ? "does not contain" : "contains", value }),
+	type: (value, negated) => ({ property: "Item type", relationship: negated ? "is not" : "is any of", value: value.split(",").filter(AsBoolean) }),
+	year: (value, negated) => {
+		const range = value.match(/^(\d*)\.\.(\d*)$/);
+		if(range){
+			ensureNotNegated("year", negated);
+			const [, from, to] = range;
+			return [
+				...(from ? [{ property: "Year", relationship: "since", value: from } as const] : []),
+				...(to ? [{ property: "Year", relationship: "until", value: to } as const] : [])
+			];
+		}
+
+		const comparison = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+		if(!comparison){
+			throw new Error(`Invalid value "${value}" for "year", expected a year with an optional comparator (>, >=, <, <=), or a range (from..to)`);
+		}
+		const [, comparator = "", year] = comparison;
+		const [relationship, negatedRelationship] = YEAR_COMPARATORS[comparator];
+		return { property: "Year", relationship: negated ? negatedRelationship : relationship, value: year };
+	}
+};
+
+
+/** Splits a text query into tokens */
+function tokenize(query: string): Token[] {
+	const tokens: Token[] = [];
+	TOKEN_REGEX.lastIndex = 0;
+
+	while(query.slice(TOKEN_REGEX.lastIndex).trim()){
+		const position = TOKEN_REGEX.lastIndex;
+		if(query.slice(position).trimStart().startsWith("-(")){
+			throw new Error("Groups can't be negated");
+		}
+		const match = TOKEN_REGEX.exec(query);
+		if(!match){
+			throw new Error(`Unexpected input at position ${position}: "${query.slice(position).trim()}"`);
+		}
+
+		const [, operator, negation, field, quotedValue, value] = match;
+		if(operator){
+			tokens.push({ type: "operator", value: operator as "(" | ")" | "|" | "&" });
+		} else if(!negation && !field && value && ["AND", "OR"].includes(value)){
+			tokens.push({ type: "operator", value: value == "OR" ? "|" : "&" });
+		} else {
+			tokens.push({ type: "term", field: field ? field.toLowerCase() : null, negated: negation == "-", value: quotedValue ?? value });
+		}
+	}
+
+	return tokens;
+}
+
+/** Converts a term token into query terms */
+function parseTerm(token: Extract<Token, { type: "term" }>): QueryTerm[] {
+	const { field, negated, value } = token;
+
+	if(field === null){
+		return [FIELDS.title(value, negated) as QueryTerm];
+	}
+
+	const parser = FIELDS[field];
+	if(!parser){
+		throw new Error(`Unknown field "${field}", expected one of: ${Object.keys(FIELDS).join(", ")}`);
+	} else if(!value){
+		throw new Error(`Missing value for "${field}"`);
+	}
+
+	return ([] as QueryTerm[]).concat(parser(value, negated));
+}
+
+
+/** Checks if a text query uses fields (e.g. `tag:review`), as opposed to a list of tags (e.g. `review&-read`) */
+function hasQueryFields(query: string): boolean {
+	try {
+		return tokenize(query).some(token => token.type == "term" && token.field !== null && token.field in FIELDS);
+	} catch {
+		return false;
+	}
+}
+
+/** Parses a text query into the terms used by the Explorer's query builder.
+ * A query is made of `field:value` terms, which can be negated with `-`, combined with `AND` (or `&`, or a space) and `OR` (or `|`), and grouped with parentheses.
+ * Values with spaces must be quoted. Terms without a field are searched in items' titles.
+ *
+ * Supported fields:
+ * - `abstract:text`
+ * - `added:>YYYY-MM-DD`, `added:<YYYY-MM-DD`, `added:YYYY-MM-DD..YYYY-MM-DD`
+ * - `fulltext:text`
+ * - `has:abstract|citekey|doi|notes|page|pdf`
+ * - `search:name` (the name or key of a saved search)
+ * - `tag:name`
+ * - `title:text`
+ * - `type:itemType` (several types can be separated by commas)
+ * - `year:2020`, `year:>=2020` (also `>`, `<`, `<=`), `year:2018..2020`
+ * @param query - The text query
+ * @returns The terms of the query, as a list of alternatives (`OR`) made of required terms (`AND`). It can be evaluated with `runQuerySet(terms, true, item)`.
+ * @throws If the query is invalid
+ * @example
+ * parseQueryString("type:journalArticle year:>=2020 has:pdf tag:review -tag:read")
+ */
+function parseQueryString(query: string): QueryTermRecursive[] {
+	const tokens = tokenize(query);
+	let position = 0;
+
+	const parseOR = (): QueryTermRecursive[] => {
+		const alternatives: QueryTermRecursive[] = [];
+		let current: QueryTermRecursive[] = [];
+
+		while(position < tokens.length){
+			const token = tokens[position];
+
+			if(token.type == "operator"){
+				if(token.value == ")"){
+					break;
+				}
+				position++;
+				if(token.value == "("){
+					const group = parseOR();
+					if(tokens[position]?.type != "operator" || tokens[position].value != ")"){
+						throw new Error("Missing closing parenthesis");
+					}
+					position++;
+					current.push(group);
+				} else if(token.value == "|"){
+					if(current.length == 0){
+						throw new Error("Unexpected OR operator");
+					}
+					alternatives.push(current);
+					current = [];
+				}
+			} else {
+				position++;
+				current.push(...parseTerm(token));
+			}
+		}
+
+		if(current.length == 0){
+			if(alternatives.length > 0){
+				throw new Error("Unexpected OR operator");
+			}
+			return [];
+		}
+
+		return [...alternatives, current];
+	};
+
+	const terms = parseOR();
+	if(position < tokens.length){
+		throw new Error("Unexpected closing parenthesis");
+	}
+
+	return terms;
+}
+
+
+export {
+	hasQueryFields,
+	parseQueryString
+};
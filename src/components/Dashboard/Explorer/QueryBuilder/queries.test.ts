@@ -1,5 +1,6 @@
 import { mock } from "vitest-mock-extended";
-import { queries, runQuerySet } from "./queries";
+import { savedSearches } from "@clients/zotero";
+import { getFulltextPhrases, queries, runQuerySet } from "./queries";
 import { QueryTerm } from "./types";
 import { ZCleanItemTop } from "Types/transforms";
 
@@ -29,6 +30,7 @@ describe("Input checks", () => {
 		["Citekey", "does not exist", []],
 		["DOI", "exists", []],
 		["DOI", "does not exist", []],
+		["Full text", "contains", ["", "query"]],
 		["Item added", "before", [date]],
 		["Item added", "after", [date]],
 		["Item added", "between", [[date, date], [null, date], [date, null], [null, null]]],
@@ -40,11 +42,15 @@ describe("Input checks", () => {
 		["PDF", "does not exist", []],
 		["Roam page", "exists", []],
 		["Roam page", "does not exist", []],
+		["Saved search", "is any of", [["keyword"], ["journalArticle", "podcast"], ["history", "culture"]]],
+		["Saved search", "is not any of", [["keyword"], ["journalArticle", "podcast"], ["history", "culture"]]],
 		["Tags", "include", [["keyword"], ["journalArticle", "podcast"], ["history", "culture"]]],
 		["Tags", "include any of", [["keyword"], ["journalArticle", "podcast"], ["history", "culture"]]],
 		["Tags", "do not include", [["keyword"], ["journalArticle", "podcast"], ["history", "culture"]]],
 		["Title", "contains", ["", "query"]],
-		["Title", "does not contain", ["", "query"]]
+		["Title", "does not contain", ["", "query"]],
+		["Year", "is", []],
+		["Year", "since", []]
 	] as const;
 
 	test.each(cases)(
@@ -106,6 +112,17 @@ describe("Search queries", () => {
 		)).toBe(true);
 	});
 
+	it("extracts the phrases searched in full text", () => {
+		expect(getFulltextPhrases([
+			{ property: "Full text", relationship: "contains", value: "social interventions" },
+			[
+				{ property: "Title", relationship: "contains", value: "care" },
+				{ property: "Full text", relationship: "contains", value: "primary care" },
+				{ property: "Full text", relationship: "contains", value: " " }
+			]
+		])).toEqual(["social interventions", "primary care"]);
+	});
+
 	describe("Querying abstract", () => {
 		const items = [
 			{ abstract: "" },
@@ -134,6 +151,38 @@ describe("Search queries", () => {
 
 	});
 
+	describe("Querying saved search", () => {
+		const items = [
+			{ itemKey: "ABCD1234", location: "users/123456" },
+			{ itemKey: "EFGH5678", location: "users/123456" },
+			{ itemKey: "ABCD1234", location: "groups/456789" }
+		].map(it => mock<ZCleanItemTop>(it));
+
+		beforeAll(() => {
+			savedSearches.set({ items: ["ABCD1234"], key: "SRCH1234", library: "users/123456", name: "To read" });
+		});
+
+		afterAll(() => {
+			savedSearches.clear();
+		});
+
+		const cases = [
+			["is any of", ["users/123456/SRCH1234"], [true, false, false]],
+			["is not any of", ["users/123456/SRCH1234"], [false, true, true]]
+		] as const;
+
+		test.each(cases)(
+			"%# Saved search %s (%p) ...",
+			(rel, val, output) => {
+				expect(items.map(item => runQuerySet(
+					[{ property: "Saved search", relationship: rel, value: [...val] }],
+					true,
+					item
+				))).toEqual(output);
+			}
+		);
+	});
+
 	describe("Querying citekey", () => {
 		const items = [
 			{ raw: { has_citekey: true } },
@@ -352,4 +401,34 @@ describe("Search queries", () => {
 		);
 	});
 
-});
\ No newline at end of file
+	describe("Querying year", () => {
+		const items = [
+			{ year: "2019" },
+			{ year: "2020" },
+			{ year: "2021" },
+			{ year: "" }
+		].map(it => mock<ZCleanItemTop>(it));
+
+		const cases = [
+			["is", "2020", [false, true, false, false]],
+			["is not", "2020", [true, false, true, true]],
+			["before", "2020", [true, false, false, false]],
+			["after", "2020", [false, false, true, false]],
+			["since", "2020", [false, true, true, false]],
+			["until", "2020", [true, true, false, false]],
+			["since", "", [true, true, true, true]]
+		] as const;
+
+		test.each(cases)(
+			"%# Year %s (%p) ...",
+			(rel, val, output) => {
+				expect(items.map(item => runQuerySet(
+					[{ property: "Year", relationship: rel, value: val }],
+					true,
+					item
+				))).toEqual(output);
+			}
+		);
+	});
+
+});
@@ -1,6 +1,8 @@
+import { fulltextIndex, matchFulltext, matchSavedSearch, savedSearches } from "@clients/zotero";
 import { makeDNP } from "@services/roam";
 import { searchEngine } from "../../../../utils";
-import { InputEnum, InputValuesMap, QueryProperty, QueryTerm, SupportedItemType } from "./types";
+import { parseQueryString } from "./parser";
+import { InputEnum, InputValuesMap, QueryContext, QueryProperty, QueryTerm, QueryTermRecursive, SupportedItemType } from "./types";
 import { ZCleanItemTop } from "Types/transforms";
 
 
@@ -9,7 +11,7 @@ type QueryOperatorWithValue<T extends InputEnum> = {
 	defaultInput: InputValuesMap[T],
 	inputType: T,
 	stringify?: (value: InputValuesMap[T]) => string,
-	testItem: (item: SupportedItemType, value: InputValuesMap[T]) => boolean
+	testItem: (item: SupportedItemType, value: InputValuesMap[T], context: QueryContext) => boolean
 } & (InputValuesMap[T] extends string ? object : { stringify: (value: InputValuesMap[T]) => string })
 
 type QueryOperatorWithoutValue = {
@@ -22,6 +24,20 @@ type QueryOperatorWithoutValue = {
 
 export type QueryOperator<T extends InputEnum | null = InputEnum | null> = T extends InputEnum ? QueryOperatorWithValue<T> : QueryOperatorWithoutValue;
 
+/** Returns the name of a saved search from its ID (`library/key`), if the search's results have been retrieved */
+function getSearchName(id: string) {
+	return savedSearches.list().find(s => s.library + "/" + s.key == id)?.name || id;
+}
+
+/** Compares an item's year of publication to a year. Items without a year of publication never match. */
+function compareYear(item: ZCleanItemTop, value: string, compare: (itemYear: number, year: number) => boolean) {
+	if(!value){ return true; }
+	if(!item.year){ return false; }
+	return compare(Number(item.year), Number(value));
+}
+
+const checkYear = (value: any) => typeof value == "string" && /^\d+$/.test(value);
+
 const defaultQueryTerm: QueryTerm = { property: "Citekey", relationship: "exists", value: null };
 
 const queries: Record<QueryProperty, Record<string, QueryOperator>> = {
@@ -86,6 +102,14 @@ const queries: Record<QueryProperty, Record<string, QueryOperator>> = {
 			testItem: (item: ZCleanItemTop) => !item.raw.data.DOI
 		} as QueryOperator<null>
 	},
+	"Full text": {
+		"contains": {
+			checkInput: (value) => value?.constructor === String,
+			defaultInput: "",
+			inputType: InputEnum.TEXT,
+			testItem: (item: ZCleanItemTop, value = "", context: QueryContext) => matchFulltext(context.fulltext, value, item.children.pdfs)
+		} as QueryOperator<InputEnum.TEXT>
+	},
 	"Item added": {
 		"before": {
 			checkInput: (value) => value instanceof Date,
@@ -209,6 +233,22 @@ const queries: Record<QueryProperty, Record<string, QueryOperator>> = {
 			testItem: (item: ZCleanItemTop) => item.inGraph == false
 		} as QueryOperator<null>
 	},
+	"Saved search": {
+		"is any of": {
+			checkInput: (value) => value?.constructor === Array && value.length > 0 && value.every(el => el?.constructor === String),
+			defaultInput: [],
+			inputType: InputEnum.SAVED_SEARCH,
+			stringify: (value) => value.map(getSearchName).join(", "),
+			testItem: (item: ZCleanItemTop, value = [], context: QueryContext) => value.some(id => matchSavedSearch(context.searches, id, { library: item.location, itemKey: item.itemKey }))
+		} as QueryOperator<InputEnum.SAVED_SEARCH>,
+		"is not any of": {
+			checkInput: (value) => value?.constructor === Array && value.length > 0 && value.every(el => el?.constructor === String),
+			defaultInput: [],
+			inputType: InputEnum.SAVED_SEARCH,
+			stringify: (value) => value.map(getSearchName).join(", "),
+			testItem: (item: ZCleanItemTop, value = [], context: QueryContext) => value.every(id => !matchSavedSearch(context.searches, id, { library: item.location, itemKey: item.itemKey }))
+		} as QueryOperator<InputEnum.SAVED_SEARCH>
+	},
 	"Tags": {
 		"include": {
 			checkInput: (value) => value?.constructor === Array && (value.length == 0 || value.every(el => el?.constructor === String)),
@@ -254,20 +294,83 @@ const queries: Record<QueryProperty, Record<string, QueryOperator>> = {
 			inputType: InputEnum.TEXT,
 			testItem: (item, value) => !searchEngine(value, item.title)
 		} as QueryOperator<InputEnum.TEXT>
+	},
+	"Year": {
+		"is": {
+			checkInput: checkYear,
+			defaultInput: "",
+			inputType: InputEnum.TEXT,
+			testItem: (item: ZCleanItemTop, value = "") => compareYear(item, value, (itemYear, year) => itemYear == year)
+		} as QueryOperator<InputEnum.TEXT>,
+		"is not": {
+			checkInput: checkYear,
+			defaultInput: "",
+			inputType: InputEnum.TEXT,
+			testItem: (item: ZCleanItemTop, value = "") => !value || !compareYear(item, value, (itemYear, year) => itemYear == year)
+		} as QueryOperator<InputEnum.TEXT>,
+		"before": {
+			checkInput: checkYear,
+			defaultInput: "",
+			inputType: InputEnum.TEXT,
+			testItem: (item: ZCleanItemTop, value = "") => compareYear(item, value, (itemYear, year) => itemYear < year)
+		} as QueryOperator<InputEnum.TEXT>,
+		"after": {
+			checkInput: checkYear,
+			defaultInput: "",
+			inputType: InputEnum.TEXT,
+			testItem: (item: ZCleanItemTop, value = "") => compareYear(item, value, (itemYear, year) => itemYear > year)
+		} as QueryOperator<InputEnum.TEXT>,
+		"since": {
+			checkInput: checkYear,
+			defaultInput: "",
+			inputType: InputEnum.TEXT,
+			testItem: (item: ZCleanItemTop, value = "") => compareYear(item, value, (itemYear, year) => itemYear >= year)
+		} as QueryOperator<InputEnum.TEXT>,
+		"until": {
+			checkInput: checkYear,
+			defaultInput: "",
+			inputType: InputEnum.TEXT,
+			testItem: (item: ZCleanItemTop, value = "") => compareYear(item, value, (itemYear, year) => itemYear <= year)
+		} as QueryOperator<InputEnum.TEXT>
 	}
 };
 
-type QueryTermRecursive = QueryTerm | (QueryTerm|QueryTermRecursive)[];
+/** Extracts the phrases searched in the full text of items' PDFs, from a set of query terms
+ * @param terms - The terms of the query
+ * @returns The phrases used in "Full text" terms
+ */
+function getFulltextPhrases(terms: QueryTermRecursive[] = []): string[] {
+	return terms.flatMap(term => {
+		if(Array.isArray(term)){
+			return getFulltextPhrases(term);
+		} else if(term.property == "Full text" && term.relationship == "contains" && typeof(term.value) == "string" && term.value.trim()){
+			return [term.value];
+		} else {
+			return [];
+		}
+	});
+}
+
+/** Gathers the full-text content and saved search results currently held by the extension
+ * @returns The context in which to evaluate query terms
+ */
+function getQueryContext(): QueryContext {
+	return {
+		fulltext: fulltextIndex.list(),
+		searches: savedSearches.list()
+	};
+}
 
 /** Evaluates a query term (predicate or group) against an item
  * @param term - The term to evaluate
  * @param useOR - If the term is a group, is it an `OR` group? If `false`, it is treated as an `AND` group.
  * @param item - The item against which to evaluate the term
+ * @param context - The full-text content and saved search results to evaluate the term against
  * @returns The result of the term evaluation for the item
  */
-function runQueryTerm(term: QueryTermRecursive, useOR = false, item: ZCleanItemTop): boolean{
+function runQueryTerm(term: QueryTermRecursive, useOR = false, item: ZCleanItemTop, context: QueryContext): boolean{
 	if(Array.isArray(term)){
-		return runQuerySet(term, useOR, item);
+		return runQuerySet(term, useOR, item, context);
 	} else if(typeof(term) == "object"){
 		const { property, relationship, value } = term;
 		if(!property || !relationship){ 
@@ -277,7 +380,7 @@ function runQueryTerm(term: QueryTermRecursive, useOR = false, item: ZCleanItemT
 			if (operator.inputType === null) {
 				return operator.testItem(item);
 			} else {
-				return operator.testItem(item, value as any);
+				return operator.testItem(item, value as any, context);
 			}
 		}
 	} else {
@@ -289,22 +392,40 @@ function runQueryTerm(term: QueryTermRecursive, useOR = false, item: ZCleanItemT
  * @param terms - The terms of the query
  * @param useOR - If the top-level operator is "or"
  * @param item - The target item
+ * @param context - The full-text content and saved search results to evaluate the query against. Defaults to the data currently held by the extension.
  * @returns The result of the query evaluation for the item
  */
-function runQuerySet(terms: QueryTermRecursive[] = [], useOR = true, item: ZCleanItemTop): boolean{
+function runQuerySet(terms: QueryTermRecursive[] = [], useOR = true, item: ZCleanItemTop, context: QueryContext = getQueryContext()): boolean{
 	if(terms.length == 0){
 		return true;
 	} else {
 		if(useOR){
-			return terms.some(tm => runQueryTerm(tm, !useOR, item));
+			return terms.some(tm => runQueryTerm(tm, !useOR, item, context));
 		} else {
-			return terms.every(tm => runQueryTerm(tm, !useOR, item));
+			return terms.every(tm => runQueryTerm(tm, !useOR, item, context));
 		}
 	}
 }
 
+/** Filters a list of items with a text query
+ * @param items - The items to filter
+ * @param query - The query, in the syntax of {@link parseQueryString}
+ * @returns The items that match the query
+ * @throws If the query can't be parsed
+ * @example
+ * queryItems(items, "type:journalArticle year:>=2020 has:pdf tag:review -tag:read")
+ */
+function queryItems(items: ZCleanItemTop[], query: string): ZCleanItemTop[] {
+	const terms = parseQueryString(query);
+	const context = getQueryContext();
+	return items.filter(item => runQuerySet(terms, true, item, context));
+}
+
 export {
 	defaultQueryTerm,
+	getFulltextPhrases,
+	getQueryContext,
 	queries,
+	queryItems,
 	runQuerySet
 };
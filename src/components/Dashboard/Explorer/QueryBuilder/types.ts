@@ -1,3 +1,4 @@
+import { FulltextLibraryIndex, SavedSearchMembership } from "@clients/zotero";
 import { ZCleanItemPDF, ZCleanItemTop } from "Types/transforms";
 
 
@@ -6,6 +7,7 @@ export enum InputEnum {
 	DATE_RANGE = "date-range",
 	ITEM_TAGS = "tags",
 	ITEM_TYPE = "item-type",
+	SAVED_SEARCH = "saved-search",
 	SELECT = "select",
 	TEXT = "text"
 }
@@ -16,6 +18,7 @@ export type InputValuesMap = {
 	[InputEnum.DATE_RANGE]: [Date | null, Date | null],
 	[InputEnum.ITEM_TAGS]: string[],
 	[InputEnum.ITEM_TYPE]: string[],
+	[InputEnum.SAVED_SEARCH]: string[],
 	[InputEnum.SELECT]: string,
 	[InputEnum.TEXT]: string
 };
@@ -24,13 +27,16 @@ export type QueryProperty =
 	| "Abstract"
 	| "Citekey"
 	| "DOI"
+	| "Full text"
 	| "Item added"
 	| "Item type"
 	| "Notes"
 	| "PDF"
 	| "Roam page"
+	| "Saved search"
 	| "Tags"
-	| "Title";
+	| "Title"
+	| "Year";
 
 export type QueryTerm = {
 	property: QueryProperty,
@@ -40,8 +46,18 @@ export type QueryTerm = {
 
 export type QueryTermListRecursive = QueryTerm[] | QueryTermListRecursive[];
 
+export type QueryTermRecursive = QueryTerm | (QueryTerm | QueryTermRecursive)[];
+
 export type SupportedItemType = ZCleanItemTop | ZCleanItemPDF;
 
+/** The data that some query terms are evaluated against, besides the item itself */
+export type QueryContext = {
+	/** The full-text content of PDFs, for "Full text" terms */
+	fulltext: FulltextLibraryIndex[],
+	/** The results of saved searches, for "Saved search" terms */
+	searches: SavedSearchMembership[]
+};
+
 export type QueryBoxAction =
 	| { type: "removeSelf" }
 	| { type: "updateSelf", value: (QueryTerm | QueryTermListRecursive)[] };
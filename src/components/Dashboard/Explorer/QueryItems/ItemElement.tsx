@@ -1,10 +1,14 @@
+import { useMemo } from "react";
 import { Button } from "@blueprintjs/core";
 
 import CitekeyPopover from "Components/CitekeyPopover";
+import CollectionsMenu from "Components/CollectionsMenu";
 import DataDrawer from "Components/DataDrawer";
 import { ListItem } from "Components/DataList";
+import FulltextSnippets from "Components/FulltextSnippets";
 import NotesDrawer from "Components/NotesDrawer";
 
+import { fulltextIndex } from "@clients/zotero";
 import { useBool } from "@hooks";
 
 import { CustomClasses } from "../../../../constants";
@@ -15,12 +19,15 @@ import "../_index.sass";
 
 
 type OwnProps = {
+	/** The phrases searched in the full text of the item's PDFs, if any */
+	fulltextPhrases?: string[],
 	item: ZCleanItemTop,
 	onClose: () => void
 };
 
-function ItemElement({ item, onClose }: OwnProps){
+function ItemElement({ fulltextPhrases = [], item, onClose }: OwnProps){
 	const { children, inGraph, itemType, meta, publication, raw, title } = item;
+	const snippets = useMemo(() => fulltextPhrases.flatMap(phrase => fulltextIndex.findSnippets(phrase, children.pdfs, { limit: 2 })), [children.pdfs, fulltextPhrases]);
 	const [isDataDrawerOpen, { on: openDataDrawer, off: closeDataDrawer }] = useBool(false);
 	const [isNotesDrawerOpen, { on: openNotesDrawer, off: closeNotesDrawer }] = useBool(false);
 
@@ -35,9 +42,11 @@ function ItemElement({ item, onClose }: OwnProps){
 					{children.notes.length > 0
 						? <Button className={CustomClasses.TEXT_SMALL} icon="duplicate" minimal={true} text={pluralize(children.notes.length, "linked note")} onClick={openNotesDrawer} title="Show the item's linked notes" />
 						: null}
+					<CollectionsMenu item={raw} />
 				</div>
 				<CitekeyPopover closeDialog={onClose} inGraph={inGraph} item={raw} notes={children.notes} pdfs={children.pdfs} />
 			</div>
+			<FulltextSnippets snippets={snippets} />
 		</ListItem>
 		<DataDrawer item={raw} isOpen={isDataDrawerOpen} onClose={closeDataDrawer} />
 		{children.notes.length > 0 && <NotesDrawer notes={children.notes} isOpen={isNotesDrawerOpen} onClose={closeNotesDrawer} />}
@@ -1,33 +1,31 @@
 import { useEffect, useMemo, useState } from "react";
-import { NonIdealState, Spinner } from "@blueprintjs/core";
+import { InputGroup, NonIdealState, Spinner } from "@blueprintjs/core";
 
+import BatchImport from "Components/BatchImport";
+import ExportItems from "Components/ExportItems";
 import { ListWrapper, Pagination, Toolbar } from "Components/DataList";
 import { useRoamCitekeys } from "Components/RoamCitekeysContext";
+import { useOtherSettings, useRequestsSettings } from "Components/UserSettings";
 
-import { useArrayReducer, usePagination } from "@hooks";
+import { useFulltext, useSearchItems } from "@clients/zotero";
+import { useArrayReducer, usePagination, useText } from "@hooks";
 
 import ItemElement from "./ItemElement";
 import QueryFilterList from "../QueryBuilder/QueryFilterList";
-import { runQuerySet } from "../QueryBuilder/queries";
-import { cleanLibraryItem, identifyChildren } from "../../../../utils";
+import { parseQueryString } from "../QueryBuilder/parser";
+import { getFulltextPhrases, runQuerySet } from "../QueryBuilder/queries";
+import { cleanLibrary } from "../../../../utils";
 
 import { CustomClasses } from "../../../../constants";
-import { QueryTermListRecursive } from "../QueryBuilder/types";
+import { QueryContext, QueryTermListRecursive, QueryTermRecursive } from "../QueryBuilder/types";
+import { AsBoolean } from "Types/helpers";
 import { RCitekeyPages, ZCleanItemTop, ZLibraryContents } from "Types/transforms";
 
 
 function cleanLibraryData(itemList: ZLibraryContents, roamCitekeys: RCitekeyPages): Promise<ZCleanItemTop[]>{
 	return new Promise((resolve) => {
 		setTimeout(() => {
-			const data = itemList.items
-				.map(item => {
-					const itemKey = item.data.key;
-					const location = item.library.type + "s/" + item.library.id;
-					const { pdfs, notes } = identifyChildren(itemKey, location, { pdfs: itemList.pdfs, notes: itemList.notes });
-
-					return cleanLibraryItem(item, pdfs, notes, roamCitekeys);
-				});
-			resolve(data);
+			resolve(cleanLibrary(itemList, roamCitekeys));
 		}, 0);
 	});
 }
@@ -35,25 +33,60 @@ function cleanLibraryData(itemList: ZLibraryContents, roamCitekeys: RCitekeyPage
 
 const itemsPerPage = 20;
 
+/** Parses the contents of the search box. Invalid queries don't filter items, and return the parsing error. */
+function parseSearch(query: string): { error: string | null, terms: QueryTermRecursive[] } {
+	try {
+		return { error: null, terms: parseQueryString(query) };
+	} catch (e) {
+		return { error: (e as Error).message, terms: [] };
+	}
+}
+
 type QueryItemsListProps = {
 	items: ZCleanItemTop[],
 	onClose: () => void
 };
 
 function QueryItemsList({ items, onClose }: QueryItemsListProps){
+	const [{ fulltextIndex: isFulltextEnabled }] = useOtherSettings();
+	const [{ dataRequests, libraries }] = useRequestsSettings();
 	const { currentPage, pageLimits, setCurrentPage } = usePagination({ itemsPerPage });
 	const [useOR/*, setUseOR*/] = useState(true);
 	const [queryTerms, dispatch] = useArrayReducer<QueryTermListRecursive[]>([]);
+	const [searchQuery, onSearchChange] = useText("");
+	const search = useMemo(() => parseSearch(searchQuery), [searchQuery]);
+
+	const fulltextPhrases = useMemo(() => [...getFulltextPhrases(queryTerms), ...getFulltextPhrases(search.terms)], [queryTerms, search]);
+	const fulltextQueries = useFulltext(libraries, {
+		enabled: isFulltextEnabled && fulltextPhrases.length > 0,
+		notifyOnChangeProps: ["data"]
+	});
+	const fulltextData = useMemo(() => fulltextQueries.map(q => q.data).filter(AsBoolean), [fulltextQueries]);
+	const searchQueries = useSearchItems(dataRequests, { notifyOnChangeProps: ["data"] });
+	const searchesData = useMemo(() => searchQueries.map(q => q.data).filter(AsBoolean), [searchQueries]);
 
-	const queriedItems = useMemo(() => items.filter(it => runQuerySet(queryTerms, useOR, it)), [items, queryTerms, useOR]);
+	// Queries are re-run when new full-text content is indexed, or when the results of saved searches change
+	const context = useMemo<QueryContext>(() => ({ fulltext: fulltextData, searches: searchesData }), [fulltextData, searchesData]);
+	const queriedItems = useMemo(() => items.filter(it => runQuerySet(queryTerms, useOR, it, context) && runQuerySet(search.terms, true, it, context)), [context, items, queryTerms, search, useOR]);
 
 	useEffect(() => {
 		setCurrentPage(1);
 	}, [items, queriedItems, setCurrentPage]);
 
 	return <div className="zr-query-builder">
+		<InputGroup
+			fill={true}
+			intent={search.error ? "danger" : "none"}
+			leftIcon="search"
+			onChange={onSearchChange}
+			placeholder="Search items, e.g. type:journalArticle year:>=2020 has:pdf tag:review -tag:read"
+			small={true}
+			title={search.error || undefined}
+			value={searchQuery} />
 		<Toolbar>
 			<QueryFilterList dispatch={dispatch} terms={queryTerms} useOR={useOR} />
+			<BatchImport items={queriedItems} text={"Import metadata (" + queriedItems.length + ")"} />
+			<ExportItems items={queriedItems} />
 		</Toolbar>
 		<div className="zr-queryitems--datalist">
 			{queriedItems.length == 0
@@ -61,7 +94,7 @@ function QueryItemsList({ items, onClose }: QueryItemsListProps){
 				: <ListWrapper>
 					{queriedItems
 						.slice(...pageLimits)
-						.map(el => <ItemElement key={[el.location, el.key].join("-")} item={el} onClose={onClose} />)}
+						.map(el => <ItemElement key={[el.location, el.key].join("-")} fulltextPhrases={fulltextPhrases} item={el} onClose={onClose} />)}
 				</ListWrapper>}
 		</div>
 		<Toolbar>
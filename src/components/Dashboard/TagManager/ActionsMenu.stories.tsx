@@ -71,6 +71,9 @@ export const Default: StoryObj<Props> = {
 				args: {
 					tags: ["history", "history", "HISTORY", "History"]
 				},
+				data: [
+					{ tags: ["history", "history", "HISTORY", "History"], status: "deleted", error: null, version: expect.any(Number) }
+				],
 				error: null,
 				library: userLibrary.path,
 				_type: "tags-deleted"
@@ -1,4 +1,4 @@
-import { useCallback } from "react";
+import { useCallback, useMemo } from "react";
 import { Menu, MenuItem } from "@blueprintjs/core";
 
 import MergeAsOptions from "./MergeAsOptions";
@@ -17,7 +17,7 @@ type OwnProps = {
 };
 
 function ActionsMenu({ deleteTags = true, library, mergeAs = true, suggestion }: OwnProps) {
-	const { mutate, status } = useDeleteTags();
+	const { data: deletion, mutate, progress, status } = useDeleteTags();
 
 	const triggerDelete = useCallback(() => {
 		mutate({
@@ -26,6 +26,18 @@ function ActionsMenu({ deleteTags = true, library, mergeAs = true, suggestion }:
 		});
 	}, [suggestion.use, library, mutate]);
 
+	const deleteProps = useMemo(() => {
+		if (status == "loading" && progress && progress.total > 1) {
+			return { icon: "trash" as const, text: `Deleting (${progress.completed}/${progress.total})` };
+		} else if (status == "success" && deletion?.some(batch => batch.status != "deleted")) {
+			return { icon: "warning-sign" as const, text: "Partially deleted" };
+		} else if (status == "success") {
+			return { icon: "tick" as const, text: "Deleted" };
+		} else {
+			return { icon: "trash" as const, text: "Delete tag(s)" };
+		}
+	}, [deletion, progress, status]);
+
 	return (
 		<Menu className={CustomClasses.TEXT_SMALL}>
 			{mergeAs && suggestion.type 
@@ -34,7 +46,7 @@ function ActionsMenu({ deleteTags = true, library, mergeAs = true, suggestion }:
 				</MenuItem>
 				: null}
 			{deleteTags
-				? <MenuItem disabled={["loading", "success"].includes(status)} icon={status == "success" ? "tick" : "trash"} intent="danger" text={status == "success" ? "Deleted" : "Delete tag(s)"} onClick={triggerDelete} />
+				? <MenuItem disabled={["loading", "success"].includes(status)} intent="danger" onClick={triggerDelete} {...deleteProps} />
 				: null}
 		</Menu>
 	);
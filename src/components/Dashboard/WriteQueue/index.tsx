@@ -0,0 +1,95 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Button, ButtonGroup, Intent, NonIdealState, Tag } from "@blueprintjs/core";
+import { useQueryClient } from "@tanstack/react-query";
+
+import { ErrorBoundary } from "Components/Errors";
+import { useRequestsSettings } from "Components/UserSettings";
+
+import { QueuedWrite, describeWrite, writeQueue } from "@clients/zotero";
+
+import { makeDateFromAgo, pluralize } from "../../../utils";
+
+import { CustomClasses } from "../../../constants";
+import "./_index.sass";
+
+
+const STATUS_INTENTS: Record<QueuedWrite["status"], Intent> = {
+	"completed": "success",
+	"failed": "danger",
+	"pending": "warning"
+};
+
+/** Subscribes to the contents of the write queue */
+function useWriteQueue() {
+	const [entries, setEntries] = useState<QueuedWrite[]>(() => writeQueue.entries);
+
+	useEffect(() => {
+		// The queue may have changed between the first render and the subscription
+		setEntries(writeQueue.entries);
+		return writeQueue.subscribe(() => setEntries(writeQueue.entries));
+	}, []);
+
+	return entries;
+}
+
+
+type WriteEntryProps = {
+	entry: QueuedWrite,
+	onDiscard: (id: string) => void,
+	onRetry: (id: string) => void
+};
+
+function WriteEntry({ entry, onDiscard, onRetry }: WriteEntryProps) {
+	const { attempts, error, id, status, updatedAt } = entry;
+
+	const handleDiscard = useCallback(() => onDiscard(id), [id, onDiscard]);
+	const handleRetry = useCallback(() => onRetry(id), [id, onRetry]);
+
+	return <li className="zr-write-queue--entry" data-write-status={status}>
+		<div zr-role="entry-header">
+			<Tag intent={STATUS_INTENTS[status]} minimal={true}>{status}</Tag>
+			<span zr-role="entry-description">{describeWrite(entry)}</span>
+			<ButtonGroup minimal={true}>
+				{status != "completed" && <Button icon="refresh" onClick={handleRetry} small={true} text="Retry" />}
+				<Button icon="trash" intent="danger" onClick={handleDiscard} small={true} text="Discard" />
+			</ButtonGroup>
+		</div>
+		<div className={[CustomClasses.TEXT_AUXILIARY, CustomClasses.TEXT_SMALL].join(" ")} zr-role="entry-details">
+			<span>{makeDateFromAgo(updatedAt)}</span>
+			<span>{pluralize(attempts, "attempt")}</span>
+			{error && <code>{error}</code>}
+		</div>
+	</li>;
+}
+
+
+/** Lists the Zotero writes that couldn't be completed, with options to retry or discard them */
+function WriteQueue() {
+	const client = useQueryClient();
+	const [{ libraries }] = useRequestsSettings();
+	const entries = useWriteQueue();
+
+	const hasPending = useMemo(() => entries.some(entry => entry.status == "pending"), [entries]);
+
+	const retryAll = useCallback(() => writeQueue.replay({ libraries, queryClient: client }), [client, libraries]);
+	const retry = useCallback((id: string) => writeQueue.retry(id, { libraries, queryClient: client }), [client, libraries]);
+	const discard = useCallback((id: string) => writeQueue.discard(id), []);
+
+	return <ErrorBoundary>
+		<div className="zr-write-queue">
+			{entries.length == 0
+				? <NonIdealState className={CustomClasses.TEXT_AUXILIARY} description="No queued writes" />
+				: <>
+					<div zr-role="write-queue-actions">
+						<Button disabled={!hasPending} icon="refresh" onClick={retryAll} small={true} text="Retry all pending" />
+					</div>
+					<ul>
+						{entries.map(entry => <WriteEntry key={entry.id} entry={entry} onDiscard={discard} onRetry={retry} />)}
+					</ul>
+				</>}
+		</div>
+	</ErrorBoundary>;
+}
+
+
+export default WriteQueue;
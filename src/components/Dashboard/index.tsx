@@ -2,18 +2,24 @@ import { memo, useCallback, useEffect, useState } from "react";
 import { Classes, Icon, Tab, TabProps, Tabs } from "@blueprintjs/core";
 
 import AuxiliaryDialog from "Components/AuxiliaryDialog";
+import CitekeyAudit from "./CitekeyAudit";
+import CitekeyRenames from "./CitekeyRenames";
 import Explorer from "./Explorer";
 import RecentItems from "./RecentItems";
 import TagManager from "./TagManager";
+import WriteQueue from "./WriteQueue";
 
 import { CustomClasses } from "../../constants";
 import "./_index.sass";
 
 
 enum DashboardTab {
+	CITEKEY_AUDIT = "citekey-audit",
+	CITEKEY_RENAMES = "citekey-renames",
 	EXPLORER = "explorer",
 	RECENT_ITEMS = "recent-items",
-	TAG_MANAGER = "tag-manager"
+	TAG_MANAGER = "tag-manager",
+	WRITE_QUEUE = "write-queue"
 }
 
 const tabStaticProps: Partial<TabProps> = {
@@ -40,6 +46,9 @@ const TabList = memo<TabListProps>(function TabList(props){
 		<Tabs animate={false} className={[CustomClasses.TABS, "zr-dashboard-tabs-wrapper"].join(" ")} id="zr-dashboard--tabs" onChange={selectTab} selectedTabId={isActiveTab} vertical={true} >
 			<Tab id="recent-items" panel={<RecentItems onClose={onClose} />} title={<><Icon htmlTitle="Recent Items" icon="history" /><span>Recent Items</span></>} {...tabStaticProps} />
 			<Tab id="tag-manager" panel={<TagManager />} title={<><Icon htmlTitle="Tag Manager" icon="tag" /><span>Tag Manager</span></>} {...tabStaticProps} />
+			<Tab id="write-queue" panel={<WriteQueue />} title={<><Icon htmlTitle="Write Queue" icon="cloud-upload" /><span>Write Queue</span></>} {...tabStaticProps} />
+			<Tab id="citekey-audit" panel={<CitekeyAudit />} title={<><Icon htmlTitle="Citekey Audit" icon="search-template" /><span>Citekey Audit</span></>} {...tabStaticProps} />
+			<Tab id="citekey-renames" panel={<CitekeyRenames />} title={<><Icon htmlTitle="Citekey Renames" icon="swap-horizontal" /><span>Citekey Renames</span></>} {...tabStaticProps} />
 			<Tabs.Expander />
 			<Tab id="explorer" panel={<Explorer onClose={onClose} />} title={<><Icon htmlTitle="Explorer" icon="code-block" /><span>Explorer</span></>} {...tabStaticProps} />
 		</Tabs>
@@ -0,0 +1,75 @@
+import { useCallback, useState } from "react";
+import { Button, Menu, MenuDivider, MenuItem } from "@blueprintjs/core";
+import { Popover2, Popover2Props } from "@blueprintjs/popover2";
+
+import { copyToClipboard, downloadFile, pluralize } from "../../utils";
+
+import { CustomClasses } from "../../constants";
+import { ExportFileFormat } from "Types/extension";
+import { ZCleanItemTop } from "Types/transforms";
+
+
+const EXPORT_FORMATS: Record<ExportFileFormat, { extension: string, label: string, type: string }> = {
+	"bibtex": { extension: "bib", label: "BibTeX", type: "application/x-bibtex" },
+	"csljson": { extension: "json", label: "CSL-JSON", type: "application/json" },
+	"ris": { extension: "ris", label: "RIS", type: "application/x-research-info-systems" }
+};
+
+const popoverProps: Partial<Popover2Props> = {
+	lazy: true,
+	placement: "bottom-end",
+	popoverClassName: CustomClasses.POPOVER
+};
+
+
+type ExportItemsProps = {
+	/** The items to export */
+	items: ZCleanItemTop[],
+	/** The label for the button that opens the export menu */
+	text?: string
+};
+
+/** Button for exporting several items at once as BibTeX, RIS or CSL-JSON, either to the clipboard or to a file */
+function ExportItems({ items, text = "Export" }: ExportItemsProps) {
+	const [isExporting, setExporting] = useState(false);
+
+	const exportItems = useCallback(async(format: ExportFileFormat, output: "copy" | "download") => {
+		setExporting(true);
+		try {
+			const contents = await window.zoteroRoam.exportItems(items.map(it => it.raw), format);
+			const { extension, label, type } = EXPORT_FORMATS[format];
+			if (output == "copy") {
+				copyToClipboard(contents, { summary: `${pluralize(items.length, "item")} as ${label}` });
+			} else {
+				downloadFile(contents, `zotero-roam-export.${extension}`, type);
+			}
+		} catch (e) {
+			window.zoteroRoam?.error?.({
+				origin: "Export",
+				message: "Failed to export items",
+				context: {
+					error: (e as Error).message,
+					format
+				},
+				showToaster: true
+			});
+		}
+		setExporting(false);
+	}, [items]);
+
+	const formats = Object.keys(EXPORT_FORMATS) as ExportFileFormat[];
+
+	return <Popover2 {...popoverProps} content={
+		<Menu>
+			<MenuDivider title="Copy to clipboard" />
+			{formats.map(format => <MenuItem key={format} icon="clipboard" onClick={() => exportItems(format, "copy")} text={EXPORT_FORMATS[format].label} />)}
+			<MenuDivider title="Download" />
+			{formats.map(format => <MenuItem key={format} icon="download" onClick={() => exportItems(format, "download")} text={EXPORT_FORMATS[format].label} />)}
+		</Menu>
+	}>
+		<Button disabled={items.length == 0} icon="export" loading={isExporting} minimal={true} rightIcon="caret-down" text={text} title={"Export " + pluralize(items.length, "item")} />
+	</Popover2>;
+}
+
+
+export default ExportItems;
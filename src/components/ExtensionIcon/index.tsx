@@ -1,4 +1,4 @@
-import { memo, useCallback, useEffect, useMemo } from "react";
+import { memo, useCallback, useEffect, useMemo, useRef } from "react";
 import { Button, Classes, Divider, Icon, IconName, IconProps, Intent, Menu, MenuItem, Spinner, Switch, Tag } from "@blueprintjs/core";
 import { ContextMenu2, Tooltip2 } from "@blueprintjs/popover2";
 import { QueryObserverOptions, UseQueryResult } from "@tanstack/react-query";
@@ -6,8 +6,9 @@ import { QueryObserverOptions, UseQueryResult } from "@tanstack/react-query";
 import { useExtensionContext } from "Components/App";
 import { useOtherSettings, useRequestsSettings } from "Components/UserSettings";
 
-import { useCollections, useItems, usePermissions, useTags } from "@clients/zotero";
+import { useCollections, useItems, usePermissions, useSearchItems, useTags } from "@clients/zotero";
 import { useBool } from "@hooks";
+import { emitCustomEvent } from "@services/events";
 import { Queries } from "@services/react-query";
 
 import { makeTimestamp } from "../../utils";
@@ -21,7 +22,8 @@ type QueriesList = {
 	"Permissions": UseQueryResult<Queries.Data.Permissions>[],
 	"Collections": UseQueryResult<Queries.Data.Collections>[],
 	"Tags": UseQueryResult<Queries.Data.Tags>[],
-	"Items": UseQueryResult<Queries.Data.Items>[]
+	"Items": UseQueryResult<Queries.Data.Items>[],
+	"Saved searches"?: UseQueryResult<Queries.Data.SearchItems>[]
 };
 
 
@@ -163,11 +165,28 @@ const ExtensionIcon = memo<ExtensionIconProps>(function ExtensionIcon(props) {
 	const permissionQueries = usePermissions(apiKeys, queryOpts);
 	const tagQueries = useTags(libraries, queryOpts);
 	const collectionQueries = useCollections(libraries, queryOpts);
+	const searchQueries = useSearchItems(dataRequests, queryOpts);
     
-	const isCurrentlyLoading = [...permissionQueries, ...itemQueries, ...tagQueries, ...collectionQueries].some(q => q.isLoading);
-	const isCurrentlyFetching = [...permissionQueries, ...itemQueries, ...tagQueries, ...collectionQueries].some(q => q.fetchStatus == "fetching");
-	const hasLoadingError = [...permissionQueries, ...itemQueries, ...tagQueries, ...collectionQueries].some(q => q.isLoadingError);
+	const isCurrentlyLoading = [...permissionQueries, ...itemQueries, ...tagQueries, ...collectionQueries, ...searchQueries].some(q => q.isLoading);
+	const isCurrentlyFetching = [...permissionQueries, ...itemQueries, ...tagQueries, ...collectionQueries, ...searchQueries].some(q => q.fetchStatus == "fetching");
+	const hasLoadingError = [...permissionQueries, ...itemQueries, ...tagQueries, ...collectionQueries, ...searchQueries].some(q => q.isLoadingError);
 	const allowContext = itemQueries.some(q => q.data);
+	const hasLoadedItems = status == ExtensionStatusEnum.ON && itemQueries.length > 0 && itemQueries.every(q => q.isSuccess);
+
+	// Signals once per activation that all libraries are loaded, for other extensions to use
+	const librariesLoaded = useRef(false);
+	useEffect(() => {
+		if (status != ExtensionStatusEnum.ON) {
+			librariesLoaded.current = false;
+		} else if (hasLoadedItems && !librariesLoaded.current) {
+			librariesLoaded.current = true;
+			emitCustomEvent({
+				_type: "libraries-loaded",
+				items: itemQueries.reduce((count, q) => count + (q.data?.data.length || 0), 0),
+				libraries: Array.from(new Set(dataRequests.map(req => req.library.path)))
+			});
+		}
+	}, [dataRequests, hasLoadedItems, itemQueries, status]);
 
 	const data_status = useMemo(() => hasLoadingError ? "error" : ((isCurrentlyLoading && isCurrentlyFetching) ? "loading" : "ready"), [isCurrentlyFetching, isCurrentlyLoading, hasLoadingError]);
 	const button_icon = useMemo(() => status == ExtensionStatusEnum.DISABLED ? "warning-sign" : hasLoadingError ? "issue" : "manual", [hasLoadingError, status]);
@@ -177,9 +196,10 @@ const ExtensionIcon = memo<ExtensionIconProps>(function ExtensionIcon(props) {
 			"Permissions": permissionQueries,
 			"Collections": collectionQueries,
 			"Tags": tagQueries,
-			"Items": itemQueries
+			"Items": itemQueries,
+			...(searchQueries.length > 0 ? { "Saved searches": searchQueries } : {})
 		};
-	}, [collectionQueries, itemQueries, permissionQueries, tagQueries]);
+	}, [collectionQueries, itemQueries, permissionQueries, searchQueries, tagQueries]);
 
 	const tooltipContent = useMemo(() => {
 		return <>
@@ -0,0 +1,31 @@
+import { memo } from "react";
+
+import { FulltextSnippet } from "@clients/zotero";
+
+import { CustomClasses } from "../../constants";
+import "./_index.sass";
+
+
+type FulltextSnippetsProps = {
+	snippets: FulltextSnippet[]
+};
+
+/** Shows excerpts from the full-text content of an item's PDFs, with the matched phrase highlighted */
+const FulltextSnippets = memo<FulltextSnippetsProps>(function FulltextSnippets({ snippets }) {
+	if (snippets.length == 0) {
+		return null;
+	}
+
+	return <ul className={["zr-fulltext-snippets", CustomClasses.TEXT_SMALL].join(" ")}>
+		{snippets.map((snip, i) => (
+			<li key={i}>
+				<span>{snip.before}</span>
+				<mark>{snip.match}</mark>
+				<span>{snip.after}</span>
+			</li>
+		))}
+	</ul>;
+});
+
+
+export default FulltextSnippets;
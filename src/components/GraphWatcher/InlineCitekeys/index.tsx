@@ -6,7 +6,7 @@ import { useExtensionContext } from "Components/App";
 import NotesDrawer from "Components/NotesDrawer";
 import { useAnnotationsSettings, useMetadataSettings, useNotesSettings, useOtherSettings, useRequestsSettings, useTypemapSettings } from "Components/UserSettings";
 
-import { useItems } from "@clients/zotero";
+import { citekeyRenames, useCitekeyRenames, useItems } from "@clients/zotero";
 import { useBool } from "@hooks";
 import { Queries } from "@services/react-query";
 import { importItemMetadata } from "@services/roam";
@@ -86,8 +86,23 @@ const useGetItems = (reqs: DataRequest[]): ItemsMap => {
 	});
 
 	const data = useMemo(() => itemQueries.map(q => q.data || []).flat(1), [itemQueries]);
-    
-	return new Map(data);
+	const renames = useCitekeyRenames();
+
+	return useMemo(() => {
+		const itemsMap = new Map(data);
+
+		// Citekeys that were renamed remain as aliases, so that old references still resolve
+		renames
+			.filter(entry => entry.status != "dismissed")
+			.forEach(({ from }) => {
+				const item = itemsMap.get("@" + citekeyRenames.resolve(from));
+				if (item && !itemsMap.has("@" + from)) {
+					itemsMap.set("@" + from, item);
+				}
+			});
+
+		return itemsMap;
+	}, [data, renames]);
 };
 
 
@@ -0,0 +1,30 @@
+import { useCallback, useState } from "react";
+import { Button } from "@blueprintjs/core";
+
+import { findRoamPage, insertPageBibliography } from "@services/roam";
+
+
+type BibliographyButtonProps = {
+	/** The title of the Roam page */
+	title: string
+};
+
+/** Inserts (or refreshes) the bibliography for the citekeys mentioned on a Roam page */
+function BibliographyButton({ title }: BibliographyButtonProps){
+	const [isRunning, setRunning] = useState(false);
+
+	const insertBibliography = useCallback(async() => {
+		const pageUID = findRoamPage(title);
+		if (!pageUID) {
+			return;
+		}
+		setRunning(true);
+		await insertPageBibliography(pageUID);
+		setRunning(false);
+	}, [title]);
+
+	return <Button icon="citation" loading={isRunning} minimal={true} onClick={insertBibliography} title="Insert a bibliography of the citekeys mentioned on this page">Bibliography</Button>;
+}
+
+
+export default BibliographyButton;
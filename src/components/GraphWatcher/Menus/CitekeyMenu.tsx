@@ -4,23 +4,25 @@ import { Button, ButtonGroup, Card, Classes, Collapse, IconName, Tag } from "@bl
 import AuxiliaryDialog from "Components/AuxiliaryDialog";
 import ButtonLink from "Components/ButtonLink";
 import CitekeyPopover from "Components/CitekeyPopover";
+import CollectionsMenu from "Components/CollectionsMenu";
 import { ErrorBoundary, ErrorCallout } from "Components/Errors";
 import ItemDetails from "Components/ItemDetails";
 import NotesImport from "Components/NotesImport";
 import SciteBadge from "Components/SciteBadge";
+import { useExportToNote } from "../NoteExport";
 import SemanticPanel from "../SemanticPanel";
 import { useAnnotationsSettings, useMetadataSettings, useNotesSettings, usePageMenuSettings, useSciteSettings, useTypemapSettings } from "Components/UserSettings";
 import { useRoamCitekeys } from "Components/RoamCitekeysContext";
 
 import { useSemantic } from "@clients/semantic";
 import { useBool } from "@hooks";
-import { findRoamPage, importItemMetadata } from "@services/roam";
+import { findRoamPage, getBlockTree, importItemMetadata, importItemNotes } from "@services/roam";
 
 
 import { cleanSemantic, compareItemsByYear } from "./helpers";
 import { showClasses } from "../classes";
 import { ShowPropertiesSemantic, ShowTypeSemantic } from "../types";
-import { cleanLibraryItem, getLocalLink, getPDFLink, getWebLink, identifyChildren, parseDOI, pluralize } from "../../../utils";
+import { categorizeNotes, cleanLibraryItem, getImportedNotes, getLocalLink, getPDFLink, getWebLink, identifyChildren, parseDOI, pluralize } from "../../../utils";
 
 import { CustomClasses } from "../../../constants";
 import { SEnrichedItemInLibrary, ZCleanItemTop, ZItemAnnotation, ZItemNote, ZItemTop, ZLibraryContents } from "Types/transforms";
@@ -272,6 +274,23 @@ const CitekeyMenu = memo<CitekeyMenuProps>(function CitekeyMenu({ item, itemList
 		return await importItemMetadata({ item, pdfs, notes }, pageUID, metadataSettings, typemap, notesSettings, annotationsSettings);
 	}, [annotationsSettings, children, item, metadataSettings, notesSettings, pageUID, typemap]);
 
+	const importNewNotes = useCallback(async() => {
+		// Notes that were imported before are recorded in the props of the page's blocks
+		const imported = pageUID ? getImportedNotes(getBlockTree(pageUID)) : {};
+		const { new: newNotes } = categorizeNotes(children.notes, imported);
+
+		if(newNotes.length == 0){
+			window.zoteroRoam?.info?.({
+				origin: "Notes",
+				message: "No new annotations to import for @" + item.key,
+				showToaster: true
+			});
+			return;
+		}
+
+		return await importItemNotes({ item, notes: newNotes }, pageUID, notesSettings, annotationsSettings);
+	}, [annotationsSettings, children.notes, item, notesSettings, pageUID]);
+
 	const pdfLinks = useMemo(() => {
 		if(children.pdfs.length == 0 || !defaults.includes("pdfLinks")) {
 			return null;
@@ -293,13 +312,23 @@ const CitekeyMenu = memo<CitekeyMenuProps>(function CitekeyMenu({ item, itemList
 		}
 	}, [defaults, children.pdfs]);
 
+	const { exportToNote, status: exportStatus } = useExportToNote();
+	const exportPage = useCallback(() => {
+		if(pageUID){
+			exportToNote(pageUID);
+		}
+	}, [exportToNote, pageUID]);
+
 	const notesButton = useMemo(() => {
 		if(children.notes.length == 0 || !defaults.includes("importNotes")){
 			return null;
 		} else {
-			return <ViewNotes item={item} notes={children.notes} pageUID={pageUID} />;
+			return <>
+				<ViewNotes item={item} notes={children.notes} pageUID={pageUID} />
+				<Button icon="import" onClick={importNewNotes} role="menuitem" >Import new annotations</Button>
+			</>;
 		}
-	}, [defaults, children.notes, item, pageUID]);
+	}, [defaults, children.notes, importNewNotes, item, pageUID]);
     
 	const open_zotero = useMemo(() => {
 		return (
@@ -362,9 +391,15 @@ const CitekeyMenu = memo<CitekeyMenuProps>(function CitekeyMenu({ item, itemList
 							? <Button icon="add" onClick={importMetadata} role="menuitem" >Add metadata</Button>
 							: null}
 						{notesButton}
+						{pageUID && defaults.includes("exportNote")
+							? <Button icon="export" loading={exportStatus == "loading"} onClick={exportPage} role="menuitem" >Export to Zotero note</Button>
+							: null}
 						{defaults.includes("viewItemInfo")
 							? <ViewItem item={clean_item} />
 							: null}
+						{defaults.includes("manageCollections")
+							? <CollectionsMenu item={item} />
+							: null}
 						{open_zotero}
 						{pdfLinks}
 						{ext_links}
@@ -3,6 +3,7 @@ import { Button } from "@blueprintjs/core";
 
 import { useBool } from "@hooks";
 
+import BibliographyButton from "./BibliographyButton";
 import RelatedPanel from "../RelatedPanel";
 import { ShowTypeRelated } from "../types";
 
@@ -38,6 +39,7 @@ function DNPMenu({ added, title }: DNPMenuProps){
 				/>
 			</>
 			: null}
+		<BibliographyButton title={title} />
 	</>;
 }
 
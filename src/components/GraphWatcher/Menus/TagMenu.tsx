@@ -3,6 +3,7 @@ import { Button } from "@blueprintjs/core";
 
 import { useBool } from "@hooks";
 
+import BibliographyButton from "./BibliographyButton";
 import RelatedPanel from "../RelatedPanel";
 import { ShowPropertiesRelated, ShowTypeRelated } from "../types";
 
@@ -68,6 +69,7 @@ function TagMenu(props: TagMenuProps){
 					items={(isShowing || fallbackShowProps).type == ShowTypeRelated.WITH_TAG ? tagged : inAbstract} 
 					onClose={closeDialog}
 					show={isShowing || fallbackShowProps} />}
+			<BibliographyButton title={tag} />
 		</>
 	);
 }
@@ -177,7 +177,6 @@ function TagMenuFactory({ menus }: { menus: Element[] }){
 					
 					return { div: menu, tag: title, ...results };
 				})
-				.filter(menu => menu.with_tags.length > 0 || menu.with_abstract.length > 0)
 				.map((menu,i) => {
 					const { with_tags, with_abstract, div, tag } = menu;
 					return (
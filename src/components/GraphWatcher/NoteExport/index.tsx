@@ -0,0 +1,88 @@
+import { useCallback, useEffect } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+
+import { useRequestsSettings } from "Components/UserSettings";
+
+import { useExportNote, useWriteableLibraries } from "@clients/zotero";
+import { selectItems } from "@services/react-query";
+import { Roam, addBlockContextMenuCommand, getBlockTree, removeBlockContextMenuCommand, updateBlockProps } from "@services/roam";
+
+import { ROAM_PROPS_KEY } from "../../../constants";
+import { formatBlocksAsNote } from "../../../utils";
+
+
+const exportBlockCommand = "zoteroRoam : Export block to Zotero note";
+
+/** Provides a function that exports a Roam block (or page) to a child note of the item whose citekey page contains it.
+ * The note's key is stored in the block's properties, so that exporting the block again updates the same note.
+ */
+function useExportToNote() {
+	const client = useQueryClient();
+	const [{ libraries }] = useRequestsSettings();
+	const { data: writeableLibraries } = useWriteableLibraries(libraries);
+	const { mutate, status } = useExportNote();
+
+	const exportToNote = useCallback((uid: string) => {
+		const tree = getBlockTree(uid);
+		const title = tree?.title || tree?.page?.title || "";
+
+		if (!tree || !title.startsWith("@")) {
+			window.zoteroRoam?.warn?.({
+				origin: "Notes",
+				message: "Only citekey pages and their blocks can be exported to Zotero",
+				context: { uid },
+				showToaster: true
+			});
+			return;
+		}
+
+		const item = selectItems("items", {}, { queryClient: client }).find(it => it.key == title.slice(1));
+		const path = item ? item.library.type + "s/" + item.library.id : null;
+		const library = writeableLibraries.find(lib => lib.path == path);
+
+		if (!item || !library) {
+			window.zoteroRoam?.warn?.({
+				origin: "Notes",
+				message: "No item with write access was found for " + title,
+				context: { uid },
+				showToaster: true
+			});
+			return;
+		}
+
+		const props = tree.props?.[ROAM_PROPS_KEY] || {};
+		const noteKey = props.note?.library == library.path ? props.note.key : null;
+		// When exporting a page, its title isn't included in the note
+		const html = formatBlocksAsNote(tree.title ? (tree.children || []) : [tree]);
+
+		mutate({ html, item, library, noteKey }, {
+			onSuccess: async ({ noteKey: exportedKey }) => {
+				if (exportedKey != noteKey) {
+					await updateBlockProps(uid, { [ROAM_PROPS_KEY]: { ...props, note: { key: exportedKey, library: library.path } } });
+				}
+			}
+		});
+	}, [client, mutate, writeableLibraries]);
+
+	return { exportToNote, status };
+}
+
+
+/** Registers the block context menu command for exporting blocks to Zotero notes */
+function NoteExport() {
+	const { exportToNote } = useExportToNote();
+
+	useEffect(() => {
+		addBlockContextMenuCommand(exportBlockCommand, (context: Roam.BlockContext) => exportToNote(context["block-uid"]));
+
+		return () => {
+			removeBlockContextMenuCommand(exportBlockCommand);
+		};
+	}, [exportToNote]);
+
+	return null;
+}
+
+
+export default NoteExport;
+export { useExportToNote };
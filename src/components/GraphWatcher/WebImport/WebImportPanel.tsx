@@ -1,55 +1,95 @@
-import { memo, useCallback } from "react";
+import { memo, useCallback, useMemo } from "react";
 import { Button, Checkbox, Classes, Tag } from "@blueprintjs/core";
 
 import AuxiliaryDialog from "Components/AuxiliaryDialog";
 import { ErrorBoundary } from "Components/Errors";
 import { CitoidGuide } from "Components/Guide";
-import { useTypemapSettings } from "Components/UserSettings";
+import { useRequestsSettings, useTypemapSettings } from "Components/UserSettings";
 import ZoteroImport from "Components/ZoteroImport";
 
 import { CitoidAPI, useCitoids } from "@clients/citoid";
+import { useItems } from "@clients/zotero";
 import { useMulti } from "@hooks";
+import { getBlockTree } from "@services/roam";
 
-import { pluralize } from "../../../utils";
+import { findDuplicate } from "./helpers";
+import { ParsedReference, parseReferences } from "./parsers";
+
+import { categorizeLibraryItems, pluralize, sortBlocks } from "../../../utils";
 
 import { CustomClasses } from "../../../constants";
 import { AsBoolean } from "Types/helpers";
+import { RBlockTree, ZItemTop } from "Types/transforms";
 
 
 type WebImportItem = {
 	abstract: string,
 	creators: string,
+	DOI: string,
+	/** The library item that the item already exists as, if any */
+	duplicate?: ZItemTop,
+	/** The identifier used for selection : the item's URL for links, and its position for parsed references */
+	id: string,
 	itemType: CitoidAPI.AsZotero["itemType"],
 	publication: string,
 	title: string,
 	url: string
 };
 
+/** Formats Zotero metadata for display in the panel */
+function makeWebImportItem(item: CitoidAPI.AsZotero, id: string): WebImportItem {
+	return {
+		abstract: item.abstractNote || "",
+		creators: item.creators?.map(cre => {
+			if ("name" in cre) {
+				return cre.name;
+			} else {
+				return [cre.firstName, cre.lastName].filter(AsBoolean).join(" ");
+			}
+		}).join(", "),
+		DOI: item.DOI || "",
+		id,
+		itemType: item.itemType,
+		publication: item.publicationTitle || item.bookTitle || item.proceedingsTitle || item.websiteTitle || "",
+		title: item.title,
+		url: item.url || ""
+	};
+}
+
 function useGetCitoids(urls: string[], opts = {}) {
 	return useCitoids(urls, {
 		...opts,
 		select: (data) => {
 			const { item, query } = data;
-			
-			return {
-				abstract: item.abstractNote || "",
-				creators: item.creators?.map(cre => {
-					if ("name" in cre) {
-						return cre.name;
-					} else {
-						return [cre.firstName, cre.lastName].filter(AsBoolean).join(" ");
-					}
-				}).join(", "),
-				itemType: item.itemType, 
-				publication: item.publicationTitle || item.bookTitle || item.websiteTitle || "",
-				title: item.title,
-				url: query
-			} as WebImportItem;
+			return { ...makeWebImportItem(item, query), url: query };
 		},
 		notifyOnChangeProps: ["data", "isLoading"]
 	});
 }
 
+/** Parses the references (BibTeX or RIS) contained in a block and its children, once the panel is open */
+function useParsedReferences(blockUID: string | undefined, isOpen: boolean): ParsedReference[] {
+	return useMemo(() => {
+		if (!blockUID || !isOpen) {
+			return [];
+		}
+
+		const strings: string[] = [];
+		const walk = (block: RBlockTree) => {
+			if (block.string) {
+				strings.push(block.string);
+			}
+			sortBlocks(block.children || []).forEach(walk);
+		};
+		const tree = getBlockTree(blockUID);
+		if (tree) {
+			walk(tree);
+		}
+
+		return parseReferences(strings.join("\n"));
+	}, [blockUID, isOpen]);
+}
+
 
 type WebImportItemProps = {
 	isSelected: boolean,
@@ -62,11 +102,11 @@ const WebImportItem = memo<WebImportItemProps>(function WebImportItem(props){
 	const [typemap] = useTypemapSettings();
 
 	const handleCheckUncheck = useCallback(() => {
-		onSelect(item.url);
-	}, [item.url, onSelect]);
+		onSelect(item.id);
+	}, [item.id, onSelect]);
     
 	return (
-		<li className="zr-webimport-item" aria-label={item.url} onClick={handleCheckUncheck} >
+		<li className="zr-webimport-item" aria-label={item.url || item.title} onClick={handleCheckUncheck} >
 			<div className={ Classes.MENU_ITEM }>
 				<div className="zr-webimport-item--header" >
 					<Checkbox
@@ -74,13 +114,18 @@ const WebImportItem = memo<WebImportItemProps>(function WebImportItem(props){
 						className="zr-webimport-item--title"
 						inline={false}
 						labelElement={<>
-							<a target="_blank" rel="noreferrer" href={item.url}>{item.title}</a>
+							{item.url
+								? <a target="_blank" rel="noreferrer" href={item.url}>{item.title}</a>
+								: <span zr-role="item-title">{item.title}</span>}
 							{item.creators
 								? <span className={CustomClasses.TEXT_SECONDARY} zr-role="item-creators" > ({item.creators})</span>
 								: null}
 						</>}
 						onChange={handleCheckUncheck}
 					/>
+					{item.duplicate
+						? <Tag htmlTitle={"Already in the library as @" + item.duplicate.key} icon="duplicate" intent="warning" minimal={true} zr-role="item-duplicate">In library</Tag>
+						: null}
 					{item.itemType
 						? <Tag htmlTitle={item.publication} minimal={true} zr-role="item-type">
 							<span data-item-type={item.itemType} >{typemap[item.itemType] || item.itemType}</span>
@@ -99,21 +144,50 @@ const WebImportItem = memo<WebImportItemProps>(function WebImportItem(props){
 
 
 type WebImportPanelProps = {
+	/** The UID of the block to parse references from, if it contains any */
+	blockUID?: string,
 	isOpen: boolean,
 	onClose: () => void,
 	urls: string[]
 };
 
 const WebImportPanel = memo<WebImportPanelProps>(function WebImportPanel(props){
-	const { isOpen, onClose, urls } = props;
+	const { blockUID, isOpen, onClose, urls } = props;
+	const [{ dataRequests }] = useRequestsSettings();
 	const [selected, { set: setSelected, toggle: onItemSelect }] = useMulti<string>({
 		start: []
 	});
 	const has_selected_items = selected.length > 0;
 
+	const itemQueries = useItems(dataRequests, {
+		enabled: isOpen,
+		notifyOnChangeProps: ["data"],
+		select: (datastore) => datastore.data
+	});
+	const data = useMemo(() => itemQueries.map(q => q.data || []).flat(1), [itemQueries]);
+	const libraryItems = useMemo(() => categorizeLibraryItems(data).items, [data]);
+
 	const citoidQueries = useGetCitoids(urls, { enabled: isOpen });
-	const noQueriesLoaded = citoidQueries.every(q => q.isLoading);
-	const citoids = citoidQueries.filter(q => q.isSuccess).map(q => q.data).filter(AsBoolean);
+	const noQueriesLoaded = urls.length > 0 && citoidQueries.every(q => q.isLoading);
+	const references = useParsedReferences(blockUID, isOpen);
+
+	const entries = useMemo(() => {
+		const citoids = citoidQueries.filter(q => q.isSuccess).map(q => q.data).filter(AsBoolean);
+		const parsed = references.map((ref, i) => makeWebImportItem(ref, "reference-" + i));
+		return [...citoids, ...parsed].map(entry => ({ ...entry, duplicate: findDuplicate(entry, libraryItems) }));
+	}, [citoidQueries, libraryItems, references]);
+
+	const headerText = useMemo(() => {
+		const linksCount = entries.filter(entry => !entry.id.startsWith("reference-")).length;
+		return [
+			urls.length > 0 && pluralize(linksCount, "link", " found"),
+			references.length > 0 && pluralize(references.length, "reference", " found")
+		].filter(AsBoolean).join(", ");
+	}, [entries, references.length, urls.length]);
+
+	// Metadata for links is retrieved through Citoid when importing, while references are already parsed
+	const selectedURLs = useMemo(() => selected.filter(id => urls.includes(id)), [selected, urls]);
+	const selectedReferences = useMemo(() => references.filter((_ref, i) => selected.includes("reference-" + i)), [references, selected]);
 
 	const handleClose = useCallback(() => {
 		setSelected([]);
@@ -135,7 +209,7 @@ const WebImportPanel = memo<WebImportPanelProps>(function WebImportPanel(props){
 								<h5 id="zr-webimport-dialog--title" className="panel-tt">
 									{noQueriesLoaded
 										? "Parsing links..."
-										: pluralize(citoids.length, "link", " found")}
+										: headerText}
 								</h5>
 								{!noQueriesLoaded && <CitoidGuide />}
 							</div>
@@ -145,12 +219,12 @@ const WebImportPanel = memo<WebImportPanelProps>(function WebImportPanel(props){
 						</div>
 						<div className="rendered-div">
 							<ul className={ Classes.LIST_UNSTYLED }>
-								{citoids.map(cit => <WebImportItem key={cit.url} item={cit} isSelected={selected.includes(cit.url)} onSelect={onItemSelect} />)}
+								{entries.map(entry => <WebImportItem key={entry.id} item={entry} isSelected={selected.includes(entry.id)} onSelect={onItemSelect} />)}
 							</ul>
 						</div>
 					</div>
 					<div className="zr-webimport-panel--side" tabIndex={0}>
-						<ZoteroImport identifiers={selected} isActive={has_selected_items} resetImport={() => setSelected([])} />
+						<ZoteroImport identifiers={selectedURLs} isActive={has_selected_items} items={selectedReferences} resetImport={() => setSelected([])} />
 					</div>
 				</ErrorBoundary>
 			</div>
@@ -1,10 +1,12 @@
 import { act, render } from "@testing-library/react";
 
 import { hasNodeListChanged } from "../helpers";
-import { findWebimportDivs, matchArrays, setWebimportDivs } from "./helpers";
+import { findDuplicate, findWebimportDivs, matchArrays, setWebimportDivs } from "./helpers";
 
 import { webimportClass } from "../classes";
 import { blockWithAliasedLink } from "../fixtures";
+import { items } from "Mocks";
+import { ZItemTop } from "Types/transforms";
 
 
 describe("WebImport divs are inserted", () => {
@@ -66,4 +68,26 @@ describe("matchArrays", () => {
 				false
 			]);
 	});
-});
\ No newline at end of file
+});
+
+describe("findDuplicate", () => {
+	const libraryItems = items as ZItemTop[];
+	const [blochItem] = libraryItems;
+
+	it("Matches references by DOI", () => {
+		expect(findDuplicate({ DOI: "https://doi.org/10.1503/CMAJ.210229", title: "Another title" }, libraryItems))
+			.toEqual(blochItem);
+	});
+
+	it("Matches references by title", () => {
+		expect(findDuplicate({ title: "Implementing Social Interventions in Primary Care." }, libraryItems))
+			.toEqual(blochItem);
+	});
+
+	it("Returns undefined for new references", () => {
+		expect(findDuplicate({ DOI: "10.1000/xyz123", title: "A history of tea" }, libraryItems))
+			.toBeUndefined();
+		expect(findDuplicate({}, libraryItems))
+			.toBeUndefined();
+	});
+});
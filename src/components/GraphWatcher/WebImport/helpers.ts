@@ -1,4 +1,7 @@
+import { parseDOI } from "../../../utils";
+
 import { webimportClass } from "../classes";
+import { ZItemTop } from "Types/transforms";
 
 
 const findWebimportDivs = () => {
@@ -16,6 +19,24 @@ function matchArrays(arr1: any[], arr2: any[]) {
 }
 
 
+/** Normalizes a title for comparison, without regard to case, punctuation or spacing */
+function normalizeTitle(title = "") {
+	return title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+/** Finds the library item that a reference already exists as, based on its DOI or its title
+ * @param reference - The DOI and title of the reference
+ * @param items - The library items to compare with
+ * @returns The matching item, if any
+ */
+function findDuplicate(reference: { DOI?: string, title?: string }, items: ZItemTop[]): ZItemTop | undefined {
+	const doi = parseDOI(reference.DOI);
+	const title = normalizeTitle(reference.title);
+
+	return items.find(item => (doi && parseDOI(item.data.DOI) == doi) || (title && normalizeTitle(item.data.title) == title));
+}
+
+
 const setWebimportDivs = (tags: string[]) => {
 	// Old blocks - are they still valid ?
 	findWebimportDivs()
@@ -32,4 +53,4 @@ const setWebimportDivs = (tags: string[]) => {
 	newTrigBlocks.forEach(b => b.insertAdjacentElement("afterbegin", elem.cloneNode(true) as Element));
 };
 
-export { findWebimportDivs, matchArrays, setWebimportDivs };
\ No newline at end of file
+export { findDuplicate, findWebimportDivs, matchArrays, setWebimportDivs };
\ No newline at end of file
@@ -7,20 +7,38 @@ import WebImportPanel from "./WebImportPanel";
 import { useBool } from "@hooks";
 
 import { hasNodeListChanged } from "../helpers";
+import { hasReferences } from "./parsers";
 
 import "./_index.sass";
 
 
+const linksSelector = ".rm-block a:not(.rm-alias--page):not(.rm-alias--block)";
+
+/** Retrieves the links and the references (BibTeX or RIS) contained in a tagged block, or its children */
+function readTaggedBlock(div: Element) {
+	const block = div.parentElement;
+	const links = block?.querySelectorAll<HTMLLinkElement>(linksSelector) || [];
+	// Block inputs have IDs in the format `block-input-<window ID>-<block UID>`
+	const blockUID = hasReferences(block?.textContent || "")
+		? block?.querySelector(".rm-block__input")?.id.slice(-9)
+		: undefined;
+
+	return { blockUID, urls: Array.from(links).map(lk => lk.href) };
+}
+
+
 type WebImportButtonProps = {
+	/** The UID of the block to parse references from, if it contains any */
+	blockUID?: string,
 	urls: string[]
 };
 
-const WebImportButton = memo<WebImportButtonProps>(function WebImportButton({ urls }){
+const WebImportButton = memo<WebImportButtonProps>(function WebImportButton({ blockUID, urls }){
 	const [isDialogOpen, { on: openDialog, off: closeDialog }] = useBool(false);
 
 	return <>
 		<Button className="zr-webimport-button" icon="geosearch" minimal={true} onClick={openDialog} />
-		<WebImportPanel isOpen={isDialogOpen} onClose={closeDialog} urls={urls} />
+		<WebImportPanel blockUID={blockUID} isOpen={isDialogOpen} onClose={closeDialog} urls={urls} />
 	</>;
 });
 
@@ -34,8 +52,8 @@ function WebImportFactory({ divs }: { divs: ArrayLike<Element> }){
 	const updateBlocksWithLinks = useCallback(() => {
 		setBlocksWithLinks((prevState) => {
 			const currentBlocks = Array.from(divs).filter(div => {
-				const links = div?.parentElement?.querySelectorAll(".rm-block a:not(.rm-alias--page):not(.rm-alias--block)") || [];
-				return links.length > 0;
+				const { blockUID, urls } = readTaggedBlock(div);
+				return urls.length > 0 || blockUID;
 			});
 			if(hasNodeListChanged(prevState, currentBlocks)){
 				return currentBlocks;
@@ -63,15 +81,14 @@ function WebImportFactory({ divs }: { divs: ArrayLike<Element> }){
 	}, [updateBlocksWithLinks]);
 
 	return <>
-		{Array.from(blocksWithLinks).map(div => ({
+		{Array.from(blocksWithLinks, (div: Element) => ({
 			div,
-			links: div.parentElement?.querySelectorAll<HTMLLinkElement>(".rm-block a:not(.rm-alias--page):not(.rm-alias--block)") || []
-		})).filter(div => div.links.length > 0)
+			...readTaggedBlock(div)
+		})).filter(div => div.urls.length > 0 || div.blockUID)
 			.map((d, i) => {
-				const { div, links } = d;
-				const urls = Array.from(links).map(lk => lk.href);
+				const { blockUID, div, urls } = d;
 				return (
-					createPortal(<WebImportButton key={i} urls={urls} />, div)
+					createPortal(<WebImportButton key={i} blockUID={blockUID} urls={urls} />, div)
 				);
 			})}
 	</>;
@@ -0,0 +1,120 @@
+import { hasReferences, parseBibTeX, parseRIS, parseReferences } from "./parsers";
+
+
+const bibtex = `@comment{Exported from a reference manager}
+@article{blochImplementingSocialInterventions2021,
+	title = {Implementing social interventions in {primary} care},
+	author = {Bloch, Gary and Rozmovits, Linda},
+	journal = {CMAJ},
+	year = 2021, month = nov,
+	volume = {193}, number = {44},
+	pages = {E1696--E1701},
+	doi = {10.1503/cmaj.210229},
+	keywords = {primary care, social prescribing},
+}
+@book{doe2018,
+	title = "A history of tea \\& coffee",
+	author = {Jane Doe and {World Health Organization}},
+	publisher = {Caf{\\'e} Press},
+	address = {Montr\\'{e}al},
+	year = {2018},
+	isbn = {978-3-16-148410-0},
+	doi = {10.1000/xyz123}
+}`;
+
+const ris = `TY  - JOUR
+TI  - Exploring different methods to evaluate the impact of basic income interventions
+AU  - Pinto, Andrew D.
+AU  - Perri, Melissa
+T2  - International Journal for Equity in Health
+PY  - 2021/12//
+VL  - 20
+SP  - 142
+DO  - https://doi.org/10.1186/s12939-021-01479-2
+SN  - 1475-9276
+KW  - housing
+ER  - `;
+
+
+describe("Parsing BibTeX", () => {
+	const [article, book] = parseBibTeX(bibtex);
+
+	test("Entries are converted into Zotero items", () => {
+		expect(parseBibTeX(bibtex)).toHaveLength(2);
+		expect(article).toEqual({
+			abstractNote: "",
+			collections: [],
+			creators: [
+				{ creatorType: "author", firstName: "Gary", lastName: "Bloch" },
+				{ creatorType: "author", firstName: "Linda", lastName: "Rozmovits" }
+			],
+			date: "nov 2021",
+			DOI: "10.1503/cmaj.210229",
+			extra: "Citation Key: blochImplementingSocialInterventions2021",
+			issue: "44",
+			itemType: "journalArticle",
+			pages: "E1696-E1701",
+			publicationTitle: "CMAJ",
+			relations: {},
+			tags: [{ tag: "primary care" }, { tag: "social prescribing" }],
+			title: "Implementing social interventions in primary care",
+			url: "",
+			volume: "193"
+		});
+	});
+
+	test("LaTeX markup is cleaned up", () => {
+		expect(book.title).toBe("A history of tea & coffee");
+		expect(book.publisher).toBe("Café Press");
+		expect(book.place).toBe("Montréal");
+	});
+
+	test("Names in braces are kept whole", () => {
+		expect(book.creators).toEqual([
+			{ creatorType: "author", firstName: "Jane", lastName: "Doe" },
+			{ creatorType: "author", name: "World Health Organization" }
+		]);
+	});
+
+	test("Fields that aren't valid for the item type are moved to extra or dropped", () => {
+		expect(book.ISBN).toBe("978-3-16-148410-0");
+		expect(book).not.toHaveProperty("DOI");
+		expect(book.extra).toBe("DOI: 10.1000/xyz123\nCitation Key: doe2018");
+	});
+});
+
+test("Parsing RIS", () => {
+	expect(parseRIS(ris)).toEqual([
+		{
+			abstractNote: "",
+			collections: [],
+			creators: [
+				{ creatorType: "author", firstName: "Andrew D.", lastName: "Pinto" },
+				{ creatorType: "author", firstName: "Melissa", lastName: "Perri" }
+			],
+			date: "2021-12",
+			DOI: "10.1186/s12939-021-01479-2",
+			extra: "",
+			ISSN: "1475-9276",
+			itemType: "journalArticle",
+			pages: "142",
+			publicationTitle: "International Journal for Equity in Health",
+			relations: {},
+			tags: [{ tag: "housing" }],
+			title: "Exploring different methods to evaluate the impact of basic income interventions",
+			url: "",
+			volume: "20"
+		}
+	]);
+});
+
+test("Parsing mixed contents", () => {
+	const text = ["Some references :", "```", bibtex, "```", ris].join("\n");
+	expect(parseReferences(text).map(ref => ref.itemType)).toEqual(["journalArticle", "book", "journalArticle"]);
+});
+
+test("Detecting references", () => {
+	expect(hasReferences(bibtex)).toBe(true);
+	expect(hasReferences(ris.replace(/\n/g, " "))).toBe(true);
+	expect(hasReferences("See [[@blochImplementingSocialInterventions2021]], or email me@example.com")).toBe(false);
+});
@@ -0,0 +1,358 @@
+import { CitoidAPI } from "@clients/citoid";
+import { ZoteroAPI } from "@clients/zotero";
+
+import { parseDOI } from "../../../utils";
+
+
+type ItemType = ZoteroAPI.ItemTop["data"]["itemType"];
+
+/** The fields that a parsed reference can set, before they're checked against its item type */
+type ParsedFields = {
+	abstractNote?: string,
+	citekey?: string,
+	container?: string,
+	date?: string,
+	DOI?: string,
+	edition?: string,
+	institution?: string,
+	ISBN?: string,
+	ISSN?: string,
+	issue?: string,
+	pages?: string,
+	place?: string,
+	publisher?: string,
+	title?: string,
+	url?: string,
+	volume?: string
+};
+
+/** A reference parsed from BibTeX or RIS, as a Zotero item ready for import */
+export type ParsedReference = CitoidAPI.AsZotero;
+
+/** Zotero item types for BibTeX entry types. Other types are imported as `document`. */
+const BIBTEX_TYPES: Record<string, ItemType> = {
+	article: "journalArticle",
+	book: "book",
+	conference: "conferencePaper",
+	electronic: "webpage",
+	inbook: "bookSection",
+	incollection: "bookSection",
+	inproceedings: "conferencePaper",
+	mastersthesis: "thesis",
+	online: "webpage",
+	phdthesis: "thesis",
+	report: "report",
+	techreport: "report",
+	thesis: "thesis",
+	unpublished: "manuscript",
+	www: "webpage"
+};
+
+/** Zotero item types for RIS reference types. Other types are imported as `document`. */
+const RIS_TYPES: Record<string, ItemType> = {
+	BLOG: "blogPost",
+	BOOK: "book",
+	CHAP: "bookSection",
+	CONF: "conferencePaper",
+	CPAPER: "conferencePaper",
+	EBOOK: "book",
+	ECHAP: "bookSection",
+	EJOUR: "journalArticle",
+	ELEC: "webpage",
+	JFULL: "journalArticle",
+	JOUR: "journalArticle",
+	MGZN: "magazineArticle",
+	NEWS: "newspaperArticle",
+	RPRT: "report",
+	THES: "thesis",
+	WEB: "webpage"
+};
+
+/** For each item type, the Zotero fields that parsed values are written to. Values without a matching field are dropped, except for DOIs which are kept in `extra`.
+ * The Zotero API rejects items with fields that aren't valid for their type, hence the explicit list.
+ */
+const TYPE_FIELDS: Partial<Record<ItemType, Partial<Record<keyof ParsedFields, string>>>> = {
+	blogPost: { container: "blogTitle" },
+	book: { edition: "edition", ISBN: "ISBN", place: "place", publisher: "publisher", volume: "volume" },
+	bookSection: { container: "bookTitle", edition: "edition", ISBN: "ISBN", pages: "pages", place: "place", publisher: "publisher", volume: "volume" },
+	conferencePaper: { container: "proceedingsTitle", DOI: "DOI", ISBN: "ISBN", pages: "pages", place: "place", publisher: "publisher", volume: "volume" },
+	document: { publisher: "publisher" },
+	journalArticle: { container: "publicationTitle", DOI: "DOI", ISSN: "ISSN", issue: "issue", pages: "pages", volume: "volume" },
+	magazineArticle: { container: "publicationTitle", ISSN: "ISSN", issue: "issue", pages: "pages", volume: "volume" },
+	manuscript: { place: "place" },
+	newspaperArticle: { container: "publicationTitle", edition: "edition", ISSN: "ISSN", pages: "pages", place: "place" },
+	report: { container: "seriesTitle", institution: "institution", issue: "reportNumber", pages: "pages", place: "place", publisher: "institution" },
+	thesis: { institution: "university", place: "place", publisher: "university" },
+	webpage: { container: "websiteTitle" }
+};
+
+/** The item types for which editors can be imported */
+const TYPES_WITH_EDITORS: ItemType[] = ["book", "bookSection", "conferencePaper", "document", "journalArticle"];
+
+
+/** Converts a name into a Zotero creator. Names are expected as `Last, First` or `First Last` ; names wrapped in braces are kept whole. */
+function parseCreator(name: string, creatorType: ZoteroAPI.CreatorType): ZoteroAPI.Creator {
+	const trimmed = name.trim();
+	if (/^\{.*\}$/.test(trimmed)) {
+		return { creatorType, name: trimmed.slice(1, -1) };
+	}
+
+	const value = cleanLaTeX(trimmed);
+	if (value.includes(",")) {
+		const [lastName, ...rest] = value.split(",");
+		return { creatorType, firstName: rest.join(",").trim(), lastName: lastName.trim() };
+	}
+
+	const words = value.split(/\s+/);
+	if (words.length == 1) {
+		return { creatorType, name: value };
+	}
+	return { creatorType, firstName: words.slice(0, -1).join(" "), lastName: words[words.length - 1] };
+}
+
+/** Converts LaTeX markup into plain text : accents, escaped characters and protective braces */
+function cleanLaTeX(value: string): string {
+	const accents: Record<string, string> = { "'": "\u0301", "`": "\u0300", "^": "\u0302", "\"": "\u0308", "~": "\u0303", "c": "\u0327" };
+	return value
+		.replace(/\{?\\(['`^"~]|c(?=[\s{]))\s*\{?([a-zA-Z])\}?\}?/g, (_match, accent: string, letter: string) => letter + accents[accent])
+		.replace(/(?<!\\)[{}]/g, "")
+		.replace(/\\([&%$#_{}])/g, "$1")
+		.replace(/\s+/g, " ")
+		.normalize("NFC")
+		.trim();
+}
+
+/** Formats the date of a BibTeX entry from its `year` and `month` fields */
+function makeBibTeXDate(year?: string, month?: string): string {
+	if (!year || !month) {
+		return year || "";
+	}
+	return isNaN(Number(month))
+		? `${month} ${year}`
+		: `${year}-${month.padStart(2, "0")}`;
+}
+
+/** Builds the Zotero data for a parsed reference, keeping only the fields that are valid for its type */
+function makeItem(
+	itemType: ItemType,
+	fields: ParsedFields,
+	{ authors, editors, tags }: { authors: string[], editors: string[], tags: string[] }
+): ParsedReference {
+	const typeFields = TYPE_FIELDS[itemType] || {};
+	const data: Record<string, string> = {};
+	const extra: string[] = [];
+
+	(Object.keys(typeFields) as (keyof ParsedFields)[]).forEach(field => {
+		const value = fields[field];
+		if (value && !data[typeFields[field]!]) {
+			data[typeFields[field]!] = value;
+		}
+	});
+
+	if (fields.DOI && !typeFields.DOI) {
+		extra.push("DOI: " + fields.DOI);
+	}
+	if (fields.citekey) {
+		extra.push("Citation Key: " + fields.citekey);
+	}
+
+	return {
+		...data,
+		abstractNote: fields.abstractNote || "",
+		collections: [],
+		creators: [
+			...authors.map(name => parseCreator(name, "author")),
+			...(TYPES_WITH_EDITORS.includes(itemType) ? editors.map(name => parseCreator(name, "editor")) : [])
+		],
+		date: fields.date || "",
+		extra: extra.join("\n"),
+		itemType,
+		relations: {},
+		tags: tags.map(tag => ({ tag })),
+		title: fields.title || "",
+		url: fields.url || ""
+	};
+}
+
+
+/** Reads the value of a BibTeX field, starting at a given position
+ * @returns The raw value, and the position right after it
+ */
+function readBibTeXValue(text: string, start: number): [string, number] {
+	let pos = start;
+	const parts: string[] = [];
+
+	while (pos < text.length) {
+		while (/\s/.test(text[pos])) { pos++; }
+		const char = text[pos];
+
+		if (char == "{") {
+			let depth = 0;
+			const from = pos;
+			for (; pos < text.length; pos++) {
+				if (text[pos] == "{" && text[pos - 1] != "\\") { depth++; }
+				if (text[pos] == "}" && text[pos - 1] != "\\") { depth--; }
+				if (depth == 0) { break; }
+			}
+			parts.push(text.slice(from + 1, pos));
+			pos++;
+		} else if (char == "\"") {
+			const end = text.indexOf("\"", pos + 1);
+			parts.push(text.slice(pos + 1, end == -1 ? undefined : end));
+			pos = end == -1 ? text.length : end + 1;
+		} else {
+			const match = text.slice(pos).match(/^[^,#}\s]+/);
+			parts.push(match ? match[0] : "");
+			pos += match ? match[0].length : 0;
+		}
+
+		while (/\s/.test(text[pos])) { pos++; }
+		// Values can be concatenated with `#`
+		if (text[pos] == "#") {
+			pos++;
+		} else {
+			break;
+		}
+	}
+
+	return [parts.join(""), pos];
+}
+
+/** Parses the entries in a BibTeX string. `@comment`, `@preamble` and `@string` entries are ignored. */
+function parseBibTeX(text: string): ParsedReference[] {
+	const references: ParsedReference[] = [];
+	const entryRegex = /@(\w+)\s*\{\s*([^,\s]*)\s*,/g;
+	let match: RegExpExecArray | null;
+
+	while ((match = entryRegex.exec(text)) !== null) {
+		const [, rawType, citekey] = match;
+		const type = rawType.toLowerCase();
+		if (["comment", "preamble", "string"].includes(type)) {
+			continue;
+		}
+
+		const values: Record<string, string> = {};
+		let pos = entryRegex.lastIndex;
+		while (pos < text.length) {
+			const field = text.slice(pos).match(/^\s*([\w-]+)\s*=\s*/);
+			if (!field) {
+				break;
+			}
+			const [value, end] = readBibTeXValue(text, pos + field[0].length);
+			values[field[1].toLowerCase()] = value;
+			pos = end;
+			if (text[pos] == ",") {
+				pos++;
+			}
+		}
+		entryRegex.lastIndex = pos;
+
+		const clean = (field: string) => values[field] ? cleanLaTeX(values[field]) : undefined;
+		const splitNames = (field: string) => values[field] ? values[field].split(/\s+and\s+/).filter(Boolean) : [];
+
+		references.push(makeItem(BIBTEX_TYPES[type] || "document", {
+			abstractNote: clean("abstract"),
+			citekey: citekey || undefined,
+			container: clean("journal") || clean("journaltitle") || clean("booktitle"),
+			date: clean("date") || makeBibTeXDate(clean("year"), clean("month")),
+			DOI: parseDOI(clean("doi")) || undefined,
+			edition: clean("edition"),
+			institution: clean("school") || clean("institution"),
+			ISBN: clean("isbn"),
+			ISSN: clean("issn"),
+			issue: clean("number") || clean("issue"),
+			pages: clean("pages")?.replace(/-+/, "-"),
+			place: clean("address") || clean("location"),
+			publisher: clean("publisher"),
+			title: clean("title"),
+			url: values.url?.trim(),
+			volume: clean("volume")
+		}, {
+			authors: splitNames("author"),
+			editors: splitNames("editor"),
+			tags: (clean("keywords") || "").split(/\s*[,;]\s*/).filter(Boolean)
+		}));
+	}
+
+	return references;
+}
+
+/** Parses the records in a RIS string */
+function parseRIS(text: string): ParsedReference[] {
+	const references: ParsedReference[] = [];
+	let record: [string, string][] | null = null;
+
+	text.split(/\r?\n/).forEach(line => {
+		const match = line.match(/^([A-Z][A-Z0-9])\s{1,2}-\s?(.*)$/);
+		if (!match) {
+			return;
+		}
+		const [, tag, value] = match;
+		if (tag == "TY") {
+			record = [[tag, value.trim()]];
+		} else if (tag == "ER") {
+			if (record) {
+				references.push(makeRISItem(record));
+			}
+			record = null;
+		} else if (record) {
+			record.push([tag, value.trim()]);
+		}
+	});
+
+	return references;
+}
+
+/** Builds the Zotero data for a RIS record */
+function makeRISItem(record: [string, string][]): ParsedReference {
+	const get = (...tags: string[]) => tags.map(tag => record.find(([t]) => t == tag)?.[1]).find(Boolean);
+	const getAll = (...tags: string[]) => record.filter(([t]) => tags.includes(t)).map(([_t, value]) => value);
+
+	const [startPage, endPage] = [get("SP"), get("EP")];
+	// RIS dates are written as `YYYY/MM/DD/other`
+	const date = (get("DA", "PY", "Y1") || "").split("/").filter(Boolean).join("-");
+
+	return makeItem(RIS_TYPES[get("TY") || ""] || "document", {
+		abstractNote: get("AB", "N2"),
+		container: get("T2", "JO", "JF", "JA", "BT"),
+		date,
+		DOI: parseDOI(get("DO")) || undefined,
+		edition: get("ET"),
+		// RIS has a single tag for ISBNs and ISSNs, the item type decides which one is kept
+		ISBN: get("SN"),
+		ISSN: get("SN"),
+		issue: get("IS"),
+		pages: [startPage, endPage].filter(Boolean).join("-"),
+		place: get("CY"),
+		publisher: get("PB"),
+		title: get("TI", "T1"),
+		url: get("UR"),
+		volume: get("VL")
+	}, {
+		authors: getAll("AU", "A1"),
+		editors: getAll("ED", "A2"),
+		tags: getAll("KW")
+	});
+}
+
+
+/** Parses the BibTeX entries and RIS records contained in a text, into Zotero items
+ * @param text - The text to parse
+ * @returns The references found in the text, in the order they appear
+ */
+function parseReferences(text: string): ParsedReference[] {
+	return [...parseBibTeX(text), ...parseRIS(text)];
+}
+
+/** Checks if a text contains any BibTeX entries or RIS records, without parsing them */
+function hasReferences(text: string): boolean {
+	return /@\w+\s*\{[^,\s]*\s*,/.test(text) || /\bTY\s{1,2}-\s?[A-Z]+/.test(text);
+}
+
+
+export {
+	hasReferences,
+	parseBibTeX,
+	parseReferences,
+	parseRIS
+};
@@ -5,6 +5,7 @@ import Autocomplete from "Components/Autocomplete";
 import { useAutocompleteSettings, useWebImportSettings } from "Components/UserSettings";
 import InlineCitekeys from "./InlineCitekeys";
 import { CitekeyMenuFactory, DNPMenuFactory, TagMenuFactory } from "./Menus";
+import NoteExport from "./NoteExport";
 import WebImportFactory from "./WebImport";
 
 import { hasNodeListChanged } from "./helpers";
@@ -90,6 +91,7 @@ const GraphWatcher = memo(function GraphWatcher(){
 		{trigger ? <Autocomplete /> : null}
 		<WebImportFactory divs={webimports} />
 		<InlineCitekeys />
+		<NoteExport />
 	</>;
 });
 
@@ -0,0 +1,148 @@
+import { ChangeEvent, FormEvent, useCallback, useMemo, useState } from "react";
+import { Button, Callout, FormGroup, HTMLTable, InputGroup, Radio, RadioGroup, TextArea } from "@blueprintjs/core";
+
+import { ZoteroAPI, useUpdateItem } from "@clients/zotero";
+
+import { CustomClasses } from "../../constants";
+
+import { ZItemTop, ZLibrary } from "Types/transforms";
+import "./_index.sass";
+
+
+type EditableField = "abstractNote" | "date" | "DOI" | "publicationTitle" | "title" | "url";
+
+const EDITABLE_FIELDS: { field: EditableField, label: string, multiline?: boolean }[] = [
+	{ field: "title", label: "Title" },
+	{ field: "date", label: "Date" },
+	{ field: "DOI", label: "DOI" },
+	{ field: "publicationTitle", label: "Publication" },
+	{ field: "url", label: "URL" },
+	{ field: "abstractNote", label: "Abstract", multiline: true }
+];
+
+type FieldValues = Partial<Record<EditableField, string>>;
+
+
+type ConflictResolverProps = {
+	changes: FieldValues,
+	latest: ZoteroAPI.ItemTop,
+	onResolve: (changes: FieldValues, version: number) => void
+};
+
+/** Shows the user's changes against the latest copy of the item in Zotero, so that they can choose which values to keep */
+function ConflictResolver({ changes, latest, onResolve }: ConflictResolverProps) {
+	const conflicts = useMemo(() => {
+		return EDITABLE_FIELDS
+			.filter(({ field }) => field in changes && changes[field] != (latest.data[field] || ""));
+	}, [changes, latest.data]);
+
+	const [choices, setChoices] = useState<Partial<Record<EditableField, "local" | "zotero">>>(() => Object.fromEntries(conflicts.map(({ field }) => [field, "local"])));
+
+	const handleChoice = useCallback((field: EditableField, event: FormEvent<HTMLInputElement>) => {
+		const value = event.currentTarget.value as "local" | "zotero";
+		setChoices(prev => ({ ...prev, [field]: value }));
+	}, []);
+
+	const resolve = useCallback(() => {
+		const resolved = Object.fromEntries(
+			conflicts
+				.filter(({ field }) => choices[field] == "local")
+				.map(({ field }) => [field, changes[field]])
+		);
+		onResolve(resolved, latest.version);
+	}, [changes, choices, conflicts, latest.version, onResolve]);
+
+	return <div zr-role="item-editor--conflicts">
+		<Callout intent="warning" title="This item was modified in Zotero">
+			Choose which values to keep for each field, then save again.
+		</Callout>
+		<HTMLTable className={CustomClasses.TEXT_SMALL} condensed={true}>
+			<thead>
+				<tr>
+					<th>Field</th>
+					<th>Your value</th>
+					<th>Value in Zotero</th>
+				</tr>
+			</thead>
+			<tbody>
+				{conflicts.map(({ field, label }) => (
+					<tr key={field}>
+						<td>{label}</td>
+						<td colSpan={2}>
+							<RadioGroup inline={true} name={field} onChange={(event) => handleChoice(field, event)} selectedValue={choices[field]}>
+								<Radio label={changes[field] || "(empty)"} value="local" />
+								<Radio label={latest.data[field] || "(empty)"} value="zotero" />
+							</RadioGroup>
+						</td>
+					</tr>
+				))}
+			</tbody>
+		</HTMLTable>
+		<Button intent="primary" onClick={resolve} small={true} text="Save" />
+	</div>;
+}
+
+
+type ItemEditorProps = {
+	item: ZItemTop,
+	library: ZLibrary,
+	onClose: () => void
+};
+
+/** Edit mode for an item's metadata. Only fields that exist for the item's type can be edited, and only modified fields are sent to Zotero. */
+function ItemEditor({ item, library, onClose }: ItemEditorProps) {
+	const fields = useMemo(() => EDITABLE_FIELDS.filter(({ field }) => field in item.data), [item.data]);
+	const [values, setValues] = useState<FieldValues>(() => Object.fromEntries(fields.map(({ field }) => [field, item.data[field] || ""])));
+
+	const { data: outcome, mutate, status } = useUpdateItem();
+
+	const changes = useMemo<FieldValues>(() => {
+		return Object.fromEntries(
+			fields
+				.filter(({ field }) => values[field] != (item.data[field] || ""))
+				.map(({ field }) => [field, values[field]])
+		);
+	}, [fields, item.data, values]);
+
+	const handleChange = useCallback((field: EditableField, event: ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
+		const { value } = event.target;
+		setValues(prev => ({ ...prev, [field]: value }));
+	}, []);
+
+	const submit = useCallback((fieldChanges: FieldValues, version?: number) => {
+		if (Object.keys(fieldChanges).length == 0) {
+			onClose();
+			return;
+		}
+		mutate({ changes: fieldChanges, item, library, version }, {
+			onSuccess: (res) => {
+				if (res.status == "updated") {
+					onClose();
+				}
+			}
+		});
+	}, [item, library, mutate, onClose]);
+
+	const saveChanges = useCallback(() => submit(changes), [changes, submit]);
+
+	return <div zr-role="item-editor">
+		{outcome?.status == "conflict"
+			? <ConflictResolver key={outcome.latest.version} changes={changes} latest={outcome.latest} onResolve={submit} />
+			: <>
+				{fields.map(({ field, label, multiline }) => (
+					<FormGroup key={field} className={CustomClasses.TEXT_SMALL} label={label} labelFor={"zr-item-editor--" + field}>
+						{multiline
+							? <TextArea fill={true} growVertically={true} id={"zr-item-editor--" + field} onChange={(event) => handleChange(field, event)} value={values[field]} />
+							: <InputGroup id={"zr-item-editor--" + field} onChange={(event) => handleChange(field, event)} value={values[field]} />}
+					</FormGroup>
+				))}
+				<div zr-role="item-editor--actions">
+					<Button minimal={true} onClick={onClose} small={true} text="Cancel" />
+					<Button disabled={Object.keys(changes).length == 0} intent="primary" loading={status == "loading"} onClick={saveChanges} small={true} text="Save changes" />
+				</div>
+			</>}
+	</div>;
+}
+
+
+export default ItemEditor;
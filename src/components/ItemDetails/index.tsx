@@ -7,7 +7,10 @@ import NotesDrawer from "Components/NotesDrawer";
 import { useRoamCitekeys } from "Components/RoamCitekeysContext";
 import { formatItemReferenceWithDefault } from "Components/SearchPanel/helpers";
 import ShortcutSequence from "Components/ShortcutSequence";
-import { useAnnotationsSettings, useCopySettings, useMetadataSettings, useNotesSettings, useShortcutsSettings, useTypemapSettings } from "Components/UserSettings";
+import { useAnnotationsSettings, useCopySettings, useMetadataSettings, useNotesSettings, useRequestsSettings, useShortcutsSettings, useTypemapSettings } from "Components/UserSettings";
+import ItemEditor from "./ItemEditor";
+
+import { useWriteableLibraries } from "@clients/zotero";
 
 import { useBool } from "@hooks";
 import { importItemMetadata, importItemNotes, openPageByUID } from "@services/roam";
@@ -229,6 +232,7 @@ const ItemDetails = memo<ItemDetailsProps>(function ItemDetails({ closeDialog, i
 		zotero } = item;
 	const [isNotesDrawerOpen, { toggle: toggleNotes, on: showNotes, off: closeNotes }] = useBool(false);
 	const [isDataDrawerOpen, { on: showData, off: closeData }] = useBool(false);
+	const [isEditing, { on: startEditing, off: stopEditing }] = useBool(false);
 
 	const [annotationsSettings] = useAnnotationsSettings();
 	const [metadataSettings] = useMetadataSettings();
@@ -238,9 +242,16 @@ const ItemDetails = memo<ItemDetailsProps>(function ItemDetails({ closeDialog, i
 	// TODO: move validation step upstream
 	const sanitizedShortcuts = useMemo(() => validateShortcuts(shortcuts), [shortcuts]);
 	const [typemap] = useTypemapSettings();
+	const [{ libraries }] = useRequestsSettings();
 
 	const [, updateRoamCitekeys] = useRoamCitekeys();
 
+	const { data: writeableLibraries } = useWriteableLibraries(libraries);
+	const writeableLibrary = useMemo(() => {
+		const path = raw.library.type + "s/" + raw.library.id;
+		return writeableLibraries.find(lib => lib.path == path);
+	}, [raw.library, writeableLibraries]);
+
 	const importMetadata = useCallback(async() => {
 		const { pdfs = [], notes = [] } = children;
 		const outcome = await importItemMetadata({ item: item.raw, pdfs, notes }, inGraph, metadataSettings, typemap, notesSettings, annotationsSettings);
@@ -365,7 +376,10 @@ const ItemDetails = memo<ItemDetailsProps>(function ItemDetails({ closeDialog, i
 
 	return <div id="zr-item-details">
 		<ErrorBoundary>
-			<div zr-role="item-metadata">
+			{isEditing && writeableLibrary && <div zr-role="item-metadata">
+				<ItemEditor item={raw} library={writeableLibrary} onClose={stopEditing} />
+			</div>}
+			{!(isEditing && writeableLibrary) && <div zr-role="item-metadata">
 				<div zr-role="item-metadata--header">
 					<h5>{title}</h5>
 					<span className={CustomClasses.TEXT_ACCENT_1}>{authors + " (" + year + ")"}</span>
@@ -405,7 +419,7 @@ const ItemDetails = memo<ItemDetailsProps>(function ItemDetails({ closeDialog, i
 						</Metadata>
 						: null}
 				</div>
-			</div>
+			</div>}
 			<div zr-role="item-actions">
 				<Menu className={CustomClasses.TEXT_SMALL} data-in-graph={inGraph.toString()} >
 					{navigator.clipboard && <CopyButtons citekey={key} item={item} />}
@@ -413,6 +427,7 @@ const ItemDetails = memo<ItemDetailsProps>(function ItemDetails({ closeDialog, i
 					{goToPageButton}
 					{importMetadataButton}
 					{children.notes.length > 0 && <MenuItem icon="chat" onClick={importNotes} text="Import notes" />}
+					{writeableLibrary && <MenuItem active={isEditing} icon="edit" onClick={isEditing ? stopEditing : startEditing} text="Edit metadata" />}
 					<MenuItem href={zotero.local} icon="application" rel="noreferrer" target="_blank" text="Open in Zotero" />
 					<MenuItem href={zotero.web} icon="cloud" rel="noreferrer" target="_blank" text="Open in Zotero (web)" />
 					{rawData}
@@ -1,6 +1,6 @@
 import { useCallback, useMemo } from "react";
 
-import { Button, Classes, Tag } from "@blueprintjs/core";
+import { Button, Classes, H5, Tag } from "@blueprintjs/core";
 
 import { ListWrapper, Toolbar } from "Components/DataList";
 import { ErrorBoundary } from "Components/Errors";
@@ -8,7 +8,9 @@ import { useAnnotationsSettings, useNotesSettings } from "Components/UserSetting
 import DayList, { DayListProps } from "./DayList";
 
 import { useMulti } from "@hooks";
-import { importItemNotes, makeDNP } from "@services/roam";
+import { getBlockTree, importItemNotes, makeDNP } from "@services/roam";
+
+import { categorizeNotes, getImportedNotes } from "../../utils";
 
 import { CustomClasses } from "../../constants";
 import { ZItemAnnotation, ZItemNote, ZItemTop } from "Types/transforms";
@@ -63,6 +65,22 @@ function NotesList({ notes, selectedKeys, selectProps }: NotesListProps){
 }
 
 
+type NotesSectionProps = NotesListProps & {
+	title: string
+};
+
+function NotesSection({ notes, selectedKeys, selectProps, title }: NotesSectionProps){
+	if(notes.length == 0){
+		return null;
+	}
+
+	return <div className="zr-notesimport--section">
+		<H5 className={CustomClasses.TEXT_SECONDARY}>{title} <Tag minimal={true}>{notes.length}</Tag></H5>
+		<NotesList notes={notes} selectedKeys={selectedKeys} selectProps={selectProps} />
+	</div>;
+}
+
+
 type NotesImportProps = {
 	closeDialog: () => void,
 	item: ZItemTop,
@@ -74,8 +92,14 @@ function NotesImport({ closeDialog, item, notes, pageUID }: NotesImportProps){
 	const [annotationsSettings] = useAnnotationsSettings();
 	const [notesSettings] = useNotesSettings();
 
+	// Notes that were imported before are recorded in the props of the page's blocks
+	const groups = useMemo(() => {
+		return categorizeNotes(notes, pageUID ? getImportedNotes(getBlockTree(pageUID)) : {});
+	}, [notes, pageUID]);
+	const hasImports = groups.changed.length + groups.imported.length > 0;
+
 	const [selectedKeys, { set, toggle }] = useMulti({
-		start: notes.map(nt => nt.data.key)
+		start: [...groups.new, ...groups.changed].map(nt => nt.data.key)
 	});
 
 	const handleToggleAll = useCallback(() => {
@@ -110,7 +134,13 @@ function NotesImport({ closeDialog, item, notes, pageUID }: NotesImportProps){
 				<Button active={true} disabled={selectedKeys.length == 0} intent="success" minimal={true} onClick={triggerImport} rightIcon={<Tag intent="success">{selectedKeys.length}</Tag>} text="Import notes" />
 			</Toolbar>
 			<div className="zr-notesimport--datalist">
-				<NotesList notes={notes} selectedKeys={selectedKeys} selectProps={selectProps} />
+				{hasImports
+					? <>
+						<NotesSection notes={groups.new} selectedKeys={selectedKeys} selectProps={selectProps} title="New since last import" />
+						<NotesSection notes={groups.changed} selectedKeys={selectedKeys} selectProps={selectProps} title="Changed in Zotero" />
+						<NotesSection notes={groups.imported} selectedKeys={selectedKeys} selectProps={selectProps} title="Already imported" />
+					</>
+					: <NotesList notes={notes} selectedKeys={selectedKeys} selectProps={selectProps} />}
 			</div>
 		</ErrorBoundary>
 	</div>;
@@ -1,12 +1,17 @@
-import { ReactNode, memo, useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { Menu, MenuItem } from "@blueprintjs/core";
+import { MouseEvent, ReactNode, memo, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Button, Checkbox, Menu, MenuItem } from "@blueprintjs/core";
 import { IItemRendererProps, QueryList, QueryListProps, renderFilteredItems } from "@blueprintjs/select";
 
+import BatchImport from "Components/BatchImport";
+import ExportItems from "Components/ExportItems";
+import FulltextSnippets from "Components/FulltextSnippets";
 import ItemDetails from "Components/ItemDetails";
 import SearchInputGroup, { SearchInputGroupProps } from "../SearchInputGroup";
 import { useCopySettings } from "Components/UserSettings";
 
-import { useDebounceCallback } from "@hooks";
+import { FulltextSnippet, fulltextIndex, matchFulltext } from "@clients/zotero";
+import { useDebounceCallback, useMulti } from "@hooks";
+import { Queries } from "@services/react-query";
 
 import { resultClass, resultKeyClass } from "../classes";
 import { formatItemReferenceWithDefault } from "../helpers";
@@ -21,24 +26,36 @@ import "./_index.sass";
 const query_debounce = 300;
 const query_threshold = 0;
 const results_limit = 50;
+const fulltext_query_threshold = 3;
 
-const staticProps: Partial<QueryListProps<ZCleanItemTop>> & Required<Pick<QueryListProps<ZCleanItemTop>, "itemRenderer">> = {
-	itemListPredicate: (query, items) => {
-		if(query.length < query_threshold){
-			return [];
-		} else {
-			return items.filter(item => searchEngine(
-				query, 
-				[item.key, item._multiField],
-				{ 
-					any_case: true, 
-					match: "partial", 
-					search_compounds: true, 
-					word_order: "loose"
-				}
-			));
-		}
-	},
+/** Filters items based on their metadata */
+function metadataPredicate(query: string, items: ZCleanItemTop[]) {
+	if(query.length < query_threshold){
+		return [];
+	} else {
+		return items.filter(item => searchEngine(
+			query, 
+			[item.key, item._multiField],
+			{ 
+				any_case: true, 
+				match: "partial", 
+				search_compounds: true, 
+				word_order: "loose"
+			}
+		));
+	}
+}
+
+/** Filters items based on the full-text content of their PDFs */
+function fulltextPredicate(query: string, items: ZCleanItemTop[], fulltextData: Queries.Data.Fulltext[]) {
+	if(query.trim().length < fulltext_query_threshold){
+		return [];
+	} else {
+		return items.filter(item => matchFulltext(fulltextData, query, item.children.pdfs));
+	}
+}
+
+const staticProps: Partial<QueryListProps<ZCleanItemTop>> = {
 	/** @see https://github.com/palantir/blueprint/blob/101d0feecda50a52bf62ca2e0551aff77c67923b/packages/select/src/components/query-list/queryList.tsx#L345 */
 	itemListRenderer: (listProps) => {
 		const { filteredItems, itemsParentRef, ...rest } = listProps;
@@ -57,29 +74,35 @@ const staticProps: Partial<QueryListProps<ZCleanItemTop>> & Required<Pick<QueryL
 			</>;
 		}
 	},
-	itemRenderer: (item, itemProps) => {
-		const { handleClick, modifiers /*, query*/ } = itemProps;
-		const elemKey = [item.location, item.key].join("-");
-
-		return <SearchResult key={elemKey}
-			handleClick={handleClick}
-			item={item}
-			modifiers={modifiers}
-		/>;
-	},
 	itemsEqual: (a, b) => (a.itemKey == b.itemKey && a.location == b.location)
 };
 
 
+/** Identifies an item for multi-selection */
+function getItemID(item: ZCleanItemTop) {
+	return item.location + "/" + item.key;
+}
+
+
 type SearchResultProps = {
-	item: ZCleanItemTop
+	isMultiSelected: boolean,
+	item: ZCleanItemTop,
+	onMultiToggle: (id: string) => void,
+	snippets?: FulltextSnippet[]
 } & Pick<IItemRendererProps, "handleClick" | "modifiers">;
 
 const SearchResult = memo<SearchResultProps>(function SearchResult(props) {
-	const { item, handleClick, modifiers } = props;
+	const { isMultiSelected, item, handleClick, modifiers, onMultiToggle, snippets = [] } = props;
 	const { inGraph, itemType, key, meta, publication, title } = item;
 
+	const handleMultiToggle = useCallback((event: MouseEvent<HTMLInputElement>) => {
+		// Selecting an item shouldn't open its details
+		event.stopPropagation();
+		onMultiToggle(getItemID(item));
+	}, [item, onMultiToggle]);
+
 	return <MenuItem
+		icon={<Checkbox aria-label={"Select @" + key} checked={isMultiSelected} className="zr-search-result--select" inline={true} onClick={handleMultiToggle} readOnly={true} />}
 		onClick={handleClick}
 		className="zotero-roam-search_result"
 		role="menuitem"
@@ -97,6 +120,7 @@ const SearchResult = memo<SearchResultProps>(function SearchResult(props) {
 					<span className={CustomClasses.TEXT_ACCENT_1}>{meta}</span>
 					<span className={CustomClasses.TEXT_SECONDARY}>{publication}</span>
 				</span>
+				<FulltextSnippets snippets={snippets} />
 			</>
 		}
 		textClassName={resultClass}
@@ -123,18 +147,22 @@ const RenderedList = memo<RenderedListProps>(function RenderedList(props){
 
 
 type LibraryQueryListProps = {
+	/** The full-text content available for search. When it changes, the results are updated. */
+	fulltextData?: Queries.Data.Fulltext[],
 	isOpen: boolean,
 	items: ZCleanItemTop[],
 	quickCopyProps
-} & Pick<SearchInputGroupProps, "handleClose" | "quickCopyProps">;
+} & Pick<SearchInputGroupProps, "fulltextProps" | "handleClose" | "quickCopyProps" | "searchesProps">;
 
 const LibraryQueryList = memo<LibraryQueryListProps>(function LibraryQueryList(props) {
-	const { handleClose, isOpen, items, quickCopyProps } = props;
+	const { fulltextData, fulltextProps, handleClose, isOpen, items, quickCopyProps, searchesProps } = props;
+	const isFulltextScope = fulltextProps?.isActive || false;
 	const [copySettings] = useCopySettings();
 
 	const searchbar = useRef<HTMLInputElement>(null);
 	const [selectedItemID, itemSelect] = useState<Pick<ZCleanItemTop, "key" | "location"> | null>(null);
 	const [query, setQuery] = useState<string>();
+	const [multiSelection, { set: setMultiSelection, toggle: toggleMultiSelection }] = useMulti<string>({ start: [] });
 	// Debouncing query : https://github.com/palantir/blueprint/issues/3281#issuecomment-607172353
 	const [debouncedCallback/*, cancel */] = useDebounceCallback(_query => { }, query_debounce);
 
@@ -181,21 +209,56 @@ const LibraryQueryList = memo<LibraryQueryListProps>(function LibraryQueryList(p
 		debouncedCallback(queryString);
 	}, [debouncedCallback]);
 
+	// Results are updated when new content is indexed
+	const itemListPredicate = useCallback<Required<QueryListProps<ZCleanItemTop>>["itemListPredicate"]>((queryString, itemList) => {
+		return isFulltextScope
+			? fulltextPredicate(queryString, itemList, fulltextData || [])
+			: metadataPredicate(queryString, itemList);
+	}, [fulltextData, isFulltextScope]);
+
+	const itemRenderer = useCallback<QueryListProps<ZCleanItemTop>["itemRenderer"]>((item, itemProps) => {
+		const { handleClick, modifiers, query: queryString } = itemProps;
+		const elemKey = [item.location, item.key].join("-");
+		const snippets = isFulltextScope ? fulltextIndex.findSnippets(queryString, item.children.pdfs, { limit: 2 }) : undefined;
+
+		return <SearchResult key={elemKey}
+			handleClick={handleClick}
+			isMultiSelected={multiSelection.includes(getItemID(item))}
+			item={item}
+			modifiers={modifiers}
+			onMultiToggle={toggleMultiSelection}
+			snippets={snippets}
+		/>;
+	}, [isFulltextScope, multiSelection, toggleMultiSelection]);
+
+	const multiSelectedItems = useMemo(() => items.filter(it => multiSelection.includes(getItemID(it))), [items, multiSelection]);
+
+	const clearMultiSelection = useCallback(() => setMultiSelection([]), [setMultiSelection]);
+
 	const listRenderer = useCallback<QueryListProps<ZCleanItemTop>["renderer"]>((listProps) => {
 		const { handleKeyUp, handleKeyDown, handleQueryChange: queryHandler, itemList } = listProps;
 		return (
 			<div className="zr-querylist">
 				<SearchInputGroup 
+					fulltextProps={fulltextProps}
 					handleClose={handleClose}
 					handleKeyDown={handleKeyDown} 
 					handleKeyUp={handleKeyUp} 
 					handleQueryChange={queryHandler}
 					quickCopyProps={quickCopyProps}
-					searchbar={searchbar} />
+					searchbar={searchbar}
+					searchesProps={searchesProps} />
 				<RenderedList handleClose={handleClose} itemList={itemList} selectedItem={selectedItem} />
+				{!selectedItem && multiSelectedItems.length > 0
+					&& <div className="zr-querylist--selection">
+						<span className={CustomClasses.TEXT_SECONDARY}>{pluralize(multiSelectedItems.length, "item")} selected</span>
+						<Button minimal={true} onClick={clearMultiSelection} small={true} text="Clear" />
+						<BatchImport items={multiSelectedItems} />
+						<ExportItems items={multiSelectedItems} />
+					</div>}
 			</div>
 		);
-	}, [handleClose, quickCopyProps, searchbar, selectedItem]);
+	}, [clearMultiSelection, fulltextProps, handleClose, multiSelectedItems, quickCopyProps, searchbar, searchesProps, selectedItem]);
 
 	useEffect(() => {
 		if(isOpen){
@@ -205,12 +268,15 @@ const LibraryQueryList = memo<LibraryQueryListProps>(function LibraryQueryList(p
 			// On closing the panel :
 			setQuery("");
 			itemSelect(null);
+			setMultiSelection([]);
 		}
-	}, [isOpen, searchbar]);
+	}, [isOpen, searchbar, setMultiSelection]);
 	
 
 	return (
 		<QueryList<ZCleanItemTop>
+			itemListPredicate={itemListPredicate}
+			itemRenderer={itemRenderer}
 			items={items}
 			onItemSelect={handleItemSelect}
 			onQueryChange={handleQueryChange}
@@ -1,8 +1,12 @@
 import { RefObject, memo, useMemo } from "react";
-import { Button, Classes, Icon, InputGroup, InputGroupProps2, Switch, useHotkeys } from "@blueprintjs/core";
+import { Button, Classes, Icon, InputGroup, InputGroupProps2, MenuItem, Switch, useHotkeys } from "@blueprintjs/core";
+import { Select, SelectProps } from "@blueprintjs/select";
+import { Placement } from "@blueprintjs/popover2";
 
 import { useShortcutsSettings } from "Components/UserSettings";
 
+import { SavedSearchMembership } from "@clients/zotero";
+
 import { validateShortcuts } from "../../../setup";
 
 import { dialogLabel } from "../classes";
@@ -12,7 +16,33 @@ import { AsBoolean } from "Types/helpers";
 import "./_index.sass";
 
 
+type SearchOption = { label: string, value: string | null };
+
+type SearchSelectorProps = SelectProps<SearchOption>;
+
+const searchSelectStaticProps: Partial<SearchSelectorProps> & Pick<SearchSelectorProps, "itemRenderer"> = {
+	itemRenderer: (item, itemProps) => {
+		const { handleClick, modifiers: { active } } = itemProps;
+
+		return <MenuItem active={active} key={item.value || "all"} onClick={handleClick} text={item.label} />;
+	},
+	popoverProps: {
+		minimal: true,
+		placement: "bottom-right" as Placement,
+		popoverClassName: CustomClasses.POPOVER,
+		targetProps: {
+			title: "Only show items from a saved search"
+		}
+	}
+};
+
+
 type OwnProps = {
+	/** Controls for the "Full text" search scope. If not provided, the scope isn't available. */
+	fulltextProps?: {
+		isActive: boolean,
+		toggle: () => void
+	},
 	handleClose: () => void,
 	handleKeyDown: Exclude<InputGroupProps2["onKeyDown"], undefined>,
 	handleKeyUp: Exclude<InputGroupProps2["onKeyUp"], undefined>,
@@ -21,14 +51,21 @@ type OwnProps = {
 		isActive: boolean,
 		toggle: () => void
 	},
-	searchbar: RefObject<HTMLInputElement>
+	searchbar: RefObject<HTMLInputElement>,
+	/** Controls for filtering items by saved search. If not provided, the filter isn't available. */
+	searchesProps?: {
+		/** The ID of the active search (`library/key`), if any */
+		active: string | null,
+		options: SavedSearchMembership[],
+		select: (value: string | null) => void
+	}
 };
 
 const SearchInputGroup = memo<OwnProps>(function SearchInputGroup(props) {
-	const { handleClose, 
+	const { fulltextProps, handleClose, 
 		handleKeyDown, handleKeyUp, handleQueryChange, 
 		quickCopyProps: { isActive: isQCActive, toggle: toggleQC }, 
-		searchbar } = props;
+		searchbar, searchesProps } = props;
 	const [shortcuts] = useShortcutsSettings();
 	// Only pass valid hotkey combos
 	// TODO: move validation step upstream
@@ -42,14 +79,40 @@ const SearchInputGroup = memo<OwnProps>(function SearchInputGroup(props) {
 			icon="learning" />
 	, []);
 
+	const searchOptions = useMemo<SearchOption[]>(() => {
+		if (!searchesProps) {
+			return [];
+		}
+		return [
+			{ label: "All items", value: null },
+			...searchesProps.options.map(search => ({ label: search.name, value: search.library + "/" + search.key }))
+		];
+	}, [searchesProps]);
+
 	const searchbarRightElement = useMemo(() => {
+		const activeSearch = searchOptions.find(op => op.value !== null && op.value == searchesProps?.active);
+
 		return (
 			<>
+				{searchesProps && <Select<SearchOption>
+					filterable={false}
+					items={searchOptions}
+					onItemSelect={(item) => searchesProps.select(item.value)}
+					{...searchSelectStaticProps} >
+					<Button
+						className={["zr-saved-search", CustomClasses.TEXT_AUXILIARY].join(" ")}
+						icon="search-template"
+						intent={activeSearch ? "primary" : "none"}
+						minimal={true}
+						rightIcon="caret-down"
+						text={activeSearch?.label || "All items"} />
+				</Select>}
+				{fulltextProps && <Switch className={["zr-fulltext-scope", CustomClasses.TEXT_AUXILIARY].join(" ")} label="Full text" checked={fulltextProps.isActive} onChange={fulltextProps.toggle} role="switch" aria-checked={fulltextProps.isActive} />}
 				<Switch className={["zr-quick-copy", CustomClasses.TEXT_AUXILIARY].join(" ")} label="Quick Copy" checked={isQCActive} onChange={toggleQC} role="switch" aria-checked={isQCActive} />
 				<Button className={Classes.MINIMAL} large={true} icon="cross" onClick={handleClose} title="Close searchbar" />
 			</>
 		);
-	}, [handleClose, isQCActive, toggleQC]);
+	}, [fulltextProps, handleClose, isQCActive, searchOptions, searchesProps, toggleQC]);
 
 	const hotkeys = useMemo(() => {
 		const defaultProps = {
@@ -92,7 +155,9 @@ const SearchInputGroup = memo<OwnProps>(function SearchInputGroup(props) {
 		<InputGroup
 			className={[Classes.INPUT, Classes.FILL, "zr-library-search-input-group"].join(" ")}
 			id="zotero-roam-search-autocomplete"
-			placeholder="Search in abstract, title, authors (last names), year, tags, or citekey"
+			placeholder={fulltextProps?.isActive
+				? "Search for a phrase in the full text of PDFs"
+				: "Search in abstract, title, authors (last names), year, tags, or citekey"}
 			spellCheck="false"
 			autoComplete="off"
 			type="text"
@@ -1,18 +1,19 @@
-import { memo, useCallback, useMemo } from "react";
+import { memo, useCallback, useMemo, useState } from "react";
 
 import DialogOverlay, { DialogOverlayProps } from "Components/DialogOverlay";
 import { ErrorBoundary } from "Components/Errors";
 import { useRoamCitekeys } from "Components/RoamCitekeysContext";
-import { useCopySettings, useRequestsSettings } from "Components/UserSettings";
+import { useCopySettings, useOtherSettings, useRequestsSettings } from "Components/UserSettings";
 import LibraryQueryList from "./LibraryQueryList";
 
-import { useItems } from "@clients/zotero";
+import { useFulltext, useItems, useSearchItems } from "@clients/zotero";
 import { useBool } from "@hooks";
 import { Queries } from "@services/react-query";
 
 import { dialogClass, dialogLabel } from "./classes";
 import { cleanLibrary } from "./helpers";
 
+import { AsBoolean } from "Types/helpers";
 import { RCitekeyPages } from "Types/transforms";
 import { DataRequest, ExtensionStatusEnum } from "Types/extension";
 
@@ -42,13 +43,39 @@ type SearchPanelProps = {
 
 const SearchPanel = memo<SearchPanelProps>(function SearchPanel({ isOpen, onClose, status }) {
 	const [{ useQuickCopy }] = useCopySettings();
-	const [{ dataRequests }] = useRequestsSettings();
+	const [{ fulltextIndex: isFulltextEnabled }] = useOtherSettings();
+	const [{ dataRequests, libraries }] = useRequestsSettings();
 	const [roamCitekeys/*, updateCitekeys */] = useRoamCitekeys();
 
 	const [quickCopyActive, { toggle: toggleQuickCopy }] = useBool(useQuickCopy); // Is QuickCopy active by default ?
+	const [fulltextActive, { toggle: toggleFulltext }] = useBool(false);
 
 	const items = useGetItems(dataRequests, roamCitekeys, { enabled: status == ExtensionStatusEnum.ON });
 
+	const fulltextQueries = useFulltext(libraries, {
+		enabled: isFulltextEnabled && status == ExtensionStatusEnum.ON,
+		notifyOnChangeProps: ["data"]
+	});
+	const fulltextData = useMemo(() => fulltextQueries.map(q => q.data).filter(AsBoolean), [fulltextQueries]);
+	const fulltextProps = useMemo(() => isFulltextEnabled ? { isActive: fulltextActive, toggle: toggleFulltext } : undefined, [fulltextActive, isFulltextEnabled, toggleFulltext]);
+
+	const [activeSearch, setActiveSearch] = useState<string | null>(null);
+	const searchQueries = useSearchItems(dataRequests, {
+		enabled: status == ExtensionStatusEnum.ON,
+		notifyOnChangeProps: ["data"]
+	});
+	const searchesData = useMemo(() => searchQueries.map(q => q.data).filter(AsBoolean), [searchQueries]);
+	const searchesProps = useMemo(() => searchesData.length > 0 ? { active: activeSearch, options: searchesData, select: setActiveSearch } : undefined, [activeSearch, searchesData]);
+
+	const filteredItems = useMemo(() => {
+		const search = searchesData.find(s => s.library + "/" + s.key == activeSearch);
+		if (!search) {
+			return items;
+		}
+		const keys = new Set(search.items);
+		return items.filter(it => it.location == search.library && keys.has(it.itemKey));
+	}, [activeSearch, items, searchesData]);
+
 	return (
 		<DialogOverlay
 			ariaLabelledBy={dialogLabel}
@@ -58,10 +85,13 @@ const SearchPanel = memo<SearchPanelProps>(function SearchPanel({ isOpen, onClos
 			onClose={onClose} >
 			<ErrorBoundary>
 				<LibraryQueryList 
+					fulltextData={fulltextData}
+					fulltextProps={fulltextProps}
 					handleClose={onClose}
 					isOpen={isOpen}
-					items={items}
-					quickCopyProps={{ isActive: quickCopyActive, toggle: toggleQuickCopy }} />
+					items={filteredItems}
+					quickCopyProps={{ isActive: quickCopyActive, toggle: toggleQuickCopy }}
+					searchesProps={searchesProps} />
 			</ErrorBoundary>
 		</DialogOverlay>
 	);
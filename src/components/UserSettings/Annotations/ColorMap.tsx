@@ -0,0 +1,119 @@
+import { ChangeEvent, useCallback, useMemo } from "react";
+import { Button, ControlGroup, Icon, InputGroup } from "@blueprintjs/core";
+
+import { TagsSelector } from "Components/Inputs";
+import { BetterSelect, TextAreaInput } from "../common";
+
+import { CustomClasses, ZOTERO_COLORS } from "../../../constants";
+import { AnnotationColorMapping } from "Types/extension";
+
+import "./_index.sass";
+
+
+const colorSelectTargetProps = {
+	title: "Select a highlight color"
+};
+
+
+type ColorMappingProps = {
+	mapping: AnnotationColorMapping,
+	onChange: (value: AnnotationColorMapping) => void,
+	onRemove: () => void
+};
+
+function ColorMapping({ mapping, onChange, onRemove }: ColorMappingProps){
+	const { color, heading, label, tags, template } = mapping;
+
+	// Colors set outside of the settings panel may not be part of Zotero's palette
+	const options = useMemo(() => {
+		return ZOTERO_COLORS.some(op => op.value == color.toLowerCase())
+			? ZOTERO_COLORS
+			: [...ZOTERO_COLORS, { label: color, value: color }];
+	}, [color]);
+
+	const handlers = useMemo(() => {
+		function updateValue(op: keyof AnnotationColorMapping, val: unknown){
+			onChange({
+				...mapping,
+				[op]: val
+			});
+		}
+
+		return {
+			addTag: (val: string) => updateValue("tags", Array.from(new Set([...tags, val]))),
+			removeTag: (val: string) => updateValue("tags", tags.filter(tag => tag != val)),
+			updateColor: (val) => updateValue("color", val),
+			updateHeading: (event: ChangeEvent<HTMLInputElement>) => updateValue("heading", event.target.value),
+			updateLabel: (event: ChangeEvent<HTMLInputElement>) => updateValue("label", event.target.value),
+			updateTemplate: (val: string) => updateValue("template", val)
+		};
+	}, [mapping, onChange, tags]);
+
+	const colorButtonProps = useMemo(() => ({
+		icon: <Icon color={color} icon="full-circle" />
+	}), [color]);
+
+	return <div className="zr-color-mapping" >
+		<ControlGroup fill={true}>
+			<BetterSelect 
+				buttonProps={colorButtonProps}
+				onSelect={handlers.updateColor}
+				options={options}
+				popoverTargetProps={colorSelectTargetProps}
+				value={color.toLowerCase()} />
+			<InputGroup 
+				aria-label="Enter a label for the color"
+				autoComplete="off"
+				className={[CustomClasses.INPUT_BOX, CustomClasses.INPUT_TEXT, CustomClasses.TEXT_SMALL].join(" ")}
+				onChange={handlers.updateLabel}
+				placeholder="Label, e.g Claim"
+				spellCheck="false"
+				value={label} />
+			<InputGroup 
+				aria-label="Enter a heading to nest annotations under"
+				autoComplete="off"
+				className={[CustomClasses.INPUT_BOX, CustomClasses.INPUT_TEXT, CustomClasses.TEXT_SMALL].join(" ")}
+				onChange={handlers.updateHeading}
+				placeholder="Heading, e.g [[Claims]]"
+				spellCheck="false"
+				value={heading} />
+			<Button aria-label="Remove color" icon="trash" intent="danger" minimal={true} onClick={onRemove} title="Remove color" />
+		</ControlGroup>
+		<TagsSelector onRemove={handlers.removeTag} onSelect={handlers.addTag} selectedTags={tags} />
+		<TextAreaInput label="Enter a template for highlights of this color" onChange={handlers.updateTemplate} placeholder="Leave empty to use the highlight template" value={template} />
+	</div>;
+}
+
+
+type ColorMapProps = {
+	colors: AnnotationColorMapping[],
+	setColors: (updater: (prevColors: AnnotationColorMapping[]) => AnnotationColorMapping[]) => void
+};
+
+/** Editor for the meanings given to highlight colors */
+function ColorMap({ colors, setColors }: ColorMapProps){
+	const addMapping = useCallback(() => {
+		setColors(prevColors => {
+			const unused = ZOTERO_COLORS.find(op => !prevColors.some(mapping => mapping.color.toLowerCase() == op.value)) || ZOTERO_COLORS[0];
+			return [...prevColors, { color: unused.value, heading: "", label: unused.label, tags: [], template: "" }];
+		});
+	}, [setColors]);
+
+	const updateMapping = useCallback((index: number, value: AnnotationColorMapping) => {
+		setColors(prevColors => prevColors.map((mapping, i) => i == index ? value : mapping));
+	}, [setColors]);
+
+	const removeMapping = useCallback((index: number) => {
+		setColors(prevColors => prevColors.filter((_mapping, i) => i != index));
+	}, [setColors]);
+
+	return <div className="zr-color-map">
+		{colors.map((mapping, i) => (
+			<ColorMapping key={i} mapping={mapping} onChange={(value) => updateMapping(i, value)} onRemove={() => removeMapping(i)} />
+		))}
+		<Button className={CustomClasses.TEXT_SMALL} icon="add" intent="primary" minimal={true} onClick={addMapping} text="Add a color" />
+	</div>;
+}
+
+
+export default ColorMap;
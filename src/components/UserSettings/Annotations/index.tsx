@@ -1,6 +1,7 @@
 import { useMemo } from "react";
 import { Intent } from "@blueprintjs/core";
-import { Definition, RowCol, RowGroup, RowGroupOption, SingleInput, TextAreaInput, TextWithSelect, SettingsManager } from "Components/UserSettings";
+import { Definition, RowCol, RowGroup, RowGroupOption, SingleInput, TextAreaInput, TextWithSelect, Toggle, SettingsManager } from "Components/UserSettings";
+import ColorMap from "./ColorMap";
 
 
 const { Provider: AnnotationsProvider, useSettings: useAnnotationsSettings } = new SettingsManager<"annotations">({
@@ -11,13 +12,20 @@ const { Provider: AnnotationsProvider, useSettings: useAnnotationsSettings } = n
 });
 
 const GROUP_BY_OPTIONS = [
-	{ label: "Group by date added", value: "dateAdded" },
+	{ label: "Group by color", value: "color" },
+	{ label: "Group by date added", value: "day_added" },
 	{ label: "Don't group annotations", value: false }
 ];
 
+const PARAM_OPTIONS = [
+	{ label: "By name", value: "srcName" },
+	{ label: "By UID", value: "srcUid" }
+];
+
 const USE_OPTIONS = {
 	"default": "Default formatter",
-	"function": "Custom function"
+	"function": "Custom function",
+	"smartblock": "SmartBlock"
 };
 
 const WITH_OPTIONS = [
@@ -25,10 +33,13 @@ const WITH_OPTIONS = [
 	{ label: "Use simplified data", value: "formatted" }
 ];
 
+const SECTION_SYNTAX = <Definition item="{{#label}}...{{/label}}" text="renders its contents only if the value isn't empty ; use {{^...}} for the opposite. Other fields, like {{color}} or {{day_added}}, can also be used." />;
+
 const COMMENT_REPLACEMENTS = (
 	<>
 		Replacements available:
 		<Definition item="{{comment}}" text="the comment's text" />
+		{SECTION_SYNTAX}
 	</>
 );
 
@@ -36,19 +47,40 @@ const HIGHLIGHT_REPLACEMENTS = (
 	<>
 		Replacements available:
 		<Definition item="{{highlight}}" text="the highlighted text" />
+		<Definition item="{{label}}" text="the label given to the highlight's color, if any" />
 		<Definition item="{{page_label}}" text="the page number" />
 		<Definition item="{{link_page}}" text="the link to the PDF page" />
-		<Definition item="{{tags_string}}" text="the tags associated with the highlight (comma-separated)" />
+		<Definition item="{{tags_string}}" text="the tags associated with the highlight, and with its color (comma-separated)" />
+		{SECTION_SYNTAX}
+	</>
+);
+
+const IMAGE_REPLACEMENTS = (
+	<>
+		Replacements available:
+		<Definition item="{{image}}" text="the URL of the image, once uploaded to the graph" />
+		<Definition item="{{label}}" text="the label given to the image's color, if any" />
+		<Definition item="{{page_label}}" text="the page number" />
+		<Definition item="{{link_page}}" text="the link to the PDF page" />
+		<Definition item="{{tags_string}}" text="the tags associated with the image, and with its color (comma-separated)" />
+		{SECTION_SYNTAX}
 	</>
 );
 
 function AnnotationsWidget(){
 	const [
 		{
+			colors,
 			func,
 			group_by,
+			images,
+			smartblock: {
+				param,
+				paramValue
+			},
 			template_comment,
 			template_highlight,
+			template_image,
 			use,
 			__with
 		},
@@ -56,6 +88,14 @@ function AnnotationsWidget(){
 	] = useAnnotationsSettings();
 
 	const handlers = useMemo(() => {
+		/* istanbul ignore next */
+		function toggleBool(op){
+			setOpts(prevState => ({
+				...prevState,
+				[op]: !prevState[op]
+			}));
+		}
+
 		/* istanbul ignore next */
 		function updateSingleValue(op, val){
 			setOpts(prevState => ({
@@ -64,11 +104,39 @@ function AnnotationsWidget(){
 			}));
 		}
 
+		/* istanbul ignore next */
+		function updateColors(updater){
+			setOpts(prevState => ({
+				...prevState,
+				colors: updater(prevState.colors)
+			}));
+		}
+
+		/* istanbul ignore next */
+		function updateSmartblock(prop, val){
+			const returnValue = prop == "param"
+				? { param: val, paramValue: "" }
+				: { paramValue: val };
+
+			setOpts(prevState => ({
+				...prevState,
+				smartblock: {
+					...prevState.smartblock,
+					...returnValue
+				}
+			}));
+		}
+
 		return {
+			toggleImages: () => toggleBool("images"),
 			updateFuncName: (val) => updateSingleValue("func", val),
+			updateColors,
 			updateGroupBy: (val) => updateSingleValue("group_by", val),
+			updateSmartblockParam: (val) => updateSmartblock("param", val),
+			updateSmartblockParamValue: (val) => updateSmartblock("paramValue", val),
 			updateTemplateComment: (val) => updateSingleValue("template_comment", val),
 			updateTemplateHighlight: (val) => updateSingleValue("template_highlight", val),
+			updateTemplateImage: (val) => updateSingleValue("template_image", val),
 			updateUseType: (val) => updateSingleValue("use", val),
 			updateWithFormat: (val) => updateSingleValue("__with", val)
 		};
@@ -85,6 +153,13 @@ function AnnotationsWidget(){
 		<RowCol title="Highlight Template" description={HIGHLIGHT_REPLACEMENTS} >
 			<TextAreaInput label="Enter a template for highlight blocks" onChange={handlers.updateTemplateHighlight} value={template_highlight} />
 		</RowCol>
+		<RowCol title="Highlight Colors" description="Give a meaning to the colors you highlight with. Each color can have its own template and tags, and a heading to nest its annotations under." >
+			<ColorMap colors={colors} setColors={handlers.updateColors} />
+		</RowCol>
+		<Toggle description="Import figures and tables selected in the Zotero reader as images. Images are uploaded to the graph's storage." isChecked={images} label="Toggle 'import images' setting" onChange={handlers.toggleImages} title="Import image annotations" />
+		<RowCol title="Image Template" description={IMAGE_REPLACEMENTS} >
+			<TextAreaInput label="Enter a template for image blocks" onChange={handlers.updateTemplateImage} value={template_image} />
+		</RowCol>
 		<RowGroup title="Formatter"
 			description="Choose a way to format annotations metadata when importing from Zotero."
 			onChange={handlers.updateUseType} 
@@ -105,6 +180,18 @@ function AnnotationsWidget(){
 					inputLabel="Enter the name of your custom function for formatting annotations" 
 					selectLabel="Select an input format for your custom function" />
 			</RowGroupOption>
+			<RowGroupOption id="smartblock" description="Choose a SmartBlock to import annotations with. It receives the item, the simplified annotations and their raw metadata as variables.">
+				<TextWithSelect 
+					onSelectChange={handlers.updateSmartblockParam} 
+					onValueChange={handlers.updateSmartblockParamValue} 
+					placeholder="Enter a value" 
+					selectButtonProps={customFuncButtonProps} 
+					selectOptions={PARAM_OPTIONS}
+					selectValue={param} 
+					textValue={paramValue} 
+					inputLabel={"Enter the SmartBlock's " + (param == "srcName" ? "name" : "UID")} 
+					selectLabel="Select the property to use to identify the SmartBlock" />
+			</RowGroupOption>
 		</RowGroup>
 	</>;
 }
@@ -5,6 +5,7 @@ import { Meta, StoryObj } from "@storybook/react";
 
 import { SettingsDialog } from ".";
 import { OVERRIDE_KEY_OPTIONS } from "./Copy";
+import { DEFAULT_METADATA_TEMPLATE, DEFAULT_NOTES_TEMPLATE } from "../../constants";
 
 
 type Props = ComponentProps<typeof SettingsDialog>;
@@ -18,10 +19,17 @@ export default {
 	parameters: {
 		userSettings: {
 			annotations: {
+				colors: [],
 				func: "",
 				group_by: false,
+				images: true,
+				smartblock: {
+					param: "srcUid",
+					paramValue: ""
+				},
 				template_comment: "{{comment}}",
 				template_highlight: "[[>]] {{highlight}} ([p. {{page_label}}]({{link_page}})) {{tags_string}}",
+				template_image: "![]({{image}}) ([p. {{page_label}}]({{link_page}})) {{tags_string}}",
 				use: "default",
 				__with: "raw"
 			},
@@ -48,6 +56,7 @@ export default {
 					param: "srcUid",
 					paramValue: "ABC123F"
 				},
+				template: DEFAULT_METADATA_TEMPLATE,
 				use: "default"
 			},
 			notes: {
@@ -56,9 +65,14 @@ export default {
 				nest_position: "top",
 				nest_preset: "[[Notes]]",
 				nest_use: "preset",
+				smartblock: {
+					param: "srcUid",
+					paramValue: ""
+				},
 				split_char: "",
 				split_preset: "\n",
 				split_use: "preset",
+				template: DEFAULT_NOTES_TEMPLATE,
 				use: "default",
 				__with: "raw"
 			},
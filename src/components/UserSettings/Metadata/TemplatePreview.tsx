@@ -0,0 +1,90 @@
+import { useMemo } from "react";
+import { Callout } from "@blueprintjs/core";
+
+import { useAnnotationsSettings } from "../Annotations";
+import { useNotesSettings } from "../Notes";
+import { useTypemapSettings } from "../Typemap";
+
+import { formatItemMetadataWithTemplate } from "../../../api/helpers";
+import { CustomClasses } from "../../../constants";
+import { RImportableElement, ZItemAnnotation, ZItemAttachment, ZItemNote, ZItemTop, isZAttachment, isZItemTop, isZNoteOrAnnotation } from "Types/transforms";
+
+import "./_index.sass";
+
+
+type SampleItem = { item: ZItemTop, notes: (ZItemNote | ZItemAnnotation)[], pdfs: ZItemAttachment[] };
+
+/** Picks an item from the loaded libraries to preview templates with, preferring items that have children */
+function getSampleItem(): SampleItem | null {
+	const items = (window.zoteroRoam?.getItems?.("items") || []).filter(isZItemTop);
+	const children = window.zoteroRoam?.getItems?.("children") || [];
+	const parents = new Set(children.map(child => (child.data as { parentItem?: string }).parentItem));
+
+	const item = items.find(it => parents.has(it.data.key)) || items[0];
+	if (!item) {
+		return null;
+	}
+
+	const itemChildren = window.zoteroRoam.getItemChildren(item);
+	return {
+		item,
+		notes: itemChildren.filter(isZNoteOrAnnotation),
+		pdfs: itemChildren.filter(isZAttachment)
+	};
+}
+
+
+type PreviewBlocksProps = {
+	blocks: RImportableElement[]
+};
+
+const PreviewBlocks = ({ blocks }: PreviewBlocksProps) => <ul>
+	{blocks.map((blck, i) => {
+		const { string, children = [] } = typeof(blck) == "string" ? { string: blck, children: [] } : blck;
+		return <li key={i}>
+			{string}
+			{children.length > 0 && <PreviewBlocks blocks={children} />}
+		</li>;
+	})}
+</ul>;
+
+
+type TemplatePreviewProps = {
+	/** The template to preview */
+	template: string
+};
+
+/** Live preview of a metadata template, rendered against an item from the user's libraries. Notes and annotations are formatted with the current settings. */
+function TemplatePreview({ template }: TemplatePreviewProps) {
+	const [annotationsSettings] = useAnnotationsSettings();
+	const [notesSettings] = useNotesSettings();
+	const [typemap] = useTypemapSettings();
+
+	const sample = useMemo(() => getSampleItem(), []);
+
+	const output = useMemo(() => {
+		if (!sample) {
+			return null;
+		}
+		try {
+			const elements = formatItemMetadataWithTemplate(sample.item, sample.pdfs, sample.notes, { annotationsSettings, notesSettings, template, typemap });
+			return { blocks: elements.map(elem => elem.block), error: null };
+		} catch (e) {
+			return { blocks: [], error: (e as Error).message };
+		}
+	}, [annotationsSettings, notesSettings, sample, template, typemap]);
+
+	if (!sample || !output) {
+		return <span className={[CustomClasses.TEXT_SECONDARY, CustomClasses.TEXT_SMALL].join(" ")}>Items from your Zotero libraries will be used for the preview, once they are loaded.</span>;
+	}
+
+	return <div className="zr-template-preview" zr-role="template-preview">
+		<span className={[CustomClasses.TEXT_SECONDARY, CustomClasses.TEXT_SMALL].join(" ")}>Previewing with @{sample.item.key}</span>
+		{output.error
+			? <Callout intent="danger">{output.error}</Callout>
+			: <PreviewBlocks blocks={output.blocks} />}
+	</div>;
+}
+
+
+export default TemplatePreview;
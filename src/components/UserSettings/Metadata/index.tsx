@@ -1,6 +1,7 @@
 import { useMemo } from "react";
 import { Intent } from "@blueprintjs/core";
-import { RowGroup, RowGroupOption, TextField, TextWithSelect, SettingsManager } from "Components/UserSettings";
+import { Definition, RowCol, RowGroup, RowGroupOption, TextAreaInput, TextField, TextWithSelect, SettingsManager } from "Components/UserSettings";
+import TemplatePreview from "./TemplatePreview";
 
 
 const { Provider: MetadataProvider, useSettings: useMetadataSettings } = new SettingsManager<"metadata">();
@@ -13,9 +14,20 @@ const PARAM_OPTIONS = [
 const USE_OPTIONS = {
 	"default": "Default formatter",
 	"function": "Custom function",
-	"smartblock": "SmartBlock"
+	"smartblock": "SmartBlock",
+	"template": "Template"
 };
 
+const TEMPLATE_SYNTAX = (
+	<>
+		Each line of the template becomes a block, nested under the closest line with less indentation. Available syntax:
+		<Definition item="{{title}}" text="any field of the item (e.g. DOI, volume), or: authors, citekey, date_added, item_type, link_local, link_web, publication, tags_string, year" />
+		<Definition item="{{#pdfs}}...{{/pdfs}}" text="repeats its contents for each PDF (title, link), creator (name, type), tag, note (blocks, link_note, tags_string) or annotation (highlight, comment, label, link_page, page_label)" />
+		<Definition item="{{#abstractNote}}...{{/abstractNote}}" text="renders its contents only if the value isn't empty ; use {{^...}} for the opposite" />
+		<Definition item="{{>notes}}" text="inserts the item's notes and annotations, formatted with their own settings" />
+	</>
+);
+
 function MetadataWidget(){
 	const [
 		{
@@ -24,6 +36,7 @@ function MetadataWidget(){
 				param,
 				paramValue
 			},
+			template,
 			use
 		},
 		setOpts
@@ -55,6 +68,7 @@ function MetadataWidget(){
 			updateFuncName: (val) => updateSingleValue("func", val),
 			updateSmartblockParam: (val) => updateSmartblock("param", val),
 			updateSmartblockParamValue: (val) => updateSmartblock("paramValue", val),
+			updateTemplate: (val) => updateSingleValue("template", val),
 			updateUse: (val) => updateSingleValue("use", val)
 		};
 	}, [setOpts]);
@@ -63,7 +77,7 @@ function MetadataWidget(){
 		intent: Intent.PRIMARY
 	}), []);
 
-	return (
+	return <>
 		<RowGroup title="Formatter" 
 			description="Choose a way to format item metadata when importing from Zotero." 
 			onChange={handlers.updateUse}
@@ -85,8 +99,17 @@ function MetadataWidget(){
 					inputLabel={"Enter the SmartBlock's" + (param == "srcName" ? "name" : "UID")} 
 					selectLabel="Select the property to use to identify the SmartBlock" />
 			</RowGroupOption>
+			<RowGroupOption id="template" description="Write a template, with a live preview" />
 		</RowGroup>
-	);
+		{use == "template" && <>
+			<RowCol title="Metadata Template" description={TEMPLATE_SYNTAX}>
+				<TextAreaInput label="Enter a template for metadata blocks" onChange={handlers.updateTemplate} rows={12} value={template} />
+			</RowCol>
+			<RowCol title="Preview">
+				<TemplatePreview template={template} />
+			</RowCol>
+		</>}
+	</>;
 }
 
 export {
@@ -1,6 +1,6 @@
 import { useMemo } from "react";
 import { Intent } from "@blueprintjs/core";
-import { RowGroup, RowGroupOption, SingleInput, TextField, TextWithSelect, SettingsManager } from "Components/UserSettings";
+import { Definition, RowCol, RowGroup, RowGroupOption, SingleInput, TextAreaInput, TextField, TextWithSelect, SettingsManager } from "Components/UserSettings";
 
 
 const { Provider: NotesProvider, useSettings: useNotesSettings } = new SettingsManager<"notes">({
@@ -25,6 +25,11 @@ const NEST_USE_OPTIONS = {
 	"custom": "Custom content"
 };
 
+const PARAM_OPTIONS = [
+	{ label: "By name", value: "srcName" },
+	{ label: "By UID", value: "srcUid" }
+];
+
 const SPLIT_PRESET_OPTIONS = [
 	{ label: "Newline", value: "\n" },
 	{ label: "Paragraph", value: "</p>" }
@@ -35,9 +40,20 @@ const SPLIT_USE_OPTIONS = {
 	"custom": "Custom separator"
 };
 
+const TEMPLATE_SYNTAX = (
+	<>
+		Each note is rendered with the template, and each line becomes a block. Indented lines are nested under the previous one. Available syntax:
+		<Definition item="{{#blocks}}...{{/blocks}}" text="repeats its contents for each block of the note, split with the divider ; use {{.}} for the block's text" />
+		<Definition item="{{day_added}}" text="the day on which the note was added (also: day_modified, link_note, tags_string)" />
+		<Definition item="{{#tags_string}}...{{/tags_string}}" text="renders its contents only if the note has tags ; use {{^...}} for the opposite" />
+	</>
+);
+
 const USE_OPTIONS = {
 	"default": "Default formatter",
-	"function": "Custom function"
+	"function": "Custom function",
+	"smartblock": "SmartBlock",
+	"template": "Template"
 };
 
 const WITH_OPTIONS = [
@@ -54,9 +70,14 @@ function NotesWidget(){
 			nest_position,
 			nest_preset,
 			nest_use,
+			smartblock: {
+				param,
+				paramValue
+			},
 			split_char,
 			split_preset,
 			split_use,
+			template,
 			use,
 			__with
 		},
@@ -72,15 +93,33 @@ function NotesWidget(){
 			}));
 		}
 
+		/* istanbul ignore next */
+		function updateSmartblock(prop, val){
+			const returnValue = prop == "param"
+				? { param: val, paramValue: "" }
+				: { paramValue: val };
+
+			setOpts(prevState => ({
+				...prevState,
+				smartblock: {
+					...prevState.smartblock,
+					...returnValue
+				}
+			}));
+		}
+
 		return {
 			updateFuncName: (val) => updateSingleValue("func", val),
 			updateNestChar: (val) => updateSingleValue("nest_char", val),
 			updateNestPosition: (val) => updateSingleValue("nest_position", val),
 			updateNestPreset: (val) => updateSingleValue("nest_preset", val),
 			updateNestUse: (val) => updateSingleValue("nest_use", val),
+			updateSmartblockParam: (val) => updateSmartblock("param", val),
+			updateSmartblockParamValue: (val) => updateSmartblock("paramValue", val),
 			updateSplitChar: (val) => updateSingleValue("split_char", val),
 			updateSplitPreset: (val) => updateSingleValue("split_preset", val),
 			updateSplitUse: (val) => updateSingleValue("split_use", val),
+			updateTemplate: (val) => updateSingleValue("template", val),
 			updateUseType: (val) => updateSingleValue("use", val),
 			updateWithFormat: (val) => updateSingleValue("__with", val)
 		};
@@ -121,7 +160,23 @@ function NotesWidget(){
 					inputLabel="Enter the name of your custom function for formatting notes" 
 					selectLabel="Select an input format for your custom function" />
 			</RowGroupOption>
+			<RowGroupOption id="smartblock" description="Choose a SmartBlock to import notes with. It receives the item and its notes as variables ; annotations follow their own settings.">
+				<TextWithSelect 
+					onSelectChange={handlers.updateSmartblockParam} 
+					onValueChange={handlers.updateSmartblockParamValue} 
+					placeholder="Enter a value" 
+					selectButtonProps={customFuncButtonProps} 
+					selectOptions={PARAM_OPTIONS}
+					selectValue={param} 
+					textValue={paramValue} 
+					inputLabel={"Enter the SmartBlock's " + (param == "srcName" ? "name" : "UID")} 
+					selectLabel="Select the property to use to identify the SmartBlock" />
+			</RowGroupOption>
+			<RowGroupOption id="template" description="Write a template for each note" />
 		</RowGroup>
+		{use == "template" && <RowCol title="Note Template" description={TEMPLATE_SYNTAX}>
+			<TextAreaInput label="Enter a template for notes" onChange={handlers.updateTemplate} rows={6} value={template} />
+		</RowCol>}
 		<RowGroup title="Nesting"
 			description="Pick how to add notes to the Roam page." 
 			onChange={handlers.updateNestUse}
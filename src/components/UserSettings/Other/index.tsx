@@ -1,6 +1,8 @@
 import { useMemo } from "react";
 import { Toggle, SettingsManager } from "Components/UserSettings";
 
+import { fulltextIndex } from "@clients/zotero";
+
 
 const { Provider: OtherSettingsProvider, useSettings: useOtherSettings } = new SettingsManager<"other">({
 	/* istanbul ignore next */
@@ -11,6 +13,10 @@ const { Provider: OtherSettingsProvider, useSettings: useOtherSettings } = new S
 				window.zoteroRoam?.clearDataCache?.();
 			}, 1000);
 		}
+		// If user disabled full-text indexing, remove the indexed content
+		if (prevState.fulltextIndex === true && update.fulltextIndex === false) {
+			fulltextIndex.clear();
+		}
 	}
 });
 
@@ -20,6 +26,7 @@ function OtherSettingsWidget() {
 			autoload,
 			cacheEnabled,
 			darkTheme,
+			fulltextIndex: isFulltextEnabled,
 			render_inline
 		},
 		setOpts
@@ -38,6 +45,7 @@ function OtherSettingsWidget() {
 			toggleAutoload: () => toggleBool("autoload"),
 			toggleCacheEnabled: () => toggleBool("cacheEnabled"),
 			toggleDarkTheme: () => toggleBool("darkTheme"),
+			toggleFulltextIndex: () => toggleBool("fulltextIndex"),
 			toggleRenderInline: () => toggleBool("render_inline")
 		};
 	}, [setOpts]);
@@ -46,6 +54,7 @@ function OtherSettingsWidget() {
 		<Toggle description="Activate the extension on graph load" isChecked={autoload} label="Toggle 'autoload' setting" onChange={handlers.toggleAutoload} title="Autoload" />
 		<Toggle description="Cache API data between sessions, to optimize loading times." isChecked={cacheEnabled} label="Toggle 'cache enabled' setting" onChange={handlers.toggleCacheEnabled} title="Enable Cache" />
 		<Toggle isChecked={darkTheme} label="Toggle 'dark theme' setting" onChange={handlers.toggleDarkTheme} title="Use Dark Theme by default" />
+		<Toggle description="Download the text that Zotero extracted from PDFs, to search it from the search panel and the Explorer. Content is stored locally, and synced incrementally." isChecked={isFulltextEnabled} label="Toggle 'full-text index' setting" onChange={handlers.toggleFulltextIndex} title="Index full-text content" />
 		<Toggle description="This will display [[@citekey]] references as a formatted citation, like Scott et al. (2003). Block content will not be affected." isChecked={render_inline} label="Toggle 'render inline' setting" onChange={handlers.toggleRenderInline} title="Display references as citations" />
 	</>;
 
@@ -8,7 +8,9 @@ const { Provider: PageMenuProvider, useSettings: usePageMenuSettings } = new Set
 const ELEM_OPTIONS = [
 	{ label: "Metadata import", value: "addMetadata" }, 
 	{ label: "Notes import", value: "importNotes" },
+	{ label: "Notes export", value: "exportNote" },
 	{ label: "Item details", value: "viewItemInfo" },
+	{ label: "Collections", value: "manageCollections" },
 	{ label: "Zotero link (local)", value: "openZoteroLocal" },
 	{ label: "Zotero link (web)", value: "openZoteroWeb" },
 	{ label: "PDF links", value: "pdfLinks" },
@@ -1,6 +1,8 @@
 import { useMemo } from "react";
 import { IconName, Tag } from "@blueprintjs/core";
 
+import { useSearches } from "@clients/zotero";
+
 import { CustomClasses } from "../../../../constants";
 import { DataRequest } from "Types/extension";
 
@@ -15,7 +17,13 @@ type OwnProps = {
 };
 
 function DataRequestItem({ request }: OwnProps){
-	const { apikey, dataURI, library: { path, type } } = request;
+	const { apikey, backend = "web", dataURI, library: { path, type }, searches = [], useBetterBibtex = false } = request;
+
+	const libraries = useMemo(() => [{ apikey, backend, path }], [apikey, backend, path]);
+	const [{ data: searchesData }] = useSearches(libraries, {
+		enabled: searches.length > 0,
+		notifyOnChangeProps: ["data"]
+	});
 
 	const libContents = useMemo(() => {
 		const tagProps = (type == "users")
@@ -33,6 +41,26 @@ function DataRequestItem({ request }: OwnProps){
 				{libContents}
 			</div>
 		</div>
+		<div zr-role="settings-row">
+			<span className={CustomClasses.TEXT_AUXILIARY}>Backend</span>
+			<div>
+				{backend == "local"
+					? <Tag htmlTitle="Read from the local API of Zotero 7. Writing to this library is disabled." icon="desktop" intent="warning" minimal={true}>Local API</Tag>
+					: <Tag htmlTitle="Read from the Zotero web API" icon="globe-network" minimal={true}>Web API</Tag>}
+			</div>
+		</div>
+		{searches.length > 0 && <div zr-role="settings-row">
+			<span className={CustomClasses.TEXT_AUXILIARY}>Saved searches</span>
+			<div>
+				{searches.map(key => <Tag key={key} icon="search-template" minimal={true}>{searchesData?.data.find(s => s.key == key)?.data.name || key}</Tag>)}
+			</div>
+		</div>}
+		{useBetterBibtex && type == "users" && <div zr-role="settings-row">
+			<span className={CustomClasses.TEXT_AUXILIARY}>Citekeys</span>
+			<div>
+				<Tag htmlTitle="Missing citekeys are resolved with Better BibTeX" minimal={true}>Better BibTeX</Tag>
+			</div>
+		</div>}
 		<div zr-role="settings-row">
 			<span className={CustomClasses.TEXT_AUXILIARY}>Data URI</span>
 			<div>
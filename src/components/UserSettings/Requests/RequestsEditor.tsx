@@ -1,16 +1,18 @@
 import { Dispatch, RefObject, useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { Button, Classes, ControlGroup, FormGroup, H6, InputGroup, MenuItem } from "@blueprintjs/core";
+import { Button, Classes, ControlGroup, FormGroup, H6, InputGroup, MenuItem, Switch } from "@blueprintjs/core";
 import { Select, SelectProps } from "@blueprintjs/select";
 import { Placement } from "@blueprintjs/popover2";
 
 import { ErrorCallout } from "Components/Errors";
+import { InputMultiSelect } from "Components/Inputs";
 
-import { ZoteroAPI } from "@clients/zotero";
+import { ZoteroAPI, useSearches } from "@clients/zotero";
 import { ArrayAction, useArrayReducer } from "@hooks";
 
 import { CustomClasses } from "../../../constants";
 import { analyzeUserRequests } from "../../../setup";
 import { DataRequest, UserDataRequest, UserRequests } from "Types/extension";
+import { ZLibrary, ZLibraryBackend } from "Types/transforms";
 import "./_index.sass";
 
 
@@ -41,6 +43,59 @@ const LIB_TYPE_OPTIONS: LibraryOption[] = [
 ];
 
 
+type BackendOption = { label: string, value: ZLibraryBackend };
+
+type BackendSelectorProps = SelectProps<BackendOption>;
+
+const backendSelectStaticProps: Partial<BackendSelectorProps> & Pick<BackendSelectorProps, "itemRenderer"> = {
+	itemRenderer: (item, itemProps) => {
+		const { handleClick } = itemProps;
+
+		return <MenuItem key={item.value} onClick={handleClick} text={item.label} />;
+	},
+	popoverProps: {
+		canEscapeKeyClose: false,
+		minimal: true,
+		placement: "bottom-right" as Placement,
+		popoverClassName: CustomClasses.POPOVER,
+		targetProps: {
+			title: "Select how the library should be accessed"
+		}
+	}
+};
+
+const BACKEND_OPTIONS: BackendOption[] = [
+	{ label: "Zotero web API", value: "web" },
+	{ label: "Local API (Zotero 7, read-only)", value: "local" }
+];
+
+
+type SavedSearchesSelectorProps = {
+	library: ZLibrary,
+	setValue: (value: string[]) => void,
+	value: string[]
+};
+
+/** Lists the saved searches of a library, once its ID has been provided */
+function SavedSearchesSelector({ library, setValue, value }: SavedSearchesSelectorProps){
+	const libraries = useMemo(() => [library], [library]);
+	const [libraryType, libraryID] = library.path.split("/");
+	const [{ data, isError }] = useSearches(libraries, {
+		enabled: Boolean(libraryID) && !isNaN(Number(libraryID)),
+		notifyOnChangeProps: ["data", "isError"]
+	});
+
+	const options = useMemo(() => (data?.data || []).map(search => ({ label: search.data.name, value: search.key })), [data]);
+
+	return <FormGroup
+		helperText={isError ? `The saved searches of ${libraryType} ${libraryID} could not be retrieved` : undefined}
+		intent={isError ? "warning" : "none"}
+		label="Saved searches" >
+		<InputMultiSelect options={options} setValue={setValue} value={value} />
+	</FormGroup>;
+}
+
+
 type DataRequestFormProps = {
 	inputRef?: RefObject<HTMLInputElement>,
 	pos: number | "new",
@@ -49,7 +104,8 @@ type DataRequestFormProps = {
 };
 
 function DataRequestForm({ inputRef = undefined, pos, req, updateReq }: DataRequestFormProps){
-	const { apikey, library: { type, id }, name } = req;
+	const { apikey, backend = "web", library: { type, id }, name, searches = [], useBetterBibtex = false } = req;
+	const library = useMemo<ZLibrary>(() => ({ apikey, backend, path: type + "/" + id }), [apikey, backend, id, type]);
 
 	const changeHandlers = useMemo(() => {
 		function updateTextProp(prop, event){
@@ -71,11 +127,14 @@ function DataRequestForm({ inputRef = undefined, pos, req, updateReq }: DataRequ
 
 		return {
 			updateAPIKey: (event) => updateTextProp("apikey", event),
+			updateBackend: (item: BackendOption) => updateReq({ ...req, backend: item.value }),
 			updateLibraryType: (item) => updateLibraryParams("type", item.value),
 			updateLibraryID: (event) => updateLibraryParams("id", event.target.value),
-			updateName: (event) => updateTextProp("name", event)
+			updateName: (event) => updateTextProp("name", event),
+			updateSearches: (value: string[]) => updateReq({ ...req, searches: value }),
+			toggleBetterBibtex: () => updateReq({ ...req, useBetterBibtex: !useBetterBibtex })
 		};
-	}, [req, updateReq]);
+	}, [req, updateReq, useBetterBibtex]);
     
 	return <>
 		<FormGroup label="Library" labelFor={"req-library" + pos}>
@@ -97,18 +156,39 @@ function DataRequestForm({ inputRef = undefined, pos, req, updateReq }: DataRequ
 				<InputGroup className={[CustomClasses.INPUT_BOX, CustomClasses.INPUT_TEXT, CustomClasses.TEXT_SMALL].join(" ")} id={"req-library" + pos} inputRef={inputRef} onChange={changeHandlers.updateLibraryID} placeholder="e.g, 123456" value={id} />
 			</ControlGroup>
 		</FormGroup>
+		<FormGroup label="Backend">
+			<Select
+				filterable={false}
+				items={BACKEND_OPTIONS}
+				onItemSelect={changeHandlers.updateBackend}
+				{...backendSelectStaticProps} >
+				<Button
+					active={true}
+					className={CustomClasses.TEXT_SMALL}
+					icon={backend == "local" ? "desktop" : "globe-network"}
+					intent="primary"
+					minimal={true}
+					rightIcon="caret-down"
+					text={backend} />
+			</Select>
+		</FormGroup>
 		<FormGroup label="API Key" labelFor={"req-apikey" + pos}>
-			<InputGroup className={[CustomClasses.INPUT_BOX, CustomClasses.INPUT_TEXT, CustomClasses.TEXT_SMALL].join(" ")} id={"req-apikey" + pos} onChange={changeHandlers.updateAPIKey} placeholder="Zotero API key" value={apikey} />
+			<InputGroup className={[CustomClasses.INPUT_BOX, CustomClasses.INPUT_TEXT, CustomClasses.TEXT_SMALL].join(" ")} id={"req-apikey" + pos} onChange={changeHandlers.updateAPIKey} placeholder={backend == "local" ? "Not needed for the local API" : "Zotero API key"} value={apikey} />
 		</FormGroup>
 		<FormGroup label="Name" labelFor={"req-name" + pos}>
 			<InputGroup className={[CustomClasses.INPUT_BOX, CustomClasses.INPUT_TEXT, CustomClasses.TEXT_SMALL].join(" ")} id={"req-name" + pos} onChange={changeHandlers.updateName} placeholder="Nickname (optional)" value={name} />
 		</FormGroup>
+		<SavedSearchesSelector library={library} setValue={changeHandlers.updateSearches} value={searches} />
+		<FormGroup label="Citekeys" labelFor={"req-bbt" + pos}>
+			<Switch checked={useBetterBibtex && type == "users"} className={CustomClasses.TEXT_SMALL} disabled={type != "users"} id={"req-bbt" + pos} label="Resolve with Better BibTeX" onChange={changeHandlers.toggleBetterBibtex} title="Requires the Zotero desktop app to be running. Only available for user libraries." />
+		</FormGroup>
 	</>;
 }
 
 
 const DEFAULT_REQ: UserDataRequest = {
 	apikey: "",
+	backend: "web",
 	library: {
 		type: "users",
 		id: ""
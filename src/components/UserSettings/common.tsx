@@ -377,6 +377,7 @@ const Toggle = ({ description = null, isChecked, label, onChange = undefined, ti
 
 
 export {
+	BetterSelect,
 	camelToTitleCase,
 	Definition,
 	NumericSelect,
@@ -8,7 +8,7 @@ import { useRequestsSettings } from "Components/UserSettings";
 import CollectionsSelector from "./CollectionsSelector";
 import LibrarySelector from "./LibrarySelector";
 
-import { useCitoids } from "@clients/citoid";
+import { CitoidAPI, useCitoids } from "@clients/citoid";
 import { ZoteroAPI, useCollections, useWriteableLibraries, useImportCitoids } from "@clients/zotero";
 import { useMulti, useSelect } from "@hooks";
 
@@ -31,7 +31,7 @@ type ImportButtonOwnProps = {
 };
 
 const ImportButton = memo<ImportButtonOwnProps & ZoteroImportProps>(function ImportButton(props) {
-	const { identifiers, importProps, isActive, resetImport } = props;
+	const { identifiers, importProps, isActive, items = [], resetImport } = props;
 
 	const citoidQueries = useCitoids(identifiers, { 
 		enabled: isActive && identifiers.length > 0,
@@ -46,13 +46,13 @@ const ImportButton = memo<ImportButtonOwnProps & ZoteroImportProps>(function Imp
 		const { collections, library, tags } = importProps;
 		mutate({ 
 			collections, 
-			items: citoids, 
+			items: [...citoids, ...items], 
 			library, 
 			tags 
 		}, {
 			onSuccess: () => resetImport()
 		});
-	}, [citoids, importProps, mutate, resetImport]);
+	}, [citoids, importProps, items, mutate, resetImport]);
 
 	const buttonProps = useMemo(() => {
 		if(status == "loading"){
@@ -93,7 +93,7 @@ type ImportPanelOwnProps = {
 };
 
 const ImportPanel = memo<ImportPanelOwnProps & ZoteroImportProps>(function ImportPanel(props) {
-	const { collections, identifiers, isActive, libraries, resetImport } = props;
+	const { collections, identifiers, isActive, items, libraries, resetImport } = props;
 	const [selectedLib, handleLibSelection] = useSelect<ZLibrary>({
 		start: libraries[0],
 		transform: (path) => libraries.find(lib => lib.path == path)!
@@ -135,6 +135,7 @@ const ImportPanel = memo<ImportPanelOwnProps & ZoteroImportProps>(function Impor
 						identifiers={identifiers} 
 						importProps={importProps} 
 						isActive={isActive} 
+						items={items}
 						resetImport={resetImport} />
 				</ButtonGroup>
 			</div>
@@ -163,11 +164,13 @@ const ImportPanel = memo<ImportPanelOwnProps & ZoteroImportProps>(function Impor
 type ZoteroImportProps = {
 	identifiers: string[],
 	isActive: boolean,
+	/** Items whose metadata is already available, to import along with the identifiers */
+	items?: CitoidAPI.AsZotero[],
 	resetImport: () => void
 };
 
 const ZoteroImport = memo<ZoteroImportProps>(function ZoteroImport(props) {
-	const { identifiers, isActive, resetImport } = props;
+	const { identifiers, isActive, items, resetImport } = props;
 	const [{ libraries }] = useRequestsSettings();
 
 	const { data: writeableLibraries, isLoading } = useWriteableLibraries(libraries);
@@ -189,6 +192,7 @@ const ZoteroImport = memo<ZoteroImportProps>(function ZoteroImport(props) {
 					collections={collections}
 					identifiers={identifiers}
 					isActive={isActive}
+					items={items}
 					libraries={writeableLibraries} 
 					resetImport={resetImport} />
 	);
@@ -10,6 +10,12 @@ export const EXTENSION_PORTAL_ID = "zotero-roam-portal";
 export const EXTENSION_SLOT_ID = "zotero-roam-slot";
 
 
+/** @constant {String} The key under which the extension stores its data in the props of Roam blocks */
+export const ROAM_PROPS_KEY = "zotero-roam";
+/** @constant {Number} The delay (in ms) between items, when importing several items to Roam */
+export const ROAM_WRITE_DELAY = 300;
+
+
 /** @constant {Number} The default timeout (in ms) for toasts */
 export const DEFAULT_TOAST_TIMEOUT = 1500;
 
@@ -17,11 +23,17 @@ export const DEFAULT_TOAST_TIMEOUT = 1500;
 /** @constant {String} The name for the extension's idb database */
 export const IDB_DATABASE_NAME = "ZOTERO_ROAM";
 /** @constant {Number} The current version for the extension's idb database */
-export const IDB_DATABASE_VERSION = 1;
+export const IDB_DATABASE_VERSION = 4;
 /** @constant {String} The name for the React Query store in the extension's idb database */
 export const IDB_REACT_QUERY_STORE_NAME = "REACT_QUERY";
 /** @constant {String} The key name for the client in the React Query store */
 export const IDB_REACT_QUERY_CLIENT_KEY = "REACT_QUERY_CLIENT";
+/** @constant {String} The name for the store of queued Zotero writes in the extension's idb database */
+export const IDB_WRITE_QUEUE_STORE_NAME = "WRITE_QUEUE";
+/** @constant {String} The name for the store of indexed full-text content in the extension's idb database */
+export const IDB_FULLTEXT_STORE_NAME = "FULLTEXT";
+/** @constant {String} The name for the store of detected citekey renames in the extension's idb database */
+export const IDB_CITEKEY_RENAMES_STORE_NAME = "CITEKEY_RENAMES";
 
 
 /* istanbul ignore file */
@@ -64,6 +76,39 @@ export const TYPEMAP_DEFAULT: Record<ZoteroAPI.ItemTop["data"]["itemType"], stri
 };
 
 
+/** @constant {Object[]} The highlight colors available in the Zotero reader */
+export const ZOTERO_COLORS = [
+	{ label: "Yellow", value: "#ffd400" },
+	{ label: "Red", value: "#ff6666" },
+	{ label: "Green", value: "#5fb236" },
+	{ label: "Blue", value: "#2ea8e5" },
+	{ label: "Purple", value: "#a28ae5" },
+	{ label: "Magenta", value: "#e56eee" },
+	{ label: "Orange", value: "#f19837" },
+	{ label: "Gray", value: "#aaaaaa" }
+];
+
+
+/** @constant {String} The default template for item metadata, equivalent to the default formatter */
+export const DEFAULT_METADATA_TEMPLATE = [
+	"{{#title}}Title:: {{title}}{{/title}}",
+	"{{#authors}}Author(s):: {{authors}}{{/authors}}",
+	"{{#abstractNote}}Abstract:: {{abstractNote}}{{/abstractNote}}",
+	"Type:: {{item_type}}",
+	"Publication:: {{publication}}",
+	"{{#year}}Year:: {{year}}{{/year}}",
+	"{{#url}}URL : {{url}}{{/url}}",
+	"Date Added:: {{date_added}}",
+	"Zotero links:: [Local library]({{link_local}}), [Web library]({{link_web}})",
+	"{{#tags_string}}Tags:: {{tags_string}}{{/tags_string}}",
+	"{{#pdfs.length}}PDF links : {{#pdfs}}[{{title}}]({{link}}){{^@last}}, {{/@last}}{{/pdfs}}{{/pdfs.length}}",
+	"{{>notes}}"
+].join("\n");
+
+/** @constant {String} The default template for notes, equivalent to the default formatter */
+export const DEFAULT_NOTES_TEMPLATE = "{{#blocks}}\n{{.}}\n{{/blocks}}";
+
+
 export const CustomClasses = {
 	DATALIST_ITEM: "zr-datalist--item",
 	DATALIST_PAGINATION: "zr-datalist--pagination",
@@ -2,8 +2,9 @@ import { vi } from "vitest";
 import { mock } from "vitest-mock-extended";
 import zrToaster from "Components/ExtensionToaster";
 import ZoteroRoam from "../../api";
+import { ZoteroAPI } from "@clients/zotero";
 
-import { metadataAdded, notesAdded, tagsDeleted, tagsModified, writeFinished } from ".";
+import { collectionCreated, itemUpdated, metadataAdded, noteExported, notesAdded, tagsDeleted, tagsModified, writeFinished } from ".";
 import { Events } from "./types";
 
 import { DEFAULT_TOAST_TIMEOUT } from "../../constants";
@@ -15,9 +16,115 @@ beforeEach(() => {
 	window.zoteroRoam = mock<ZoteroRoam>();
 });
 
+describe("collectionCreated", () => {
+	const mockEvent = (eventDetails: Partial<Events.CollectionCreated> = {}) => mock<CustomEvent<Events.CollectionCreated>>({
+		detail: {
+			args: { name: "New collection", parentCollection: false },
+			library: "users/123456",
+			...eventDetails
+		}
+	});
+
+	test("hook behavior on error", () => {
+		collectionCreated(mockEvent({ data: null, error: new Error("Some error") }));
+		expect(window.zoteroRoam.error).toHaveBeenCalledWith({
+			origin: "API",
+			message: "Collection creation failed",
+			context: expect.objectContaining({
+				error: "Some error"
+			}),
+			showToaster: true
+		});
+	});
+
+	test("hook behavior on success", () => {
+		collectionCreated(mockEvent({ data: mock<ZoteroAPI.Collection>(), error: null }));
+		expect(showToasterFn).toHaveBeenCalledWith({
+			intent: "success",
+			message: "Collection \"New collection\" created in users/123456",
+			timeout: DEFAULT_TOAST_TIMEOUT
+		});
+	});
+});
+
+describe("itemUpdated", () => {
+	const mockEvent = (eventDetails: Partial<Events.ItemUpdated> = {}) => mock<CustomEvent<Events.ItemUpdated>>({
+		detail: {
+			args: { changes: { title: "A new title" }, itemKey: "ABCD1234" },
+			library: "users/123456",
+			...eventDetails
+		}
+	});
+
+	test("hook behavior on error", () => {
+		itemUpdated(mockEvent({ data: null, error: new Error("Some error") }));
+		expect(window.zoteroRoam.error).toHaveBeenCalledWith({
+			origin: "API",
+			message: "Item update failed",
+			context: expect.objectContaining({
+				error: "Some error"
+			}),
+			showToaster: true
+		});
+	});
+
+	test("hook behavior on conflict", () => {
+		const evt = mockEvent({ data: { status: "conflict", latest: mock<ZoteroAPI.ItemTop>() }, error: null });
+		itemUpdated(evt);
+		expect(window.zoteroRoam.warn).toHaveBeenCalledWith({
+			origin: "API",
+			message: "Item was modified in Zotero since it was last retrieved",
+			context: evt.detail
+		});
+		expect(showToasterFn).not.toHaveBeenCalled();
+	});
+
+	test("hook behavior on success", () => {
+		itemUpdated(mockEvent({ data: { status: "updated", version: 11 }, error: null }));
+		expect(showToasterFn).toHaveBeenCalledWith({
+			intent: "success",
+			message: "Item updated in users/123456",
+			timeout: DEFAULT_TOAST_TIMEOUT
+		});
+	});
+});
+
+describe("noteExported", () => {
+	const mockEvent = (eventDetails: Partial<Events.NoteExported> = {}) => mock<CustomEvent<Events.NoteExported>>({
+		detail: {
+			args: { itemKey: "ABCD1234", noteKey: null },
+			library: "users/123456",
+			...eventDetails
+		}
+	});
+
+	test("hook behavior on error", () => {
+		noteExported(mockEvent({ data: null, error: new Error("Some error") }));
+		expect(window.zoteroRoam.error).toHaveBeenCalledWith({
+			origin: "API",
+			message: "Note export failed",
+			context: expect.objectContaining({
+				error: "Some error"
+			}),
+			showToaster: true
+		});
+	});
+
+	test("hook behavior on success", () => {
+		noteExported(mockEvent({ data: { noteKey: "NOTE1234", status: "created", version: 11 }, error: null }));
+		expect(showToasterFn).toHaveBeenCalledWith({
+			intent: "success",
+			message: "Note created in users/123456",
+			timeout: DEFAULT_TOAST_TIMEOUT
+		});
+	});
+});
+
 describe("metadataAdded", () => {
 	const mockEvent = (eventDetails: Partial<Events.MetadataAdded> = {}) => mock<CustomEvent<Events.MetadataAdded>>({
 		detail: {
+			batch: undefined,
+			changes: undefined,
 			page: { title: "@someCitekey" },
 			...eventDetails
 		}
@@ -46,6 +153,30 @@ describe("metadataAdded", () => {
 		});
 	});
 
+	test("hook behavior on success, with changes", () => {
+		metadataAdded(mockEvent({ changes: { created: 2, updated: 1, unchanged: 8 }, error: null, success: true }));
+
+		expect(showToasterFn).toHaveBeenCalledWith({
+			intent: "success",
+			message: "Metadata added to @someCitekey (2 created, 1 updated, 8 unchanged)",
+			timeout: DEFAULT_TOAST_TIMEOUT
+		});
+	});
+
+	test("hook behavior in a batch import", () => {
+		const batch = { index: 0, total: 10 };
+		showToasterFn.mockClear();
+
+		metadataAdded(mockEvent({ batch, error: null, success: true }));
+		expect(showToasterFn).not.toHaveBeenCalled();
+
+		metadataAdded(mockEvent({ batch, error: new Error("Some error") }));
+		expect(window.zoteroRoam.error).toHaveBeenCalledWith(expect.objectContaining({
+			message: "Metadata import failed for @someCitekey",
+			showToaster: false
+		}));
+	});
+
 	test("hook fallback", () => {
 		const evt = mockEvent({ error: null, success: null });
 		metadataAdded(evt);
@@ -104,6 +235,7 @@ describe("notesAdded", () => {
 describe("tagsDeleted", () => {
 	const mockEvent = (eventDetails: Partial<Events.TagsDeleted> = {}) => mock<CustomEvent<Events.TagsDeleted>>({
 		detail: {
+			data: [],
 			library: "users/123456",
 			...eventDetails
 		}
@@ -130,6 +262,28 @@ describe("tagsDeleted", () => {
 			timeout: DEFAULT_TOAST_TIMEOUT
 		});
 	});
+
+	test("hook behavior on partial success", () => {
+		const evt = mockEvent({
+			args: { tags: ["some tag", "another tag", "third tag"] },
+			data: [
+				{ tags: ["some tag", "another tag"], status: "deleted", error: null, version: 11 },
+				{ tags: ["third tag"], status: "failed", error: new Error("Some error"), version: null }
+			],
+			error: null
+		});
+		tagsDeleted(evt);
+		expect(window.zoteroRoam.warn).toHaveBeenCalledWith({
+			origin: "API",
+			message: "Tag deletion partially failed",
+			detail: "2 tags deleted from users/123456, 1 could not be deleted. \n Check the extension's logs for more details.",
+			context: expect.objectContaining({
+				data: evt.detail.data
+			}),
+			showToaster: true
+		});
+		expect(showToasterFn).not.toHaveBeenCalled();
+	});
 });
 
 describe("tagsModified", () => {
@@ -6,6 +6,19 @@ import { cleanError, pluralize } from "../../utils";
 import { DEFAULT_TOAST_TIMEOUT } from "../../constants";
 
 
+/** The events that other extensions can subscribe to, with `window.zoteroRoam.on()` */
+const SUBSCRIBABLE_EVENTS: Events.Subscribable["_type"][] = [
+	"cache-restored",
+	"libraries-loaded",
+	"metadata-added",
+	"notes-added",
+	"ready",
+	"tags-deleted",
+	"tags-modified",
+	"update",
+	"write"
+];
+
 /**
  * Emits a custom event for the extension
  * @param event - The object containing the event's details
@@ -16,25 +29,81 @@ function emitCustomEvent<T extends Events.Details = Events.Details>(event: T, ta
 	target.dispatchEvent(e);
 }
 
-/** Default hook for the zotero-roam:metadata-added event */
-function metadataAdded(event: CustomEvent<Events.MetadataAdded>){
-	const { error, page: { title }, success } = event.detail;
+/** Default hook for the zotero-roam:collection-created event */
+function collectionCreated(event: CustomEvent<Events.CollectionCreated>){
+	const { args: { name }, error, library } = event.detail;
 	if (error) {
 		window.zoteroRoam?.error?.({
 			origin: "API",
-			message: `Metadata import failed for ${title}`,
+			message: "Collection creation failed",
 			context: {
 				...event.detail,
 				error: cleanError(error)
 			},
 			showToaster: true
 		});
-	} else if (success) {
+	} else {
 		zrToaster.show({
 			intent: "success",
-			message: "Metadata added to " + title,
+			message: `Collection "${name}" created in ${library}`,
 			timeout: DEFAULT_TOAST_TIMEOUT
 		});
+	}
+}
+
+/** Default hook for the zotero-roam:item-updated event
+ * @param {CustomEvent} event - The custom event emitted by the extension
+ */
+function itemUpdated(event: CustomEvent<Events.ItemUpdated>){
+	const { data, error, library } = event.detail;
+	if (error) {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Item update failed",
+			context: {
+				...event.detail,
+				error: cleanError(error)
+			},
+			showToaster: true
+		});
+	} else if (data?.status == "conflict") {
+		window.zoteroRoam?.warn?.({
+			origin: "API",
+			message: "Item was modified in Zotero since it was last retrieved",
+			context: event.detail
+		});
+	} else {
+		zrToaster.show({
+			intent: "success",
+			message: `Item updated in ${library}`,
+			timeout: DEFAULT_TOAST_TIMEOUT
+		});
+	}
+}
+
+/** Default hook for the zotero-roam:metadata-added event */
+function metadataAdded(event: CustomEvent<Events.MetadataAdded>){
+	const { batch, changes, error, page: { title }, success } = event.detail;
+	if (error) {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: `Metadata import failed for ${title}`,
+			context: {
+				...event.detail,
+				error: cleanError(error)
+			},
+			// Batch imports report their failures once all items have been processed
+			showToaster: !batch
+		});
+	} else if (success) {
+		// Batch imports show their progress in a dialog instead
+		if (!batch) {
+			zrToaster.show({
+				intent: "success",
+				message: "Metadata added to " + title + (changes ? ` (${changes.created} created, ${changes.updated} updated, ${changes.unchanged} unchanged)` : ""),
+				timeout: DEFAULT_TOAST_TIMEOUT
+			});
+		}
 	} else {
 		window.zoteroRoam?.warn?.({
 			origin: "API",
@@ -44,6 +113,28 @@ function metadataAdded(event: CustomEvent<Events.MetadataAdded>){
 	}
 }
 
+/** Default hook for the zotero-roam:note-exported event */
+function noteExported(event: CustomEvent<Events.NoteExported>){
+	const { data, error, library } = event.detail;
+	if (error || !data) {
+		window.zoteroRoam?.error?.({
+			origin: "API",
+			message: "Note export failed",
+			context: {
+				...event.detail,
+				error: cleanError(error)
+			},
+			showToaster: true
+		});
+	} else {
+		zrToaster.show({
+			intent: "success",
+			message: `Note ${data.status} in ${library}`,
+			timeout: DEFAULT_TOAST_TIMEOUT
+		});
+	}
+}
+
 /** Default hook for the zotero-roam:notes-added event */
 function notesAdded(event: CustomEvent<Events.NotesAdded>){
 	const { error, page: { title }, raw: { notes }, success } = event.detail;
@@ -76,8 +167,11 @@ function notesAdded(event: CustomEvent<Events.NotesAdded>){
  * @param {CustomEvent} event - The custom event emitted by the extension
  */
 function tagsDeleted(event: CustomEvent<Events.TagsDeleted>){
-	const { args: { tags }, error, library } = event.detail;
-	if (error) {
+	const { args: { tags }, data = [], error, library } = event.detail;
+	const deleted = data.filter(batch => batch.status == "deleted").map(batch => batch.tags).flat(1);
+	const notDeleted = data.filter(batch => batch.status != "deleted").map(batch => batch.tags).flat(1);
+
+	if (error || (notDeleted.length > 0 && deleted.length == 0)) {
 		window.zoteroRoam?.error?.({
 			origin: "API",
 			message: "Tag deletion failed",
@@ -87,6 +181,17 @@ function tagsDeleted(event: CustomEvent<Events.TagsDeleted>){
 			},
 			showToaster: true
 		});
+	} else if (notDeleted.length > 0) {
+		window.zoteroRoam?.warn?.({
+			origin: "API",
+			message: "Tag deletion partially failed",
+			detail: `${pluralize(deleted.length, "tag", "")} deleted from ${library}, ${notDeleted.length} could not be deleted. \n Check the extension's logs for more details.`,
+			context: {
+				...event.detail,
+				error: cleanError(error)
+			},
+			showToaster: true
+		});
 	} else {
 		zrToaster.show({
 			intent: "success",
@@ -199,7 +304,10 @@ function writeFinished(event: CustomEvent<Events.Write>){
 /** Sets up default actions to trigger based on the extension's custom events.
  */
 function setDefaultHooks(){
+	document.addEventListener("zotero-roam:collection-created", collectionCreated);
+	document.addEventListener("zotero-roam:item-updated", itemUpdated);
 	document.addEventListener("zotero-roam:metadata-added", metadataAdded);
+	document.addEventListener("zotero-roam:note-exported", noteExported);
 	document.addEventListener("zotero-roam:notes-added", notesAdded);
 	document.addEventListener("zotero-roam:write", writeFinished);
 	document.addEventListener("zotero-roam:tags-deleted", tagsDeleted);
@@ -210,7 +318,10 @@ function setDefaultHooks(){
 /** Cleans up all actions triggered on the extension's custom events.
  */
 function clearDefaultHooks(){
+	document.removeEventListener("zotero-roam:collection-created", collectionCreated);
+	document.removeEventListener("zotero-roam:item-updated", itemUpdated);
 	document.removeEventListener("zotero-roam:metadata-added", metadataAdded);
+	document.removeEventListener("zotero-roam:note-exported", noteExported);
 	document.removeEventListener("zotero-roam:notes-added", notesAdded);
 	document.removeEventListener("zotero-roam:write", writeFinished);
 	document.removeEventListener("zotero-roam:tags-deleted", tagsDeleted);
@@ -220,8 +331,12 @@ function clearDefaultHooks(){
 export * from "./types";
 
 export {
+	SUBSCRIBABLE_EVENTS,
+	collectionCreated,
 	emitCustomEvent,
+	itemUpdated,
 	metadataAdded,
+	noteExported,
 	notesAdded,
 	tagsDeleted,
 	tagsModified,
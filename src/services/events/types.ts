@@ -1,11 +1,65 @@
 import { CitoidAPI } from "@clients/citoid";
-import { ZoteroAPI } from "@clients/zotero";
+import { DeleteTagsBatch, ExportNoteOutcome, UpdateItemOutcome, ZoteroAPI } from "@clients/zotero";
 
-import { ArgsMetadataBlocks, ArgsMetadataSmartblock, OutcomeMetadataStatus, OutcomePage } from "Types/extension";
+import { ArgsMetadataBlocks, ArgsMetadataSmartblock, OutcomeMetadataChanges, OutcomeMetadataStatus, OutcomePage } from "Types/extension";
 import { ZItemAnnotation, ZItemNote, ZItemTop } from "Types/transforms";
 
 
 export namespace Events {
+	/** Signals the data cache has been restored from the database
+	 * @event zotero-roam:cache-restored
+	 */
+	export type CacheRestored = {
+		_type: "cache-restored",
+		/** The number of queries restored from the cache */
+		queries: number
+	};
+
+
+	/** Signals a collection creation has terminated
+	 * @event zotero-roam:collection-created
+	 * @see useCreateCollection
+	 */
+	export type CollectionCreated = {
+		_type: "collection-created",
+		/** The input provided to the creating function */
+		args: { name: string, parentCollection: string | false },
+		/** The collection, as created in Zotero */
+		data: ZoteroAPI.Collection | null,
+		error: any,
+		/** The path of the targeted library */
+		library: string
+	};
+
+
+	/** Signals an item update has terminated
+	 * @event zotero-roam:item-updated
+	 * @see useUpdateItem
+	 */
+	export type ItemUpdated = {
+		_type: "item-updated",
+		/** The input provided to the updating function */
+		args: { changes: Partial<ZoteroAPI.ItemTop["data"]>, itemKey: string },
+		/** The outcome of the update. If the item was modified in Zotero in the meantime, its latest copy is provided. */
+		data: UpdateItemOutcome | null,
+		error: any,
+		/** The path of the targeted library */
+		library: string
+	};
+
+
+	/** Signals the items of all the user's libraries have been loaded, after the extension was turned on
+	 * @event zotero-roam:libraries-loaded
+	 */
+	export type LibrariesLoaded = {
+		_type: "libraries-loaded",
+		/** The total number of items loaded, across libraries */
+		items: number,
+		/** The paths of the libraries that were loaded */
+		libraries: string[]
+	};
+
+
 	/** Signals a metadata import has terminated
 	 * @event zotero-roam:metadata-added
 	 * @see importItemMetadata
@@ -14,6 +68,10 @@ export namespace Events {
 		_type: "metadata-added",
 		/** The configuration used for the import */
 		args: ArgsMetadataBlocks | ArgsMetadataSmartblock,
+		/** The position of the item in its batch, if the import is part of a batch import */
+		batch?: { index: number, total: number },
+		/** The number of blocks created, updated and left unchanged on the page. Not provided for imports via SmartBlock. */
+		changes?: OutcomeMetadataChanges,
 		/** The details about the Roam page for the item */
 		page: OutcomePage,
 		/** The raw data provided as input */
@@ -21,6 +79,22 @@ export namespace Events {
 	} & OutcomeMetadataStatus;
 
 
+	/** Signals a note export has terminated
+	 * @event zotero-roam:note-exported
+	 * @see useExportNote
+	 */
+	export type NoteExported = {
+		_type: "note-exported",
+		/** The input provided to the exporting function */
+		args: { itemKey: string, noteKey: string | null },
+		/** The outcome of the export */
+		data: ExportNoteOutcome | null,
+		error: any,
+		/** The path of the targeted library */
+		library: string
+	};
+
+
 	/** Signals a notes import has terminated
 	 * @event zotero-roam:notes-added
 	 * @see importItemNotes
@@ -28,7 +102,7 @@ export namespace Events {
 	export type NotesAdded = {
 		_type: "notes-added",
 		/** The configuration used for the import */
-		args: ArgsMetadataBlocks,
+		args: ArgsMetadataBlocks | ArgsMetadataSmartblock,
 		/** The details about the Roam page for the item */
 		page: OutcomePage,
 		/** The raw data provided as input */
@@ -36,6 +110,16 @@ export namespace Events {
 	} & OutcomeMetadataStatus;
 
 
+	/** Signals the extension has been set up, and its public API is available on `window.zoteroRoam`
+	 * @event zotero-roam:ready
+	 */
+	export type Ready = {
+		_type: "ready",
+		/** The version of the extension */
+		version: string
+	};
+
+
 	/** Signals a tag deletion has terminated
 	 * @event zotero-roam:tags-deleted
 	 * @see useDeleteTags
@@ -44,6 +128,8 @@ export namespace Events {
 		_type: "tags-deleted",
 		/** The input provided to the deleting function */
 		args: { tags: string[] },
+		/** The outcome of each batch of tags */
+		data: DeleteTagsBatch[],
 		error: any,
 		/** The path of the targeted library */
 		library: string
@@ -104,8 +190,27 @@ export namespace Events {
 	};
 
 	export type Details =
+		| CacheRestored
+		| CollectionCreated
+		| ItemUpdated
+		| LibrariesLoaded
+		| MetadataAdded
+		| NoteExported
+		| NotesAdded
+		| Ready
+		| TagsDeleted
+		| TagsModified
+		| Update
+		| Write
+		;
+
+	/** The events that other extensions can subscribe to, with `window.zoteroRoam.on()` */
+	export type Subscribable =
+		| CacheRestored
+		| LibrariesLoaded
 		| MetadataAdded
 		| NotesAdded
+		| Ready
 		| TagsDeleted
 		| TagsModified
 		| Update
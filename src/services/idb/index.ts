@@ -1,20 +1,37 @@
 import { DBSchema, IDBPDatabase, StoreKey, StoreNames, StoreValue, deleteDB, openDB } from "idb";
 import { PersistedClient } from "@tanstack/react-query-persist-client";
 
+import { CitekeyRename, FulltextLibraryIndex, QueuedWrite } from "@clients/zotero";
+
 import { getGraphName } from "@services/roam";
 
-import { IDB_DATABASE_NAME, IDB_DATABASE_VERSION, IDB_REACT_QUERY_STORE_NAME } from "../../constants";
+import { IDB_CITEKEY_RENAMES_STORE_NAME, IDB_DATABASE_NAME, IDB_DATABASE_VERSION, IDB_FULLTEXT_STORE_NAME, IDB_REACT_QUERY_STORE_NAME, IDB_WRITE_QUEUE_STORE_NAME } from "../../constants";
 import { AsBoolean } from "Types/helpers";
 
 
 const STORE_NAMES: StoreName[] = [
-	IDB_REACT_QUERY_STORE_NAME
+	IDB_CITEKEY_RENAMES_STORE_NAME,
+	IDB_FULLTEXT_STORE_NAME,
+	IDB_REACT_QUERY_STORE_NAME,
+	IDB_WRITE_QUEUE_STORE_NAME
 ];
 
 interface Schema extends DBSchema {
+	[IDB_CITEKEY_RENAMES_STORE_NAME]: {
+		key: string,
+		value: CitekeyRename
+	},
+	[IDB_FULLTEXT_STORE_NAME]: {
+		key: string,
+		value: FulltextLibraryIndex
+	},
 	[IDB_REACT_QUERY_STORE_NAME]: {
 		key: string,
 		value: PersistedClient | undefined
+	},
+	[IDB_WRITE_QUEUE_STORE_NAME]: {
+		key: string,
+		value: QueuedWrite
 	}
 }
 
@@ -41,7 +58,10 @@ class IDBDatabaseService {
 		this.dbName = dbName;
 		this.connection = openDB<Schema>(this.dbName, IDB_DATABASE_VERSION, {
 			upgrade: (database, _oldVersion, _newVersion, _transaction) => {
-				STORE_NAMES.forEach((storeName) => database.createObjectStore(storeName));
+				// Stores added in later versions are created when upgrading an existing database
+				STORE_NAMES
+					.filter((storeName) => !database.objectStoreNames.contains(storeName))
+					.forEach((storeName) => database.createObjectStore(storeName));
 			},
 			blocking: () => {
 				console.log(`${this.dbName} - Connection is blocking another, will close`);
@@ -84,6 +104,9 @@ class IDBDatabaseService {
 			async get(key: StoreKey<Schema, T>) {
 				return await conn.get(storeName, key);
 			},
+			async getAll() {
+				return await conn.getAll(storeName);
+			},
 			async set(key: StoreKey<Schema, T>, value: StoreValue<Schema, T>){
 				return await conn.put(storeName, value, key);
 			},
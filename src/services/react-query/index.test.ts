@@ -2,7 +2,7 @@ import { QueryClient } from "@tanstack/react-query";
 
 import { makeTagList } from "@clients/zotero/helpers";
 
-import { Queries, selectItemChildren, selectItemCollections, selectItemRelated, selectItems, selectTags } from ".";
+import { Queries, selectCollectionItems, selectItemChildren, selectItemCollections, selectItemRelated, selectItems, selectTags } from ".";
 
 import { Mocks, findCollections, items, libraries as librariesList, sampleAnnot, sampleNote, samplePDF, tags } from "Mocks";
 
@@ -32,6 +32,46 @@ test("selectItemChildren", () => {
 		.toEqual([samplePDF]);
 });
 
+test("selectCollectionItems", () => {
+	const sample_item = items.find(it => it.data.collections.length > 0)!;
+	const location = sample_item.library.type + "s/" + sample_item.library.id;
+	const [parentCollection] = findCollections(`${sample_item.library.type}s`, sample_item.library.id, 0);
+	const subcollection = {
+		...parentCollection,
+		key: "SUBCOLL",
+		data: { ...parentCollection.data, key: "SUBCOLL", name: "Sub-collection", parentCollection: parentCollection.key }
+	};
+	const item_in_subcollection = {
+		...sample_item,
+		key: "itemInSubcollection",
+		data: { ...sample_item.data, collections: ["SUBCOLL"], key: "SUBITEM" }
+	};
+
+	queryClient.setQueryData(
+		["collections", { library: location }],
+		(_prev) => ({
+			data: [parentCollection, subcollection],
+			lastUpdated: 9999
+		})
+	);
+	queryClient.setQueryData<Queries.Data.Items>(
+		["items", location, { dataURI: location + "/items" }],
+		(_prev) => ({
+			data: [...items, item_in_subcollection],
+			lastUpdated: 9999
+		})
+	);
+
+	expect(selectCollectionItems(parentCollection.data.name.toUpperCase(), { subcollections: true }, { libraries, queryClient }))
+		.toEqual([sample_item, item_in_subcollection]);
+	expect(selectCollectionItems(parentCollection.key, { subcollections: false }, { libraries, queryClient }))
+		.toEqual([sample_item]);
+	expect(selectCollectionItems("Sub-collection", { subcollections: true }, { libraries, queryClient }))
+		.toEqual([item_in_subcollection]);
+	expect(selectCollectionItems("Unknown collection", { subcollections: true }, { libraries, queryClient }))
+		.toEqual([]);
+});
+
 test("selectItemCollections", () => {
 	libraries.forEach(lib => {
 		const { path, version } = lib;
@@ -82,6 +82,38 @@ function selectItemChildren(item: ZItemTop, { queryClient }: { queryClient: Quer
 }
 
 
+/** Retrieves the items of the collections with a given name (or key) from cache, across libraries. Names are matched without regard to case. */
+function selectCollectionItems(
+	name: string, { subcollections = true }: { subcollections?: boolean }, { libraries, queryClient }: { libraries: ZLibrary[], queryClient: QueryClient }
+): ZItemTop[] {
+	const query = name.trim().toLowerCase();
+	const items = selectItems("items", {}, { queryClient });
+
+	return libraries.flatMap(library => {
+		const collectionList = selectCollections(library, { queryClient });
+		const keys = new Set(collectionList
+			.filter(cl => cl.key == name || cl.data.name.toLowerCase() == query)
+			.map(cl => cl.key));
+
+		if (subcollections) {
+			let size = 0;
+			while (keys.size > size) {
+				size = keys.size;
+				collectionList
+					.filter(cl => cl.data.parentCollection && keys.has(cl.data.parentCollection))
+					.forEach(cl => keys.add(cl.key));
+			}
+		}
+
+		if (keys.size == 0) {
+			return [];
+		}
+
+		return items.filter(it => it.library.type + "s/" + it.library.id == library.path && it.data.collections.some(key => keys.has(key)));
+	});
+}
+
+
 /** Retrieves an item's collections from cache, and returns them in a specific format. */
 function selectItemCollections(item: ZItemTop, options: SelectItemCollectionsOptions, { libraries, queryClient }: { libraries: ZLibrary[], queryClient: QueryClient }) {
 	const { return_as, brackets } = options;
@@ -173,4 +205,4 @@ function selectTags(location: string, { libraries, queryClient }: { libraries: Z
 
 export * from "./types";
 
-export { selectCollections, selectItemChildren, selectItemCollections, selectItemRelated, selectItems, selectTags };
\ No newline at end of file
+export { selectCollectionItems, selectCollections, selectItemChildren, selectItemCollections, selectItemRelated, selectItems, selectTags };
\ No newline at end of file
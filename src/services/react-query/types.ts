@@ -1,6 +1,6 @@
 import { CitoidAPI } from "@clients/citoid";
 import { SemanticScholarAPI } from "@clients/semantic";
-import { ZoteroAPI } from "@clients/zotero";
+import { FulltextLibraryIndex, SavedSearchMembership, ZoteroAPI } from "@clients/zotero";
 
 import { transformDOIs } from "../../utils";
 
@@ -19,8 +19,11 @@ export namespace Queries {
 		export type Citoid = ["citoid", { url: string }];
 		export type Semantic = ["semantic", { doi: string }];
 		export type Collections = ["collections", { library: string }];
-		export type Items = ["items", string, Omit<DataRequest, "apikey" | "library">];
+		export type Fulltext = ["fulltext", { library: string }];
+		export type Items = ["items", string, Omit<DataRequest, "apikey" | "backend" | "library" | "searches" | "useBetterBibtex">];
 		export type Permissions = ["permissions", { apikey: string }];
+		export type SearchItems = ["search-items", { library: string, search: string }];
+		export type Searches = ["searches", { library: string }];
 		export type Tags = ["tags", { library: string }];
 	}
 
@@ -42,6 +45,8 @@ export namespace Queries {
 			lastUpdated: number
 		};
 
+		export type Fulltext = FulltextLibraryIndex;
+
 		export type Items = {
 			data: ZItem[],
 			lastUpdated: number
@@ -49,6 +54,13 @@ export namespace Queries {
 
 		export type Permissions = ZoteroAPI.Responses.Permissions;
 
+		export type SearchItems = SavedSearchMembership;
+
+		export type Searches = {
+			data: ZoteroAPI.SavedSearch[],
+			lastUpdated: number
+		};
+
 		export type Tags = {
 			data: ZTagList,
 			lastUpdated: number
@@ -0,0 +1,104 @@
+import { mock } from "vitest-mock-extended";
+
+import ZoteroRoam from "../../api";
+import { importItemsMetadata } from ".";
+
+import { setupInitialSettings } from "../../setup";
+
+import { items } from "Mocks";
+import { OutcomeBatchProgress } from "Types/extension";
+import { ZItemTop } from "Types/transforms";
+
+
+const { annotations, metadata, notes, typemap } = setupInitialSettings({});
+const metadataSettings = { ...metadata, func: "zrBatchFormatter", use: "function" as const };
+
+describe("Importing metadata for several items", () => {
+	const entries = items.slice(0, 3).map(item => ({ item }));
+	const formatter = vi.fn((item: ZItemTop) => ["Title:: " + item.data.title]);
+	// The formatter is registered as a global function, as users would do
+	const testWindow = window as Window & { zrBatchFormatter?: typeof formatter };
+
+	beforeEach(() => {
+		window.zoteroRoam = mock<ZoteroRoam>();
+		window.roamAlphaAPI = mock<typeof window.roamAlphaAPI>({
+			data: {
+				block: {
+					create: vi.fn(() => Promise.resolve()),
+					update: vi.fn(() => Promise.resolve())
+				},
+				page: {
+					create: vi.fn(() => Promise.resolve())
+				},
+				q: vi.fn(() => [] as never)
+			},
+			util: {
+				generateUID: vi.fn(() => "SOME_UID")
+			}
+		});
+		testWindow.zrBatchFormatter = formatter;
+	});
+
+	afterEach(() => {
+		delete testWindow.zrBatchFormatter;
+	});
+
+	test("Each item is imported, with progress reported after each item", async () => {
+		const onProgress = vi.fn((_progress: OutcomeBatchProgress) => {});
+
+		const report = await importItemsMetadata(entries, metadataSettings, typemap, notes, annotations, { delay: 0, onProgress });
+
+		expect(report).toEqual({
+			cancelled: false,
+			failures: [],
+			imported: entries.map(entry => "@" + entry.item.key),
+			total: 3
+		});
+		expect(formatter).toHaveBeenCalledTimes(3);
+		expect(onProgress.mock.calls).toEqual([
+			[{ completed: 0, total: 3 }],
+			[{ completed: 1, total: 3 }],
+			[{ completed: 2, total: 3 }],
+			[{ completed: 3, total: 3 }]
+		]);
+		expect(window.zoteroRoam.error).not.toHaveBeenCalled();
+	});
+
+	test("Failures are added to the report, and logged", async () => {
+		formatter.mockImplementationOnce(() => {
+			throw new Error("Some error");
+		});
+
+		const report = await importItemsMetadata(entries, metadataSettings, typemap, notes, annotations, { delay: 0 });
+
+		expect(report.failures).toEqual([{ citekey: "@" + entries[0].item.key, error: "Some error" }]);
+		expect(report.imported).toEqual(entries.slice(1).map(entry => "@" + entry.item.key));
+		expect(window.zoteroRoam.error).toHaveBeenCalledWith(expect.objectContaining({
+			origin: "Metadata",
+			message: "Batch import failed for 1 out of 3 items",
+			context: expect.objectContaining({
+				failures: report.failures
+			})
+		}));
+	});
+
+	test("The import stops between items once it is aborted", async () => {
+		const controller = new AbortController();
+		const onProgress = vi.fn(({ completed }: OutcomeBatchProgress) => {
+			if (completed == 1) {
+				controller.abort();
+			}
+		});
+
+		const report = await importItemsMetadata(entries, metadataSettings, typemap, notes, annotations, { delay: 0, onProgress, signal: controller.signal });
+
+		expect(report).toEqual({
+			cancelled: true,
+			failures: [],
+			imported: ["@" + entries[0].item.key],
+			total: 3
+		});
+		expect(formatter).toHaveBeenCalledTimes(1);
+		expect(onProgress).toHaveBeenCalledTimes(2);
+	});
+});
@@ -1,14 +1,16 @@
 /* istanbul ignore file */
-import { emitCustomEvent } from "@services/events";
+import { Events, emitCustomEvent } from "@services/events";
 import { triggerSmartblock } from "@services/smartblocks";
 
-import { executeFunctionByName } from "../../utils";
-import { formatNotes, formatItemMetadata } from "../../api/helpers";
+import { diffMetadataBlocks, executeFunctionByName, listCitekeyMentions, markImportedNotes, pluralize, replaceCitekeyMentions, simplifyZoteroAnnotations, sortBlocks } from "../../utils";
+import { formatNotes, formatItemMetadataElements, formatItemMetadataWithTemplate } from "../../api/helpers";
 
 import { Roam } from "./types";
 
-import { RCitekeyPages, RCitekeyPagesWithEditTime, RCursorLocation, RImportableBlock, RImportableElement, ZItemAnnotation, ZItemAttachment, ZItemNote, ZItemTop } from "Types/transforms";
-import { ArgsMetadataBlocks, OutcomeMetadataStatus, SettingsAnnotations, SettingsMetadata, SettingsNotes, SettingsTypemap } from "Types/extension";
+import { ROAM_PROPS_KEY, ROAM_WRITE_DELAY } from "../../constants";
+
+import { RBlockTree, RCitekeyPages, RCitekeyPagesWithBacklinks, RCitekeyPagesWithEditTime, RCursorLocation, RImportableBlock, RImportableElement, RMetadataElement, ZItemAnnotation, ZItemAttachment, ZItemNote, ZItemTop, isZAnnotation, isZNote } from "Types/transforms";
+import { ArgsMetadataBlocks, BibliographyOrder, OutcomeBatchMetadata, OutcomeBibliography, OutcomeCitekeyRename, OutcomeBatchProgress, OutcomeMetadataChanges, OutcomeMetadataStatus, OutcomePage, SettingsAnnotations, SettingsMetadata, SettingsNotes, SettingsTypemap } from "Types/extension";
 
 
 /** Adds Roam blocks to a parent UID based on an Object block template. */
@@ -134,6 +136,161 @@ async function addBlocksArray(
 	}
 }
 
+/** Writes a bibliography to a Roam page, as a block whose children are the bibliography's entries.
+ * The block is marked in its props, so that it can be refreshed in place : its entries are replaced, and the rest of the page is left untouched.
+ * @returns The outcome of the operation
+ */
+async function syncBibliographyBlocks(
+	/** The UID of the Roam page */
+	pageUID: string,
+	/** The formatted entries of the bibliography */
+	entries: string[],
+	/** The settings used to generate the bibliography */
+	config: { order: BibliographyOrder, style?: string }
+): Promise<OutcomeBibliography> {
+	const existing = (getBlockTree(pageUID)?.children || []).find(blck => blck.props?.[ROAM_PROPS_KEY]?.bibliography);
+	const props = { [ROAM_PROPS_KEY]: { ...existing?.props?.[ROAM_PROPS_KEY], bibliography: config } };
+
+	let uid: string;
+	if (existing) {
+		uid = existing.uid;
+		await window.roamAlphaAPI.data.block.update({ block: { uid, props: { ...existing.props, ...props } } });
+		for (const child of existing.children || []) {
+			// eslint-disable-next-line no-await-in-loop
+			await window.roamAlphaAPI.data.block.delete({ block: { uid: child.uid } });
+		}
+	} else {
+		uid = await createRoamBlock(pageUID, "Bibliography", "last", { heading: 3, props });
+	}
+
+	for (const [index, entry] of entries.entries()) {
+		// eslint-disable-next-line no-await-in-loop
+		await createRoamBlock(uid, entry, index);
+	}
+
+	return { created: !existing, entries: entries.length, uid };
+}
+
+/** Generates the bibliography for all the citekeys mentioned on a Roam page, and writes it to the page.
+ * If the page already has a bibliography generated by the extension, it is refreshed.
+ * @returns The outcome of the operation, or `null` if the page doesn't mention any citekeys
+ */
+async function insertPageBibliography(
+	/** The UID of the Roam page */
+	pageUID: string,
+	/** The order of the entries, and the citation style to use */
+	{ order = "first-cited", style }: { order?: BibliographyOrder, style?: string } = {}
+): Promise<OutcomeBibliography | null> {
+	const citekeys = listCitekeyMentions(getBlockTree(pageUID));
+
+	if (citekeys.length == 0) {
+		window.zoteroRoam?.info?.({
+			origin: "Bibliography",
+			message: "No citekeys were found on the page",
+			context: { pageUID },
+			showToaster: true
+		});
+		return null;
+	}
+
+	try {
+		const entries = await window.zoteroRoam.getBibliography(citekeys, { order, ...(style ? { style } : {}) });
+		const outcome = await syncBibliographyBlocks(pageUID, entries, { order, ...(style ? { style } : {}) });
+		window.zoteroRoam?.info?.({
+			origin: "Bibliography",
+			message: `${outcome.created ? "Added" : "Refreshed"} bibliography with ${pluralize(outcome.entries, "entry")}`,
+			context: { citekeys, pageUID },
+			showToaster: 1000
+		});
+		return outcome;
+	} catch (e) {
+		window.zoteroRoam?.error?.({
+			origin: "Bibliography",
+			message: "Failed to generate bibliography",
+			context: {
+				citekeys,
+				error: (e as Error).message,
+				pageUID
+			},
+			showToaster: true
+		});
+		return null;
+	}
+}
+
+/** Brings the metadata blocks on an item's Roam page up to date. Blocks that were imported previously are updated in place, new blocks are added, and blocks written by the user are left untouched.
+ * @returns The outcome of the operation, with the number of blocks created, updated and unchanged
+ */
+async function syncMetadataBlocks(
+	/** The UID of the item's Roam page */
+	pageUID: string,
+	/** The metadata elements to import */
+	elements: RMetadataElement[],
+	/** The version of the Zotero item */
+	version: number
+): Promise<{ args: ArgsMetadataBlocks, changes: OutcomeMetadataChanges } & OutcomeMetadataStatus>{
+	const changes = { created: 0, updated: 0, unchanged: 0 };
+	const defaultOutcome = {
+		args: {
+			blocks: elements.map(elem => elem.block),
+			uid: pageUID
+		},
+		changes,
+		error: null,
+		success: null
+	};
+
+	if(elements.length == 0){
+		window.zoteroRoam?.warn?.({
+			origin: "Metadata",
+			message: "Empty metadata array received"
+		});
+		return Promise.resolve(defaultOutcome);
+	}
+
+	try {
+		const operations = diffMetadataBlocks(elements, getBlockTree(pageUID)?.children, version);
+
+		// Operations are applied in sequence, since the order of created blocks depends on the blocks before them
+		for (const op of operations) {
+			if (op.action == "create") {
+				// eslint-disable-next-line no-await-in-loop
+				await addBlockObject(pageUID, op.block, op.order);
+				changes.created += 1;
+			} else if (op.action == "update") {
+				// eslint-disable-next-line no-await-in-loop
+				await window.roamAlphaAPI.data.block.update({ block: { uid: op.uid, string: op.string, props: op.props } });
+				changes.updated += 1;
+			} else {
+				if (op.props) {
+					// eslint-disable-next-line no-await-in-loop
+					await window.roamAlphaAPI.data.block.update({ block: { uid: op.uid, props: op.props } });
+				}
+				changes.unchanged += 1;
+			}
+		}
+
+		return Promise.resolve({
+			...defaultOutcome,
+			success: true
+		});
+	} catch(e) {
+		return Promise.resolve({
+			...defaultOutcome,
+			error: e,
+			success: false
+		});
+	}
+}
+
+/** Adds an entry to the context menu of Roam blocks
+ * @param label - The label for the menu option
+ * @param onSelect - The callback to execute upon selection, with details about the targeted block
+ */
+function addBlockContextMenuCommand(label: string, onSelect: (context: Roam.BlockContext) => void) {
+	window.roamAlphaAPI.ui.blockContextMenu.addCommand({ label, callback: onSelect });
+}
+
 /** Adds an entry to Roam's Command Palette
  * @param label - The label for the menu option 
  * @param onSelect - The callback to execute upon selection
@@ -157,7 +314,7 @@ function addPaletteCommand(label: string, onSelect: () => void, extensionAPI: (R
  * @param parentUID - The UID of the parent (Roam block or page)
  * @param string - The text contents of the block
  * @param order - The order of the block on the page
- * @param opts - (optional) Additional formatting to be used (`heading`, `text-align`, ...). See the Roam Alpha API documentation for the complete list of available options.
+ * @param opts - (optional) Additional formatting to be used (`heading`, `text-align`, ...), and the block's `props`. See the Roam Alpha API documentation for the complete list of available options.
  * @returns The UID of the created block
  */
 async function createRoamBlock(parentUID: string, string: string, order: Roam.BlockOrder = 0, opts: Record<string, any> = {}) {
@@ -168,7 +325,7 @@ async function createRoamBlock(parentUID: string, string: string, order: Roam.Bl
 	};
 	if(Object.keys(opts).length > 0){
 		for(const k of Object.keys(opts)){
-			if(["children-view-type", "alignment", "heading"].includes(k)){
+			if(["children-view-type", "alignment", "heading", "props"].includes(k)){
 				blockContents[k] = opts[k];
 			}
 		}
@@ -177,6 +334,21 @@ async function createRoamBlock(parentUID: string, string: string, order: Roam.Bl
 	return blockUID;
 }
 
+/** Searches the Roam graph for blocks whose contents include a given text
+ * @param text - The text to search for
+ * @returns The UID and contents of each matching block
+ */
+function findBlocksMentioning(text: string) {
+	return window.roamAlphaAPI.data.q<[string, string][]>(`[
+		:find ?uid ?string
+		:in $ ?text
+		:where
+			[?b :block/string ?string]
+			[(clojure.string/includes? ?string ?text)]
+			[?b :block/uid ?uid]
+		]`, text);
+}
+
 /** Searches for a Roam block by its contents, under a given parent
  * @returns The details of the Roam block (if it exists), otherwise `false`
 */
@@ -237,6 +409,21 @@ function getAllPages(){
 		.sort((a,b) => a.toLowerCase() < b.toLowerCase() ? -1 : 1);
 }
 
+/** Retrieves a Roam block (or page) with all of its descendants
+ * @param uid - The UID of the targeted block or page
+ * @returns The block's tree (if it exists), otherwise `null`
+ */
+function getBlockTree(uid: string): RBlockTree | null {
+	const blockTree = window.roamAlphaAPI.data.q<RBlockTree | null>(`[
+		:find (pull ?b [:block/uid :block/string :block/order :block/heading :block/props :node/title {:block/page [:node/title :block/uid]} {:block/children ...}]) .
+		:in $ ?uid
+		:where
+			[?b :block/uid ?uid]
+		]`, uid);
+
+	return blockTree || null;
+}
+
 /** Retrieves the list of citekey pages (i.e, starting with `@`) in the Roam graph
  * @returns A Map whose `keys` are the pages' titles, and whose `entries` are the pages' UIDs
  */
@@ -266,6 +453,31 @@ function getCitekeyPagesWithEditTime(): RCitekeyPagesWithEditTime{
 		}));
 }
 
+/** Retrieves the list of citekey pages (i.e, starting with `@`) in the Roam graph, with the number of blocks that reference them */
+function getCitekeyPagesWithBacklinks(): RCitekeyPagesWithBacklinks {
+	const backlinks = new Map(window.roamAlphaAPI.data.q<[string, number][]>(`[
+		:find ?title (count ?b)
+		:where
+			[?e :node/title ?title]
+			[(clojure.string/starts-with? ?title "@")]
+			[?b :block/refs ?e]
+		]`));
+
+	return new Map(Array.from(getCitekeyPages().entries())
+		.map(([title, uid]) => [title, { backlinks: backlinks.get(title) || 0, uid }]));
+}
+
+/** Retrieves the UID of the page open in the main window. If a block is zoomed in, the UID of its page is returned.
+ * @returns The UID of the page, or `null` if no page is open
+ */
+async function getCurrentPageUID(): Promise<string | null> {
+	const uid = await window.roamAlphaAPI.ui.mainWindow.getOpenPageOrBlockUid();
+	if (!uid) {
+		return null;
+	}
+	return getBlockTree(uid)?.page?.uid || uid;
+}
+
 /** Retrieves the current cursor location in the Roam interface, to enable returning focus to its previous state after an interaction with the extension's interface (e.g opening a dialog). */
 function getCurrentCursorLocation() {
 	const { "block-uid": blockUID, "window-id": windowID } = (window.roamAlphaAPI.ui.getFocusedBlock() || {});
@@ -315,7 +527,7 @@ function getInitialedPages(
 		.flat(1);
 }
 
-/** Imports an item's metadata as Roam blocks
+/** Imports an item's metadata as Roam blocks. When the metadata was imported before, the existing blocks are updated instead of duplicated.
  * @fires zotero-roam:metadata-added
  * @returns If successful, a detailed outcome of the import ; otherwise, the first error encountered.
  */
@@ -327,7 +539,9 @@ async function importItemMetadata(
 	metadataSettings: SettingsMetadata,
 	typemap: SettingsTypemap,
 	notesSettings: SettingsNotes,
-	annotationsSettings: SettingsAnnotations
+	annotationsSettings: SettingsAnnotations,
+	/** The position of the item in its batch, if the import is part of a batch import */
+	batch?: { index: number, total: number }
 ) {
 	const title = "@" + item.key;
 	const pageUID = uid || window.roamAlphaAPI.util.generateUID();
@@ -338,7 +552,7 @@ async function importItemMetadata(
 		page.new = true;
 	}
 	
-	const { use = "default", func = "", smartblock: { param, paramValue } } = metadataSettings;
+	const { use = "default", func = "", smartblock: { param, paramValue }, template = "" } = metadataSettings;
 
 	try {
 		let event;
@@ -347,14 +561,20 @@ async function importItemMetadata(
 			const importOutcome = await triggerSmartblock(page.uid, { param, paramValue }, { item, notes, page, pdfs });
 			event = { page, ...importOutcome };
 		} else {
-			const blocks = (use == "function" && func)
-				? await executeFunctionByName(func, window, item, pdfs, notes)
-				: formatItemMetadata(item, pdfs, notes, { annotationsSettings, notesSettings, typemap });
-			const importOutcome = await addBlocksArray(pageUID, blocks);
+			let elements: RMetadataElement[];
+			if (use == "function" && func) {
+				elements = (await executeFunctionByName(func, window, item, pdfs, notes) as RImportableElement[]).map(block => ({ block, field: null }));
+			} else {
+				const images = await prepareAnnotationImages(notes, annotationsSettings);
+				elements = (use == "template" && template)
+					? formatItemMetadataWithTemplate(item, pdfs, notes, { annotationsSettings, images, notesSettings, template, typemap })
+					: formatItemMetadataElements(item, pdfs, notes, { annotationsSettings, images, notesSettings, typemap });
+			}
+			const importOutcome = await syncMetadataBlocks(pageUID, elements, item.version);
 			event = { page, raw: { item, pdfs, notes }, ...importOutcome };
 		}
 
-		emitCustomEvent({ ...event, _type: "metadata-added" })			
+		emitCustomEvent({ ...event, batch, _type: "metadata-added" })			
 		return event;
 	} catch (e) {
 		window.zoteroRoam?.error?.({
@@ -369,14 +589,92 @@ async function importItemMetadata(
 					notes: notesSettings
 				}
 			},
-			showToaster: 1000
+			showToaster: batch ? false : 1000
 		});
 		return await Promise.reject(e);
 	}
 }
 
-/** Imports an item's notes as Roam blocks
- * @fires zotero-roam:notes-added
+/** Imports the metadata of several items as Roam blocks, one item at a time. Writes to the Roam API are spaced out, and the import can be cancelled between items.
+ * Each item's import uses the configured metadata formatter, as with {@link importItemMetadata}.
+ * @fires zotero-roam:metadata-added
+ * @returns A report of the import, with the items whose import failed
+ */
+async function importItemsMetadata(
+	/** The items' Zotero data and their children, if any */
+	entries: { item: ZItemTop, pdfs?: ZItemAttachment[], notes?: (ZItemNote | ZItemAnnotation)[] }[],
+	metadataSettings: SettingsMetadata,
+	typemap: SettingsTypemap,
+	notesSettings: SettingsNotes,
+	annotationsSettings: SettingsAnnotations,
+	{ delay = ROAM_WRITE_DELAY, onProgress, signal }: { delay?: number, onProgress?: (progress: OutcomeBatchProgress) => void, signal?: AbortSignal } = {}
+): Promise<OutcomeBatchMetadata> {
+	const total = entries.length;
+	const report: OutcomeBatchMetadata = { cancelled: false, failures: [], imported: [], total };
+
+	onProgress?.({ completed: 0, total });
+
+	for (const [index, entry] of entries.entries()) {
+		if (signal?.aborted) {
+			report.cancelled = true;
+			break;
+		}
+
+		const citekey = "@" + entry.item.key;
+
+		try {
+			// Items are imported one at a time, to space out writes to the graph
+			// eslint-disable-next-line no-await-in-loop
+			const outcome = await importItemMetadata(entry, findRoamPage(citekey), metadataSettings, typemap, notesSettings, annotationsSettings, { index, total });
+			if (outcome.error) {
+				report.failures.push({ citekey, error: outcome.error.message });
+			} else {
+				report.imported.push(citekey);
+			}
+		} catch (e) {
+			report.failures.push({ citekey, error: e.message });
+		}
+
+		onProgress?.({ completed: index + 1, total });
+
+		if (index < total - 1) {
+			// eslint-disable-next-line no-await-in-loop
+			await new Promise(resolve => setTimeout(resolve, delay));
+		}
+	}
+
+	if (report.failures.length > 0) {
+		window.zoteroRoam?.error?.({
+			origin: "Metadata",
+			message: `Batch import failed for ${report.failures.length} out of ${total} items`,
+			context: {
+				failures: report.failures,
+				settings: {
+					annotations: annotationsSettings,
+					metadata: metadataSettings,
+					notes: notesSettings
+				}
+			}
+		});
+	}
+
+	return report;
+}
+
+/** Uploads the images of the image annotations about to be imported, if the user's settings include them
+ * @returns The URL of each uploaded image, by annotation key
+ */
+async function prepareAnnotationImages(notes: (ZItemNote | ZItemAnnotation)[], annotationsSettings: SettingsAnnotations) {
+	const { func, images, use, __with } = annotationsSettings;
+	// Custom formatters that receive raw metadata have no use for the uploaded images
+	if (!images || (use == "function" && func && __with == "raw")) {
+		return {};
+	}
+	return await uploadAnnotationImages(notes.filter(isZAnnotation));
+}
+
+/** Imports an item's notes as Roam blocks. Notes and annotations that the user's settings format with a SmartBlock are handed off to it, see {@link triggerNotesSmartblocks}.
+ * @fires zotero-roam:notes-added (once per SmartBlock triggered, and once for the notes imported as blocks)
  * @returns If successful, a detailed outcome of the immport ; otherwise, the first error encountered.
  */
 async function importItemNotes(
@@ -397,20 +695,27 @@ async function importItemNotes(
 	}
 
 	try {
-		const formattedOutput = formatNotes(notes, pageUID, { annotationsSettings, notesSettings });
-		const importOutcome = await addBlocksArray(pageUID, formattedOutput);
-
-		const outcome = {
-			page,
-			raw: {
-				item,
-				notes
-			},
-			...importOutcome
-		};
-		emitCustomEvent({ ...outcome, _type: "notes-added" });
+		const images = await prepareAnnotationImages(notes, annotationsSettings);
+		const { outcomes, remaining } = await triggerNotesSmartblocks(pageUID, { item, notes, page }, { annotationsSettings, images, notesSettings });
+		const events: (Pick<Events.NotesAdded, "args" | "page" | "raw"> & OutcomeMetadataStatus)[] = outcomes.map(outcome => ({ page, ...outcome }));
+
+		if (remaining.length > 0 || events.length == 0) {
+			// Each block records the notes it was formatted from, so that later imports can skip them
+			const formattedOutput = markImportedNotes(formatNotes(remaining, pageUID, { annotationsSettings, images, notesSettings }), remaining);
+			const importOutcome = await addBlocksArray(pageUID, formattedOutput);
+			events.push({
+				page,
+				raw: {
+					item,
+					notes: remaining
+				},
+				...importOutcome
+			});
+		}
+
+		events.forEach(event => emitCustomEvent({ ...event, _type: "notes-added" }));
 		
-		return outcome;
+		return events.find(event => event.success === false) || events[events.length - 1];
 
 	} catch(e) {
 		window.zoteroRoam?.error?.({
@@ -430,6 +735,60 @@ async function importItemNotes(
 	}
 }
 
+/** Triggers the SmartBlocks that the user's settings use to format annotations and/or notes, if any. Annotations and notes are handed off separately.
+ * Each SmartBlock receives the item, the simplified annotations and the notes as variables. The first block it outputs records the notes it was given, so that later imports can skip them.
+ * @returns The outcome of each SmartBlock triggered, and the notes that are left to be formatted as blocks
+ */
+async function triggerNotesSmartblocks(
+	/** The UID of the page or block where the SmartBlocks should be triggered */
+	targetUid: string,
+	/** The item's Zotero data, its notes, and the details about its Roam page (if available) */
+	{ item, notes, page = null }: { item: ZItemTop, notes: (ZItemNote | ZItemAnnotation)[], page?: OutcomePage | null },
+	/** The user's current settings, and the URLs of the images uploaded for image annotations (by annotation key). If not provided, images are uploaded as needed. */
+	{ annotationsSettings, images, notesSettings }: { annotationsSettings: SettingsAnnotations, images?: Record<string, string>, notesSettings: SettingsNotes }
+) {
+	const outcomes: (Awaited<ReturnType<typeof triggerSmartblock>> & { raw: { item: ZItemTop, notes: (ZItemNote | ZItemAnnotation)[] } })[] = [];
+	const remaining: (ZItemNote | ZItemAnnotation)[] = [];
+
+	const parts: { children: (ZItemNote | ZItemAnnotation)[], settings: SettingsAnnotations | SettingsNotes }[] = [
+		{ children: notes.filter(isZAnnotation), settings: annotationsSettings },
+		{ children: notes.filter(isZNote), settings: notesSettings }
+	];
+
+	for (const { children, settings } of parts) {
+		if (children.length == 0) {
+			continue;
+		} else if (settings.use != "smartblock" || !settings.smartblock?.paramValue) {
+			remaining.push(...children);
+			continue;
+		}
+
+		// SmartBlocks are triggered one after the other, so that their outputs don't interleave in the graph
+		const annotations = children.filter(isZAnnotation);
+		// eslint-disable-next-line no-await-in-loop
+		const annotationImages = images || await prepareAnnotationImages(annotations, annotationsSettings);
+		// eslint-disable-next-line no-await-in-loop
+		const outcome = await triggerSmartblock(targetUid, settings.smartblock, {
+			annotations: simplifyZoteroAnnotations(annotations, annotationImages),
+			item,
+			notes: children,
+			notesSmartblock: true,
+			page
+		});
+
+		if (outcome.success && outcome.output) {
+			// eslint-disable-next-line no-await-in-loop
+			await updateBlockProps(outcome.output, {
+				[ROAM_PROPS_KEY]: { notes: Object.fromEntries(children.map(nt => [nt.data.key, nt.data.dateModified])) }
+			});
+		}
+
+		outcomes.push({ ...outcome, raw: { item, notes: children } });
+	}
+
+	return { outcomes, remaining };
+}
+
 
 /** Converts input into a Roam DNP title */
 function makeDNP(date: Date | any, { brackets = true }: { brackets?: boolean } = {}) {
@@ -478,6 +837,11 @@ function readDNP(string: string, { as_date = true }: { as_date?: boolean } = {})
 	return as_date ? parsedDate : [parsedDate.getFullYear(), parsedDate.getMonth(), parsedDate.getDate()];
 }
 
+/** Removes an entry from the context menu of Roam blocks */
+function removeBlockContextMenuCommand(label: string) {
+	window.roamAlphaAPI.ui.blockContextMenu.removeCommand({ label });
+}
+
 /** Removes an entry from Roam's Command Palette */
 function removePaletteCommand(label: string, extensionAPI: Roam.ExtensionAPI | Record<string, never> = {}) {
 	const command = { label };
@@ -488,24 +852,120 @@ function removePaletteCommand(label: string, extensionAPI: Roam.ExtensionAPI | R
 	}
 }
 
+/** Propagates a citekey rename to the Roam graph : the old citekey's page is renamed, and mentions of the old citekey in blocks are rewritten.
+ * If the new citekey already has a page, the old page is left as-is and only the mentions are rewritten, unless the pages should be merged.
+ * @param rename - The old and new citekeys, without the `@` prefix
+ * @param config - Additional configuration
+ * @returns The outcome of the operation
+ */
+async function renameCitekeyPage({ from, to }: { from: string, to: string }, { merge = false }: { merge?: boolean } = {}): Promise<OutcomeCitekeyRename> {
+	const pageUID = findRoamPage("@" + from);
+	let page: OutcomeCitekeyRename["page"] = "missing";
+
+	if (pageUID) {
+		const targetUID = findRoamPage("@" + to);
+		if (!targetUID) {
+			await window.roamAlphaAPI.data.page.update({ page: { title: "@" + to, uid: pageUID } });
+			page = "renamed";
+		} else if (merge) {
+			// The old page's blocks are moved to the end of the existing page, in their original order
+			for (const { uid } of sortBlocks(getBlockTree(pageUID)?.children)) {
+				// eslint-disable-next-line no-await-in-loop
+				await window.roamAlphaAPI.data.block.move({ location: { "parent-uid": targetUID, order: "last" }, block: { uid } });
+			}
+			await window.roamAlphaAPI.data.page.delete({ page: { uid: pageUID } });
+			page = "merged";
+		} else {
+			page = "conflict";
+		}
+	}
+
+	let blocks = 0;
+	for (const [uid, string] of findBlocksMentioning("@" + from)) {
+		const rewritten = replaceCitekeyMentions(string, from, to);
+		if (rewritten != string) {
+			// eslint-disable-next-line no-await-in-loop
+			await window.roamAlphaAPI.data.block.update({ block: { uid, string: rewritten } });
+			blocks += 1;
+		}
+	}
+
+	return { blocks, page };
+}
+
+/** Merges new properties into a Roam block's (or page's) existing properties
+ * @param uid - The UID of the targeted block or page
+ * @param props - The properties to set
+ */
+async function updateBlockProps(uid: string, props: Record<string, unknown>) {
+	const { props: current = {} } = getBlockTree(uid) || {};
+	await window.roamAlphaAPI.data.block.update({ block: { uid, props: { ...current, ...props } } });
+}
+
+/** Uploads the images of image annotations to the graph's storage, so that they can be embedded in Roam blocks.
+ * Annotations whose image can't be retrieved or uploaded are skipped.
+ * @param annotations - The annotations to process. Annotations of other types are ignored.
+ * @returns The URL of each uploaded image, by annotation key
+ */
+async function uploadAnnotationImages(annotations: ZItemAnnotation[]): Promise<Record<string, string>> {
+	const imageAnnotations = annotations.filter(ann => ann.data.annotationType == "image");
+	const images: Record<string, string> = {};
+
+	const outcomes = await Promise.allSettled(imageAnnotations.map(async(annot) => {
+		const blob = await window.zoteroRoam.getAnnotationImage(annot);
+		const file = new File([blob], `${annot.key}.png`, { type: blob.type || "image/png" });
+		return window.roamAlphaAPI.file.upload({ file, toast: { hide: true } });
+	}));
+
+	outcomes.forEach((outcome, i) => {
+		const annot = imageAnnotations[i];
+		if (outcome.status == "fulfilled") {
+			images[annot.key] = outcome.value;
+		} else {
+			window.zoteroRoam?.warn?.({
+				origin: "Notes",
+				message: "Failed to import the image of an annotation",
+				context: {
+					annotation: annot.key,
+					error: (outcome.reason as Error).message
+				}
+			});
+		}
+	});
+
+	return images;
+}
+
 export * from "./types";
 
 export {
+	addBlockContextMenuCommand,
 	addPaletteCommand,
+	findBlocksMentioning,
 	findRoamBlock,
 	findRoamPage,
 	getAllPages,
+	getBlockTree,
 	getCitekeyPages,
+	getCitekeyPagesWithBacklinks,
 	getCitekeyPagesWithEditTime,
 	getCurrentCursorLocation,
+	getCurrentPageUID,
 	getGraphName,
 	getInitialedPages,
 	importItemMetadata,
 	importItemNotes,
+	importItemsMetadata,
+	insertPageBibliography,
 	makeDNP,
 	maybeReturnCursorToPlace,
 	openInSidebarByUID,
 	openPageByUID,
 	readDNP,
-	removePaletteCommand
+	removeBlockContextMenuCommand,
+	removePaletteCommand,
+	renameCitekeyPage,
+	triggerNotesSmartblocks,
+	updateBlockProps,
+	uploadAnnotationImages
 };
@@ -7,6 +7,18 @@ export namespace Roam {
 		"window-id": string
 	};
 
+	/** The details provided to a block context menu command */
+	export type BlockContext = {
+		/** The string contents of the block */
+		"block-string": string,
+		/** The UID of the block */
+		"block-uid": string,
+		/** The UID of the block's page */
+		"page-uid": string,
+		/** The id of the block's window */
+		"window-id": string
+	};
+
 	export type BlockOrder = number | "last";
 	type Heading = 0 | 1 | 2 | 3;
 	export type SidebarWindowType = "outline" | "block" | "graph" | "mentions";
@@ -55,6 +67,43 @@ export namespace Roam {
 						"text-align"?: TextAlign
 						/** The view type for the block */
 						"children-view-type"?: ViewType;
+						/** The properties for the block */
+						props?: Record<string, any>;
+					}
+				}) => Promise<void | null | undefined>,
+				/** Deletes a block, and all of its children. */
+				delete: (args: {
+					block: {
+						/** The UID of the block to delete */
+						uid: string
+					}
+				}) => Promise<void | null | undefined>,
+				/** Moves a block to a new location. */
+				move: (args: {
+					location: {
+						/** The UID of the block's new parent */
+						"parent-uid": string,
+						/** The position where the block should be moved (zero-indexed) */
+						order: BlockOrder
+					},
+					block: {
+						/** The UID of the block to move */
+						uid: string
+					}
+				}) => Promise<void | null | undefined>,
+				/** Updates a block's contents and/or properties. */
+				update: (args: {
+					block: {
+						/** The UID of the block to update */
+						uid: string,
+						/** The new string contents for the block */
+						string?: string,
+						/** The new open/collapsed state for the block */
+						open?: boolean,
+						/** The new heading style for the block */
+						heading?: Heading,
+						/** The new properties for the block. Replaces any existing properties. */
+						props?: Record<string, unknown>
 					}
 				}) => Promise<void | null | undefined>
 			},
@@ -74,6 +123,24 @@ export namespace Roam {
 						"children-view-type"?: ViewType
 					}
 				}) => Promise<void | null | undefined>,
+				/** Deletes a page, and all of its blocks. */
+				delete: (args: {
+					page: {
+						/** The UID of the page to delete */
+						uid: string
+					}
+				}) => Promise<void | null | undefined>,
+				/** Updates a page's title and/or view type. */
+				update: (args: {
+					page: {
+						/** The UID of the page to update */
+						uid: string,
+						/** The new title for the page */
+						title?: string,
+						/** The new view type for the page */
+						"children-view-type"?: ViewType
+					}
+				}) => Promise<void | null | undefined>
 			},
 
 			/** Runs a Datalog query against the graph.
@@ -82,12 +149,43 @@ export namespace Roam {
 			q: <T>(query: string, ...params: any[]) => T,
 		},
 
+		file: {
+			/** Uploads a file to the graph's storage.
+			 * @returns The URL of the uploaded file
+			 */
+			upload: (args: {
+				/** The file to upload */
+				file: File,
+				/** Options for the toast that shows the upload's progress */
+				toast?: {
+					/** Whether the toast should be hidden */
+					hide: boolean
+				}
+			}) => Promise<string>
+		},
+
 		graph: {
 			/** The name of the Roam graph */
 			name: string
 		},
 
 		ui: {
+			blockContextMenu: {
+				/** Adds a command to the context menu of all blocks, and calls the provided callback when the user selects that command. */
+				addCommand: (args: {
+					/** The function called when the user selects the command, with details about the targeted block */
+					callback: (context: BlockContext) => void,
+					/** The display name for the command in the menu */
+					label: string
+				}) => void,
+
+				/** Removes a command with the given `label` from the block context menu */
+				removeCommand: (args: {
+					/** The display name of the targeted command */
+					label: string
+				}) => void
+			},
+
 			commandPalette: {
 				/** Adds a command to the Command Palette (Cmd+P), and calls the provided callback when the user selects that command. If called again with the same `label`, will not add a second command, but will update the first command with the new callback.
 				 * @see https://roamresearch.com/#/app/developer-documentation/page/rAkidgrv3
@@ -115,6 +213,8 @@ export namespace Roam {
 			getFocusedBlock: () => BlockFocusLocation | null,
 
 			mainWindow: {
+				/** Returns the UID of the page (or zoomed-in block) open in the main window, if any */
+				getOpenPageOrBlockUid: () => Promise<string | null>,
 				/** Opens a page with the given title (or uid)
 				 * @see https://roamresearch.com/#/app/developer-documentation/page/_VyuLpfWb
 				 */
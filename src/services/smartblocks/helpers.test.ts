@@ -1,4 +1,6 @@
-import { evalTerm, reformatImportableBlocks } from "./helpers";
+import { evalTerm, filterAnnotations, reformatImportableBlocks } from "./helpers";
+
+import { sampleAnnot, sampleAnnotPrevPage, sampleNote } from "Mocks";
 
 
 const props = ["systems", "culture", "PKM"];
@@ -15,6 +17,17 @@ test("Simple grouping evals correctly", () => {
 	expect(evalTerm("(PKM&culture)", props)).toBe(true);
 });
 
+test("Annotations are filtered by color and tag", () => {
+	const yellowAnnot = { ...sampleAnnotPrevPage, data: { ...sampleAnnotPrevPage.data, annotationColor: "#FFD400" } };
+	const notes = [sampleNote, sampleAnnot, yellowAnnot];
+
+	expect(filterAnnotations(notes)).toEqual([sampleAnnot, yellowAnnot]);
+	expect(filterAnnotations(notes, { colors: ["Yellow"] })).toEqual([yellowAnnot]);
+	expect(filterAnnotations(notes, { colors: ["#5fb236", "yellow"] })).toEqual([sampleAnnot, yellowAnnot]);
+	expect(filterAnnotations(notes, { tags: ["TODO"] })).toEqual([sampleAnnot]);
+	expect(filterAnnotations(notes, { colors: ["yellow"], tags: ["TODO"] })).toEqual([]);
+});
+
 describe("reformatImportableBlocks", () => {
 	const cases = [
 		[
@@ -1,5 +1,25 @@
+import { ZOTERO_COLORS } from "../../constants";
 import { AsBoolean } from "Types/helpers";
-import { RImportableElement, SBImportableBlock } from "Types/transforms";
+import { RImportableElement, SBImportableBlock, ZItemAnnotation, ZItemNote, isZAnnotation } from "Types/transforms";
+
+
+/** Selects the annotations with given colors and/or tags, from a list of notes and annotations.
+ * Colors can be given as hex codes, or by their name in the Zotero reader (e.g. `yellow`). Annotations match if they have any of the colors, and any of the tags.
+ * @returns The matching annotations
+ */
+function filterAnnotations(
+	/** The notes and annotations to filter */
+	notes: (ZItemNote | ZItemAnnotation)[],
+	/** The colors and tags to look for. If empty, annotations aren't filtered on that criterion. */
+	{ colors = [], tags = [] }: { colors?: string[], tags?: string[] } = {}
+): ZItemAnnotation[] {
+	const hexColors = colors.map(color => (ZOTERO_COLORS.find(op => op.label.toLowerCase() == color.toLowerCase())?.value || color).toLowerCase());
+
+	return notes
+		.filter(isZAnnotation)
+		.filter(annot => hexColors.length == 0 || hexColors.includes(annot.data.annotationColor?.toLowerCase()))
+		.filter(annot => tags.length == 0 || annot.data.tags.some(t => tags.includes(t.tag)));
+}
 
 
 /** Evaluates an "AND" query against a given props array 
@@ -112,4 +132,4 @@ function reformatImportableBlocks(arr: RImportableElement[]): SBImportableBlock[
 }
 
 
-export { evalTerm, processQuery, reformatImportableBlocks };
\ No newline at end of file
+export { evalTerm, filterAnnotations, processQuery, reformatImportableBlocks };
\ No newline at end of file
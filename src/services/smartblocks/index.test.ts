@@ -1,6 +1,7 @@
 import { QueryClient } from "@tanstack/query-core";
 import { mock } from "vitest-mock-extended";
 
+import { savedSearches } from "@clients/zotero";
 import { analyzeUserRequests, setupInitialSettings } from "../../setup";
 import ZoteroRoam from "../../api";
 
@@ -10,8 +11,8 @@ import { SmartblocksPlugin } from "./types";
 
 import { getLocalLink, getWebLink } from "../../utils";
 
-import { Mocks, apiKeys, bibs, findCollections, findItems, items, libraries, sampleNote, samplePDF } from "Mocks";
-import { makeDNP } from "Mocks/roam";
+import { Mocks, apiKeys, bibs, findCollections, findItems, items, libraries, sampleAnnot, sampleImageAnnot, sampleNote, samplePDF } from "Mocks";
+import { insertPageBibliography, makeDNP, triggerNotesSmartblocks } from "Mocks/roam";
 
 
 const { userLibrary, groupLibrary } = libraries;
@@ -81,15 +82,120 @@ describe("All commands return correct output", () => {
 			.toEqual([item_with_housing_tag]
 				.map(it => "@" + it.key)
 			);
+
+		expect(commands.ZOTERORANDOMCITEKEY.handler(mockContext())("1", "year:2021 tag:housing has:doi"))
+			.toEqual([item_with_housing_tag]
+				.map(it => "@" + it.key)
+			);
 		
 		const with_multiple_items = commands.ZOTERORANDOMCITEKEY.handler(mockContext())(items.length.toString());
 		expect(with_multiple_items.length).toEqual(items.length);
 		items.forEach(it => {
 			expect(with_multiple_items.includes("@" + it.key)).toBe(true);
 		});
+
+		savedSearches.set({
+			items: [item_with_housing_tag.data.key],
+			key: "SRCH1234",
+			library: groupLibrary.path,
+			name: "Basic income"
+		});
+
+		expect(commands.ZOTERORANDOMCITEKEY.handler(mockContext())(items.length.toString(), "", "basic income"))
+			.toEqual([item_with_housing_tag]
+				.map(it => "@" + it.key)
+			);
+
+		expect(commands.ZOTERORANDOMCITEKEY.handler(mockContext())(items.length.toString(), "", "unknown search"))
+			.toEqual([]);
+
+		savedSearches.clear();
 			
 	});
 
+	test("ZOTEROCOLLECTIONCITEKEYS", () => {
+		Object.values(libraries).forEach(lib => {
+			const { path, version } = lib;
+			const [type, id] = path.split("/");
+			const colls = findCollections(type as Mocks.Library["type"], Number(id), 0);
+
+			client.setQueryData(
+				["collections", { library: path }],
+				(_prev) => ({
+					data: colls,
+					lastUpdated: version
+				})
+			);
+		});
+		client.setQueryData(
+			["items"],
+			(_prev) => ({
+				data: items,
+				lastUpdated: 9999
+			})
+		);
+
+		const sample_item = items.find(it => it.data.collections.length > 0)!;
+		const [collection] = findCollections(`${sample_item.library.type}s`, sample_item.library.id, 0);
+
+		expect(commands.ZOTEROCOLLECTIONCITEKEYS.handler(mockContext())(collection.data.name))
+			.toEqual(["@" + sample_item.key]);
+		expect(commands.ZOTEROCOLLECTIONCITEKEYS.handler(mockContext())(collection.data.name, "false"))
+			.toEqual(["@" + sample_item.key]);
+		expect(commands.ZOTEROCOLLECTIONCITEKEYS.handler(mockContext())("Unknown collection"))
+			.toEqual([]);
+	});
+
+	describe("ZOTERORECENTCITEKEYS", () => {
+		beforeEach(() => {
+			vi.useFakeTimers()
+				.setSystemTime(new Date("2021-11-15T12:00:00Z"));
+		});
+
+		afterEach(() => {
+			vi.useRealTimers();
+		});
+
+		test("It returns the items added or modified within a number of days, most recent first", () => {
+			client.setQueryData(
+				["items"],
+				(_prev) => ({
+					data: items,
+					lastUpdated: 9999
+				})
+			);
+
+			expect(commands.ZOTERORECENTCITEKEYS.handler(mockContext())())
+				.toEqual(["@blochImplementingSocialInterventions2021"]);
+			expect(commands.ZOTERORECENTCITEKEYS.handler(mockContext())("2"))
+				.toEqual([]);
+			expect(commands.ZOTERORECENTCITEKEYS.handler(mockContext())("365", "modified"))
+				.toEqual(["@blochImplementingSocialInterventions2021", "@pintoExploringDifferentMethods2021"]);
+		});
+	});
+
+	test("ZOTEROBIBLIOGRAPHY", async() => {
+		const context = mock<SmartblocksPlugin.CommandContext>({ targetUid: "PAGE_UID", variables: {} });
+
+		expect(await commands.ZOTEROBIBLIOGRAPHY.handler(context)()).toBe("");
+		expect(insertPageBibliography).toHaveBeenLastCalledWith("PAGE_UID", { order: "first-cited" });
+
+		await commands.ZOTEROBIBLIOGRAPHY.handler(context)("alphabetical", "apa");
+		expect(insertPageBibliography).toHaveBeenLastCalledWith("PAGE_UID", { order: "alphabetical", style: "apa" });
+	});
+
+	test("ZOTEROCITEKEYSBIBLIOGRAPHY", async() => {
+		const getBibliography = vi.spyOn(window.zoteroRoam, "getBibliography")
+			.mockResolvedValue(["Entry"]);
+
+		expect(await commands.ZOTEROCITEKEYSBIBLIOGRAPHY.handler(mockContext())("[[@doe2021]], @smith2020"))
+			.toEqual(["Entry"]);
+		expect(getBibliography).toHaveBeenLastCalledWith(["doe2021", "smith2020"], { order: "first-cited" });
+
+		await commands.ZOTEROCITEKEYSBIBLIOGRAPHY.handler(mockContext())("doe2021, smith2020", "alphabetical", "apa");
+		expect(getBibliography).toHaveBeenLastCalledWith(["doe2021", "smith2020"], { order: "alphabetical", style: "apa" });
+	});
+
 	test("ZOTEROITEMABSTRACT", () => {
 		const sample_item = items.find(it => it.data.abstractNote !== "")!;
 		const context = mockContext({ item: sample_item });
@@ -98,6 +204,17 @@ describe("All commands return correct output", () => {
 			.toEqual(sample_item.data.abstractNote);
 	});
 
+	test("ZOTEROITEMANNOTATIONS", () => {
+		const context = mockContext({ notes: [sampleNote, sampleAnnot, sampleImageAnnot] });
+
+		expect(commands.ZOTEROITEMANNOTATIONS.handler(context)())
+			.toEqual(reformatImportableBlocks(window.zoteroRoam.formatNotes([sampleAnnot, sampleImageAnnot])));
+		expect(commands.ZOTEROITEMANNOTATIONS.handler(context)("", "Important"))
+			.toEqual(reformatImportableBlocks(window.zoteroRoam.formatNotes([sampleAnnot])));
+		expect(commands.ZOTEROITEMANNOTATIONS.handler(context)("yellow"))
+			.toEqual("");
+	});
+
 	describe("ZOTEROITEMCITATION", () => {
 		// Necessary since jsdom does not support innerText
 		// It shouldn't give discrepant results here
@@ -184,6 +301,18 @@ describe("All commands return correct output", () => {
 			.toEqual(makeDNP(sample_item.data.dateAdded, { brackets: false }));
 	});
 
+	test("ZOTEROITEMFIELD", () => {
+		const sample_item = items.find(it => it.data.DOI)!;
+		const context = mockContext({ item: sample_item });
+
+		expect(commands.ZOTEROITEMFIELD.handler(context)("DOI"))
+			.toEqual(sample_item.data.DOI);
+		expect(commands.ZOTEROITEMFIELD.handler(context)("tags"))
+			.toEqual(JSON.stringify(sample_item.data.tags));
+		expect(commands.ZOTEROITEMFIELD.handler(context)("unknownField"))
+			.toEqual("");
+	});
+
 	test("ZOTEROITEMKEY", () => {
 		const sample_item = items.find(it => it.key)!;
 		const context = mockContext({ item: sample_item });
@@ -294,21 +423,48 @@ describe("All commands return correct output", () => {
 			.toEqual((new Date(sample_item.meta.parsedDate)).getUTCFullYear().toString());
 	});
 
-	test("ZOTERONOTES", () => {
+	test("ZOTERONOTES", async() => {
 		const sample_notes = [sampleNote];
 		const context = mockContext({ notes: sample_notes });
 		const empty_context = mockContext({});
 
-		expect(commands.ZOTERONOTES.handler(context)())
+		expect(await commands.ZOTERONOTES.handler(context)())
 			.toEqual(reformatImportableBlocks(
 				window.zoteroRoam.formatNotes(sample_notes)
 			));
-		expect(commands.ZOTERONOTES.handler(empty_context)())
+		expect(await commands.ZOTERONOTES.handler(empty_context)())
 			.toEqual(reformatImportableBlocks(
 				window.zoteroRoam.formatNotes([])
 			));
 	});
 
+	test("ZOTERONOTES hands off notes to SmartBlocks, except from within them", async() => {
+		const sample_item = items[0];
+		const sample_notes = [sampleNote, sampleAnnot];
+		const context = mockContext({ item: sample_item, notes: sample_notes, notesSmartblock: false, page: null });
+		const sb_context = mockContext({ item: sample_item, notes: sample_notes, notesSmartblock: true });
+		context.targetUid = "BLOCK_UID";
+		sb_context.targetUid = "BLOCK_UID";
+
+		triggerNotesSmartblocks.mockClear();
+
+		expect(await commands.ZOTERONOTES.handler(context)())
+			.toEqual(reformatImportableBlocks(
+				window.zoteroRoam.formatNotes(sample_notes)
+			));
+		expect(triggerNotesSmartblocks).toHaveBeenCalledTimes(1);
+		// The context's variables are wrapped by the mock, so they're compared by key
+		const [targetUid, { item, notes, page }, settings] = triggerNotesSmartblocks.mock.lastCall!;
+		expect(targetUid).toBe("BLOCK_UID");
+		expect(item.key).toBe(sample_item.key);
+		expect(notes.map(nt => nt.key)).toEqual(sample_notes.map(nt => nt.key));
+		expect(page).toBeNull();
+		expect(settings).toEqual({ annotationsSettings: initSettings.annotations, notesSettings: initSettings.notes });
+
+		await commands.ZOTERONOTES.handler(sb_context)();
+		expect(triggerNotesSmartblocks).toHaveBeenCalledTimes(1);
+	});
+
 	test("ZOTEROPDFS", () => {
 		const sample_pdfs = [samplePDF];
 		const context = mockContext({ pdfs: sample_pdfs });
@@ -1,9 +1,13 @@
-import { makeDNP } from "@services/roam";
+import { savedSearches } from "@clients/zotero";
+import { getBlockTree, insertPageBibliography, makeDNP } from "@services/roam";
 
-import { getLocalLink, getWebLink, parseDOI } from "../../utils";
+import { hasQueryFields } from "Components/Dashboard/Explorer/QueryBuilder/parser";
 
-import { processQuery, reformatImportableBlocks } from "./helpers";
+import { extractCitekeyMentions, getLocalLink, getWebLink, parseDOI } from "../../utils";
+
+import { filterAnnotations, processQuery, reformatImportableBlocks } from "./helpers";
 import { SBConfig, SmartblocksPlugin } from "./types";
+import { AsBoolean } from "Types/helpers";
 
 
 /** Generates the list of custom SmartBlocks commands to register
@@ -12,15 +16,61 @@ import { SBConfig, SmartblocksPlugin } from "./types";
 const sbCommands = () => {
 	return {
 		"ZOTERORANDOMCITEKEY": {
-			help: "Returns one or more Zotero citekeys, with optional tag query",
-			handler: (_context: SmartblocksPlugin.CommandContext) => (nb = "1", query = "") => {
-				return window.zoteroRoam.getItems("items")
-					.filter(it => processQuery(query, it.data.tags.map(t => t.tag)))
+			help: "Returns one or more Zotero citekeys, with optional query. The query can be a list of tags (e.g. `review&-read`), or use fields like in the Explorer (e.g. `type:journalArticle year:>=2020 has:pdf tag:review`). Options: search (the name or key of a saved search, to only pick from its results).",
+			handler: (_context: SmartblocksPlugin.CommandContext) => (nb = "1", query = "", search = "") => {
+				const items = hasQueryFields(query)
+					? window.zoteroRoam.query(query)
+					: window.zoteroRoam.getItems("items").filter(it => processQuery(query, it.data.tags.map(t => t.tag)));
+
+				return items
+					.filter(it => !search || savedSearches.includes(search, { library: it.library.type + "s/" + it.library.id, itemKey: it.data.key }))
 					.map(it => "@" + it.key)
 					.sort(() => 0.5 - Math.random())
 					.slice(0, Number(nb) || 1);
 			}
 		},
+		"ZOTEROCOLLECTIONCITEKEYS": {
+			help: "Returns the citekeys of the items in a Zotero collection, searched by name (or key) across libraries. Options: subcollections (`true` (default)|`false`).",
+			handler: (_context: SmartblocksPlugin.CommandContext) => (name = "", subcollections = "true") => {
+				return window.zoteroRoam.getCollectionItems(name, { subcollections: String(subcollections) != "false" })
+					.map(it => "@" + it.key);
+			}
+		},
+		"ZOTERORECENTCITEKEYS": {
+			help: "Returns the citekeys of the items added to (or modified in) Zotero within a number of days, most recent first. Options: days (default: 7), type (`added` (default)|`modified`).",
+			handler: (_context: SmartblocksPlugin.CommandContext) => (days = "7", type = "added") => {
+				const field = type == "modified" ? "dateModified" : "dateAdded";
+				const since = Date.now() - (Number(days) || 7) * 24 * 60 * 60 * 1000;
+
+				return window.zoteroRoam.getItems("items")
+					.filter(it => new Date(it.data[field]).getTime() >= since)
+					.sort((a, b) => new Date(b.data[field]).getTime() - new Date(a.data[field]).getTime())
+					.map(it => "@" + it.key);
+			}
+		},
+		"ZOTEROBIBLIOGRAPHY": {
+			help: "Inserts (or refreshes) the bibliography for the citekeys mentioned on the current page. Options: order (`first-cited` (default)|`alphabetical`), style (default: the Zotero default style).",
+			handler: (context: SmartblocksPlugin.CommandContext) => async (order = "first-cited", style = "") => {
+				const pageUID = getBlockTree(context.targetUid)?.page?.uid || context.targetUid;
+				await insertPageBibliography(pageUID, {
+					order: order == "alphabetical" ? "alphabetical" : "first-cited",
+					...(style ? { style } : {})
+				});
+				return "";
+			}
+		},
+		"ZOTEROCITEKEYSBIBLIOGRAPHY": {
+			help: "Returns the formatted bibliography for a list of citekeys (e.g. `@doe2021, [[@smith2020]]`), one entry per block. Options: order (`first-cited` (default)|`alphabetical`), style (default: the Zotero default style).",
+			handler: (_context: SmartblocksPlugin.CommandContext) => async (citekeys = "", order = "first-cited", style = "") => {
+				const mentions = extractCitekeyMentions(citekeys);
+				const keys = mentions.length > 0 ? mentions : citekeys.split(/[\s,]+/).filter(AsBoolean);
+
+				return await window.zoteroRoam.getBibliography(keys, {
+					order: order == "alphabetical" ? "alphabetical" : "first-cited",
+					...(style ? { style } : {})
+				});
+			}
+		},
 		"ZOTEROITEMABSTRACT": {
 			help: "Returns the abstract of a Zotero item.",
 			handler: (context: SmartblocksPlugin.CommandContext) => () => {
@@ -28,6 +78,18 @@ const sbCommands = () => {
 				return item.data.abstractNote || "";
 			}
 		},
+		"ZOTEROITEMANNOTATIONS": {
+			help: "Formats the annotations of a Zotero item, with current user settings. Options: colors (comma-separated names or hex codes, e.g. `yellow,#ff6666`), tags (comma-separated).",
+			handler: (context: SmartblocksPlugin.CommandContext) => (colors = "", tags = "") => {
+				const { notes = [] } = context.variables;
+				const splitList = (list: string) => list.split(",").map(el => el.trim()).filter(AsBoolean);
+				const annotations = filterAnnotations(notes, { colors: splitList(colors), tags: splitList(tags) });
+
+				return annotations.length == 0
+					? ""
+					: reformatImportableBlocks(window.zoteroRoam.formatNotes(annotations));
+			}
+		},
 		"ZOTEROITEMCITATION": {
 			help: "Returns a formatted citation for a Zotero item. Options: style (default: 'chicago-note-bibliography'), locale (default: en-US), linkwrap (default: 0).",
 			handler: (context: SmartblocksPlugin.CommandContext) => async (style = "chicago-note-bibliography", locale = "en-US", linkwrap: (0 | 1) = 0) => {
@@ -66,6 +128,22 @@ const sbCommands = () => {
 				return makeDNP(item.data.dateAdded, { brackets });
 			}
 		},
+		"ZOTEROITEMFIELD": {
+			help: "Returns the raw value of any field of a Zotero item, by name (e.g. `DOI`, `volume`, `extra`). Fields that hold lists (like `creators`) are returned as JSON.",
+			handler: (context: SmartblocksPlugin.CommandContext) => (field = "") => {
+				const { item } = context.variables;
+				// Only the item's own fields are read, not inherited properties (Object.hasOwn needs the ES2022 lib)
+				if (!Object.prototype.hasOwnProperty.call(item.data, field)) {
+					return "";
+				}
+				const value = (item.data as Record<string, unknown>)[field];
+				return value === undefined || value === null
+					? ""
+					: typeof value == "object"
+						? JSON.stringify(value)
+						: String(value);
+			}
+		},
 		"ZOTEROITEMKEY": {
 			help: "Returns the citekey for a Zotero item, without the '@' prefix. If the item doesn't have a citekey, its Zotero key will be used.",
 			handler: (context: SmartblocksPlugin.CommandContext) => () => {
@@ -147,10 +225,14 @@ const sbCommands = () => {
 			}
 		},
 		"ZOTERONOTES": {
-			help: "Formats a list of Zotero notes/annotations, with current user settings",
-			handler: (context: SmartblocksPlugin.CommandContext) => () => {
-				const { notes = [] } = context.variables;
-				const output = window.zoteroRoam.formatNotes(notes);
+			help: "Formats a list of Zotero notes/annotations, with current user settings. Notes and annotations that are set to be formatted with a SmartBlock are handed off to it, except from within that SmartBlock.",
+			handler: (context: SmartblocksPlugin.CommandContext) => async () => {
+				const { item, notes = [], notesSmartblock = false, page = null } = context.variables;
+				// Within a notes SmartBlock, everything is formatted as blocks, so that the SmartBlock doesn't trigger itself
+				const { remaining } = (item && !notesSmartblock)
+					? await window.zoteroRoam.triggerNotesSmartblocks(context.targetUid, { item, notes, page })
+					: { remaining: notes };
+				const output = window.zoteroRoam.formatNotes(remaining);
 
 				return reformatImportableBlocks(output);
 			}
@@ -235,6 +317,8 @@ type UseSmartblockOutcome = {
 		smartblock: SBConfig,
 		uid: string
 	},
+	/** The UID of the first block outputted by the SmartBlock, if any */
+	output: string | null,
 	raw: Record<string, any>
 } & ({ error: null, success: true } | { error: Error, success: false });
 
@@ -258,6 +342,7 @@ async function triggerSmartblock(
 			uid: targetUid
 		},
 		error: null,
+		output: null,
 		raw: variables,
 		success: null
 	};
@@ -269,9 +354,10 @@ async function triggerSmartblock(
 	};
 
 	try {
-		await window.roamjs?.extension?.smartblocks?.triggerSmartblock(obj);
+		const output = await window.roamjs?.extension?.smartblocks?.triggerSmartblock(obj);
 		return Promise.resolve({
 			...defaultOutcome,
+			output: output || null,
 			success: true
 		});
 	} catch (e) {
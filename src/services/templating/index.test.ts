@@ -0,0 +1,116 @@
+import { renderTemplate, renderTemplateBlocks } from ".";
+
+
+describe("Rendering templates", () => {
+	const context = {
+		abstract: "",
+		pdfs: [
+			{ link: "zotero://open-pdf/A", title: "Main" },
+			{ link: "zotero://open-pdf/B", title: "Appendix" }
+		],
+		publication: { title: "CMAJ", volume: "193" },
+		tags: ["review", "toRead"],
+		title: "Implementing social interventions"
+	};
+
+	test.each([
+		["Title:: {{title}}", "Title:: Implementing social interventions"],
+		["{{publication.title}} ({{publication.volume}})", "CMAJ (193)"],
+		["{{tags}}", "review, toRead"],
+		["[{{publication.missing}}]", "[]"],
+		["{{TODO}} {{table}} {{word-count}}", "{{TODO}} {{table}} {{word-count}}"],
+		["{{#tags}}#[[{{.}}]] {{/tags}}", "#[[review]] #[[toRead]] "],
+		["{{#pdfs}}[{{title}}]({{link}}){{^@last}}, {{/@last}}{{/pdfs}}", "[Main](zotero://open-pdf/A), [Appendix](zotero://open-pdf/B)"],
+		["{{#pdfs.length}}{{pdfs.length}} PDFs{{/pdfs.length}}", "2 PDFs"],
+		["{{#abstract}}Abstract:: {{abstract}}{{/abstract}}", ""],
+		["{{^abstract}}No abstract{{/abstract}}", "No abstract"],
+		["{{#publication}}{{title}} in {{volume}}{{/publication}}", "CMAJ in 193"],
+		["{{! a comment }}{{title}}", "Implementing social interventions"],
+		["{{[[TODO]]}} {{embed: [[{{title}}]]}}", "{{[[TODO]]}} {{embed: [[Implementing social interventions]]}}"]
+	])(
+		"%# - %s",
+		(template, expected) => {
+			expect(renderTemplate(template, context)).toBe(expected);
+		}
+	);
+
+	test("Partials", () => {
+		expect(renderTemplate("{{>signature}} / {{>unknown}}", context, { signature: "Imported" }))
+			.toBe("Imported / ");
+	});
+
+	test.each([
+		["{{#tags}}{{.}}", "Missing closing tag for section \"tags\""],
+		["{{title}}{{/tags}}", "Unexpected closing tag \"tags\""],
+		["{{#tags}}{{^abstract}}{{/tags}}{{/abstract}}", "Unexpected closing tag \"tags\", expected \"abstract\""]
+	])(
+		"%# - rejects %s",
+		(template, error) => {
+			expect(() => renderTemplate(template, context)).toThrow(error);
+		}
+	);
+});
+
+describe("Rendering templates as blocks", () => {
+	const context = {
+		abstract: "First line\nSecond line",
+		pdfs: [{ title: "Main", tags: ["figure"] }, { title: "Appendix", tags: [] }],
+		title: "Implementing social interventions"
+	};
+
+	test("Lines are nested by indentation", () => {
+		const template = [
+			"Title:: {{title}}",
+			"{{#pdfs.length}}",
+			"PDFs::",
+			"{{#pdfs}}",
+			"  - {{title}}",
+			"    {{#tags}}",
+			"    - #{{.}}",
+			"    {{/tags}}",
+			"{{/pdfs}}",
+			"{{/pdfs.length}}",
+			"\tNested with a tab"
+		].join("\n");
+
+		expect(renderTemplateBlocks(template, context))
+			.toEqual([
+				{ string: "Title:: Implementing social interventions", text: "Title:: Implementing social interventions" },
+				{
+					string: "PDFs::",
+					text: "PDFs::",
+					children: [
+						{ string: "Main", text: "Main", children: [{ string: "#figure", text: "#figure" }] },
+						{ string: "Appendix", text: "Appendix" },
+						{ string: "Nested with a tab", text: "Nested with a tab" }
+					]
+				}
+			]);
+	});
+
+	test("Newlines inside values don't create blocks", () => {
+		expect(renderTemplateBlocks("Abstract:: {{abstract}}", context))
+			.toEqual([{ string: "Abstract:: First line\nSecond line", text: "Abstract:: First line\nSecond line" }]);
+	});
+
+	test("Partials insert blocks", () => {
+		const notes = ["A note", { string: "[[Notes]]", text: "[[Notes]]", children: ["Nested note"] }];
+
+		expect(renderTemplateBlocks("{{>notes}}\nTitle:: {{title}}\n\t{{>notes}}\n\tThe end", context, { notes }))
+			.toEqual([
+				"A note",
+				{ string: "[[Notes]]", text: "[[Notes]]", children: ["Nested note"] },
+				{
+					string: "Title:: Implementing social interventions",
+					text: "Title:: Implementing social interventions",
+					children: [
+						"A note",
+						{ string: "[[Notes]]", text: "[[Notes]]", children: ["Nested note"] },
+						{ string: "The end", text: "The end" }
+					]
+				}
+			]);
+		expect(renderTemplateBlocks("{{>unknown}}", context))
+			.toEqual([]);
+	});
+});
@@ -0,0 +1,250 @@
+import { RImportableBlock, RImportableElement } from "Types/transforms";
+
+
+type TemplateNode =
+	| { type: "text", value: string }
+	| { type: "variable", name: string, tag: string }
+	| { type: "partial", name: string }
+	| { type: "section", children: TemplateNode[], inverted: boolean, name: string };
+
+type RenderOptions = {
+	/** Transforms the output of variables, before they are inserted */
+	escape?: (value: string) => string,
+	/** Provides the output of partials (`{{>name}}`), by name */
+	partial?: (name: string) => string
+};
+
+
+const TAG_REGEX = /\{\{([#^/!>]?)\s*([^{}]*?)\s*\}\}/g;
+/** Valid names for variables and sections. Other tags, like Roam's `{{[[TODO]]}}` or `{{embed: ...}}`, are left as-is.
+ * Variables whose name isn't in the data, like Roam's `{{TODO}}` or `{{table}}`, are also left as-is when rendering. */
+const NAME_REGEX = /^(\.|[@\w-]+(\.[@\w-]+)*)$/;
+
+/** Marks newlines inside variables, so that they aren't used to split blocks */
+const NEWLINE_MARKER = "\u0001";
+/** Wraps partials' names in the output of block templates, to locate them once blocks are split */
+const PARTIAL_MARKER = "\u0002";
+
+
+/** Parses a template into a tree of nodes
+ * @throws If sections aren't properly closed
+ */
+function parseTemplate(template: string): TemplateNode[] {
+	const root: TemplateNode[] = [];
+	const stack: Extract<TemplateNode, { type: "section" }>[] = [];
+	const current = () => stack.length > 0 ? stack[stack.length - 1].children : root;
+
+	let position = 0;
+	for (const match of template.matchAll(TAG_REGEX)) {
+		const [tag, symbol, name] = match;
+		const index = match.index as number;
+
+		if (symbol != "!" && !NAME_REGEX.test(name)) {
+			continue;
+		}
+
+		if (index > position) {
+			current().push({ type: "text", value: template.slice(position, index) });
+		}
+		position = index + tag.length;
+
+		switch (symbol) {
+		case "!":
+			break;
+		case ">":
+			current().push({ type: "partial", name });
+			break;
+		case "#":
+		case "^": {
+			const section = { type: "section" as const, children: [], inverted: symbol == "^", name };
+			current().push(section);
+			stack.push(section);
+			break;
+		}
+		case "/": {
+			const section = stack.pop();
+			if (!section) {
+				throw new Error(`Unexpected closing tag "${name}"`);
+			} else if (section.name != name) {
+				throw new Error(`Unexpected closing tag "${name}", expected "${section.name}"`);
+			}
+			break;
+		}
+		default:
+			current().push({ type: "variable", name, tag });
+		}
+	}
+
+	if (stack.length > 0) {
+		throw new Error(`Missing closing tag for section "${stack[stack.length - 1].name}"`);
+	}
+
+	if (position < template.length) {
+		root.push({ type: "text", value: template.slice(position) });
+	}
+
+	return root;
+}
+
+/** Finds the context that defines a name, starting from the innermost context. Dotted names (`a.b`) are defined by the first context that has their first key. */
+function findContext(name: string, stack: unknown[]): Record<string, unknown> | undefined {
+	const [first] = name.split(".");
+	return [...stack].reverse().find(ctx => typeof ctx == "object" && ctx !== null && first in ctx) as Record<string, unknown> | undefined;
+}
+
+/** Finds the value of a name, starting from the innermost context */
+function lookup(name: string, stack: unknown[]): unknown {
+	if (name == ".") {
+		return stack[stack.length - 1];
+	}
+
+	const [first, ...path] = name.split(".");
+	const context = findContext(name, stack);
+
+	return path.reduce<unknown>(
+		(value, key) => value === undefined || value === null ? undefined : (value as Record<string, unknown>)[key],
+		context?.[first]
+	);
+}
+
+/** Checks if a value should be treated as empty by sections */
+function isEmpty(value: unknown): boolean {
+	return Array.isArray(value) ? value.length == 0 : !value;
+}
+
+/** Converts the value of a variable to a string. Lists are joined with commas. */
+function stringify(value: unknown): string {
+	if (value === undefined || value === null) {
+		return "";
+	} else if (Array.isArray(value)) {
+		return value.map(stringify).filter(val => val).join(", ");
+	} else if (typeof value == "object") {
+		return JSON.stringify(value);
+	} else {
+		return String(value);
+	}
+}
+
+/** Renders a list of nodes against a stack of contexts */
+function renderNodes(nodes: TemplateNode[], stack: unknown[], options: RenderOptions): string {
+	return nodes.map(node => {
+		switch (node.type) {
+		case "text":
+			return node.value;
+		case "variable": {
+			// Names that aren't in the data are likely Roam components, like {{TODO}} or {{table}}
+			if (node.name != "." && !findContext(node.name, stack)) {
+				return node.tag;
+			}
+			const output = stringify(lookup(node.name, stack));
+			return options.escape ? options.escape(output) : output;
+		}
+		case "partial":
+			return options.partial?.(node.name) || "";
+		case "section":
+		default: {
+			const value = lookup(node.name, stack);
+			if (node.inverted) {
+				return isEmpty(value) ? renderNodes(node.children, stack, options) : "";
+			} else if (isEmpty(value)) {
+				return "";
+			} else if (Array.isArray(value)) {
+				return value
+					.map((elem, i) => renderNodes(node.children, [...stack, { "@first": i == 0, "@index": i, "@last": i == value.length - 1 }, elem], options))
+					.join("");
+			} else {
+				return renderNodes(node.children, [...stack, value], options);
+			}
+		}
+		}
+	}).join("");
+}
+
+/** Computes the nesting level of a line, from its indentation (a tab, or two spaces, per level) */
+function getIndentLevel(line: string): number {
+	const indent = (line.match(/^\s*/) as RegExpMatchArray)[0];
+	return indent.split("").reduce((level, char) => level + (char == "\t" ? 2 : 1), 0) / 2;
+}
+
+
+/** Renders a template against some data. The template language is a logic-less subset of Mustache:
+ * - `{{name}}` inserts a value. Nested values can be accessed with dots (`{{pdf.title}}`), and `{{.}}` is the current value. Empty values (and missing nested values) are empty, and lists are joined with commas.
+ * - `{{#name}}...{{/name}}` renders its contents once for each element of a list, or once if the value isn't empty. Inside a list, `@index`, `@first` and `@last` describe the current element.
+ * - `{{^name}}...{{/name}}` renders its contents if the value is empty (or an empty list).
+ * - `{{! comment}}` is ignored, and `{{>name}}` inserts a partial, if any was provided.
+ *
+ * Tags that aren't valid names, like Roam's `{{[[TODO]]}}` or `{{embed: ((uid))}}`, are left as-is. So are variables whose name isn't in the data, like Roam's `{{TODO}}` or `{{table}}`.
+ * @param template - The template to render
+ * @param context - The data to use for the template's variables
+ * @param partials - The contents of the partials available to the template, by name
+ * @returns The rendered string
+ * @throws If the template's sections aren't properly closed
+ * @example
+ * renderTemplate("{{#tags}}#[[{{.}}]] {{/tags}}", { tags: ["review", "toRead"] })
+ * // "#[[review]] #[[toRead]] "
+ */
+function renderTemplate(template: string, context: Record<string, unknown>, partials: Record<string, string> = {}): string {
+	return renderNodes(parseTemplate(template), [context], { partial: (name) => partials[name] });
+}
+
+/** Renders a template against some data, as a list of Roam blocks. Each line of the output becomes a block, and is nested under the closest line with a lower indentation (a tab, or two spaces, per level).
+ * An optional `- ` marker at the start of a line is removed, and empty lines are skipped. Newlines inside values don't create new blocks.
+ * A partial (`{{>name}}`) on its own line inserts the provided blocks at that position.
+ * @see {@link renderTemplate} for the syntax of templates
+ * @param template - The template to render
+ * @param context - The data to use for the template's variables
+ * @param partials - The blocks of the partials available to the template, by name
+ * @returns The rendered blocks, ready for import into Roam
+ * @throws If the template's sections aren't properly closed
+ */
+function renderTemplateBlocks(template: string, context: Record<string, unknown>, partials: Record<string, RImportableElement[]> = {}): RImportableElement[] {
+	const output = renderNodes(parseTemplate(template), [context], {
+		escape: (value) => value.replaceAll("\n", NEWLINE_MARKER),
+		partial: (name) => PARTIAL_MARKER + name + PARTIAL_MARKER
+	});
+
+	const root: RImportableElement[] = [];
+	const parents: { block: RImportableBlock, level: number }[] = [];
+
+	const insert = (element: RImportableElement, level: number) => {
+		while (parents.length > 0 && parents[parents.length - 1].level >= level) {
+			parents.pop();
+		}
+		const parent = parents[parents.length - 1]?.block;
+		if (parent) {
+			parent.children = [...(parent.children || []), element];
+		} else {
+			root.push(element);
+		}
+	};
+
+	output.split(/\r?\n/).forEach(line => {
+		const level = getIndentLevel(line);
+		const contents = line.trim().replace(/^- /, "");
+		const partial = contents.match(new RegExp(`^${PARTIAL_MARKER}([^${PARTIAL_MARKER}]+)${PARTIAL_MARKER}$`));
+
+		if (partial) {
+			(partials[partial[1]] || []).forEach(elem => insert(elem, level));
+			return;
+		}
+
+		const string = contents
+			.replaceAll(new RegExp(`${PARTIAL_MARKER}[^${PARTIAL_MARKER}]*${PARTIAL_MARKER}`, "g"), "")
+			.replaceAll(NEWLINE_MARKER, "\n")
+			.trim();
+
+		if (string) {
+			const block: RImportableBlock = { string, text: string };
+			insert(block, level);
+			parents.push({ block, level });
+		}
+	});
+
+	return root;
+}
+
+
+export {
+	renderTemplate,
+	renderTemplateBlocks
+};
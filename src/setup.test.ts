@@ -30,6 +30,7 @@ describe("setupInitialSettings", () => {
 				autoload: true,
 				cacheEnabled: true,
 				darkTheme: true,
+				fulltextIndex: true,
 				render_inline: true
 			}
 		};
@@ -39,6 +40,7 @@ describe("setupInitialSettings", () => {
 		expect(settings.other.autoload).toBe(true);
 		expect(settings.other.cacheEnabled).toBe(true);
 		expect(settings.other.darkTheme).toBe(true);
+		expect(settings.other.fulltextIndex).toBe(true);
 		expect(settings.other.render_inline).toBe(true);
 
 		// Should still have other default settings
@@ -49,10 +51,17 @@ describe("setupInitialSettings", () => {
 	it("preserves partial user settings and fills in defaults", () => {
 		const userSettings: Partial<UserSettings> = {
 			annotations: {
+				colors: [],
 				func: "",
 				group_by: false,
+				images: true,
+				smartblock: {
+					param: "srcUid",
+					paramValue: ""
+				},
 				template_comment: "{{comment}}",
 				template_highlight: "[[>]] {{highlight}} ([p. {{page_label}}]({{link_page}})) {{tags_string}}",
+				template_image: "![]({{image}}) ([p. {{page_label}}]({{link_page}})) {{tags_string}}",
 				use: "function" as const,
 				__with: "formatted" as const
 			},
@@ -141,10 +150,13 @@ describe("initialize - Roam Depot context", () => {
 				render_inline: true
 			},
 			annotations: {
+				colors: [],
 				func: "myCustomFunction",
 				group_by: true,
+				images: false,
 				template_comment: "Custom comment template",
 				template_highlight: "Custom highlight template",
+				template_image: "Custom image template",
 				use: "function" as const,
 				__with: "formatted" as const
 			},
@@ -273,6 +285,7 @@ describe("initialize - roam/js context", () => {
 				autoload: true,
 				cacheEnabled: false,
 				darkTheme: false,
+				fulltextIndex: false,
 				render_inline: false
 			}
 		};
@@ -10,6 +10,8 @@ import { registerSmartblockCommands } from "@services/smartblocks";
 
 import { cleanError } from "./utils";
 import {
+	DEFAULT_METADATA_TEMPLATE,
+	DEFAULT_NOTES_TEMPLATE,
 	EXTENSION_PORTAL_ID,
 	EXTENSION_SLOT_ID,
 	IDB_REACT_QUERY_CLIENT_KEY,
@@ -18,6 +20,7 @@ import {
 } from "./constants";
 
 import { DataRequest, LegacyUserDataRequest, LegacyUserSettings, SettingsShortcuts, UserDataRequest, UserRequests, UserSettings } from "Types/extension";
+import { AsBoolean } from "Types/helpers";
 import { ZLibrary } from "Types/transforms";
 
 
@@ -43,12 +46,14 @@ export function analyzeUserRequests(requests: LegacyUserDataRequest|(LegacyUserD
 		};
 	} else {
 		const fallbackAPIKey = reqs.find(req => req.apikey)?.apikey;
-		if(!fallbackAPIKey){
+		// Requests to the local API don't need to be authenticated
+		const needsAPIKey = reqs.some(req => req.backend != "local");
+		if(!fallbackAPIKey && needsAPIKey){
 			throw new Error("At least one data request must be assigned an API key. See the documentation here : https://alix-lahuec.gitbook.io/zotero-roam/zotero-roam/getting-started/api");
 		} else {
 			const dataRequests = reqs.map((req) => {
 				if ("library" in req) {
-					const { apikey, library, name = "" } = req;
+					const { apikey, backend, library, name = "", searches, useBetterBibtex } = req;
 					const { id, type } = library;
                     
 					if(!id || isNaN(Number(id))){
@@ -59,8 +64,13 @@ export function analyzeUserRequests(requests: LegacyUserDataRequest|(LegacyUserD
 						throw new Error("A library type is missing or invalid. See the documentation here : https://alix-lahuec.gitbook.io/zotero-roam/getting-started/api");
 					}
 
+					if(searches !== undefined && (!Array.isArray(searches) || searches.some(key => typeof(key) != "string"))){
+						throw new Error("The saved searches for a request must be provided as a list of Zotero keys.");
+					}
+
 					return {
-						apikey: apikey || fallbackAPIKey,
+						apikey: apikey || fallbackAPIKey || "",
+						backend,
 						dataURI: [type, id, "items"].join("/"),
 						library: {
 							id,
@@ -68,10 +78,12 @@ export function analyzeUserRequests(requests: LegacyUserDataRequest|(LegacyUserD
 							type,
 							uri: "items"
 						},
-						name
+						name,
+						searches,
+						useBetterBibtex
 					};
 				} else {
-					const { apikey, dataURI, name = "" } = req;
+					const { apikey, backend, dataURI, name = "", useBetterBibtex } = req;
 
 					if(!dataURI){
 						throw new Error("Each data request must be assigned a data URI. See the documentation here : https://alix-lahuec.gitbook.io/zotero-roam/getting-started/api");
@@ -85,7 +97,8 @@ export function analyzeUserRequests(requests: LegacyUserDataRequest|(LegacyUserD
                     
 					const [/*input*/, type, id, uri] = match[0];
 					return { 
-						apikey: apikey || fallbackAPIKey, 
+						apikey: apikey || fallbackAPIKey || "", 
+						backend,
 						dataURI, 
 						library: {
 							id,
@@ -93,21 +106,22 @@ export function analyzeUserRequests(requests: LegacyUserDataRequest|(LegacyUserD
 							type: type as DataRequest["library"]["type"],
 							uri
 						}, 
-						name 
+						name,
+						useBetterBibtex
 					};
 				}
 			});
 
-			const apiKeys = Array.from(new Set(dataRequests.map(req => req.apikey)));
+			const apiKeys = Array.from(new Set(dataRequests.map(req => req.apikey).filter(AsBoolean)));
 			const libraries = dataRequests.reduce<ZLibrary[]>((arr, req) => {
-				const { library: { path }, apikey } = req;
+				const { library: { path }, apikey, backend } = req;
 				const has_lib = arr.find(lib => lib.path == path);
 
 				if(has_lib){
 					throw new Error(`The same library was provided twice: ${path}.`);
 				}
 				
-				arr.push({ path, apikey });
+				arr.push({ path, apikey, backend });
 				return arr;
 			}, []);
 
@@ -181,6 +195,16 @@ export function shouldQueryBePersisted(query: Query){
 		return false;
 	}
 
+	// Full-text content is stored separately, in its own database store
+	if(queryKey[0] == "fulltext"){
+		return false;
+	}
+
+	// Saved search results are recorded in memory when they're fetched, so they're always fetched again
+	if(queryKey[0] == "search-items"){
+		return false;
+	}
+
 	return defaultShouldDehydrateQuery(query);
 }
 
@@ -204,10 +228,17 @@ export function setupInitialSettings(settingsObject: Partial<UserSettings>): Use
 	
 	return {
 		annotations: {
+			colors: [],
 			func: "",
 			group_by: false,
+			images: true,
+			smartblock: {
+				param: "srcUid",
+				paramValue: ""
+			},
 			template_comment: "{{comment}}",
 			template_highlight: "[[>]] {{highlight}} ([p. {{page_label}}]({{link_page}})) {{tags_string}}",
+			template_image: "![]({{image}}) ([p. {{page_label}}]({{link_page}})) {{tags_string}}",
 			use: "default",
 			__with: "formatted",
 			...annotations
@@ -239,6 +270,7 @@ export function setupInitialSettings(settingsObject: Partial<UserSettings>): Use
 				param: "srcUid",
 				paramValue: ""
 			},
+			template: DEFAULT_METADATA_TEMPLATE,
 			use: "default",
 			...metadata
 		},
@@ -248,9 +280,14 @@ export function setupInitialSettings(settingsObject: Partial<UserSettings>): Use
 			nest_position: "top",
 			nest_preset: "[[Notes]]",
 			nest_use: "preset",
+			smartblock: {
+				param: "srcUid",
+				paramValue: ""
+			},
 			split_char: "",
 			split_preset: "\n",
 			split_use: "preset",
+			template: DEFAULT_NOTES_TEMPLATE,
 			use: "default",
 			__with: "text",
 			...notes
@@ -259,11 +296,12 @@ export function setupInitialSettings(settingsObject: Partial<UserSettings>): Use
 			autoload: false,
 			cacheEnabled: false,
 			darkTheme: false,
+			fulltextIndex: false,
 			render_inline: false,
 			...other
 		},
 		pageMenu: {
-			defaults: ["addMetadata", "importNotes", "viewItemInfo", "openZoteroLocal", "openZoteroWeb", "pdfLinks", "sciteBadge", "connectedPapers", "semanticScholar", "googleScholar", "citingPapers"],
+			defaults: ["addMetadata", "importNotes", "exportNote", "viewItemInfo", "manageCollections", "openZoteroLocal", "openZoteroWeb", "pdfLinks", "sciteBadge", "connectedPapers", "semanticScholar", "googleScholar", "citingPapers"],
 			trigger: "default",
 			...pageMenu
 		},
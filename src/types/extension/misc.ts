@@ -1,3 +1,9 @@
+/** The order of entries in a bibliography : in order of first citation, or sorted alphabetically */
+export type BibliographyOrder = "alphabetical" | "first-cited";
+
+/** The file formats in which items can be exported */
+export type ExportFileFormat = "bibtex" | "csljson" | "ris";
+
 export type ExtensionContextValue = {
 	portalId: string,
 	version: string
@@ -19,6 +19,49 @@ export type OutcomePage = {
 	uid: string
 };
 
+export type OutcomeBatchMetadata = {
+	/** Whether the import was cancelled before all items were processed */
+	cancelled: boolean,
+	/** The items whose import failed, with the reason for the failure */
+	failures: { citekey: string, error: string }[],
+	/** The citekeys of the items whose metadata was imported */
+	imported: string[],
+	/** The total number of items in the batch */
+	total: number
+};
+
+export type OutcomeBatchProgress = {
+	/** The number of items processed so far */
+	completed: number,
+	/** The total number of items in the batch */
+	total: number
+};
+
+export type OutcomeBibliography = {
+	/** Whether the bibliography block was added to the page, or an existing one was refreshed */
+	created: boolean,
+	/** The number of entries in the bibliography */
+	entries: number,
+	/** The UID of the bibliography block */
+	uid: string
+};
+
+export type OutcomeCitekeyRename = {
+	/** The number of blocks whose mentions of the old citekey were rewritten */
+	blocks: number,
+	/** Whether the old citekey's page was renamed, merged into the new citekey's page, didn't exist, or couldn't be renamed because the new citekey already has a page */
+	page: "conflict" | "merged" | "missing" | "renamed"
+};
+
+export type OutcomeMetadataChanges = {
+	/** The number of blocks that were added to the page */
+	created: number,
+	/** The number of blocks that were already on the page, and whose contents were updated */
+	updated: number,
+	/** The number of blocks that were already on the page, and whose contents were up-to-date */
+	unchanged: number
+};
+
 export type OutcomeMetadataStatus =
 	| { error: null, success: true }
 	| { error: Error, success: false }
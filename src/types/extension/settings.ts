@@ -1,7 +1,7 @@
 import { ZoteroAPI } from "@clients/zotero";
 import { SBConfig } from "@services/smartblocks";
 
-import { ZLibrary } from "../transforms";
+import { ZLibrary, ZLibraryBackend } from "../transforms";
 import { ZItemReferenceFormat } from "./misc";
 
 
@@ -13,6 +13,8 @@ import { ZItemReferenceFormat } from "./misc";
 export interface LegacyUserDataRequest {
 	/** The API key to be used */
 	apikey?: string,
+	/** The API to use for the request (default: `"web"`) */
+	backend?: ZLibraryBackend,
 	/** The data URI to be used
 	 * @example "users/123456/items"
 	*/
@@ -20,16 +22,22 @@ export interface LegacyUserDataRequest {
 	/** A user-chosen name for the request */
 	name?: string,
 	/** Additional parameters for the request */
-	params?: string
+	params?: string,
+	/** Determines if missing citekeys should be resolved with Better BibTeX */
+	useBetterBibtex?: boolean
 }
 
 export interface UserDataRequest {
 	apikey?: string,
+	backend?: ZLibraryBackend,
 	library: {
 		id: string,
 		type: "groups" | "users"
 	},
-	name?: string
+	name?: string,
+	/** The keys of the library's saved searches that can be used to filter items */
+	searches?: string[],
+	useBetterBibtex?: boolean
 }
 
 /** 
@@ -38,6 +46,8 @@ export interface UserDataRequest {
 export interface DataRequest {
 	/** The API key to be used */
 	apikey: string,
+	/** The API to use for the request (default: `"web"`). Requests to the local API are read-only. */
+	backend?: ZLibraryBackend,
 	/** The data URI to be used
 	 * @example "users/123456/items"
 	*/
@@ -60,7 +70,11 @@ export interface DataRequest {
 		uri: string
 	},
 	/** A user-chosen name for the request */
-	name: string
+	name: string,
+	/** The keys of the library's saved searches that can be used to filter items. Membership is retrieved separately, so searches don't change which items are synced. */
+	searches?: string[],
+	/** Determines if missing citekeys should be resolved with Better BibTeX. This is only supported for the user's own library. */
+	useBetterBibtex?: boolean
 }
 
 /** 
@@ -78,17 +92,39 @@ export interface UserRequests {
 /* -------------------------------------------------------------- */
 
 /** Settings to use for formatting Zotero 6 annotations */
+/** The meaning given to a highlight color, and how annotations of that color should be imported */
+export interface AnnotationColorMapping {
+	/** The color, as a hex code (e.g `#ffd400`) */
+	color: string,
+	/** The block under which annotations of that color are nested. If empty, annotations aren't nested, unless they are grouped by color : the label is then used. */
+	heading: string,
+	/** The meaning of the color (e.g `Claim`) */
+	label: string,
+	/** Tags to add to annotations of that color */
+	tags: string[],
+	/** The template to use for highlights of that color. If empty, the default template is used. */
+	template: string
+}
+
 export interface SettingsAnnotations {
+	/** The meanings given to highlight colors, in the order in which they should be grouped */
+	colors: AnnotationColorMapping[],
 	/** The name of the custom formatting function */
 	func: string,
 	/** The grouping method to use for annotations: `false` if no grouping, or a preset value */
-	group_by: "day_added" | false,
+	group_by: "color" | "day_added" | false,
+	/** Determines if image annotations should be imported, by uploading their image to the graph */
+	images: boolean,
+	/** The configuration of the custom formatting SmartBlock */
+	smartblock: SBConfig,
 	/** The template to use for comments */
 	template_comment: string,
 	/** The template to use for highlights */
 	template_highlight: string,
+	/** The template to use for image annotations */
+	template_image: string,
 	/** The type of formatter to use for annotations */
-	use: "default" | "function",
+	use: "default" | "function" | "smartblock",
 	/** The input type that should be passed to the custom formatting function */
 	__with: "formatted" | "raw"
 }
@@ -133,8 +169,10 @@ export interface SettingsMetadata {
 	func: string,
 	/** The configuration of the custom formatting SmartBlock */
 	smartblock: SBConfig,
+	/** The template to use for metadata */
+	template: string,
 	/** The type of formatter to use for metadata */
-	use: "default" | "function" | "smartblock"
+	use: "default" | "function" | "smartblock" | "template"
 }
 
 /** Settings to use for formatting Zotero notes */
@@ -149,14 +187,18 @@ export interface SettingsNotes {
 	nest_preset: false | "[[Notes]]",
 	/** The type of setting to use for nesting */
 	nest_use: "preset" | "custom",
+	/** The configuration of the custom formatting SmartBlock */
+	smartblock: SBConfig,
 	/** The string on which blocks should be split */
 	split_char: string,
 	/** The default string for splitting blocks */
 	split_preset: "\n" | "</p>",
 	/** The type of setting to use for splitting blocks */
 	split_use: "preset" | "custom",
+	/** The template to use for each note */
+	template: string,
 	/** The type of formatter to use for notes */
-	use: "default" | "function",
+	use: "default" | "function" | "smartblock" | "template",
 	/** The input type that should be passed to the custom formatting function */
 	__with: "raw" | "text"
 }
@@ -169,6 +211,8 @@ export interface SettingsOther {
 	cacheEnabled: boolean,
 	/** Determines if the extension should use Dark Mode by default */
 	darkTheme: boolean,
+	/** Determines if the extension should index the full-text content of PDFs, for searching */
+	fulltextIndex: boolean,
 	/** Determines if the extension should render inline citekeys as references */
 	render_inline: boolean
 }
@@ -176,7 +220,7 @@ export interface SettingsOther {
 /** Settings for displaying page menus */
 export interface SettingsPageMenu {
 	/** The list of elements to display in citekey menus */
-	defaults: ("addMetadata" | "importNotes" | "viewItemInfo" | "openZoteroLocal" | "openZoteroWeb" | "pdfLinks" | "sciteBadge" | "connectedPapers" | "semanticScholar" | "googleScholar" | "citingPapers")[],
+	defaults: ("addMetadata" | "importNotes" | "exportNote" | "viewItemInfo" | "manageCollections" | "openZoteroLocal" | "openZoteroWeb" | "pdfLinks" | "sciteBadge" | "connectedPapers" | "semanticScholar" | "googleScholar" | "citingPapers")[],
 	/** Determines when page menus should be shown: "default" if the preset should be used, or a boolean value */
 	trigger: "default" | boolean
 }
@@ -11,6 +11,11 @@ export type RCitekeyPages = Map<string, string>;
  */
 export type RCitekeyPagesWithEditTime = Map<string, { edited: Date, uid: string }>;
 
+/**
+ * Mapping between the title and metadata (uid, number of blocks referencing the page) of all citekey pages in the Roam graph.
+ */
+export type RCitekeyPagesWithBacklinks = Map<string, { backlinks: number, uid: string }>;
+
 /**
  * Location parameters for the user's cursor within the Roam interface
  */
@@ -33,6 +38,8 @@ export interface RImportableBlock {
 	order?: number,
 	/** The UID of the block's parent */
 	parentUID?: string,
+	/** The properties to store on the block */
+	props?: Record<string, any>,
 	/** The string contents of the block. Required for importing via the extension's importers. */
 	string: string,
 	/** The string contents of the block. Required for importing via a SmartBlock. */
@@ -42,4 +49,52 @@ export interface RImportableBlock {
 /**
  * An element that can be imported to Roam by the extension.
  */
-export type RImportableElement = RImportableBlock | string;
\ No newline at end of file
+export type RImportableElement = RImportableBlock | string;
+
+/**
+ * An element imported as part of an item's metadata, with the name of the field it represents (if any).
+ * Elements without a field are matched by their contents when the metadata is imported again.
+ */
+export type RMetadataElement = {
+	block: RImportableElement,
+	field: string | null
+};
+
+/**
+ * The marker stored in the props of imported metadata blocks, to identify them in later imports.
+ */
+export type RMetadataMarker = {
+	field: string | null,
+	/** The version of the Zotero item when the block was last imported */
+	version: number
+};
+
+/**
+ * An operation to run on a Roam page, in order to bring its metadata blocks up to date.
+ */
+export type RMetadataOperation =
+	| { action: "create", block: RImportableBlock, order: number }
+	| { action: "update", props: Record<string, any>, string: string, uid: string }
+	| { action: "keep", props: Record<string, any> | null, uid: string };
+
+/**
+ * A Roam block (or page) and its descendants, as retrieved from the graph.
+ */
+export interface RBlockTree {
+	/** The block's children, if any. Not guaranteed to be sorted. */
+	children?: RBlockTree[],
+	/** The block's heading style, if any */
+	heading?: number,
+	/** The block's position under its parent */
+	order?: number,
+	/** The page that contains the block. Not provided for pages. */
+	page?: { title: string, uid: string },
+	/** The block's properties, if any */
+	props?: Record<string, any>,
+	/** The block's string contents. Not provided for pages. */
+	string?: string,
+	/** The page's title. Only provided for pages. */
+	title?: string,
+	/** The UID of the block */
+	uid: string
+}
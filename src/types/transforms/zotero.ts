@@ -45,6 +45,8 @@ export interface ZSimplifiedAnnotation {
 	date_modified: string,
 	day_added: string,
 	day_modified: string,
+	/** The URL of the annotation's image, once uploaded to the graph (image annotations only) */
+	image: string | null,
 	key: string,
 	library: string,
 	link_page: string,
@@ -95,8 +97,13 @@ export interface ZLibraryContents {
 	pdfs: ZItemAttachment[]
 }
 
+/** The API used to reach a Zotero library: the Zotero web API, or the local API of Zotero 7 */
+export type ZLibraryBackend = "local" | "web";
+
 export interface ZLibrary {
 	apikey: string,
+	/** The API to use for the library (default: `"web"`) */
+	backend?: ZLibraryBackend,
 	path: string
 }
 
@@ -1,12 +1,16 @@
 import { isAxiosError } from "axios";
 
 import zrToaster from "Components/ExtensionToaster";
+import { simplifyZoteroNotes } from "Components/NotesDrawer/helpers";
 
 import { makeDNP } from "@services/roam";
+import { renderTemplate, renderTemplateBlocks } from "@services/templating";
 
-import { SettingsAnnotations, SettingsNotes, ZItemReferenceFormat } from "Types/extension";
+import { ROAM_PROPS_KEY } from "./constants";
+
+import { AnnotationColorMapping, SettingsAnnotations, SettingsNotes, ZItemReferenceFormat } from "Types/extension";
 import { AsBoolean } from "Types/helpers";
-import { RCitekeyPages, RImportableBlock, ZCleanItemTop, ZItem, ZItemAnnotation, ZItemAttachment, ZItemNote, ZItemTop, ZLibraryContents, ZLinkOptions, ZSimplifiedAnnotation, ZTagDictionary, isZAttachment, isZNoteOrAnnotation } from "Types/transforms";
+import { RBlockTree, RCitekeyPages, RImportableBlock, RImportableElement, RMetadataElement, RMetadataMarker, RMetadataOperation, ZCleanItemTop, ZItem, ZItemAnnotation, ZItemAttachment, ZItemNote, ZItemTop, ZLibraryContents, ZLinkOptions, ZSimplifiedAnnotation, ZTagDictionary, isZAttachment, isZNoteOrAnnotation } from "Types/transforms";
 
 
 /** Adds an element to the end of an array
@@ -59,6 +63,25 @@ function categorizeLibraryItems(datastore: ZItem[]): ZLibraryContents{
 	}, { items: [], pdfs: [], notes: [] });
 }
 
+/** Sorts notes and annotations based on whether they were already imported to Roam
+ * @param notes - The notes and annotations to sort
+ * @param imported - The notes and annotations that were imported, with their last-modified time at import
+ * @returns The notes that were never imported, those that were modified in Zotero since their import, and those that are up-to-date
+ */
+function categorizeNotes<T extends ZItemAnnotation | ZItemNote>(notes: T[], imported: Record<string, string>) {
+	return notes.reduce<{ changed: T[], imported: T[], new: T[] }>((obj, note) => {
+		const importedAt = imported[note.data.key];
+		if (!importedAt) {
+			obj.new.push(note);
+		} else if (new Date(note.data.dateModified) > new Date(importedAt)) {
+			obj.changed.push(note);
+		} else {
+			obj.imported.push(note);
+		}
+		return obj;
+	}, { changed: [], imported: [], new: [] });
+}
+
 /* istanbul ignore next */
 function cleanError(error: Error) {
 	try {
@@ -156,6 +179,21 @@ function cleanLibraryItem(item: ZItemTop, pdfs: ZItemAttachment[] = [], notes: (
 	return clean_item;
 }
 
+/** Formats the top-level items of a library into a clean format, with their children and Roam data
+ * @param itemList - The contents of the library
+ * @param roamCitekeys - The map of citekey pages in the Roam graph
+ * @returns The simplified items
+ * @see cleanLibraryItem
+ */
+function cleanLibrary(itemList: ZLibraryContents, roamCitekeys: RCitekeyPages): ZCleanItemTop[]{
+	return itemList.items.map(item => {
+		const location = item.library.type + "s/" + item.library.id;
+		const { pdfs, notes } = identifyChildren(item.data.key, location, { pdfs: itemList.pdfs, notes: itemList.notes });
+
+		return cleanLibraryItem(item, pdfs, notes, roamCitekeys);
+	});
+}
+
 /** Removes newlines at the beginning and end of a string */
 function cleanNewlines(text: string){
 	let cleanText = text;
@@ -208,33 +246,108 @@ function extractSortIndex(str: string){
 	return str.split("|").map(ind => Number(ind));
 }
 
-/** Copies a portion of text to the user's clipboard */
-function copyToClipboard(text: string){
+/** Copies a portion of text to the user's clipboard
+ * @param text - The text to copy
+ * @param config - Additional configuration
+ * @param config.summary - The description of the text to show in notifications, for texts too long to be shown in full
+ */
+function copyToClipboard(text: string, { summary = text }: { summary?: string } = {}){
 	if(navigator.clipboard){
 		navigator.clipboard.writeText(text)
 			.then((_response) => {
 				zrToaster.show({
 					intent: "success",
-					message: `Successfully copied to clipboard: ${text}`,
+					message: `Successfully copied to clipboard: ${summary}`,
 					timeout: 800
 				});
 			})
 			.catch((e) => {
 				window.zoteroRoam?.error?.({
 					origin: "Copy",
-					message: `Failed to copy to clipboard: ${text}`,
+					message: `Failed to copy to clipboard: ${summary}`,
 					detail: e.message,
 					showToaster: 1000
 				});
 			});
 	} else {
 		zrToaster.show({
-			message: `Clipboard API is not available. The following could not be copied: ${text}`,
+			message: `Clipboard API is not available. The following could not be copied: ${summary}`,
 			timeout: 1000
 		});
 	}
 }
 
+/** Makes the browser download a text file
+ * @param contents - The contents of the file
+ * @param filename - The name of the file
+ * @param type - The MIME type of the file
+ */
+function downloadFile(contents: string, filename: string, type: string){
+	const url = URL.createObjectURL(new Blob([contents], { type }));
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	link.click();
+	URL.revokeObjectURL(url);
+}
+
+/** Compares the metadata blocks for an item with the blocks already on its Roam page, to bring the page up to date without duplicating its contents.
+ * Metadata blocks are identified by the marker stored in their props : blocks with a field are matched by field, other blocks are matched by their contents.
+ * Blocks without a marker (e.g, written by the user) are left untouched.
+ * @param elements - The metadata elements to import
+ * @param existing - The top-level blocks currently on the page
+ * @param version - The version of the Zotero item
+ * @returns The operations to run on the page, in order
+ */
+function diffMetadataBlocks(elements: RMetadataElement[], existing: RBlockTree[] = [], version: number): RMetadataOperation[] {
+	const candidates = sortBlocks(existing).filter(blck => blck.props?.[ROAM_PROPS_KEY]?.metadata);
+	const matched = new Set<string>();
+	// New blocks are inserted after the last block that was matched, to keep metadata in its original order
+	let position = 0;
+	let inserted = 0;
+
+	return elements.map<RMetadataOperation>(({ block, field }) => {
+		const { string, ...rest }: RImportableBlock = typeof(block) == "string" ? { string: block, text: block } : block;
+		const marker: RMetadataMarker = { field, version };
+		const target = candidates.find(blck => {
+			const { field: blockField } = blck.props![ROAM_PROPS_KEY].metadata as RMetadataMarker;
+			return !matched.has(blck.uid) && (field ? blockField == field : (!blockField && blck.string == string));
+		});
+
+		if (!target) {
+			const order = position;
+			position += 1;
+			inserted += 1;
+			return {
+				action: "create",
+				block: { ...rest, string, props: { ...rest.props, [ROAM_PROPS_KEY]: { ...rest.props?.[ROAM_PROPS_KEY], metadata: marker } } },
+				order
+			};
+		}
+
+		matched.add(target.uid);
+		position = (target.order || 0) + inserted + 1;
+
+		const current = target.props![ROAM_PROPS_KEY];
+		const props = { ...target.props, [ROAM_PROPS_KEY]: { ...current, metadata: marker } };
+
+		if (target.string != string) {
+			return { action: "update", props, string, uid: target.uid };
+		} else {
+			return { action: "keep", props: current.metadata.version == version ? null : props, uid: target.uid };
+		}
+	});
+}
+
+/** Extracts the citekeys mentioned in a string, whether as page references (`[[@citekey]]`), tags (`#@citekey`) or plain text (`@citekey`)
+ * @param string - The string to search
+ * @returns The unique citekeys mentioned, without the `@` prefix, in order of appearance
+ */
+function extractCitekeyMentions(string: string): string[] {
+	const matches = Array.from(string.matchAll(/(?<![\w@])@(\w(?:[\w:.-]*\w)?)/g), match => match[1]);
+	return Array.from(new Set(matches));
+}
+
 /** Escapes special characters in a string, so that it can be used as RegExp.
  * From Darren Cook on SO : https://stackoverflow.com/questions/3446170/escape-string-for-use-in-javascript-regex
  * @param string - The original string to escape
@@ -265,6 +378,15 @@ function executeFunctionByName(functionName: string, context: Window | any, ..._
 	return ctx[func](...args);
 }
 
+/** Finds the meaning that the user gave to an annotation's color, if any. Colors are compared regardless of case.
+ * @param color - The annotation's color, as a hex code
+ * @param colors - The user's color mappings
+ * @returns The color's mapping, if it exists
+ */
+function findColorMapping(color: string, colors: AnnotationColorMapping[]): AnnotationColorMapping | undefined {
+	return colors.find(mapping => mapping.color.toLowerCase() == color?.toLowerCase());
+}
+
 /** Formats a single Zotero annotation with params
  * @returns A block object, ready for import into Roam
  */
@@ -272,40 +394,110 @@ function formatAnnotationWithParams(
 	/** The annotation to be formatted */
 	annotation: ZSimplifiedAnnotation,
 	/** Additional configuration  */
-	{ template_comment = "{{comment}}", template_highlight = "[[>]] {{highlight}} ([p. {{page_label}}]({{link_page}})) {{tags_string}}" }: Partial<Pick<SettingsAnnotations, "template_comment" | "template_highlight">> = {}
+	{
+		colors = [],
+		template_comment = "{{comment}}",
+		template_highlight = "[[>]] {{highlight}} ([p. {{page_label}}]({{link_page}})) {{tags_string}}",
+		template_image = "![]({{image}}) ([p. {{page_label}}]({{link_page}})) {{tags_string}}"
+	}: Partial<Pick<SettingsAnnotations, "colors" | "template_comment" | "template_highlight" | "template_image">> = {}
 ) {
+	const mapping = findColorMapping(annotation.color, colors);
+
+	let template: string;
 	if(annotation.type == "highlight"){
-		const { comment, page_label, link_page, tags_string, text } = annotation;
+		template = mapping?.template || template_highlight;
+	} else if(annotation.type == "image" && annotation.image){
+		// Image annotations can only be imported once their image has been uploaded to the graph
+		template = template_image;
+	} else {
+		return null;
+	}
 
-		let commentBlock = template_comment;
-		let highlightBlock = template_highlight;
+	const context = getAnnotationTemplateData(annotation, colors);
 
-		const specs = {
-			comment,
-			highlight: text,
-			page_label,
-			link_page,
-			tags_string
-		};
+	const commentBlock = renderTemplate(template_comment, context);
+	const annotationBlock = renderTemplate(template, context);
 
-		for(const prop in specs){
-			commentBlock = commentBlock.replaceAll(`{{${prop}}}`, `${specs[prop]}`);
-			highlightBlock = highlightBlock.replaceAll(`{{${prop}}}`, `${specs[prop]}`);
-		}
+	return {
+		string: annotationBlock,
+		text: annotationBlock,
+		children: annotation.comment ? [commentBlock] : []
+	};
+}
 
-		return {
-			string: highlightBlock,
-			text: highlightBlock,
-			children: comment ? [commentBlock] : []
-		};
+/** Converts Roam markup into HTML, for use in a Zotero note. Page references and tags are rendered as plain text.
+ * @param string - The contents of the Roam block
+ * @returns The HTML contents
+ */
+function convertRoamMarkup(string: string): string {
+	let output = string
+		.replaceAll("&", "&amp;")
+		.replaceAll("<", "&lt;")
+		.replaceAll(">", "&gt;");
+
+	// Aliases to pages are reduced to their text, before any page reference is unwrapped
+	output = output.replaceAll(/\[([^\]]+?)\]\(\[\[.+?\]\]\)/g, "$1");
+	output = output.replaceAll(/\[([^\]]+?)\]\(((?:https?|zotero):\/\/[^)\s]+)\)/g, "<a href=\"$2\">$1</a>");
+
+	// Page references can be nested, so they are unwrapped from the inside out
+	let previous: string;
+	do {
+		previous = output;
+		output = output.replaceAll(/#?\[\[([^[\]]*?)\]\]/g, "$1");
+	} while (output != previous);
+
+	return output
+		.replaceAll(/(^|\s)#([^\s#[\]]+)/g, "$1$2")
+		.replaceAll(/`([^`]+?)`/g, "<code>$1</code>")
+		.replaceAll(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+		.replaceAll(/__(.+?)__/g, "<em>$1</em>");
+}
 
-	} else if(annotation.type == "image"){
-		// let { pageIndex, rects } = ann.position;
-		// TODO: Can rect selections be extracted into an image ?
-		return null;
-	} else {
-		return null;
+/** Lists the citekeys mentioned in a Roam block (or page) and its descendants, in the order in which they first appear.
+ * Blocks that hold a bibliography generated by the extension are skipped.
+ * @param tree - The block's tree
+ * @returns The unique citekeys mentioned, without the `@` prefix
+ */
+function listCitekeyMentions(tree: RBlockTree | null): string[] {
+	const citekeys = new Set<string>();
+
+	const walk = (blocks: RBlockTree[] = []) => {
+		sortBlocks(blocks)
+			.filter(block => !block.props?.[ROAM_PROPS_KEY]?.bibliography)
+			.forEach(block => {
+				extractCitekeyMentions(block.string || "").forEach(citekey => citekeys.add(citekey));
+				walk(block.children);
+			});
+	};
+	walk(tree?.children);
+
+	return Array.from(citekeys);
+}
+
+/** Sorts Roam blocks based on their position under their parent */
+function sortBlocks(blocks: RBlockTree[] = []): RBlockTree[] {
+	return [...blocks].sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/** Formats the children of a Roam block as a nested HTML list */
+function formatBlockChildren(children: RBlockTree[] = []): string {
+	if (children.length == 0) {
+		return "";
 	}
+	const items = sortBlocks(children).map(child => `<li>${convertRoamMarkup(child.string || "")}${formatBlockChildren(child.children)}</li>`);
+	return `<ul>${items.join("")}</ul>`;
+}
+
+/** Converts Roam blocks into the HTML contents of a Zotero note. Each block becomes a paragraph (or a header, if the block has a heading), and its children become a nested list.
+ * @param blocks - The Roam blocks to convert, with their descendants
+ * @returns The HTML contents of the note
+ */
+function formatBlocksAsNote(blocks: RBlockTree[]): string {
+	const contents = sortBlocks(blocks).map(block => {
+		const tag = block.heading ? "h" + block.heading : "p";
+		return `<${tag}>${convertRoamMarkup(block.string || "")}</${tag}>${formatBlockChildren(block.children)}`;
+	});
+	return `<div data-schema-version="8">${contents.join("")}</div>`;
 }
 
 /** Default formatter for annotations 
@@ -315,11 +507,60 @@ function formatItemAnnotations(
 	/** The annotations to be formatted */
 	annotations: ZItemAnnotation[],
 	/** Additional configuration */
-	{ group_by = false, template_comment, template_highlight }: Partial<Pick<SettingsAnnotations, "group_by" | "template_comment" | "template_highlight">> = {}
+	{ colors = [], group_by = false, template_comment, template_highlight, template_image }: Partial<Pick<SettingsAnnotations, "colors" | "group_by" | "template_comment" | "template_highlight" | "template_image">> = {},
+	/** The URLs of the images uploaded for image annotations, by annotation key */
+	images: Record<string, string> = {}
 ): RImportableBlock[] {
-	const annots = simplifyZoteroAnnotations(annotations);
+	const annots = simplifyZoteroAnnotations(annotations, images);
+	const formatOne = (ann: ZSimplifiedAnnotation) => formatAnnotationWithParams(ann, {
+		colors,
+		template_comment,
+		template_highlight,
+		template_image
+	});
 
-	if(group_by == "day_added"){
+	/** Nests annotations under the heading of their color, if it has one. Each heading is placed where its first annotation would be. */
+	const formatWithHeadings = (list: ZSimplifiedAnnotation[]) => {
+		const headings = new Map<string, RImportableBlock[]>();
+		return list.reduce<RImportableBlock[]>((blocks, ann) => {
+			const block = formatOne(ann);
+			const heading = findColorMapping(ann.color, colors)?.heading.trim();
+			if(!block){
+				return blocks;
+			} else if(!heading){
+				blocks.push(block);
+			} else if(headings.has(heading)){
+				headings.get(heading)!.push(block);
+			} else {
+				const children = [block];
+				headings.set(heading, children);
+				blocks.push({ string: heading, text: heading, children });
+			}
+			return blocks;
+		}, []);
+	};
+
+	if(group_by == "color"){
+		// Annotations are grouped in the order in which colors were mapped ; annotations whose color isn't mapped come last, without a heading
+		const groups = colors
+			.flatMap<RImportableBlock>(mapping => {
+				const heading = (mapping.heading || mapping.label).trim();
+				const children = annots
+					.filter(ann => findColorMapping(ann.color, colors) == mapping)
+					.map(formatOne)
+					.filter(AsBoolean);
+				if(children.length == 0){
+					return [];
+				}
+				return heading ? [{ string: heading, text: heading, children }] : children;
+			});
+		const unmapped = annots
+			.filter(ann => !findColorMapping(ann.color, colors))
+			.map(formatOne)
+			.filter(AsBoolean);
+
+		return [...groups, ...unmapped];
+	} else if(group_by == "day_added"){
 		const day_dict = annots
 			.sort((a,b) => a.date_added < b.date_added ? -1 : 1)
 			.reduce<{[i: string]: ZSimplifiedAnnotation[]}>((dict, elem) => {
@@ -338,23 +579,12 @@ function formatItemAnnotations(
 				return {
 					string: makeDNP(`${date}T00:00`, { brackets: true }),
 					text: makeDNP(`${date}T00:00`, { brackets: true }),
-					children: sortedAnnots
-						.map(ann => formatAnnotationWithParams(ann,
-							{ 
-								template_comment, 
-								template_highlight
-							}
-						))
-						.filter(AsBoolean)
+					children: formatWithHeadings(sortedAnnots)
 				};
 			})
 			.filter(date => date.children.length > 0);
 	} else {
-		return annots
-			.map(ann => formatAnnotationWithParams(ann, { 
-				template_comment, 
-				template_highlight }))
-			.filter(AsBoolean);
+		return formatWithHeadings(annots);
 	}
 }
 
@@ -426,7 +656,7 @@ function formatItemReference(item: ZItemTop, format: ZItemReferenceFormat | stri
  * @param config - Additional settings
  * @returns The formatted notes
  */
-function formatZoteroNotes(notes: ZItemNote[], { func = "", split_char = "", split_preset = "\n", split_use = "preset", use = "default", __with = "raw" }: Partial<SettingsNotes> = {}){
+function formatZoteroNotes(notes: ZItemNote[], { func = "", split_char = "", split_preset = "\n", split_use = "preset", template = "", use = "default", __with = "raw" }: Partial<SettingsNotes> = {}){
 	const separator = (split_use == "custom")
 		? split_char
 		: split_preset;
@@ -434,12 +664,57 @@ function formatZoteroNotes(notes: ZItemNote[], { func = "", split_char = "", spl
 	if(use == "function" && func){
 		// If the user has provided a custom function, execute it with the desired input
 		return executeFunctionByName(func, window, __with == "raw" ? notes : splitNotes(notes, separator));
+	} else if(use == "template" && template){
+		// Each note is rendered separately
+		return getNotesTemplateData(notes, separator).flatMap(nt => renderTemplateBlocks(template, nt));
 	} else {
 		// Otherwise use the default formatter
 		return formatItemNotes(notes, separator);
 	}
 }
 
+/** Prepares the data available to templates for an annotation : its simplified fields, with its highlighted text, the label given to its color, and the tags associated with its color
+ * @param annotation - The simplified annotation
+ * @param colors - The user's color mappings
+ * @returns The annotation's template data
+ */
+function getAnnotationTemplateData(annotation: ZSimplifiedAnnotation, colors: AnnotationColorMapping[] = []) {
+	const mapping = findColorMapping(annotation.color, colors);
+	// Tags associated with the annotation's color are added to its own
+	const tags = Array.from(new Set([...annotation.tags, ...(mapping?.tags || [])]));
+
+	return {
+		...annotation,
+		highlight: annotation.text,
+		label: mapping?.label || "",
+		tags,
+		tags_string: tags.map(tag => `#[[${tag}]]`).join(", ")
+	};
+}
+
+/** Collects the Zotero notes and annotations that were imported to a Roam page (or block), based on the props of its blocks
+ * @param tree - The Roam page or block, with its descendants
+ * @returns A mapping between the keys of the imported notes and their last-modified time at import
+ */
+function getImportedNotes(tree: RBlockTree | null): Record<string, string> {
+	const imported: Record<string, string> = {};
+	const walk = (block: RBlockTree) => {
+		const record: Record<string, string> = block.props?.[ROAM_PROPS_KEY]?.notes || {};
+		Object.entries(record).forEach(([key, dateModified]) => {
+			if (!imported[key] || new Date(dateModified) > new Date(imported[key])) {
+				imported[key] = dateModified;
+			}
+		});
+		(block.children || []).forEach(walk);
+	};
+
+	if (tree) {
+		walk(tree);
+	}
+
+	return imported;
+}
+
 /** Creates a local link to a specific Zotero item, which opens in the standalone app.
  * @param item - The targeted Zotero item
  * @param config - Additional settings
@@ -457,6 +732,21 @@ function getLocalLink(item: ZItemTop, { format = "markdown", text = "Local libra
 	}
 }
 
+/** Prepares the data available to templates for Zotero notes : their simplified fields, with their contents split into blocks
+ * @param notes - The Zotero notes
+ * @param separator - The string on which to split notes into blocks
+ * @returns The notes' template data
+ */
+function getNotesTemplateData(notes: ZItemNote[], separator = "\n") {
+	return simplifyZoteroNotes(notes).map(nt => ({
+		...nt,
+		blocks: formatItemNotes([nt.raw], separator),
+		day_added: makeDNP(nt.date_added, { brackets: false }),
+		day_modified: makeDNP(nt.date_modified, { brackets: false }),
+		tags_string: nt.tags.map(tag => `#[[${tag}]]`).join(", ")
+	}));
+}
+
 /** Creates a link to a specific PDF attachment in Zotero.
  * If the PDF is a `linked_file`, `imported_file` or `imported_url`, the link opens through the local Zotero app ; otherwise, it's the PDF's URL.
  * @param pdfItem - The targeted Zotero PDF item
@@ -607,6 +897,27 @@ function makeOrdinal(i: number): string {
 	}
 }
 
+/** Records the Zotero notes and annotations that blocks were formatted from, so that later imports can skip them.
+ * The record is stored once, on the first block : {@link getImportedNotes} collects records from the whole page.
+ * @param blocks - The blocks to import
+ * @param notes - The notes and annotations that were formatted
+ * @returns The blocks, with the notes' keys and last-modified time stored in the props of the first block
+ */
+function markImportedNotes(blocks: RImportableElement[], notes: (ZItemAnnotation | ZItemNote)[]): RImportableBlock[] {
+	const record = Object.fromEntries(notes.map(nt => [nt.data.key, nt.data.dateModified]));
+
+	return blocks.map((blck, i) => {
+		const block: RImportableBlock = typeof(blck) == "string" ? { string: blck, text: blck } : blck;
+		if (i > 0) {
+			return block;
+		}
+		return {
+			...block,
+			props: { ...block.props, [ROAM_PROPS_KEY]: { ...block.props?.[ROAM_PROPS_KEY], notes: record } }
+		};
+	});
+}
+
 /** Creates a user-readable timestamp for a given date-time.
  * @param date - The date to convert 
  * @returns A timestamp in text format, HH:MM
@@ -692,6 +1003,18 @@ function pluralize(num: number, string: string, suffix = "") {
 	return `${num == 0 ? "No" : num} ${string}${num == 1 ? "" : "s"}${suffix}`;
 }
 
+/** Replaces mentions of a citekey in a string, whether as a page reference (`[[@citekey]]`), a tag (`#@citekey`) or plain text (`@citekey`).
+ * Mentions of other citekeys that start with the same characters are left untouched.
+ * @param string - The string to rewrite
+ * @param from - The citekey to replace, without the `@` prefix
+ * @param to - The new citekey, without the `@` prefix
+ * @returns The rewritten string
+ */
+function replaceCitekeyMentions(string: string, from: string, to: string) {
+	const pattern = new RegExp(`(?<![\\w@])@${escapeRegExp(from)}(?![\\w-]|[:.]\\w)`, "g");
+	return string.replace(pattern, () => "@" + to);
+}
+
 interface SearchEngineParams {
 	any_case: boolean,
 	match: "exact" | "partial" | "word",
@@ -810,9 +1133,10 @@ function searchEngine_string(str: string, text: string, { any_case = true, match
 
 /** Simplifies data structure for Zotero 6 annotations
  * @param annotations - The list of annotations to simplify
+ * @param images - The URLs of the images uploaded for image annotations, by annotation key
  * @returns The simplified array of annotations
  */
-function simplifyZoteroAnnotations(annotations: ZItemAnnotation[]): ZSimplifiedAnnotation[]{
+function simplifyZoteroAnnotations(annotations: ZItemAnnotation[], images: Record<string, string> = {}): ZSimplifiedAnnotation[]{
 	return annotations.map(annot => {
 		const { 
 			annotationColor: color, 
@@ -852,6 +1176,7 @@ function simplifyZoteroAnnotations(annotations: ZItemAnnotation[]): ZSimplifiedA
 			date_modified,
 			day_added,
 			day_modified,
+			image: images[annot.key] || null,
 			key: annot.key,
 			library,
 			link_pdf,
@@ -902,30 +1227,43 @@ export {
 	removeArrayElemAt,
 	updateArrayElemAt,
 	categorizeLibraryItems,
+	categorizeNotes,
 	cleanError,
+	cleanLibrary,
 	cleanLibraryItem,
 	cleanNewlines,
 	compareAnnotationIndices,
 	copyToClipboard,
+	diffMetadataBlocks,
+	downloadFile,
 	escapeRegExp,
 	executeFunctionByName,
+	extractCitekeyMentions,
 	extractSortIndex,
+	formatBlocksAsNote,
 	formatItemAnnotations,
 	formatItemNotes,
 	formatItemReference,
 	formatZoteroNotes,
+	getAnnotationTemplateData,
+	getImportedNotes,
+	getNotesTemplateData,
 	getPDFLink,
 	getLocalLink,
 	getWebLink,
 	identifyChildren,
+	listCitekeyMentions,
 	makeDateFromAgo,
 	makeDictionary,
 	makeOrdinal,
 	makeTimestamp,
+	markImportedNotes,
 	parseDOI,
 	pluralize,
+	replaceCitekeyMentions,
 	searchEngine,
 	simplifyZoteroAnnotations,
+	sortBlocks,
 	splitNotes,
 	transformDOIs
 };
\ No newline at end of file
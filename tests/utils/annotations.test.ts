@@ -3,7 +3,7 @@ import {
 	extractSortIndex,
 	simplifyZoteroAnnotations } from "../../src/utils";
 
-import { libraries, sampleAnnot } from "Mocks";
+import { libraries, sampleAnnot, sampleImageAnnot } from "Mocks";
 
 
 const { userLibrary } = libraries;
@@ -59,6 +59,7 @@ test("Simplifies annotations", () => {
 			date_modified: data.dateModified,
 			day_added: offset > 780 ? "March 17th, 2022" : offset < -660 ? "March 19th, 2022" : "March 18th, 2022",
 			day_modified: offset > 120 ? "April 1st, 2022" : offset < -1320 ? "April 3rd, 2022" : "April 2nd, 2022",
+			image: null,
 			key: sampleAnnot.key,
 			library: userLibrary.path,
 			link_pdf: "zotero://open-pdf/library/items/" + data.parentItem,
@@ -82,4 +83,12 @@ test("Simplifies annotations", () => {
 			text: data.annotationText,
 			type: data.annotationType
 		});
-});
\ No newline at end of file
+});
+
+test("Adds uploaded images to image annotations", () => {
+	const url = "https://firebasestorage.googleapis.com/some-image.png";
+	const [simplifiedImage] = simplifyZoteroAnnotations([sampleImageAnnot], { [sampleImageAnnot.key]: url });
+
+	expect(simplifiedImage.image).toBe(url);
+	expect(simplifiedImage.type).toBe("image");
+});
@@ -1,6 +1,6 @@
 import { vi } from "vitest";
 
-import { addElemToArray, removeArrayElemAt, updateArrayElemAt, executeFunctionByName } from "../../src/utils";
+import { addElemToArray, removeArrayElemAt, updateArrayElemAt, diffMetadataBlocks, executeFunctionByName, extractCitekeyMentions, listCitekeyMentions, replaceCitekeyMentions } from "../../src/utils";
 
 
 test("Appends element in array", () => {
@@ -46,4 +46,111 @@ describe("Executing a function by name", () => {
 			executeFunctionByName("customFunc", window);
 		}).toThrow("Function customFunc doesn't exist");
 	});
-});
\ No newline at end of file
+});
+
+describe("Comparing metadata blocks with the contents of a page", () => {
+	const marker = (field: string | null, version = 1) => ({ "zotero-roam": { metadata: { field, version } } });
+	const elements = [
+		{ block: "Title:: Some title", field: "title" },
+		{ block: "Year:: 2022", field: "year" },
+		{ block: "Tags:: #[[housing]]", field: "tags" },
+		{ block: "Some annotation", field: null }
+	];
+
+	test("All blocks are created on a new page", () => {
+		expect(diffMetadataBlocks(elements, [], 1)).toEqual(elements.map((elem, i) => ({
+			action: "create",
+			block: { string: elem.block, text: elem.block, props: marker(elem.field) },
+			order: i
+		})));
+	});
+
+	test("Existing blocks are updated in place, and user blocks are left untouched", () => {
+		const existing = [
+			{ uid: "user_block", order: 0, string: "My own notes" },
+			{ uid: "title_block", order: 1, string: "Title:: Some title", props: marker("title") },
+			{ uid: "tags_block", order: 2, string: "Tags:: #[[urban]]", props: { ...marker("tags"), "other-prop": true } },
+			{ uid: "annot_block", order: 3, string: "Some annotation", props: marker(null) }
+		];
+
+		expect(diffMetadataBlocks(elements, existing, 2)).toEqual([
+			{ action: "keep", props: { ...marker("title", 2) }, uid: "title_block" },
+			{ action: "create", block: { string: "Year:: 2022", text: "Year:: 2022", props: marker("year", 2) }, order: 2 },
+			{ action: "update", props: { ...marker("tags", 2), "other-prop": true }, string: "Tags:: #[[housing]]", uid: "tags_block" },
+			{ action: "keep", props: { ...marker(null, 2) }, uid: "annot_block" }
+		]);
+	});
+
+	test("Blocks that are up-to-date are kept as they are", () => {
+		const existing = [
+			{ uid: "title_block", order: 0, string: "Title:: Some title", props: marker("title") }
+		];
+
+		expect(diffMetadataBlocks(elements.slice(0, 1), existing, 1)).toEqual([
+			{ action: "keep", props: null, uid: "title_block" }
+		]);
+	});
+
+	test("Blocks without a field are matched by their contents", () => {
+		const existing = [
+			{ uid: "annot_block", order: 0, string: "Another annotation", props: marker(null) }
+		];
+
+		expect(diffMetadataBlocks(elements.slice(3), existing, 1)).toEqual([
+			{ action: "create", block: { string: "Some annotation", text: "Some annotation", props: marker(null) }, order: 0 }
+		]);
+	});
+});
+
+describe("Replacing citekey mentions", () => {
+	const cases = [
+		["[[@smith2020]] and #[[@smith2020]]", "[[@smithHousing2020]] and #[[@smithHousing2020]]"],
+		["See #@smith2020, p. 4", "See #@smithHousing2020, p. 4"],
+		["As argued by @smith2020.", "As argued by @smithHousing2020."],
+		["[[@smith2020a]] and [[@smith2020-b]]", "[[@smith2020a]] and [[@smith2020-b]]"],
+		["email@smith2020 and @@smith2020", "email@smith2020 and @@smith2020"]
+	];
+
+	test.each(cases)(
+		"%# Rewriting %s",
+		(string, expected) => {
+			expect(replaceCitekeyMentions(string, "smith2020", "smithHousing2020")).toBe(expected);
+		}
+	);
+
+	test("Special characters in citekeys are matched literally", () => {
+		expect(replaceCitekeyMentions("[[@smith.2020]] [[@smithX2020]]", "smith.2020", "smith2020"))
+			.toBe("[[@smith2020]] [[@smithX2020]]");
+	});
+});
+
+describe("Extracting citekey mentions", () => {
+	const cases = [
+		["[[@blochImplementingSocialInterventions2021]] and #@pinto2021", ["blochImplementingSocialInterventions2021", "pinto2021"]],
+		["As argued by @smith2020. See @smith2020, p. 4", ["smith2020"]],
+		["email@example.com and @@handle", []],
+		["[[@smith:2020.vol-1]]", ["smith:2020.vol-1"]]
+	] as const;
+
+	test.each(cases)(
+		"%# Extracting from %s",
+		(string, expected) => {
+			expect(extractCitekeyMentions(string)).toEqual(expected);
+		}
+	);
+});
+
+test("Listing the citekeys mentioned on a page, in order", () => {
+	const tree = {
+		uid: "PAGE_UID",
+		title: "Draft",
+		children: [
+			{ uid: "b", order: 1, string: "As shown by [[@pinto2021]] and @bloch2021", children: [{ uid: "c", string: "See also #@doe2018" }] },
+			{ uid: "a", order: 0, string: "Introduction, citing @bloch2021" },
+			{ uid: "d", order: 2, string: "Bibliography", props: { "zotero-roam": { bibliography: { order: "first-cited" } } }, children: [{ uid: "e", string: "@smith2020" }] }
+		]
+	};
+
+	expect(listCitekeyMentions(tree)).toEqual(["bloch2021", "pinto2021", "doe2018"]);
+	expect(listCitekeyMentions(null)).toEqual([]);
+});
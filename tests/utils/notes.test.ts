@@ -1,6 +1,8 @@
 import { mock } from "vitest-mock-extended";
-import { formatItemNotes, formatZoteroNotes, splitNotes } from "../../src/utils";
-import { ZItemNote } from "Types/transforms";
+import { categorizeNotes, formatBlocksAsNote, formatItemNotes, formatZoteroNotes, getImportedNotes, markImportedNotes, splitNotes } from "../../src/utils";
+import { RBlockTree, ZItemNote } from "Types/transforms";
+
+import { sampleNote, sampleOlderNote } from "Mocks";
 
 
 describe("Splitting HTML notes", () => {
@@ -101,4 +103,127 @@ describe("Parsing HTML notes", () => {
 				"Some content"
 			]);
 	});
-});
\ No newline at end of file
+});
+
+test("Formatting notes with a template", () => {
+	const template = "[[Zotero note]] {{tags_string}}\n{{#blocks}}\n  - {{.}}\n{{/blocks}}\n{{^blocks}}\n  - Empty note\n{{/blocks}}";
+	const blocks = formatItemNotes([sampleNote], "\n");
+
+	expect(formatZoteroNotes([sampleNote, sampleOlderNote], { template, use: "template" }))
+		.toEqual([
+			{
+				string: "[[Zotero note]] #[[toRead]]",
+				text: "[[Zotero note]] #[[toRead]]",
+				children: blocks.map(string => ({ string, text: string }))
+			},
+			{
+				string: "[[Zotero note]]",
+				text: "[[Zotero note]]",
+				children: [{ string: "an older note", text: "an older note" }]
+			}
+		]);
+	expect(formatZoteroNotes([sampleNote], { template: "", use: "template" }))
+		.toEqual(blocks);
+});
+
+describe("Converting Roam blocks to a Zotero note", () => {
+	test("Nested blocks", () => {
+		const blocks: RBlockTree[] = [
+			{
+				uid: "block_2",
+				order: 1,
+				string: "Second paragraph"
+			},
+			{
+				uid: "block_1",
+				order: 0,
+				string: "First paragraph",
+				children: [
+					{ uid: "child_2", order: 1, string: "Second child" },
+					{
+						uid: "child_1",
+						order: 0,
+						string: "First child",
+						children: [{ uid: "grandchild", order: 0, string: "Grandchild" }]
+					}
+				]
+			}
+		];
+
+		expect(formatBlocksAsNote(blocks))
+			.toBe("<div data-schema-version=\"8\"><p>First paragraph</p><ul><li>First child<ul><li>Grandchild</li></ul></li><li>Second child</li></ul><p>Second paragraph</p></div>");
+	});
+
+	test("Headings", () => {
+		expect(formatBlocksAsNote([{ uid: "block", heading: 2, string: "Summary" }]))
+			.toBe("<div data-schema-version=\"8\"><h2>Summary</h2></div>");
+	});
+
+	test.each<[string, string]>([
+		["Some **bold** and __italic__ text", "Some <strong>bold</strong> and <em>italic</em> text"],
+		["See [the docs](https://www.zotero.org/support)", "See <a href=\"https://www.zotero.org/support\">the docs</a>"],
+		["A reference to [[Some page]] and [[nested [[pages]]]]", "A reference to Some page and nested pages"],
+		["An [alias]([[Some page]])", "An alias"],
+		["Tagged #toRead and #[[to review]]", "Tagged toRead and to review"],
+		["Some `code`", "Some <code>code</code>"],
+		["Escaped <b> & co", "Escaped &lt;b&gt; &amp; co"]
+	])(
+		"%s",
+		(string, expectation) => {
+			expect(formatBlocksAsNote([{ uid: "block", string }]))
+				.toBe(`<div data-schema-version="8"><p>${expectation}</p></div>`);
+		}
+	);
+});
+
+describe("Tracking imported notes", () => {
+	const record = {
+		[sampleNote.data.key]: sampleNote.data.dateModified,
+		[sampleOlderNote.data.key]: sampleOlderNote.data.dateModified
+	};
+
+	test("The first block records the notes that the blocks were formatted from", () => {
+		const blocks = ["Some text", { string: "Some block", text: "Some block", props: { "other-prop": true } }];
+
+		expect(markImportedNotes(blocks, [sampleNote, sampleOlderNote])).toEqual([
+			{ string: "Some text", text: "Some text", props: { "zotero-roam": { notes: record } } },
+			{ string: "Some block", text: "Some block", props: { "other-prop": true } }
+		]);
+		expect(markImportedNotes([{ string: "Some block", text: "Some block", props: { "other-prop": true } }], [sampleNote])).toEqual([
+			{ string: "Some block", text: "Some block", props: { "other-prop": true, "zotero-roam": { notes: { [sampleNote.data.key]: sampleNote.data.dateModified } } } }
+		]);
+	});
+
+	test("Imported notes are collected from all blocks in the page", () => {
+		const tree: RBlockTree = {
+			uid: "page_uid",
+			title: "@someCitekey",
+			children: [
+				{ uid: "user_block", string: "Some notes" },
+				{
+					uid: "nest_block",
+					string: "[[Notes]]",
+					children: [
+						{ uid: "block_1", string: "First import", props: { "zotero-roam": { notes: { [sampleNote.data.key]: "2021-01-01T00:00:00Z" } } } },
+						{ uid: "block_2", string: "Second import", props: { "zotero-roam": { notes: record } } }
+					]
+				}
+			]
+		};
+
+		expect(getImportedNotes(tree)).toEqual(record);
+		expect(getImportedNotes(null)).toEqual({});
+	});
+
+	test("Notes are categorized based on their last import", () => {
+		const imported = {
+			[sampleNote.data.key]: "2020-01-01T00:00:00Z",
+			[sampleOlderNote.data.key]: sampleOlderNote.data.dateModified
+		};
+
+		expect(categorizeNotes([sampleNote, sampleOlderNote], imported))
+			.toEqual({ changed: [sampleNote], imported: [sampleOlderNote], new: [] });
+		expect(categorizeNotes([sampleNote, sampleOlderNote], {}))
+			.toEqual({ changed: [], imported: [], new: [sampleNote, sampleOlderNote] });
+	});
+});
@@ -5,7 +5,7 @@ import { act, render } from "@testing-library/react";
 import "fake-indexeddb/auto";
 import { mock } from "vitest-mock-extended";
 
-import { EXTENSION_PORTAL_ID, EXTENSION_SLOT_ID, TYPEMAP_DEFAULT } from "../../src/constants";
+import { DEFAULT_METADATA_TEMPLATE, DEFAULT_NOTES_TEMPLATE, EXTENSION_PORTAL_ID, EXTENSION_SLOT_ID, TYPEMAP_DEFAULT } from "../../src/constants";
 import ZoteroRoam from "../../src/api";
 import IDBDatabaseService from "@services/idb";
 import { Roam } from "@services/roam";
@@ -94,6 +94,44 @@ describe("Parsing user data requests", () => {
 			.toThrow("The same library was provided twice: users/123456.");
 	});
 
+	it("throws if saved searches aren't provided as a list of keys", () => {
+		const reqs = [
+			{ library: { type: "users", id: "123456" }, apikey: "XXXXXXXXXX", searches: "ABCD1234" }
+		];
+
+		// @ts-expect-error "Tests bad input"
+		expect(() => analyzeUserRequests(reqs))
+			.toThrow("The saved searches for a request must be provided as a list of Zotero keys.");
+	});
+
+	it("keeps the saved searches chosen for a request", () => {
+		const reqs = [
+			{ library: { type: "users", id: "12345" }, apikey: "XXXXXXXXXX", searches: ["ABCD1234"] }
+		];
+
+		expect(analyzeUserRequests(reqs as UserDataRequest[]).dataRequests)
+			.toEqual([
+				{ dataURI: "users/12345/items", apikey: "XXXXXXXXXX", name: "", library: { id: "12345", path: "users/12345", type: "users", uri: "items" }, searches: ["ABCD1234"] }
+			]);
+	});
+
+	it("doesn't require an API key for requests to the local API", () => {
+		const reqs = [
+			{ library: { type: "users", id: "12345" }, backend: "local" }
+		];
+
+		expect(analyzeUserRequests(reqs as UserDataRequest[]))
+			.toEqual({
+				dataRequests: [
+					{ dataURI: "users/12345/items", apikey: "", backend: "local", name: "", library: { id: "12345", path: "users/12345", type: "users", uri: "items" } }
+				],
+				apiKeys: [],
+				libraries: [
+					{ path: "users/12345", apikey: "", backend: "local" }
+				]
+			});
+	});
+
 	/* This is needed to support manual install via roam/js when the user has specified their dataRequests as an Object */
 	it("accepts an Object as input", () => {
 		const reqs = {
@@ -204,10 +242,17 @@ describe("Parsing mock data requests", () => {
 describe("Parsing initial user settings", () => {
 	const defaults = {
 		annotations: {
+			colors: [],
 			func: "",
 			group_by: false,
+			images: true,
+			smartblock: {
+				param: "srcUid",
+				paramValue: ""
+			},
 			template_comment: "{{comment}}",
 			template_highlight: "[[>]] {{highlight}} ([p. {{page_label}}]({{link_page}})) {{tags_string}}",
+			template_image: "![]({{image}}) ([p. {{page_label}}]({{link_page}})) {{tags_string}}",
 			use: "default",
 			__with: "formatted"
 		},
@@ -234,6 +279,7 @@ describe("Parsing initial user settings", () => {
 				param: "srcUid",
 				paramValue: ""
 			},
+			template: DEFAULT_METADATA_TEMPLATE,
 			use: "default"
 		},
 		notes: {
@@ -242,9 +288,14 @@ describe("Parsing initial user settings", () => {
 			nest_position: "top",
 			nest_preset: "[[Notes]]",
 			nest_use: "preset",
+			smartblock: {
+				param: "srcUid",
+				paramValue: ""
+			},
 			split_char: "",
 			split_preset: "\n",
 			split_use: "preset",
+			template: DEFAULT_NOTES_TEMPLATE,
 			use: "default",
 			__with: "text"
 		},
@@ -252,10 +303,11 @@ describe("Parsing initial user settings", () => {
 			autoload: false,
 			cacheEnabled: false,
 			darkTheme: false,
+			fulltextIndex: false,
 			render_inline: false
 		},
 		pageMenu: {
-			defaults: ["addMetadata", "importNotes", "viewItemInfo", "openZoteroLocal", "openZoteroWeb", "pdfLinks", "sciteBadge", "connectedPapers", "semanticScholar", "googleScholar", "citingPapers"],
+			defaults: ["addMetadata", "importNotes", "exportNote", "viewItemInfo", "manageCollections", "openZoteroLocal", "openZoteroWeb", "pdfLinks", "sciteBadge", "connectedPapers", "semanticScholar", "googleScholar", "citingPapers"],
 			trigger: "default"
 		},
 		sciteBadge: {
@@ -371,7 +423,10 @@ describe("Filtering queries for persistence", () => {
 		[{ queryKey: ["permissions", { apikey: "XXXXXX" }], state: { status: "success" } }, false],
 		[{ queryKey: ["tags", { library: "users/123456" }], state: { status: "error" } }, false],
 		[{ queryKey: ["collections", { library: "users/123456" }], state: { status: "success" } }, true],
+		[{ queryKey: ["fulltext", { library: "users/123456" }], state: { status: "success" } }, false],
 		[{ queryKey: ["items", { library: "users/123456" }], state: { status: "success" } }, true],
+		[{ queryKey: ["search-items", { library: "users/123456", search: "ABCD1234" }], state: { status: "success" } }, false],
+		[{ queryKey: ["searches", { library: "users/123456" }], state: { status: "success" } }, true],
 		[{ queryKey: ["tags", { library: "users/123456" }], state: { status: "success" } }, true]
 	] as const;
 